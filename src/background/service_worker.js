@@ -3,6 +3,20 @@
  * Handles background tasks, API management, and cross-tab communication
  */
 
+import SEOScorer from '../utils/seoScorer.js';
+import { AnalyticsManager, BoilerplateManager, CacheManager, CACHE_EXPIRATION, ChangeHistoryManager, IdeasManager, LanguagePackManager, PlannerManager, ScoringProfileManager, TagLibraryManager, TemplateManager, TitleVariantManager, TrendManager, WatchlistManager } from '../utils/storage.js';
+import { DEFAULT_LANGUAGE, countCharacters, detectLanguage, getLanguagePack, getLanguages, isBuiltInLanguage, loadCustomLanguagePacks, tokenize } from '../utils/languages.js';
+import YouTubeAPIHelper from '../utils/youtubeAPI.js';
+import { buildKeywordReport } from '../utils/keywordResearch.js';
+import { buildBenchmark, extractMainKeyword } from '../utils/competitorBenchmark.js';
+import { WATCH_SETTINGS, createWatchedChannel, parseChannelInput, recordUploads, summarizeWatchlist } from '../utils/competitorWatch.js';
+import { TREND_CATEGORIES, TREND_SETTINGS, createSnapshot, formatTrendsForPrompt, getFeedId, summarizeTrends } from '../utils/trends.js';
+import { PLAN_STAGES, PLAN_UPLOADS, parseVideoId, planFromIdea, summarizeUploads, upsertPlanItem } from '../utils/contentPlan.js';
+import { addOverlayChecks, parseThumbnailConcepts } from '../utils/thumbnailConcepts.js';
+import { ANALYSIS_SIZE, THUMBNAIL_PREVIEWS, analyzeThumbnail, getCoverCrop } from '../utils/thumbnailCheck.js';
+import { COMMENT_SETTINGS, addMetadataCoverage, buildCommentInsights, formatInsightsForPrompt } from '../utils/commentInsights.js';
+import { IDEA_SETTINGS, IDEA_STATUS, addIdeas, formatPerformersForPrompt, rankUploads, selectPerformers, summarizeChannel, updateIdea } from '../utils/contentIdeas.js';
+
 // Inline AI helper for service worker (Manifest V3 compatibility)
 const GEMINI_API_CONFIG = {
     baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
@@ -27,8 +41,19 @@ const URLS = {
     YOUTUBE_STUDIO: 'https://studio.youtube.com'
 };
 
+const ALARMS = {
+    WATCHLIST: 'openstudio-watchlist',
+    TRENDS: 'openstudio-trends'
+};
+
 const VERSION = '1.0.2';
 
+// YouTube rejects titles longer than this, whatever the scoring profile allows
+const TITLE_MAX_LENGTH = 100;
+
+// Top search results fetched for keyword research (search costs 100 quota units per call)
+const KEYWORD_RESEARCH_RESULTS = 15;
+
 const DEFAULT_SETTINGS = {
     seoEnabled: true,
     autoSuggestions: true,
@@ -44,6 +69,18 @@ const DEFAULT_SETTINGS = {
 
 // Global AI helper instance
 let geminiHelper = null;
+let youtubeHelper = null;
+
+// Running competitor watchlist check, shared so checks never overlap
+let watchlistCheck = null;
+
+// Running trending snapshot, shared the same way
+let trendSnapshot = null;
+
+// User-added language packs, registered every time the worker starts
+const languagePacksReady = LanguagePackManager.getPacks()
+    .then(data => loadCustomLanguagePacks(data.packs))
+    .catch(error => console.error('Failed to load language packs:', error));
 
 // Service Worker Installation
 chrome.runtime.onInstalled.addListener((details) => {
@@ -121,9 +158,52 @@ Provide only the optimized title, no explanations.`;
         return { optimizedTitle: optimizedTitle.trim() };
     }
 
-    async enhanceDescription(videoData) {
+    async generateTitleVariants(videoData, count = 3) {
+        if (!this.isReady) throw new Error('AI helper not initialized');
+
+        const focus = SEOScorer.normalizeFocusKeywords(videoData.focusKeywords);
+        const prompt = `Write ${count} alternative YouTube titles for this video that could be A/B tested against each other:
+Current title: ${videoData.title || 'Untitled'}
+Description: ${videoData.description || 'No description'}
+${focus.primary ? `Focus keyword: ${focus.primary}\n` : ''}
+Each title should take a different angle, stay under 70 characters and be written in the same language as the current title.
+
+Format your response as JSON:
+{
+  "optimizedTitles": ["title1", "title2", "title3"]
+}`;
+
+        const response = await this.callGeminiAPI(prompt);
+        let titles = [];
+
+        try {
+            const jsonMatch = response.match(/\{[\s\S]*\}/);
+            const parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+            titles = Array.isArray(parsed?.optimizedTitles) ? parsed.optimizedTitles : [];
+        } catch (parseError) {
+            titles = [];
+        }
+
+        // Fall back to one title per line, stripping list numbering and quotes
+        if (titles.length === 0) {
+            titles = response.split('\n').map(line => line.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, '').replace(/^["']|["']$/g, ''));
+        }
+
+        return titles
+            .map(title => String(title).trim())
+            .filter(title => title.length > 0 && title.length <= 100)
+            .slice(0, count);
+    }
+
+    async enhanceDescription(videoData, options = {}) {
         if (!this.isReady) throw new Error('AI helper not initialized');
         
+        // With boilerplate blocks the channel's own footer is added afterwards
+        const closing = options.hasBoilerplate
+            ? `- No call-to-action, social links or disclosures (the channel adds its own footer)
+- Keep any lines like [os:name] and [/os:name] and the text between them exactly as they are`
+            : '- Call-to-action';
+        
         const prompt = `Enhance this YouTube video description for better engagement and SEO:
 Title: ${videoData.title || 'Untitled'}
 Current description: ${videoData.description || 'No description provided'}
@@ -131,7 +211,7 @@ Current description: ${videoData.description || 'No description provided'}
 Create an enhanced description that includes:
 - Engaging opening
 - Clear structure
-- Call-to-action
+${closing}
 - Relevant keywords
 
 Keep it between 150-300 words.`;
@@ -139,6 +219,125 @@ Keep it between 150-300 words.`;
         return await this.callGeminiAPI(prompt);
     }
 
+    async analyzeCompetitors(videoData, competitorVideos) {
+        if (!this.isReady) throw new Error('AI helper not initialized');
+        
+        const prompt = `Analyze these competitor videos and suggest how to improve content strategy.
+
+Our video: "${videoData.title || 'Untitled'}" - "${videoData.description || 'No description'}"
+Our tags: ${videoData.tags || 'none'}
+Competitor videos: ${JSON.stringify(competitorVideos.slice(0, 5))}
+
+Provide insights on:
+1. What competitors are doing well
+2. Content gaps we can fill
+3. Unique angles we can take
+4. SEO opportunities they're missing
+
+Be specific and actionable. Answer in the same language as our title.`;
+
+        const analysis = await this.callGeminiAPI(prompt);
+        return {
+            analysis: analysis.trim(),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    async generateContentIdeas(channelData, recentVideos = [], trends = '') {
+        if (!this.isReady) throw new Error('AI helper not initialized');
+        
+        const prompt = `Based on this channel's content and current trends, suggest 5 video ideas.
+
+Channel info: ${JSON.stringify(channelData || {})}
+Recent videos (ranked by views per day; "top" ones did best, "bottom" ones did worst): ${JSON.stringify(recentVideos.slice(0, 10))}
+Current trends:
+${trends || 'No trend data available'}
+
+For each idea provide:
+- Compelling title
+- Brief description
+- Why it would perform well
+- Estimated engagement potential (High, Medium or Low)
+
+Format as a JSON array with objects containing: title, description, reasoning, potential. Return only the JSON.`;
+
+        const response = await this.callGeminiAPI(prompt);
+        
+        // Gemini often wraps JSON in a code fence
+        const json = response.slice(response.indexOf('['), response.lastIndexOf(']') + 1);
+        try {
+            const ideas = JSON.parse(json);
+            if (Array.isArray(ideas)) {
+                return ideas.filter(idea => idea && idea.title).slice(0, 5);
+            }
+        } catch {
+            // Fall through to the numbered-list parser
+        }
+        
+        return this.extractIdeasFromText(response);
+    }
+
+    async generateThumbnailSuggestions(videoData) {
+        if (!this.isReady) throw new Error('AI helper not initialized');
+        
+        const prompt = `Suggest thumbnail concepts for this video that would maximize click-through rate.
+
+Video title: "${videoData.title || 'Untitled'}"
+Video content: "${(videoData.description || 'No description').slice(0, 1000)}"
+Target audience: General YouTube viewers
+
+Provide 3 thumbnail concepts. Focus on concepts that create curiosity and emotional engagement.
+Keep the overlay text to a few words and don't repeat the title in it.
+Answer in the same language as the title.
+
+Use exactly this format for each concept:
+Concept 1: short concept name
+Visual elements: element; element; element
+Overlay text: the text shown on the thumbnail
+Colors: color; color; color
+Rationale: why it would make viewers click`;
+
+        return parseThumbnailConcepts(await this.callGeminiAPI(prompt));
+    }
+
+    async summarizeComments(title, insights) {
+        if (!this.isReady) throw new Error('AI helper not initialized');
+        
+        const prompt = `Summarize what viewers say in the comments of this YouTube video for its creator.
+
+Video title: "${title || 'Untitled'}"
+
+${formatInsightsForPrompt(insights)}
+
+Write 3-5 short bullet points on what viewers like, what confuses them and what they ask for.
+Then list up to 3 follow-up video ideas under "Follow-up ideas:", one per line.
+Answer in the same language as the comments. Plain text only, no markdown headings.`;
+
+        return (await this.callGeminiAPI(prompt)).trim();
+    }
+
+    extractIdeasFromText(text) {
+        const ideas = [];
+        let currentIdea = null;
+        
+        text.split('\n').map(line => line.trim()).filter(line => line).forEach(line => {
+            if (/^\d+\./.test(line)) {
+                if (currentIdea) ideas.push(currentIdea);
+                currentIdea = {
+                    title: line.replace(/^\d+\.\s*/, '').replace(/\*\*/g, '').trim(),
+                    description: '',
+                    reasoning: '',
+                    potential: 'Medium'
+                };
+            } else if (currentIdea) {
+                currentIdea.description = `${currentIdea.description} ${line}`.trim();
+            }
+        });
+        
+        if (currentIdea) ideas.push(currentIdea);
+        return ideas.slice(0, 5);
+    }
+
     async callGeminiAPI(prompt) {
         if (!this.apiKey) throw new Error('API key not configured');
 
@@ -209,6 +408,31 @@ async function getAIHelper() {
     return geminiHelper;
 }
 
+/**
+ * Get or create the YouTube Data API helper, or null without a working API key
+ */
+async function getYouTubeHelper() {
+    if (youtubeHelper) {
+        return youtubeHelper;
+    }
+    
+    try {
+        const result = await chrome.storage.local.get(STORAGE_KEYS.API_KEYS);
+        const apiKeys = result[STORAGE_KEYS.API_KEYS] || {};
+        if (!apiKeys.youtube) {
+            return null;
+        }
+        
+        const helper = new YouTubeAPIHelper();
+        await helper.initialize(apiKeys.youtube);
+        youtubeHelper = helper;
+        return youtubeHelper;
+    } catch (error) {
+        console.error('Failed to initialize YouTube API helper:', error);
+        return null;
+    }
+}
+
 /**
  * Setup context menus for quick access
  */
@@ -287,8 +511,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
 
+    // Validate video data for analysis requests
+    if (message.action === 'analyzeVideo' && (!message.data || typeof message.data !== 'object')) {
+        sendResponse({ success: false, error: 'Missing video data for analysis' });
+        return true;
+    }
+
     // Validate required fields for content generation actions
-    const contentActions = ['generateTags', 'optimizeTitle', 'enhanceDescription'];
+    const contentActions = ['generateTags', 'optimizeTitle', 'generateTitleVariants', 'enhanceDescription'];
     if (contentActions.includes(message.action)) {
         if (!message.data || !message.data.title) {
             console.warn('Missing required data for action:', message.action);
@@ -300,6 +530,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         }
     }
     
+    // User-added language packs must be registered before anything is analyzed
+    languagePacksReady.then(() => dispatchMessage(message, sendResponse));
+    
+    // Return true to indicate async response
+    return true;
+});
+
+/**
+ * Route a validated message to its handler
+ */
+function dispatchMessage(message, sendResponse) {
     switch (message.action) {
         case 'getSettings':
             handleGetSettings(sendResponse);
@@ -314,7 +555,130 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             handleSaveApiKeys(message.keys, sendResponse);
             break;
         case 'analyzeVideo':
-            handleVideoAnalysis(message.data, sendResponse);
+            handleVideoAnalysis(message.data, message.persist !== false, sendResponse);
+            break;
+        case 'getVideoAnalysis':
+            handleGetVideoAnalysis(message.videoId, sendResponse);
+            break;
+        case 'getScoringProfile':
+            handleGetScoringProfile(sendResponse);
+            break;
+        case 'saveScoringProfile':
+            handleSaveScoringProfile(message.profile, sendResponse);
+            break;
+        case 'resetScoringProfile':
+            handleResetScoringProfile(sendResponse);
+            break;
+        case 'getTemplates':
+            handleGetTemplates(sendResponse);
+            break;
+        case 'saveTemplates':
+            handleSaveTemplates(message.data, sendResponse);
+            break;
+        case 'getBoilerplateBlocks':
+            handleGetBoilerplateBlocks(sendResponse);
+            break;
+        case 'saveBoilerplateBlocks':
+            handleSaveBoilerplateBlocks(message.blocks, sendResponse);
+            break;
+        case 'getTagLibraries':
+            handleGetTagLibraries(sendResponse);
+            break;
+        case 'saveTagLibraries':
+            handleSaveTagLibraries(message.libraries, sendResponse);
+            break;
+        case 'researchKeyword':
+            handleResearchKeyword(message.query, sendResponse);
+            break;
+        case 'benchmarkVideo':
+            handleBenchmarkVideo(message.data, message.keyword, sendResponse);
+            break;
+        case 'analyzeCompetitors':
+            handleAnalyzeCompetitors(message.data, message.keyword, sendResponse);
+            break;
+        case 'getWatchlist':
+            handleGetWatchlist(sendResponse);
+            break;
+        case 'addWatchedChannel':
+            handleAddWatchedChannel(message.channel, sendResponse);
+            break;
+        case 'removeWatchedChannel':
+            handleRemoveWatchedChannel(message.channelId, sendResponse);
+            break;
+        case 'checkWatchlist':
+            handleCheckWatchlist(sendResponse);
+            break;
+        case 'getTrends':
+            handleGetTrends(sendResponse);
+            break;
+        case 'addTrendFeed':
+            handleAddTrendFeed(message.regionCode, message.categoryId, sendResponse);
+            break;
+        case 'removeTrendFeed':
+            handleRemoveTrendFeed(message.feedId, sendResponse);
+            break;
+        case 'snapshotTrends':
+            handleSnapshotTrends(sendResponse);
+            break;
+        case 'getIdeas':
+            handleGetIdeas(sendResponse);
+            break;
+        case 'generateIdeas':
+            handleGenerateIdeas(message.channel, sendResponse);
+            break;
+        case 'updateIdea':
+            handleUpdateIdea(message.ideaId, message.changes, sendResponse);
+            break;
+        case 'getPlan':
+            handleGetPlan(sendResponse);
+            break;
+        case 'savePlanItem':
+            handleSavePlanItem(message.item, sendResponse);
+            break;
+        case 'planIdea':
+            handlePlanIdea(message.ideaId, sendResponse);
+            break;
+        case 'deletePlanItem':
+            handleDeletePlanItem(message.itemId, sendResponse);
+            break;
+        case 'refreshPlanUploads':
+            handleRefreshPlanUploads(message.channel, sendResponse);
+            break;
+        case 'getPlannedVideo':
+            handleGetPlannedVideo(message.videoId, sendResponse);
+            break;
+        case 'generateThumbnailConcepts':
+            handleGenerateThumbnailConcepts(message.data, sendResponse);
+            break;
+        case 'getThumbnailConcepts':
+            handleGetThumbnailConcepts(message.videoId, message.title, sendResponse);
+            break;
+        case 'checkThumbnail':
+            handleCheckThumbnail(message.data, sendResponse);
+            break;
+        case 'analyzeComments':
+            handleAnalyzeComments(message.data, sendResponse);
+            break;
+        case 'getCommentInsights':
+            handleGetCommentInsights(message.data, sendResponse);
+            break;
+        case 'summarizeComments':
+            handleSummarizeComments(message.data, sendResponse);
+            break;
+        case 'addIdea':
+            handleAddIdea(message.idea, sendResponse);
+            break;
+        case 'getNichePresets':
+            sendResponse({ success: true, niches: SEOScorer.getNichePresets() });
+            break;
+        case 'getLanguages':
+            sendResponse({ success: true, languages: getLanguages() });
+            break;
+        case 'getLanguagePacks':
+            handleGetLanguagePacks(sendResponse);
+            break;
+        case 'saveLanguagePacks':
+            handleSaveLanguagePacks(message.packs, sendResponse);
             break;
         case 'cacheData':
             handleCacheData(message.key, message.data, sendResponse);
@@ -328,6 +692,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         case 'optimizeTitle':
             handleOptimizeTitle(message.data, sendResponse);
             break;
+        case 'generateTitleVariants':
+            handleGenerateTitleVariants(message.data, sendResponse);
+            break;
+        case 'scoreTitleVariants':
+            handleScoreTitleVariants(message.data, message.titles, sendResponse);
+            break;
+        case 'getTitleVariants':
+            handleGetTitleVariants(message.videoId, sendResponse);
+            break;
+        case 'saveTitleVariants':
+            handleSaveTitleVariants(message.videoId, message.record, sendResponse);
+            break;
+        case 'getChangeHistory':
+            handleGetChangeHistory(message.videoId, sendResponse);
+            break;
+        case 'saveChangeHistory':
+            handleSaveChangeHistory(message.videoId, message.record, sendResponse);
+            break;
         case 'enhanceDescription':
             handleEnhanceDescription(message.data, sendResponse);
             break;
@@ -335,10 +717,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             console.warn('Unknown action:', message.action);
             sendResponse({ success: false, error: 'Unknown action' });
     }
-    
-    // Return true to indicate async response
-    return true;
-});
+}
 
 /**
  * Get user settings from storage
@@ -362,9 +741,15 @@ async function handleGetSettings(sendResponse) {
  */
 async function handleSaveSettings(settings, sendResponse) {
     try {
+        const previous = (await chrome.storage.local.get(STORAGE_KEYS.USER_SETTINGS))[STORAGE_KEYS.USER_SETTINGS] || {};
         await chrome.storage.local.set({
             [STORAGE_KEYS.USER_SETTINGS]: settings
         });
+        
+        // Take the first snapshot right away instead of waiting for the alarm
+        if (settings?.trendAnalysis && !previous.trendAnalysis) {
+            takeTrendSnapshots().catch(error => console.error('Failed to take trending snapshots:', error));
+        }
         sendResponse({ success: true });
     } catch (error) {
         console.error('Failed to save settings:', error);
@@ -398,8 +783,9 @@ async function handleSaveApiKeys(keys, sendResponse) {
             [STORAGE_KEYS.API_KEYS]: keys
         });
         
-        // Invalidate AI helper to reinitialize with new keys
+        // Invalidate AI and YouTube helpers to reinitialize with new keys
         geminiHelper = null;
+        youtubeHelper = null;
         
         sendResponse({ success: true });
     } catch (error) {
@@ -409,30 +795,125 @@ async function handleSaveApiKeys(keys, sendResponse) {
 }
 
 /**
- * Handle video analysis requests
+ * Handle video analysis requests using the full SEO scorer
  */
-async function handleVideoAnalysis(videoData, sendResponse) {
+async function handleVideoAnalysis(videoData, persist, sendResponse) {
     try {
-        // This would integrate with the SEO scoring logic
-        
-        // Placeholder for actual analysis
+        const profile = await ScoringProfileManager.getProfile();
+        const result = SEOScorer.analyzeVideo(videoData, profile);
         const analysis = {
-            seoScore: 75,
-            suggestions: [
-                'Consider adding more relevant keywords to title',
-                'Description could be longer and more detailed',
-                'Add more specific tags'
-            ],
-            timestamp: new Date().toISOString()
+            ...result,
+            seoScore: result.overallScore
         };
         
-        sendResponse({ success: true, analysis });
+        // Persist so every caller sees the same analysis for this video.
+        // Live scoring of unsaved edits passes persist: false.
+        const videoId = videoData.videoId || extractStudioVideoId(videoData.url);
+        const previous = videoId ? await AnalyticsManager.getVideoAnalysis(videoId) : null;
+        
+        // The last thumbnail check joins the report; the score stays metadata-only
+        if (previous?.thumbnailCheck) {
+            analysis.thumbnailCheck = previous.thumbnailCheck;
+            analysis.suggestions = [...analysis.suggestions, ...previous.thumbnailCheck.suggestions];
+        }
+        
+        if (videoId && persist) {
+            // Keep what other features saved with the record
+            await AnalyticsManager.storeVideoAnalysis(videoId, {
+                ...(previous?.thumbnailConcepts && { thumbnailConcepts: previous.thumbnailConcepts }),
+                ...(previous?.commentInsights && { commentInsights: previous.commentInsights }),
+                ...analysis,
+                title: videoData.title || '',
+                // Kept for tag library usage counts
+                tags: typeof videoData.tags === 'string'
+                    ? videoData.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0)
+                    : Array.isArray(videoData.tags) ? videoData.tags : [],
+                focusKeywords: SEOScorer.normalizeFocusKeywords(videoData.focusKeywords)
+            });
+        }
+        
+        sendResponse({ success: true, analysis, videoId: videoId || null });
     } catch (error) {
         console.error('Failed to analyze video:', error);
         sendResponse({ success: false, error: error.message });
     }
 }
 
+/**
+ * Get the stored analysis for a video
+ */
+async function handleGetVideoAnalysis(videoId, sendResponse) {
+    try {
+        if (!videoId) {
+            throw new Error('Video ID is required');
+        }
+        const analysis = await AnalyticsManager.getVideoAnalysis(videoId);
+        sendResponse({ success: true, analysis: analysis || null });
+    } catch (error) {
+        console.error('Failed to get video analysis:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Get the active scoring profile
+ */
+async function handleGetScoringProfile(sendResponse) {
+    try {
+        const profile = await ScoringProfileManager.getProfile();
+        sendResponse({ success: true, profile });
+    } catch (error) {
+        console.error('Failed to get scoring profile:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Save a user-edited scoring profile
+ */
+async function handleSaveScoringProfile(profile, sendResponse) {
+    try {
+        if (!profile || typeof profile !== 'object') {
+            throw new Error('Invalid scoring profile');
+        }
+        
+        const saved = await ScoringProfileManager.saveProfile(profile);
+        if (!saved) {
+            throw new Error('Failed to store scoring profile');
+        }
+        
+        sendResponse({ success: true, profile: await ScoringProfileManager.getProfile() });
+    } catch (error) {
+        console.error('Failed to save scoring profile:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Reset the scoring profile to defaults
+ */
+async function handleResetScoringProfile(sendResponse) {
+    try {
+        await ScoringProfileManager.resetProfile();
+        sendResponse({ success: true, profile: await ScoringProfileManager.getProfile() });
+    } catch (error) {
+        console.error('Failed to reset scoring profile:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Extract video ID from a YouTube Studio video URL
+ */
+function extractStudioVideoId(url) {
+    if (!url || typeof url !== 'string') {
+        return null;
+    }
+    
+    const match = url.match(/\/video\/([^\/?#]+)/);
+    return match ? match[1] : null;
+}
+
 /**
  * Cache data for performance optimization
  */
@@ -490,6 +971,8 @@ async function handleGenerateTags(data, sendResponse) {
                 sendResponse({
                     success: true,
                     tags: tags,
+                    // Content-based tags are offered alongside the AI ones
+                    fallbackTags: generateFallbackTags(data),
                     message: 'Tags generated using AI',
                     source: 'ai'
                 });
@@ -529,24 +1012,37 @@ function generateFallbackTags(data) {
     const description = (data.description || '').toLowerCase();
     const content = `${title} ${description}`;
     
-    // Extract meaningful words
-    const words = content.split(/\s+/)
-        .filter(word => word.length > 3)
-        .filter(word => !/^(the|and|for|are|but|not|you|all|can|had|her|was|one|our|out|day|get|has|him|his|how|man|new|now|old|see|two|way|who|boy|did|its|let|put|say|she|too|use)$/.test(word))
+    // Extract meaningful words, dropping the metadata language's stop words
+    const languageCode = getContentLanguage(data, content);
+    const pack = getLanguagePack(languageCode);
+    const stopWords = new Set(pack.stopWords);
+    const words = tokenize(content)
+        .filter(word => Array.from(word).length > 3)
+        .filter(word => !stopWords.has(word))
         .slice(0, 10);
     
     // Add relevant keywords based on content analysis
-    if (title.includes('tutorial') || title.includes('how to') || title.includes('guide')) {
-        tags.push('tutorial', 'howto', 'guide');
-    }
-    if (title.includes('review') || description.includes('review')) {
-        tags.push('review', 'analysis');
-    }
-    if (title.includes('tips') || description.includes('tips')) {
-        tags.push('tips', 'advice');
-    }
-    if (content.includes('beginner') || content.includes('learn')) {
-        tags.push('beginner', 'learning');
+    if (languageCode === DEFAULT_LANGUAGE) {
+        if (title.includes('tutorial') || title.includes('how to') || title.includes('guide')) {
+            tags.push('tutorial', 'howto', 'guide');
+        }
+        if (title.includes('review') || description.includes('review')) {
+            tags.push('review', 'analysis');
+        }
+        if (title.includes('tips') || description.includes('tips')) {
+            tags.push('tips', 'advice');
+        }
+        if (content.includes('beginner') || content.includes('learn')) {
+            tags.push('beginner', 'learning');
+        }
+    } else {
+        // Other languages: the pack's engagement and action keywords the metadata uses
+        const text = ` ${tokenize(content).join(' ')} `;
+        ['engagement', 'actionable']
+            .flatMap(category => pack.keywords?.[category] || [])
+            .map(keyword => tokenize(keyword).join(' '))
+            .filter(keyword => keyword && text.includes(` ${keyword} `))
+            .forEach(keyword => tags.push(keyword));
     }
     
     // Add unique words from title/description
@@ -556,6 +1052,16 @@ function generateFallbackTags(data) {
     return [...new Set(tags)].slice(0, 12);
 }
 
+/**
+ * Language of the metadata: the one picked in the panel, otherwise detected
+ * @param {Object} data - Video data with an optional language code
+ * @param {string} text - Text to detect the language from
+ * @returns {string} Language code
+ */
+function getContentLanguage(data, text) {
+    return data.language && data.language !== 'auto' ? data.language : detectLanguage(text).code;
+}
+
 /**
  * Check API key status
  */
@@ -597,7 +1103,8 @@ async function handleOptimizeTitle(data, sendResponse) {
         }
 
         // Fallback: Generate optimized title using heuristics
-        const optimizedTitle = generateOptimizedTitle(data);
+        const profile = await ScoringProfileManager.getProfile();
+        const optimizedTitle = generateOptimizedTitle(data, getTitleLimit(profile));
         const hasApiKey = await checkApiKeyStatus();
         
         sendResponse({
@@ -616,18 +1123,33 @@ async function handleOptimizeTitle(data, sendResponse) {
     }
 }
 
+/**
+ * Longest title the fallbacks may suggest: the profile's limit, capped at YouTube's
+ */
+function getTitleLimit(profile) {
+    return Math.min(profile?.title?.maxLength || TITLE_MAX_LENGTH, TITLE_MAX_LENGTH);
+}
+
+/**
+ * Whether a title already names a year
+ */
+function hasYear(title) {
+    return /\b(19|20)\d{2}\b/.test(title);
+}
+
 /**
  * Generate optimized title using heuristics
  */
-function generateOptimizedTitle(data) {
+function generateOptimizedTitle(data, maxLength = TITLE_MAX_LENGTH) {
     const title = data.title || 'Untitled Video';
-    const words = title.split(' ');
+    const year = new Date().getFullYear();
+    const yearSuffix = hasYear(title) ? '' : ` ${year}`;
+    const fits = candidate => countCharacters(candidate) <= maxLength;
     
     // If title is too short, add compelling elements
     if (title.length < 30) {
-        const year = new Date().getFullYear();
         const variations = [
-            `${title} - Complete Guide ${year}`,
+            `${title} - Complete Guide${yearSuffix}`,
             `${title}: Everything You Need to Know`,
             `${title} (Step by Step Tutorial)`,
             `${title} - Pro Tips & Tricks`,
@@ -635,83 +1157,1269 @@ function generateOptimizedTitle(data) {
         ];
         
         // Choose variation based on content type
+        let optimized;
         if (title.toLowerCase().includes('how') || title.toLowerCase().includes('tutorial')) {
-            return variations[2]; // Step by step
+            optimized = variations[2]; // Step by step
         } else if (title.toLowerCase().includes('review')) {
-            return `${title} - Honest Review ${year}`;
+            optimized = `${title} - Honest Review${yearSuffix}`;
         } else if (title.toLowerCase().includes('tips')) {
-            return variations[3]; // Pro tips
+            optimized = variations[3]; // Pro tips
         } else {
-            return variations[0]; // Complete guide
+            optimized = variations[0]; // Complete guide
         }
+        return fits(optimized) ? optimized : title;
     }
     
-    // If title is good length, just add year if missing
-    if (!title.includes('2024') && !title.includes('2025')) {
-        return `${title} (${new Date().getFullYear()})`;
+    // If title is good length, just add year if missing and it still fits
+    if (!hasYear(title) && fits(`${title} (${year})`)) {
+        return `${title} (${year})`;
     }
     
     return title;
 }
 
 /**
- * Handle description enhancement requests
+ * Handle title variant generation for the A/B workspace.
+ * Every variant is scored against the rest of the current metadata.
  */
-async function handleEnhanceDescription(data, sendResponse) {
+async function handleGenerateTitleVariants(data, sendResponse) {
     try {
+        let titles = [];
+        let source = 'fallback';
         const aiHelper = await getAIHelper();
-        
+
         if (aiHelper) {
-            // Use real AI to enhance description
             try {
-                const enhancedDescription = await aiHelper.enhanceDescription(data);
-                
-                sendResponse({
-                    success: true,
-                    enhancedDescription: enhancedDescription,
-                    message: 'Description enhanced using AI',
-                    source: 'ai'
-                });
-                return;
+                titles = await aiHelper.generateTitleVariants(data);
+                source = 'ai';
             } catch (aiError) {
-                console.error('AI description enhancement failed:', aiError);
+                console.error('AI title variant generation failed:', aiError);
                 // Fall through to fallback
             }
         }
 
-        // Fallback: Enhance description using content analysis
-        const enhancedDescription = enhanceDescriptionFallback(data);
+        const profile = await ScoringProfileManager.getProfile();
+        if (titles.length === 0) {
+            titles = generateFallbackTitleVariants(data, 3, getTitleLimit(profile));
+            source = 'fallback';
+        }
+
+        const variants = titles.map(title => ({
+            title,
+            source,
+            score: scoreTitleVariant(data, title, profile)
+        }));
         const hasApiKey = await checkApiKeyStatus();
-        
+
         sendResponse({
             success: true,
-            enhancedDescription: enhancedDescription,
-            message: hasApiKey ? 'Using fallback enhancement (AI temporarily unavailable)' : 'Using smart enhancement (configure AI for personalized improvements)',
-            source: 'fallback'
+            variants,
+            source,
+            message: source === 'ai'
+                ? `Generated ${variants.length} title variants using AI`
+                : hasApiKey ? 'Using fallback title variants (AI temporarily unavailable)' : 'Using smart title variants (configure AI for enhanced suggestions)'
         });
-        
+
     } catch (error) {
-        console.error('Description enhancement failed:', error);
-        sendResponse({ 
-            success: false, 
-            error: 'Description enhancement failed: ' + error.message 
+        console.error('Title variant generation failed:', error);
+        sendResponse({
+            success: false,
+            error: 'Title variant generation failed: ' + error.message
         });
     }
 }
 
 /**
- * Enhance description using heuristics and templates
+ * Score edited title variants against the current metadata
  */
-function enhanceDescriptionFallback(data) {
-    const title = data.title || '';
-    const description = data.description || '';
-    
-    // If description is empty or very short, create a basic one
-    if (description.length < 50) {
-        const basicDescription = createBasicDescription(title);
-        return addEngagementElements(basicDescription);
+async function handleScoreTitleVariants(data, titles, sendResponse) {
+    try {
+        if (!data || !Array.isArray(titles)) {
+            throw new Error('Video data and titles are required');
+        }
+        const profile = await ScoringProfileManager.getProfile();
+        const scores = titles.map(title => scoreTitleVariant(data, String(title || ''), profile));
+        sendResponse({ success: true, scores });
+    } catch (error) {
+        console.error('Failed to score title variants:', error);
+        sendResponse({ success: false, error: error.message });
     }
-    
+}
+
+/**
+ * Get the saved title variants for a video
+ */
+async function handleGetTitleVariants(videoId, sendResponse) {
+    try {
+        if (!videoId) {
+            throw new Error('Video ID is required');
+        }
+        const record = await TitleVariantManager.getVariants(videoId);
+        sendResponse({ success: true, record });
+    } catch (error) {
+        console.error('Failed to get title variants:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Save the title variants for a video
+ */
+async function handleSaveTitleVariants(videoId, record, sendResponse) {
+    try {
+        if (!videoId) {
+            throw new Error('Video ID is required');
+        }
+        const success = await TitleVariantManager.saveVariants(videoId, record);
+        sendResponse({ success });
+    } catch (error) {
+        console.error('Failed to save title variants:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Get the saved description templates
+ */
+async function handleGetTemplates(sendResponse) {
+    try {
+        const data = await TemplateManager.getTemplates();
+        sendResponse({ success: true, ...data });
+    } catch (error) {
+        console.error('Failed to get templates:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Save the description templates
+ */
+async function handleSaveTemplates(data, sendResponse) {
+    try {
+        const saved = await TemplateManager.saveTemplates(data);
+        sendResponse({ success: true, ...saved });
+    } catch (error) {
+        console.error('Failed to save templates:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Get the user-added language packs
+ */
+async function handleGetLanguagePacks(sendResponse) {
+    try {
+        const data = await LanguagePackManager.getPacks();
+        sendResponse({ success: true, ...data });
+    } catch (error) {
+        console.error('Failed to get language packs:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Save the user-added language packs and register them right away
+ */
+async function handleSaveLanguagePacks(packs, sendResponse) {
+    try {
+        const builtIn = (Array.isArray(packs) ? packs : []).find(pack => isBuiltInLanguage(pack?.code));
+        if (builtIn) {
+            throw new Error(`"${builtIn.code}" is a built-in language and cannot be replaced`);
+        }
+        
+        const saved = await LanguagePackManager.savePacks(packs);
+        const loaded = loadCustomLanguagePacks(saved.packs);
+        sendResponse({
+            success: true,
+            ...saved,
+            // Saved but not usable, e.g. an unknown script name
+            skipped: saved.packs.map(pack => pack.code).filter(code => !loaded.includes(code))
+        });
+    } catch (error) {
+        console.error('Failed to save language packs:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Get the master boilerplate blocks
+ */
+async function handleGetBoilerplateBlocks(sendResponse) {
+    try {
+        const data = await BoilerplateManager.getBlocks();
+        sendResponse({ success: true, ...data });
+    } catch (error) {
+        console.error('Failed to get boilerplate blocks:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Save the master boilerplate blocks
+ */
+async function handleSaveBoilerplateBlocks(blocks, sendResponse) {
+    try {
+        const saved = await BoilerplateManager.saveBlocks(blocks);
+        sendResponse({ success: true, ...saved });
+    } catch (error) {
+        console.error('Failed to save boilerplate blocks:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Get the tag libraries with how many analyzed videos use each tag
+ */
+async function handleGetTagLibraries(sendResponse) {
+    try {
+        const data = await TagLibraryManager.getLibraries();
+        const usage = await AnalyticsManager.getTagUsage();
+        sendResponse({ success: true, ...data, usage });
+    } catch (error) {
+        console.error('Failed to get tag libraries:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Save the tag libraries
+ */
+async function handleSaveTagLibraries(libraries, sendResponse) {
+    try {
+        const saved = await TagLibraryManager.saveLibraries(libraries);
+        sendResponse({ success: true, ...saved });
+    } catch (error) {
+        console.error('Failed to save tag libraries:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Fetch the top-ranking videos for a search with their video and channel statistics
+ * @returns {Promise<Object>} { videos, channels } with videos in ranking order
+ */
+async function fetchRankingVideos(query, maxResults = KEYWORD_RESEARCH_RESULTS) {
+    const helper = await getYouTubeHelper();
+    if (!helper) {
+        throw new Error('Add a valid YouTube Data API key in the extension settings to search YouTube');
+    }
+    
+    const search = await helper.searchVideos(query, { maxResults });
+    const videoIds = (search.items || []).map(item => item.id?.videoId).filter(Boolean);
+    if (videoIds.length === 0) {
+        return { videos: [], channels: [] };
+    }
+    
+    // The videos endpoint does not keep the search ranking
+    const rank = new Map(videoIds.map((id, index) => [id, index]));
+    const videos = (await helper.getVideosInfo(videoIds)).sort((a, b) => rank.get(a.id) - rank.get(b.id));
+    const channelIds = [...new Set(videos.map(video => video.snippet?.channelId).filter(Boolean))];
+    const channels = await helper.getChannelsInfo(channelIds);
+    
+    return { videos, channels };
+}
+
+/**
+ * Research a keyword: competition and common terms among its top search results
+ */
+async function handleResearchKeyword(query, sendResponse) {
+    try {
+        const keyword = (query || '').replace(/\s+/g, ' ').trim();
+        if (!keyword) {
+            throw new Error('Enter a keyword to research');
+        }
+        
+        // Searches are expensive in API quota, so repeat lookups come from the cache
+        const cacheKey = `keyword_${keyword.toLowerCase()}`;
+        const cached = await CacheManager.get(cacheKey);
+        if (cached) {
+            sendResponse({ success: true, report: cached, cached: true });
+            return;
+        }
+        
+        const { videos, channels } = await fetchRankingVideos(keyword);
+        const report = buildKeywordReport(keyword, videos, channels);
+        await CacheManager.set(cacheKey, report, CACHE_EXPIRATION.KEYWORD_RESEARCH);
+        
+        sendResponse({ success: true, report, cached: false });
+    } catch (error) {
+        console.error('Failed to research keyword:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Get the top-ranking videos for a keyword, from the cache when searched recently
+ * @returns {Promise<Object>} { videos, channels }
+ */
+async function getRankingVideos(keyword) {
+    const cacheKey = `ranking_${keyword.toLowerCase()}`;
+    const cached = await CacheManager.get(cacheKey);
+    if (cached) {
+        return cached;
+    }
+    
+    const ranking = await fetchRankingVideos(keyword);
+    await CacheManager.set(cacheKey, ranking, CACHE_EXPIRATION.KEYWORD_RESEARCH);
+    return ranking;
+}
+
+/**
+ * Resolve the keyword to benchmark: the one the user typed, or the title's main keyword
+ */
+function resolveBenchmarkKeyword(data, keyword) {
+    const resolved = (keyword || '').replace(/\s+/g, ' ').trim() || extractMainKeyword(data.title, data.focusKeywords);
+    if (!resolved) {
+        throw new Error('Add a title or a focus keyword to benchmark against');
+    }
+    return resolved;
+}
+
+/**
+ * Benchmark the video's metadata against the top-ranking videos for its main keyword
+ */
+async function handleBenchmarkVideo(data, keyword, sendResponse) {
+    try {
+        if (!data) {
+            throw new Error('Video data is required');
+        }
+        
+        const query = resolveBenchmarkKeyword(data, keyword);
+        const { videos, channels } = await getRankingVideos(query);
+        const profile = await ScoringProfileManager.getProfile();
+        
+        sendResponse({ success: true, benchmark: buildBenchmark(data, query, videos, channels, profile) });
+    } catch (error) {
+        console.error('Failed to benchmark video:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Ask the AI for a gap analysis against the top-ranking videos for the main keyword
+ */
+async function handleAnalyzeCompetitors(data, keyword, sendResponse) {
+    try {
+        if (!data) {
+            throw new Error('Video data is required');
+        }
+        
+        const aiHelper = await getAIHelper();
+        if (!aiHelper) {
+            throw new Error('Add a Gemini API key in the extension settings to run the AI gap analysis');
+        }
+        
+        const query = resolveBenchmarkKeyword(data, keyword);
+        const { videos } = await getRankingVideos(query);
+        
+        // Keep the prompt small: the essentials of each competitor only
+        const competitors = videos
+            .filter(video => video.id !== data.videoId)
+            .map(video => ({
+                title: video.snippet?.title || '',
+                channel: video.snippet?.channelTitle || '',
+                views: Number(video.statistics?.viewCount || 0),
+                tags: (video.snippet?.tags || []).slice(0, 15),
+                description: (video.snippet?.description || '').slice(0, 500)
+            }));
+        
+        const result = await aiHelper.analyzeCompetitors(data, competitors);
+        sendResponse({ success: true, keyword: query, ...result });
+    } catch (error) {
+        console.error('Failed to analyze competitors:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Check the watched channels for new uploads and record their views
+ * @param {Array} channelIds - Channels to check (default: all)
+ * @returns {Promise<Object>} The saved watchlist
+ */
+function checkWatchlist(channelIds = null) {
+    // Queue behind a running check so two checks never write the watchlist at once
+    const check = (watchlistCheck || Promise.resolve()).then(() => runWatchlistCheck(channelIds));
+    const settled = check.catch(() => {});
+    watchlistCheck = settled;
+    settled.then(() => {
+        if (watchlistCheck === settled) watchlistCheck = null;
+    });
+    return check;
+}
+
+/**
+ * Fetch the newest uploads of the watched channels and record them
+ */
+async function runWatchlistCheck(channelIds) {
+    let watchlist = await WatchlistManager.getWatchlist();
+    const targets = watchlist.channels.filter(channel => !channelIds || channelIds.includes(channel.id));
+    if (targets.length === 0) {
+        return watchlist;
+    }
+    
+    const helper = await getYouTubeHelper();
+    if (!helper) {
+        throw new Error('Add a valid YouTube Data API key in the extension settings to check competitor channels');
+    }
+    
+    // Refresh subscriber and video counts for all targets in one request
+    const infos = new Map((await helper.getChannelsInfo(targets.map(channel => channel.id))).map(info => [info.id, info]));
+    watchlist.channels = watchlist.channels.map(channel => (infos.has(channel.id)
+        ? { ...channel, ...createWatchedChannel(infos.get(channel.id)), addedAt: channel.addedAt, lastCheckedAt: channel.lastCheckedAt }
+        : channel));
+    
+    for (const channel of targets) {
+        try {
+            const { videos } = await helper.getChannelVideos(channel.id, { maxResults: WATCH_SETTINGS.uploadsPerCheck });
+            watchlist = recordUploads(watchlist, channel.id, videos);
+        } catch (error) {
+            console.error(`Failed to check competitor channel ${channel.id}:`, error);
+            watchlist.channels = watchlist.channels.map(item => (
+                item.id === channel.id ? { ...item, lastError: error.message } : item
+            ));
+        }
+    }
+    
+    watchlist.lastCheckedAt = new Date().toISOString();
+    return await WatchlistManager.saveWatchlist(watchlist);
+}
+
+/**
+ * Get the competitor watchlist with uploads rated against their channel
+ */
+async function handleGetWatchlist(sendResponse) {
+    try {
+        const watchlist = await WatchlistManager.getWatchlist();
+        sendResponse({ success: true, watchlist: summarizeWatchlist(watchlist) });
+    } catch (error) {
+        console.error('Failed to get competitor watchlist:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Add a competitor channel by ID, @handle or URL and record its uploads
+ */
+async function handleAddWatchedChannel(channel, sendResponse) {
+    try {
+        const lookup = parseChannelInput(channel);
+        if (!lookup) {
+            throw new Error('Enter a channel ID (UC…), @handle or channel URL');
+        }
+        
+        const helper = await getYouTubeHelper();
+        if (!helper) {
+            throw new Error('Add a valid YouTube Data API key in the extension settings to check competitor channels');
+        }
+        
+        const info = await helper.getChannelInfo(lookup);
+        if (!info) {
+            throw new Error(`Channel ${lookup} was not found`);
+        }
+        
+        // Let a running check finish so it doesn't overwrite the new channel
+        await watchlistCheck;
+        const watchlist = await WatchlistManager.getWatchlist();
+        if (watchlist.channels.some(item => item.id === info.id)) {
+            throw new Error(`${info.snippet?.title || lookup} is already on the watchlist`);
+        }
+        
+        watchlist.channels.push(createWatchedChannel(info));
+        await WatchlistManager.saveWatchlist(watchlist);
+        
+        const checked = await checkWatchlist([info.id]);
+        sendResponse({ success: true, watchlist: summarizeWatchlist(checked) });
+    } catch (error) {
+        console.error('Failed to add competitor channel:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Remove a competitor channel and its recorded uploads
+ */
+async function handleRemoveWatchedChannel(channelId, sendResponse) {
+    try {
+        if (!channelId) {
+            throw new Error('Channel ID is required');
+        }
+        
+        await watchlistCheck;
+        const watchlist = await WatchlistManager.getWatchlist();
+        watchlist.channels = watchlist.channels.filter(channel => channel.id !== channelId);
+        const saved = await WatchlistManager.saveWatchlist(watchlist);
+        
+        sendResponse({ success: true, watchlist: summarizeWatchlist(saved) });
+    } catch (error) {
+        console.error('Failed to remove competitor channel:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Check all watched channels now
+ */
+async function handleCheckWatchlist(sendResponse) {
+    try {
+        const watchlist = await checkWatchlist();
+        sendResponse({ success: true, watchlist: summarizeWatchlist(watchlist) });
+    } catch (error) {
+        console.error('Failed to check competitor watchlist:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Take a snapshot of every trending feed
+ * @param {Array} feedIds - Feeds to snapshot (default: all)
+ * @returns {Promise<Object>} The saved trend data
+ */
+function takeTrendSnapshots(feedIds = null) {
+    // Queue behind a running snapshot so two never write the trend data at once
+    const snapshot = (trendSnapshot || Promise.resolve()).then(() => runTrendSnapshots(feedIds));
+    const settled = snapshot.catch(() => {});
+    trendSnapshot = settled;
+    settled.then(() => {
+        if (trendSnapshot === settled) trendSnapshot = null;
+    });
+    return snapshot;
+}
+
+/**
+ * Fetch the mostPopular chart of each feed and store it as a snapshot
+ */
+async function runTrendSnapshots(feedIds) {
+    const trends = await TrendManager.getTrends();
+    const targets = trends.feeds.filter(feed => !feedIds || feedIds.includes(feed.id));
+    if (targets.length === 0) {
+        return trends;
+    }
+    
+    const helper = await getYouTubeHelper();
+    if (!helper) {
+        throw new Error('Add a valid YouTube Data API key in the extension settings to explore trends');
+    }
+    
+    for (const feed of targets) {
+        try {
+            const videos = await helper.getTrendingVideos(feed.regionCode, feed.categoryId || null);
+            trends.snapshots.push(createSnapshot(feed, videos));
+            feed.lastError = null;
+        } catch (error) {
+            console.error(`Failed to snapshot trending feed ${feed.id}:`, error);
+            feed.lastError = error.message;
+        }
+    }
+    
+    trends.lastSnapshotAt = new Date().toISOString();
+    return await TrendManager.saveTrends(trends);
+}
+
+/**
+ * Get the trending feeds with their rising and most common keywords
+ */
+async function handleGetTrends(sendResponse) {
+    try {
+        const trends = await TrendManager.getTrends();
+        sendResponse({ success: true, trends: summarizeTrends(trends), categories: TREND_CATEGORIES });
+    } catch (error) {
+        console.error('Failed to get trends:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Add a region/category feed and take its first snapshot
+ */
+async function handleAddTrendFeed(regionCode, categoryId, sendResponse) {
+    try {
+        const region = String(regionCode || '').trim().toUpperCase();
+        const category = String(categoryId || '').trim();
+        if (!/^[A-Z]{2}$/.test(region)) {
+            throw new Error('Enter a two-letter region code such as US or GB');
+        }
+        if (!/^\d*$/.test(category)) {
+            throw new Error('Invalid video category');
+        }
+        
+        const helper = await getYouTubeHelper();
+        if (!helper) {
+            throw new Error('Add a valid YouTube Data API key in the extension settings to explore trends');
+        }
+        
+        const id = getFeedId(region, category);
+        await trendSnapshot;
+        const trends = await TrendManager.getTrends();
+        if (trends.feeds.some(feed => feed.id === id)) {
+            throw new Error('That region and category is already being tracked');
+        }
+        
+        trends.feeds.push({ id, regionCode: region, categoryId: category, lastError: null });
+        await TrendManager.saveTrends(trends);
+        
+        const saved = await takeTrendSnapshots([id]);
+        sendResponse({ success: true, trends: summarizeTrends(saved) });
+    } catch (error) {
+        console.error('Failed to add trending feed:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Remove a trending feed and its snapshots
+ */
+async function handleRemoveTrendFeed(feedId, sendResponse) {
+    try {
+        if (!feedId) {
+            throw new Error('Feed ID is required');
+        }
+        
+        await trendSnapshot;
+        const trends = await TrendManager.getTrends();
+        trends.feeds = trends.feeds.filter(feed => feed.id !== feedId);
+        const saved = await TrendManager.saveTrends(trends);
+        
+        sendResponse({ success: true, trends: summarizeTrends(saved) });
+    } catch (error) {
+        console.error('Failed to remove trending feed:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Snapshot all trending feeds now
+ */
+async function handleSnapshotTrends(sendResponse) {
+    try {
+        const trends = await takeTrendSnapshots();
+        sendResponse({ success: true, trends: summarizeTrends(trends) });
+    } catch (error) {
+        console.error('Failed to take trending snapshots:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Get the content idea backlog
+ */
+async function handleGetIdeas(sendResponse) {
+    try {
+        const backlog = await IdeasManager.getIdeas();
+        sendResponse({ success: true, backlog });
+    } catch (error) {
+        console.error('Failed to get content ideas:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Generate ideas from our channel's best and worst uploads (by views per day)
+ * and the stored trends, and add them to the backlog
+ */
+async function handleGenerateIdeas(channel, sendResponse) {
+    try {
+        const lookup = parseChannelInput(channel);
+        if (!lookup) {
+            throw new Error('Enter your channel ID (UC…), @handle or channel URL');
+        }
+        
+        const helper = await getYouTubeHelper();
+        if (!helper) {
+            throw new Error('Add a valid YouTube Data API key in the extension settings to analyze your channel');
+        }
+        const aiHelper = await getAIHelper();
+        if (!aiHelper) {
+            throw new Error('Add a Gemini API key in the extension settings to generate content ideas');
+        }
+        
+        const info = await helper.getChannelInfo(lookup);
+        if (!info) {
+            throw new Error(`Channel ${lookup} was not found`);
+        }
+        
+        const { videos } = await helper.getChannelVideos(info.id, { maxResults: IDEA_SETTINGS.uploadsAnalyzed });
+        const performers = selectPerformers(rankUploads(videos));
+        const channelData = summarizeChannel(info);
+        const trends = formatTrendsForPrompt(summarizeTrends(await TrendManager.getTrends()));
+        
+        const ideas = await aiHelper.generateContentIdeas(channelData, formatPerformersForPrompt(performers), trends);
+        if (ideas.length === 0) {
+            throw new Error('The AI response contained no ideas, please try again');
+        }
+        
+        const backlog = await IdeasManager.getIdeas();
+        const saved = await IdeasManager.saveIdeas({
+            channel: { id: channelData.id, title: channelData.title, handle: channelData.handle },
+            ideas: addIdeas(backlog.ideas, ideas),
+            performers,
+            generatedAt: new Date().toISOString()
+        });
+        
+        sendResponse({ success: true, backlog: saved, usedTrends: trends.length > 0 });
+    } catch (error) {
+        console.error('Failed to generate content ideas:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Star, dismiss or promote an idea in the backlog
+ */
+async function handleUpdateIdea(ideaId, changes, sendResponse) {
+    try {
+        const backlog = await IdeasManager.getIdeas();
+        backlog.ideas = updateIdea(backlog.ideas, ideaId, changes || {});
+        const saved = await IdeasManager.saveIdeas(backlog);
+        sendResponse({ success: true, backlog: saved });
+    } catch (error) {
+        console.error('Failed to update content idea:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Everything the planner page shows: the plan, its stages, the template choices
+ * and the drafted ideas that aren't planned yet
+ * @param {Object} plan - Content plan (default: the stored one)
+ * @returns {Promise<Object>} { plan, stages, templates, drafts, channel }
+ */
+async function getPlannerData(plan = null) {
+    const current = plan || await PlannerManager.getPlan();
+    const { templates } = await TemplateManager.getTemplates();
+    const backlog = await IdeasManager.getIdeas();
+    const planned = new Set(current.items.map(item => item.ideaId).filter(Boolean));
+    
+    return {
+        plan: current,
+        stages: PLAN_STAGES,
+        templates: templates.map(template => ({ id: template.id, name: template.name })),
+        drafts: backlog.ideas.filter(idea => idea.status === IDEA_STATUS.DRAFT && !planned.has(idea.id)),
+        channel: backlog.channel
+    };
+}
+
+/**
+ * Get the content plan for the planner page
+ */
+async function handleGetPlan(sendResponse) {
+    try {
+        sendResponse({ success: true, ...await getPlannerData() });
+    } catch (error) {
+        console.error('Failed to get content plan:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Add or update a planned upload
+ */
+async function handleSavePlanItem(item, sendResponse) {
+    try {
+        const plan = await PlannerManager.getPlan();
+        const result = upsertPlanItem(plan.items, item || {});
+        const saved = await PlannerManager.savePlan({ ...plan, items: result.items });
+        sendResponse({ success: true, item: result.item, ...await getPlannerData(saved) });
+    } catch (error) {
+        console.error('Failed to save planned upload:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Plan a drafted idea as a new upload at the idea stage
+ */
+async function handlePlanIdea(ideaId, sendResponse) {
+    try {
+        const backlog = await IdeasManager.getIdeas();
+        const idea = backlog.ideas.find(item => item.id === ideaId);
+        if (!idea) {
+            throw new Error('Idea not found');
+        }
+        
+        const plan = await PlannerManager.getPlan();
+        const result = upsertPlanItem(plan.items, planFromIdea(idea));
+        const saved = await PlannerManager.savePlan({ ...plan, items: result.items });
+        sendResponse({ success: true, item: result.item, ...await getPlannerData(saved) });
+    } catch (error) {
+        console.error('Failed to plan content idea:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Delete a planned upload
+ */
+async function handleDeletePlanItem(itemId, sendResponse) {
+    try {
+        if (!itemId) {
+            throw new Error('Planned upload ID is required');
+        }
+        
+        const plan = await PlannerManager.getPlan();
+        const saved = await PlannerManager.savePlan({ ...plan, items: plan.items.filter(item => item.id !== itemId) });
+        sendResponse({ success: true, ...await getPlannerData(saved) });
+    } catch (error) {
+        console.error('Failed to delete planned upload:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Fetch our channel's latest upload dates for the calendar. Uses the channel
+ * given, or the one the content ideas were last generated for.
+ */
+async function handleRefreshPlanUploads(channel, sendResponse) {
+    try {
+        const backlog = await IdeasManager.getIdeas();
+        const lookup = channel ? parseChannelInput(channel) : backlog.channel?.id;
+        if (!lookup) {
+            throw new Error('Enter your channel ID (UC…), @handle or channel URL');
+        }
+        
+        const helper = await getYouTubeHelper();
+        if (!helper) {
+            throw new Error('Add a valid YouTube Data API key in the extension settings to load your uploads');
+        }
+        
+        const info = await helper.getChannelInfo(lookup);
+        if (!info) {
+            throw new Error(`Channel ${lookup} was not found`);
+        }
+        
+        const { videos } = await helper.getChannelVideos(info.id, { maxResults: PLAN_UPLOADS });
+        const plan = await PlannerManager.getPlan();
+        const saved = await PlannerManager.savePlan({
+            ...plan,
+            uploads: summarizeUploads(videos),
+            channelId: info.id,
+            uploadsFetchedAt: new Date().toISOString()
+        });
+        
+        sendResponse({ success: true, ...await getPlannerData(saved) });
+    } catch (error) {
+        console.error('Failed to load uploads for the content plan:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Get the planned upload linked to a video
+ */
+async function handleGetPlannedVideo(videoId, sendResponse) {
+    try {
+        const id = parseVideoId(videoId);
+        const plan = await PlannerManager.getPlan();
+        const item = id ? plan.items.find(planned => planned.videoId === id) || null : null;
+        
+        sendResponse({ success: true, item });
+    } catch (error) {
+        console.error('Failed to get planned upload:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Generate three thumbnail concepts, check their overlay text against the
+ * title and save them with the video's analysis record
+ */
+async function handleGenerateThumbnailConcepts(data, sendResponse) {
+    try {
+        if (!data || !data.title) {
+            throw new Error('Add a title before generating thumbnail concepts');
+        }
+        
+        const aiHelper = await getAIHelper();
+        if (!aiHelper) {
+            throw new Error('Add a Gemini API key in the extension settings to generate thumbnail concepts');
+        }
+        
+        const concepts = await aiHelper.generateThumbnailSuggestions(data);
+        if (concepts.length === 0) {
+            throw new Error('The AI response contained no thumbnail concepts, please try again');
+        }
+        
+        const generatedAt = new Date().toISOString();
+        const videoId = data.videoId || extractStudioVideoId(data.url);
+        if (videoId) {
+            await AnalyticsManager.updateVideoAnalysis(videoId, {
+                thumbnailConcepts: { concepts, title: data.title, generatedAt }
+            });
+        }
+        
+        sendResponse({ success: true, concepts: addOverlayChecks(concepts, data.title), generatedAt });
+    } catch (error) {
+        console.error('Failed to generate thumbnail concepts:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Get the thumbnail concepts saved for a video, checked against its current title
+ */
+async function handleGetThumbnailConcepts(videoId, title, sendResponse) {
+    try {
+        if (!videoId) {
+            throw new Error('Video ID is required');
+        }
+        
+        const analysis = await AnalyticsManager.getVideoAnalysis(videoId);
+        const saved = analysis?.thumbnailConcepts;
+        sendResponse({
+            success: true,
+            concepts: saved ? addOverlayChecks(saved.concepts, title || saved.title) : [],
+            generatedAt: saved ? saved.generatedAt : null
+        });
+    } catch (error) {
+        console.error('Failed to get thumbnail concepts:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Whether an image URL may be fetched for the thumbnail check: data URLs of
+ * dropped files and YouTube's thumbnail host only
+ */
+function isThumbnailImageUrl(imageUrl) {
+    const value = String(imageUrl);
+    if (/^data:image\//i.test(value)) return true;
+    
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' && (url.hostname === 'ytimg.com' || url.hostname.endsWith('.ytimg.com'));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check a thumbnail's legibility: scale it to the sidebar size on a canvas and
+ * measure brightness, palette and the contrast of its text-like regions
+ */
+async function handleCheckThumbnail(data, sendResponse) {
+    try {
+        if (!data || !data.imageUrl) {
+            throw new Error('No thumbnail image to check');
+        }
+        if (!isThumbnailImageUrl(data.imageUrl)) {
+            throw new Error('Only YouTube thumbnails and image files can be checked');
+        }
+        
+        // Studio thumbnail URLs and data URLs of dropped files both load with fetch
+        const response = await fetch(data.imageUrl);
+        if (!response.ok) {
+            throw new Error(`Could not load the thumbnail (HTTP ${response.status})`);
+        }
+        const blob = await response.blob();
+        if (!blob.type.startsWith('image/')) {
+            throw new Error('That file is not an image');
+        }
+        
+        const bitmap = await createImageBitmap(blob);
+        const source = {
+            type: data.source === 'file' ? 'file' : 'studio',
+            width: bitmap.width,
+            height: bitmap.height
+        };
+        const crop = getCoverCrop(bitmap.width, bitmap.height);
+        const canvas = new OffscreenCanvas(ANALYSIS_SIZE.width, ANALYSIS_SIZE.height);
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(bitmap, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        
+        const check = {
+            ...analyzeThumbnail(context.getImageData(0, 0, canvas.width, canvas.height), source),
+            source,
+            checkedAt: new Date().toISOString()
+        };
+        
+        const videoId = data.videoId || extractStudioVideoId(data.url);
+        if (videoId) {
+            await AnalyticsManager.updateVideoAnalysis(videoId, { thumbnailCheck: check });
+        }
+        
+        sendResponse({ success: true, check, previews: THUMBNAIL_PREVIEWS });
+    } catch (error) {
+        console.error('Failed to check thumbnail:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Page through a video's comment threads and build the comment insights
+ */
+async function handleAnalyzeComments(data, sendResponse) {
+    try {
+        const videoId = data && (data.videoId || extractStudioVideoId(data.url));
+        if (!videoId) {
+            throw new Error('Video ID is required');
+        }
+        
+        const helper = await getYouTubeHelper();
+        if (!helper) {
+            throw new Error('Add a valid YouTube Data API key in the extension settings to read comments');
+        }
+        
+        const threads = [];
+        let pageToken;
+        for (let page = 0; page < COMMENT_SETTINGS.maxPages; page++) {
+            const response = await helper.getVideoComments(videoId, {
+                maxResults: COMMENT_SETTINGS.pageSize,
+                textFormat: 'plainText',
+                pageToken
+            });
+            threads.push(...(response.items || []));
+            pageToken = response.nextPageToken;
+            if (!pageToken) break;
+        }
+        
+        if (threads.length === 0) {
+            throw new Error('This video has no comments yet');
+        }
+        
+        // Comments stay on this device; only the insights are kept
+        const insights = buildCommentInsights(threads);
+        await AnalyticsManager.updateVideoAnalysis(videoId, { commentInsights: insights });
+        
+        sendResponse({ success: true, insights: addMetadataCoverage(insights, data) });
+    } catch (error) {
+        console.error('Failed to analyze comments:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Get the comment insights saved for a video, compared with its current metadata
+ */
+async function handleGetCommentInsights(data, sendResponse) {
+    try {
+        const videoId = data && (data.videoId || extractStudioVideoId(data.url));
+        if (!videoId) {
+            throw new Error('Video ID is required');
+        }
+        
+        const analysis = await AnalyticsManager.getVideoAnalysis(videoId);
+        const saved = analysis?.commentInsights;
+        sendResponse({ success: true, insights: saved ? addMetadataCoverage(saved, data) : null });
+    } catch (error) {
+        console.error('Failed to get comment insights:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Summarize the saved comment insights with AI (optional step)
+ */
+async function handleSummarizeComments(data, sendResponse) {
+    try {
+        const videoId = data && (data.videoId || extractStudioVideoId(data.url));
+        const analysis = videoId ? await AnalyticsManager.getVideoAnalysis(videoId) : null;
+        const saved = analysis?.commentInsights;
+        if (!saved) {
+            throw new Error('Analyze the comments before summarizing them');
+        }
+        
+        const aiHelper = await getAIHelper();
+        if (!aiHelper) {
+            throw new Error('Add a Gemini API key in the extension settings to summarize comments');
+        }
+        
+        const insights = {
+            ...saved,
+            summary: { text: await aiHelper.summarizeComments(data.title, saved), generatedAt: new Date().toISOString() }
+        };
+        await AnalyticsManager.updateVideoAnalysis(videoId, { commentInsights: insights });
+        
+        sendResponse({ success: true, insights: addMetadataCoverage(insights, data) });
+    } catch (error) {
+        console.error('Failed to summarize comments:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Add one idea (e.g. a follow-up topic from the comments) to the idea backlog
+ */
+async function handleAddIdea(idea, sendResponse) {
+    try {
+        if (!idea || !String(idea.title || '').trim()) {
+            throw new Error('An idea needs a title');
+        }
+        
+        const backlog = await IdeasManager.getIdeas();
+        const ideas = addIdeas(backlog.ideas, [idea]);
+        if (ideas.length === backlog.ideas.length) {
+            throw new Error('That idea is already in your backlog');
+        }
+        
+        const saved = await IdeasManager.saveIdeas({ ...backlog, ideas });
+        sendResponse({ success: true, backlog: saved });
+    } catch (error) {
+        console.error('Failed to add content idea:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Get the undo/redo history of applied field changes for a video
+ */
+async function handleGetChangeHistory(videoId, sendResponse) {
+    try {
+        if (!videoId) {
+            throw new Error('Video ID is required');
+        }
+        const record = await ChangeHistoryManager.getHistory(videoId);
+        sendResponse({ success: true, record });
+    } catch (error) {
+        console.error('Failed to get change history:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Save the undo/redo history of applied field changes for a video
+ */
+async function handleSaveChangeHistory(videoId, record, sendResponse) {
+    try {
+        if (!videoId) {
+            throw new Error('Video ID is required');
+        }
+        const success = await ChangeHistoryManager.saveHistory(videoId, record);
+        sendResponse({ success });
+    } catch (error) {
+        console.error('Failed to save change history:', error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Score one title variant with the rest of the video's metadata unchanged
+ */
+function scoreTitleVariant(data, title, profile) {
+    const result = SEOScorer.analyzeVideo({ ...data, title }, profile);
+
+    return {
+        overallScore: result.overallScore,
+        grade: result.grade,
+        titleScore: result.components.title.score,
+        focusScore: result.focus ? result.focus.score : null,
+        issues: result.annotations
+            .filter(annotation => annotation.field === 'title' || annotation.rule === 'focusTitle')
+            .map(annotation => annotation.message)
+    };
+}
+
+/**
+ * Generate several heuristic title variants when AI is unavailable
+ */
+function generateFallbackTitleVariants(data, count = 3, maxLength = TITLE_MAX_LENGTH) {
+    const title = (data.title || 'Untitled Video').trim();
+    const year = new Date().getFullYear();
+    const yearSuffix = hasYear(title) ? '' : ` ${year}`;
+    const focus = SEOScorer.normalizeFocusKeywords(data.focusKeywords);
+    const candidates = [];
+
+    // Long titles: keep the words that fit before the cut-off, minus dangling stop words
+    if (title.length > 60) {
+        const stopWords = new Set(getLanguagePack(detectLanguage(title).code).stopWords);
+        const words = title.slice(0, 60).replace(/\s+\S*$/, '').split(/\s+/);
+        while (words.length > 1 && stopWords.has(words[words.length - 1].toLowerCase())) {
+            words.pop();
+        }
+        const shortened = words.join(' ').replace(/[\s\-:|,]+$/, '');
+        if (shortened.length > 0) candidates.push(shortened);
+    }
+
+    // Lead with the focus keyword when the title doesn't already
+    if (focus.primary && !title.toLowerCase().startsWith(focus.primary.toLowerCase())) {
+        candidates.push(`${focus.primary}: ${title}`);
+    }
+
+    candidates.push(
+        generateOptimizedTitle(data, maxLength),
+        `${title}: Everything You Need to Know`,
+        `${title} - Complete Guide${yearSuffix}`,
+        `${title} - Pro Tips & Tricks`
+    );
+
+    const seen = new Set([title.toLowerCase()]);
+    return candidates.filter(candidate => {
+        const key = candidate.toLowerCase();
+        // Studio rejects titles over the limit
+        if (seen.has(key) || countCharacters(candidate) > maxLength) return false;
+        seen.add(key);
+        return true;
+    }).slice(0, count);
+}
+
+/**
+ * Handle description enhancement requests
+ */
+async function handleEnhanceDescription(data, sendResponse) {
+    try {
+        const aiHelper = await getAIHelper();
+        const { blocks } = await BoilerplateManager.getBlocks();
+        const hasBoilerplate = blocks.some(block => block.autoAppend);
+        
+        if (aiHelper) {
+            // Use real AI to enhance description
+            try {
+                const enhancedDescription = await aiHelper.enhanceDescription(data, { hasBoilerplate });
+                
+                sendResponse({
+                    success: true,
+                    enhancedDescription: enhancedDescription,
+                    message: 'Description enhanced using AI',
+                    source: 'ai'
+                });
+                return;
+            } catch (aiError) {
+                console.error('AI description enhancement failed:', aiError);
+                // Fall through to fallback
+            }
+        }
+
+        // Fallback: Enhance description using content analysis
+        const enhancedDescription = enhanceDescriptionFallback(data, { hasBoilerplate });
+        const hasApiKey = await checkApiKeyStatus();
+        
+        sendResponse({
+            success: true,
+            enhancedDescription: enhancedDescription,
+            message: hasApiKey ? 'Using fallback enhancement (AI temporarily unavailable)' : 'Using smart enhancement (configure AI for personalized improvements)',
+            source: 'fallback'
+        });
+        
+    } catch (error) {
+        console.error('Description enhancement failed:', error);
+        sendResponse({ 
+            success: false, 
+            error: 'Description enhancement failed: ' + error.message 
+        });
+    }
+}
+
+/**
+ * Enhance description using heuristics and templates.
+ * With auto-appended boilerplate blocks the panel adds the channel's own footer instead of the stock CTA.
+ */
+function enhanceDescriptionFallback(data, options = {}) {
+    const title = data.title || '';
+    const description = data.description || '';
+    const languageCode = getContentLanguage(data, `${title}\n${description}`);
+    const finish = text => (options.hasBoilerplate ? text : addEngagementElements(text, languageCode));
+    
+    // The opening and basic description templates are English; other languages only get the CTA block
+    if (languageCode !== DEFAULT_LANGUAGE) {
+        return finish(description.trim());
+    }
+    
+    // If description is empty or very short, create a basic one
+    if (description.length < 50) {
+        const basicDescription = createBasicDescription(title);
+        return finish(basicDescription);
+    }
+    
     // If description exists, enhance it
     let enhanced = description;
     
@@ -728,7 +2436,7 @@ function enhanceDescriptionFallback(data) {
         }
     }
     
-    return addEngagementElements(enhanced);
+    return finish(enhanced);
 }
 
 /**
@@ -753,26 +2461,21 @@ function createBasicDescription(title) {
 }
 
 /**
- * Add engagement elements to description
+ * Add the language's engagement block to a description
  */
-function addEngagementElements(description) {
-    // Check if engagement elements already exist
-    const hasEngagement = description.toLowerCase().includes('subscribe') || 
-                         description.toLowerCase().includes('like') ||
-                         description.toLowerCase().includes('comment');
+function addEngagementElements(description, languageCode) {
+    const pack = getLanguagePack(languageCode);
+    
+    // Check if engagement elements already exist, in the description's language
+    const lowerDescription = description.toLowerCase();
+    const hasEngagement = pack.cta.some(word => lowerDescription.includes(word));
     
-    if (hasEngagement) {
+    // Packs without a block (e.g. user-added ones) get nothing rather than English text
+    if (hasEngagement || !pack.engagement?.length) {
         return description; // Don't duplicate engagement elements
     }
     
-    const engagementSection = `\n\n🔔 Don't forget to LIKE this video if it helped you!
-📺 SUBSCRIBE for more helpful content
-💬 Share your thoughts in the COMMENTS below
-🔗 Follow us for more updates
-
-#tutorial #tips #guide`;
-    
-    return description + engagementSection;
+    return [description, pack.engagement.join('\n')].filter(Boolean).join('\n\n');
 }
 
 
@@ -783,6 +2486,33 @@ function addEngagementElements(description) {
 // Clean up old cache data periodically
 setInterval(cleanupCache, TIMING.CLEANUP_INTERVAL);
 
+// Check competitor channels on a schedule. Alarms outlive the suspended worker,
+// and re-creating one would restart its period, so it is only created when missing.
+chrome.alarms.get(ALARMS.WATCHLIST).then(alarm => {
+    if (!alarm) {
+        chrome.alarms.create(ALARMS.WATCHLIST, { periodInMinutes: WATCH_SETTINGS.checkIntervalMinutes });
+    }
+});
+
+chrome.alarms.get(ALARMS.TRENDS).then(alarm => {
+    if (!alarm) {
+        chrome.alarms.create(ALARMS.TRENDS, { periodInMinutes: TREND_SETTINGS.snapshotIntervalMinutes });
+    }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === ALARMS.WATCHLIST) {
+        languagePacksReady.then(() => checkWatchlist()).catch(error => console.error('Failed to check competitor watchlist:', error));
+    } else if (alarm.name === ALARMS.TRENDS) {
+        // Trending snapshots are only taken while trend analysis is switched on
+        chrome.storage.local.get(STORAGE_KEYS.USER_SETTINGS).then(result => {
+            if (result[STORAGE_KEYS.USER_SETTINGS]?.trendAnalysis) {
+                return languagePacksReady.then(() => takeTrendSnapshots());
+            }
+        }).catch(error => console.error('Failed to take trending snapshots:', error));
+    }
+});
+
 /**
  * Clean up expired cache entries
  */
@@ -0,0 +1,185 @@
+/**
+ * OpenStudio Boilerplate Blocks Component
+ * Shows which channel-wide blocks the description contains, which copies are
+ * out of date, and inserts or updates them.
+ */
+
+// Ensure we don't redeclare the namespace
+if (typeof window.OpenStudio === "undefined") {
+    window.OpenStudio = {};
+}
+
+if (typeof window.OpenStudio.Components === "undefined") {
+    window.OpenStudio.Components = {};
+}
+
+if (typeof window.OpenStudio.Components.BoilerplateBlocks === "undefined") {
+    const STATUS_LABELS = {
+        current: { text: '✓ Up to date', action: null },
+        outdated: { text: '⚠️ Outdated', action: 'Update' },
+        missing: { text: 'Not added', action: 'Insert' }
+    };
+
+    let root = null;
+    let handlers = {};
+
+    /**
+     * Create a row for one block
+     * @param {Object} item - { key, name, status }
+     * @returns {HTMLElement} Block row
+     */
+    const createRow = function(item) {
+        const label = STATUS_LABELS[item.status] || STATUS_LABELS.missing;
+        const row = window.OpenStudio.DOM.createElement('div', { className: `openstudio-boilerplate-row ${item.status}` });
+
+        window.OpenStudio.DOM.safeAppendChild(
+            row,
+            window.OpenStudio.DOM.createElement('span', { className: 'openstudio-boilerplate-name', title: `[os:${item.key}]` }, item.name || item.key)
+        );
+        window.OpenStudio.DOM.safeAppendChild(
+            row,
+            window.OpenStudio.DOM.createElement('span', { className: 'openstudio-boilerplate-status' }, label.text)
+        );
+
+        if (label.action) {
+            const button = window.OpenStudio.DOM.createElement('button', { type: 'button' }, label.action);
+            window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+                e.preventDefault();
+                if (typeof handlers.onInsert === 'function') {
+                    handlers.onInsert(item.key);
+                }
+            });
+            window.OpenStudio.DOM.safeAppendChild(row, button);
+        }
+
+        return row;
+    };
+
+    /**
+     * Inject the component styles once
+     */
+    const addStyles = function() {
+        if (document.getElementById('openstudio-boilerplate-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'openstudio-boilerplate-styles';
+        style.textContent = `
+            .openstudio-boilerplate-row {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 4px 0;
+                border-bottom: 1px solid #f0f0f0;
+                font-size: 12px;
+            }
+
+            .openstudio-boilerplate-name {
+                flex: 1;
+                color: #333;
+            }
+
+            .openstudio-boilerplate-status {
+                color: #999;
+                font-size: 11px;
+            }
+
+            .openstudio-boilerplate-row.current .openstudio-boilerplate-status {
+                color: #28a745;
+            }
+
+            .openstudio-boilerplate-row.outdated .openstudio-boilerplate-status {
+                color: #d97706;
+            }
+
+            .openstudio-boilerplate-row button,
+            .openstudio-boilerplate-sync {
+                padding: 3px 8px;
+                border: 1px solid #667eea;
+                border-radius: 4px;
+                background: white;
+                color: #667eea;
+                font-size: 11px;
+                cursor: pointer;
+            }
+
+            .openstudio-boilerplate-sync {
+                width: 100%;
+                margin-top: 8px;
+                padding: 6px;
+                font-size: 12px;
+            }
+
+            .openstudio-boilerplate-empty {
+                color: #666;
+                font-size: 12px;
+                font-style: italic;
+            }
+        `;
+
+        document.head.appendChild(style);
+    };
+
+    window.OpenStudio.Components.BoilerplateBlocks = {
+        /**
+         * Create the boilerplate section content for the SEO panel
+         * @param {Object} callbacks - { onInsert(key), onSyncAll }
+         * @returns {HTMLElement|null} Component element
+         */
+        create: function(callbacks) {
+            try {
+                addStyles();
+                handlers = callbacks || {};
+                root = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-boilerplate' });
+                this.update([]);
+                return root;
+            } catch (error) {
+                console.error('OpenStudio: Error creating boilerplate blocks:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Re-render with the current block statuses
+         * @param {Array} statuses - [{ key, name, status }] from Boilerplate.checkBlocks
+         */
+        update: function(statuses) {
+            try {
+                if (!root) return;
+
+                while (root.firstChild) {
+                    root.removeChild(root.firstChild);
+                }
+
+                if (!Array.isArray(statuses) || statuses.length === 0) {
+                    window.OpenStudio.DOM.safeAppendChild(
+                        root,
+                        window.OpenStudio.DOM.createElement('p', { className: 'openstudio-boilerplate-empty' },
+                            'No boilerplate blocks yet. Add your footer, social links or disclosures in the extension options.')
+                    );
+                    return;
+                }
+
+                statuses.forEach(item => {
+                    window.OpenStudio.DOM.safeAppendChild(root, createRow(item));
+                });
+
+                const outdated = statuses.filter(item => item.status === 'outdated').length;
+                if (outdated > 0) {
+                    const syncButton = window.OpenStudio.DOM.createElement('button', {
+                        type: 'button',
+                        className: 'openstudio-boilerplate-sync'
+                    }, `🔄 Update ${outdated} outdated block${outdated === 1 ? '' : 's'}`);
+                    window.OpenStudio.DOM.safeAddEventListener(syncButton, 'click', (e) => {
+                        e.preventDefault();
+                        if (typeof handlers.onSyncAll === 'function') {
+                            handlers.onSyncAll();
+                        }
+                    });
+                    window.OpenStudio.DOM.safeAppendChild(root, syncButton);
+                }
+            } catch (error) {
+                console.error('OpenStudio: Error updating boilerplate blocks:', error);
+            }
+        }
+    };
+}
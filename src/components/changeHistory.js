@@ -0,0 +1,318 @@
+/**
+ * OpenStudio Change History Component
+ * Undo/redo controls and a word-level diff for every field change OpenStudio
+ * applied to the current video.
+ */
+
+// Ensure we don't redeclare the namespace
+if (typeof window.OpenStudio === "undefined") {
+    window.OpenStudio = {};
+}
+
+if (typeof window.OpenStudio.Components === "undefined") {
+    window.OpenStudio.Components = {};
+}
+
+if (typeof window.OpenStudio.Components.ChangeHistory === "undefined") {
+    const FIELD_LABELS = {
+        title: 'Title',
+        description: 'Description',
+        tags: 'Tags'
+    };
+
+    // Entries listed in the panel, newest first
+    const MAX_LISTED_ENTRIES = 10;
+
+    let root = null;
+    let handlers = {};
+    let lastHistory = { entries: [], position: 0 };
+    let selectedId = null;
+
+    /**
+     * Format an ISO timestamp as a short local time
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} Formatted time
+     */
+    const formatTime = function(timestamp) {
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) return '';
+        return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    };
+
+    /**
+     * Build the word diff of a single entry
+     * @param {Object} entry - { before, after }
+     * @returns {HTMLElement} Diff element
+     */
+    const createDiff = function(entry) {
+        const container = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-history-diff' });
+        const textDiff = window.OpenStudio.TextDiff;
+        if (!textDiff) return container;
+
+        const operations = textDiff.diffWords(entry.before, entry.after);
+        const summary = textDiff.summarizeDiff(operations);
+
+        window.OpenStudio.DOM.safeAppendChild(
+            container,
+            window.OpenStudio.DOM.createElement('div', { className: 'openstudio-history-summary' },
+                `+${summary.added} / −${summary.removed} words`)
+        );
+
+        const text = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-history-text' });
+        operations.forEach(operation => {
+            if (operation.type === 'equal') {
+                window.OpenStudio.DOM.safeAppendChild(text, document.createTextNode(operation.value));
+            } else {
+                window.OpenStudio.DOM.safeAppendChild(
+                    text,
+                    window.OpenStudio.DOM.createElement(operation.type === 'insert' ? 'ins' : 'del', {}, operation.value)
+                );
+            }
+        });
+        window.OpenStudio.DOM.safeAppendChild(container, text);
+
+        return container;
+    };
+
+    /**
+     * Create a list row for a history entry
+     * @param {Object} entry - History entry
+     * @param {boolean} applied - Whether the entry is currently applied (false = can be redone)
+     * @returns {HTMLElement} Entry row
+     */
+    const createEntry = function(entry, applied) {
+        const row = window.OpenStudio.DOM.createElement('div', {
+            className: `openstudio-history-entry${applied ? '' : ' undone'}${entry.id === selectedId ? ' selected' : ''}`
+        });
+
+        const button = window.OpenStudio.DOM.createElement('button', {
+            type: 'button',
+            className: 'openstudio-history-label',
+            title: 'Show what changed'
+        }, `${FIELD_LABELS[entry.field] || entry.field}: ${entry.label}${applied ? '' : ' (undone)'}`);
+        window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+            e.preventDefault();
+            selectedId = selectedId === entry.id ? null : entry.id;
+            render();
+        });
+
+        window.OpenStudio.DOM.safeAppendChild(row, button);
+        window.OpenStudio.DOM.safeAppendChild(
+            row,
+            window.OpenStudio.DOM.createElement('span', { className: 'openstudio-history-time' }, formatTime(entry.appliedAt))
+        );
+
+        if (entry.id === selectedId) {
+            window.OpenStudio.DOM.safeAppendChild(row, createDiff(entry));
+        }
+
+        return row;
+    };
+
+    /**
+     * Render the controls and entry list from the last history
+     */
+    const render = function() {
+        if (!root) return;
+
+        const { entries, position } = lastHistory;
+        const undoButton = root.querySelector('.openstudio-history-undo');
+        const redoButton = root.querySelector('.openstudio-history-redo');
+        const list = root.querySelector('.openstudio-history-list');
+        if (!undoButton || !redoButton || !list) return;
+
+        const undoEntry = position > 0 ? entries[position - 1] : null;
+        const redoEntry = position < entries.length ? entries[position] : null;
+
+        undoButton.disabled = !undoEntry;
+        undoButton.title = undoEntry ? `Undo: ${undoEntry.label}` : 'Nothing to undo';
+        redoButton.disabled = !redoEntry;
+        redoButton.title = redoEntry ? `Redo: ${redoEntry.label}` : 'Nothing to redo';
+
+        while (list.firstChild) {
+            list.removeChild(list.firstChild);
+        }
+
+        if (entries.length === 0) {
+            window.OpenStudio.DOM.safeAppendChild(
+                list,
+                window.OpenStudio.DOM.createElement('p', { className: 'openstudio-history-empty' },
+                    'No changes applied yet. Anything OpenStudio writes into a field can be undone here.')
+            );
+            return;
+        }
+
+        entries
+            .map((entry, index) => ({ entry, applied: index < position }))
+            .reverse()
+            .slice(0, MAX_LISTED_ENTRIES)
+            .forEach(({ entry, applied }) => {
+                window.OpenStudio.DOM.safeAppendChild(list, createEntry(entry, applied));
+            });
+    };
+
+    /**
+     * Inject the component styles once
+     */
+    const addStyles = function() {
+        if (document.getElementById('openstudio-history-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'openstudio-history-styles';
+        style.textContent = `
+            .openstudio-history-controls {
+                display: flex;
+                gap: 6px;
+                margin-bottom: 8px;
+            }
+
+            .openstudio-history-controls button {
+                flex: 1;
+                padding: 6px;
+                border: 1px solid #667eea;
+                border-radius: 4px;
+                background: white;
+                color: #667eea;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .openstudio-history-controls button:disabled {
+                border-color: #dee2e6;
+                color: #aaa;
+                cursor: default;
+            }
+
+            .openstudio-history-entry {
+                padding: 4px 0;
+                border-bottom: 1px solid #f0f0f0;
+                font-size: 12px;
+            }
+
+            .openstudio-history-entry.undone .openstudio-history-label {
+                color: #999;
+            }
+
+            .openstudio-history-label {
+                padding: 0;
+                border: none;
+                background: none;
+                color: #333;
+                font-size: 12px;
+                text-align: left;
+                cursor: pointer;
+            }
+
+            .openstudio-history-entry.selected .openstudio-history-label {
+                font-weight: 500;
+            }
+
+            .openstudio-history-time {
+                float: right;
+                color: #999;
+                font-size: 11px;
+            }
+
+            .openstudio-history-diff {
+                margin-top: 4px;
+                padding: 6px 8px;
+                background: #f8f9fa;
+                border-radius: 4px;
+            }
+
+            .openstudio-history-summary {
+                margin-bottom: 4px;
+                color: #666;
+                font-size: 11px;
+            }
+
+            .openstudio-history-text {
+                max-height: 200px;
+                overflow-y: auto;
+                white-space: pre-wrap;
+                word-break: break-word;
+                line-height: 1.4;
+            }
+
+            .openstudio-history-text ins {
+                background: #e6ffec;
+                color: #1a7f37;
+                text-decoration: none;
+            }
+
+            .openstudio-history-text del {
+                background: #ffebe9;
+                color: #cf222e;
+            }
+
+            .openstudio-history-empty {
+                color: #666;
+                font-size: 12px;
+                font-style: italic;
+            }
+        `;
+
+        document.head.appendChild(style);
+    };
+
+    window.OpenStudio.Components.ChangeHistory = {
+        /**
+         * Create the history section for the SEO panel
+         * @param {Object} callbacks - { onUndo, onRedo }
+         * @returns {HTMLElement|null} History element
+         */
+        create: function(callbacks) {
+            try {
+                addStyles();
+                handlers = callbacks || {};
+
+                root = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-change-history' });
+                const controls = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-history-controls' });
+
+                [
+                    { className: 'openstudio-history-undo', text: '↩️ Undo', handler: 'onUndo' },
+                    { className: 'openstudio-history-redo', text: '↪️ Redo', handler: 'onRedo' }
+                ].forEach(config => {
+                    const button = window.OpenStudio.DOM.createElement('button', {
+                        type: 'button',
+                        className: config.className
+                    }, config.text);
+                    window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+                        e.preventDefault();
+                        if (typeof handlers[config.handler] === 'function') {
+                            handlers[config.handler]();
+                        }
+                    });
+                    window.OpenStudio.DOM.safeAppendChild(controls, button);
+                });
+
+                window.OpenStudio.DOM.safeAppendChild(root, controls);
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-history-list' }));
+
+                render();
+                return root;
+            } catch (error) {
+                console.error('OpenStudio: Error creating change history:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Re-render with a new history state; the newest applied change is shown expanded
+         * @param {Object} history - { entries, position }
+         */
+        update: function(history) {
+            try {
+                lastHistory = {
+                    entries: Array.isArray(history?.entries) ? history.entries : [],
+                    position: history?.position || 0
+                };
+                const latest = lastHistory.entries[lastHistory.position - 1];
+                selectedId = latest ? latest.id : null;
+                render();
+            } catch (error) {
+                console.error('OpenStudio: Error updating change history:', error);
+            }
+        }
+    };
+}
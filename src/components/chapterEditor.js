@@ -0,0 +1,406 @@
+/**
+ * OpenStudio Chapter Editor Component
+ * Small editor for the description's chapter block. Chapters parsed from the
+ * description can be edited, added and reordered, are validated against
+ * YouTube's chapter rules as you type, and are written back as one block.
+ */
+
+// Ensure we don't redeclare the namespace
+if (typeof window.OpenStudio === "undefined") {
+    window.OpenStudio = {};
+}
+
+if (typeof window.OpenStudio.Components === "undefined") {
+    window.OpenStudio.Components = {};
+}
+
+if (typeof window.OpenStudio.Components.ChapterEditor === "undefined") {
+    // Gap used when adding a chapter after the last one
+    const NEW_CHAPTER_OFFSET = 60;
+
+    let root = null;
+    let handlers = {};
+    let chapters = [];
+
+    /**
+     * Parse the optional video length input (m:ss or h:mm:ss)
+     * @returns {number|null} Seconds
+     */
+    const getDuration = function() {
+        const input = root && root.querySelector('.openstudio-chapter-duration');
+        return input && input.value.trim()
+            ? window.OpenStudio.DescriptionParser.parseTimestamp(input.value)
+            : null;
+    };
+
+    /**
+     * Render the rule checklist and errors, and mark invalid rows
+     */
+    const renderValidation = function() {
+        const container = root && root.querySelector('.openstudio-chapter-validation');
+        if (!container) return;
+
+        while (container.firstChild) {
+            container.removeChild(container.firstChild);
+        }
+
+        const result = window.OpenStudio.DescriptionParser.validateChapters(chapters, { durationSeconds: getDuration() });
+
+        result.checks.forEach(check => {
+            window.OpenStudio.DOM.safeAppendChild(
+                container,
+                window.OpenStudio.DOM.createElement('div', {
+                    className: `openstudio-chapter-check ${check.passed ? 'passed' : 'failed'}`
+                }, `${check.passed ? '✅' : '❌'} ${check.label}`)
+            );
+        });
+
+        result.errors
+            .filter(error => error.rule !== 'minChapters')
+            .forEach(error => {
+                window.OpenStudio.DOM.safeAppendChild(
+                    container,
+                    window.OpenStudio.DOM.createElement('div', { className: 'openstudio-chapter-error' }, `• ${error.message}`)
+                );
+            });
+
+        if (getDuration() === null) {
+            window.OpenStudio.DOM.safeAppendChild(
+                container,
+                window.OpenStudio.DOM.createElement('div', { className: 'openstudio-chapter-note' },
+                    'Enter the video length to also check the last chapter.')
+            );
+        }
+
+        const invalidRows = new Set(result.errors.map(error => error.index).filter(index => index !== null));
+        root.querySelectorAll('.openstudio-chapter-row').forEach((row, index) => {
+            row.classList.toggle('invalid', invalidRows.has(index));
+        });
+    };
+
+    /**
+     * Move a chapter up or down
+     * @param {number} index - Chapter index
+     * @param {number} offset - -1 (up) or 1 (down)
+     */
+    const moveChapter = function(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= chapters.length) return;
+        [chapters[index], chapters[target]] = [chapters[target], chapters[index]];
+        renderRows();
+    };
+
+    /**
+     * Create a small icon button
+     * @param {string} text - Button text
+     * @param {string} title - Tooltip
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLElement} Button
+     */
+    const createIconButton = function(text, title, onClick) {
+        const button = window.OpenStudio.DOM.createElement('button', {
+            type: 'button',
+            className: 'openstudio-chapter-icon',
+            title
+        }, text);
+        window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+            e.preventDefault();
+            onClick();
+        });
+        return button;
+    };
+
+    /**
+     * Create the editor row for one chapter
+     * @param {Object} chapter - { timestamp, title }
+     * @param {number} index - Chapter index
+     * @returns {HTMLElement} Row
+     */
+    const createRow = function(chapter, index) {
+        const row = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-chapter-row' });
+
+        const timeInput = window.OpenStudio.DOM.createElement('input', {
+            type: 'text',
+            className: 'openstudio-chapter-time',
+            placeholder: '0:00',
+            'aria-label': `Chapter ${index + 1} start`
+        });
+        timeInput.value = chapter.timestamp;
+        window.OpenStudio.DOM.safeAddEventListener(timeInput, 'input', () => {
+            chapter.timestamp = timeInput.value.trim();
+            renderValidation();
+        });
+
+        const titleInput = window.OpenStudio.DOM.createElement('input', {
+            type: 'text',
+            className: 'openstudio-chapter-title',
+            // Worded so Studio's title field selectors (*="title") never match it
+            placeholder: 'Chapter name',
+            'aria-label': `Chapter ${index + 1} name`
+        });
+        titleInput.value = chapter.title;
+        window.OpenStudio.DOM.safeAddEventListener(titleInput, 'input', () => {
+            chapter.title = titleInput.value;
+            renderValidation();
+        });
+
+        window.OpenStudio.DOM.safeAppendChild(row, timeInput);
+        window.OpenStudio.DOM.safeAppendChild(row, titleInput);
+        window.OpenStudio.DOM.safeAppendChild(row, createIconButton('↑', 'Move up', () => moveChapter(index, -1)));
+        window.OpenStudio.DOM.safeAppendChild(row, createIconButton('↓', 'Move down', () => moveChapter(index, 1)));
+        window.OpenStudio.DOM.safeAppendChild(row, createIconButton('✕', 'Remove chapter', () => {
+            chapters.splice(index, 1);
+            renderRows();
+        }));
+
+        return row;
+    };
+
+    /**
+     * Re-create the chapter rows, then re-validate
+     */
+    const renderRows = function() {
+        const list = root && root.querySelector('.openstudio-chapter-list');
+        if (!list) return;
+
+        while (list.firstChild) {
+            list.removeChild(list.firstChild);
+        }
+
+        if (chapters.length === 0) {
+            window.OpenStudio.DOM.safeAppendChild(
+                list,
+                window.OpenStudio.DOM.createElement('p', { className: 'openstudio-chapter-empty' },
+                    'No chapters found in the description. Add some to create them.')
+            );
+        }
+
+        chapters.forEach((chapter, index) => {
+            window.OpenStudio.DOM.safeAppendChild(list, createRow(chapter, index));
+        });
+
+        renderValidation();
+    };
+
+    /**
+     * Add a chapter after the last one
+     */
+    const addChapter = function() {
+        const parser = window.OpenStudio.DescriptionParser;
+        const last = chapters.length > 0 ? parser.parseTimestamp(chapters[chapters.length - 1].timestamp) : null;
+
+        chapters.push({
+            timestamp: chapters.length === 0 ? '0:00' : parser.formatTimestamp((last || 0) + NEW_CHAPTER_OFFSET),
+            title: chapters.length === 0 ? 'Intro' : ''
+        });
+        renderRows();
+
+        const titles = root.querySelectorAll('.openstudio-chapter-title');
+        if (titles.length > 0) titles[titles.length - 1].focus();
+    };
+
+    /**
+     * Sort chapters by start time; invalid timestamps go last
+     */
+    const sortChapters = function() {
+        const parser = window.OpenStudio.DescriptionParser;
+        const key = chapter => {
+            const seconds = parser.parseTimestamp(chapter.timestamp);
+            return seconds === null ? Infinity : seconds;
+        };
+        chapters.sort((a, b) => key(a) - key(b));
+        renderRows();
+    };
+
+    /**
+     * Create a toolbar button
+     * @param {string} text - Button text
+     * @param {string} className - Extra class
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLElement} Button
+     */
+    const createToolbarButton = function(text, className, onClick) {
+        const button = window.OpenStudio.DOM.createElement('button', {
+            type: 'button',
+            className: `openstudio-chapter-button ${className}`
+        }, text);
+        window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+            e.preventDefault();
+            onClick();
+        });
+        return button;
+    };
+
+    /**
+     * Inject the component styles once
+     */
+    const addStyles = function() {
+        if (document.getElementById('openstudio-chapter-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'openstudio-chapter-styles';
+        style.textContent = `
+            .openstudio-chapter-editor {
+                font-size: 12px;
+            }
+
+            .openstudio-chapter-row {
+                display: flex;
+                gap: 4px;
+                margin-bottom: 4px;
+            }
+
+            .openstudio-chapter-row input {
+                padding: 4px 6px;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                font-size: 12px;
+            }
+
+            .openstudio-chapter-row.invalid input {
+                border-color: #dc3545;
+            }
+
+            .openstudio-chapter-time {
+                width: 56px;
+                font-family: Roboto Mono, monospace;
+            }
+
+            .openstudio-chapter-title {
+                flex: 1;
+                min-width: 0;
+            }
+
+            .openstudio-chapter-icon {
+                padding: 0 4px;
+                border: none;
+                background: none;
+                cursor: pointer;
+            }
+
+            .openstudio-chapter-toolbar {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                margin: 6px 0;
+            }
+
+            .openstudio-chapter-button {
+                flex: 1;
+                padding: 5px;
+                border: 1px solid #667eea;
+                border-radius: 4px;
+                background: white;
+                color: #667eea;
+                font-size: 11px;
+                cursor: pointer;
+            }
+
+            .openstudio-chapter-button.primary {
+                background: #667eea;
+                color: white;
+            }
+
+            .openstudio-chapter-length {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                margin-bottom: 6px;
+                color: #666;
+            }
+
+            .openstudio-chapter-duration {
+                width: 64px;
+                padding: 3px 6px;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                font-size: 12px;
+            }
+
+            .openstudio-chapter-check.passed {
+                color: #28a745;
+            }
+
+            .openstudio-chapter-check.failed {
+                color: #dc3545;
+            }
+
+            .openstudio-chapter-error {
+                color: #a71d2a;
+                font-size: 11px;
+            }
+
+            .openstudio-chapter-note,
+            .openstudio-chapter-empty {
+                color: #666;
+                font-size: 11px;
+                font-style: italic;
+            }
+        `;
+
+        document.head.appendChild(style);
+    };
+
+    window.OpenStudio.Components.ChapterEditor = {
+        /**
+         * Create the chapter editor for the SEO panel
+         * @param {Object} callbacks - { onReload, onWrite(chapters) }
+         * @returns {HTMLElement|null} Editor element
+         */
+        create: function(callbacks) {
+            try {
+                addStyles();
+                handlers = callbacks || {};
+                chapters = [];
+
+                root = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-chapter-editor' });
+
+                const length = window.OpenStudio.DOM.createElement('label', { className: 'openstudio-chapter-length' }, 'Video length');
+                const durationInput = window.OpenStudio.DOM.createElement('input', {
+                    type: 'text',
+                    className: 'openstudio-chapter-duration',
+                    placeholder: 'e.g. 12:34'
+                });
+                window.OpenStudio.DOM.safeAddEventListener(durationInput, 'input', renderValidation);
+                window.OpenStudio.DOM.safeAppendChild(length, durationInput);
+
+                const toolbar = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-chapter-toolbar' });
+                window.OpenStudio.DOM.safeAppendChild(toolbar, createToolbarButton('➕ Add', '', addChapter));
+                window.OpenStudio.DOM.safeAppendChild(toolbar, createToolbarButton('⇅ Sort by time', '', sortChapters));
+                window.OpenStudio.DOM.safeAppendChild(toolbar, createToolbarButton('↻ Reload', '', () => {
+                    if (typeof handlers.onReload === 'function') handlers.onReload();
+                }));
+                window.OpenStudio.DOM.safeAppendChild(toolbar, createToolbarButton('Write to description', 'primary', () => {
+                    if (typeof handlers.onWrite === 'function') {
+                        handlers.onWrite(chapters.map(chapter => ({ ...chapter })));
+                    }
+                }));
+
+                window.OpenStudio.DOM.safeAppendChild(root, length);
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-chapter-list' }));
+                window.OpenStudio.DOM.safeAppendChild(root, toolbar);
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-chapter-validation' }));
+
+                renderRows();
+                return root;
+            } catch (error) {
+                console.error('OpenStudio: Error creating chapter editor:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Load the chapters from a description into the editor
+         * @param {string} description - Description text
+         */
+        load: function(description) {
+            try {
+                chapters = window.OpenStudio.DescriptionParser.parseChapters(description).chapters
+                    .map(chapter => ({ timestamp: chapter.timestamp, title: chapter.title }));
+                renderRows();
+            } catch (error) {
+                console.error('OpenStudio: Error loading chapters:', error);
+            }
+        }
+    };
+}
@@ -0,0 +1,385 @@
+/**
+ * OpenStudio Comment Insights Component
+ * Shows the repeated viewer questions, the comment phrases missing from the
+ * metadata and suggested follow-up topics, with an optional AI summary.
+ */
+
+// Ensure we don't redeclare the namespace
+if (typeof window.OpenStudio === "undefined") {
+    window.OpenStudio = {};
+}
+
+if (typeof window.OpenStudio.Components === "undefined") {
+    window.OpenStudio.Components = {};
+}
+
+if (typeof window.OpenStudio.Components.CommentInsights === "undefined") {
+    let root = null;
+    let handlers = {};
+    let insights = null;
+
+    /**
+     * Remove all children of an element
+     * @param {HTMLElement} element - Element to empty
+     */
+    const clear = function(element) {
+        while (element.firstChild) {
+            element.removeChild(element.firstChild);
+        }
+    };
+
+    /**
+     * Create a small button with a click handler
+     * @param {string} text - Button text
+     * @param {string} title - Tooltip
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLElement} Button
+     */
+    const createButton = function(text, title, onClick) {
+        const button = window.OpenStudio.DOM.createElement('button', { type: 'button', title }, text);
+        window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+            e.preventDefault();
+            onClick();
+        });
+        return button;
+    };
+
+    /**
+     * Create a titled group
+     * @param {string} label - Group heading
+     * @returns {HTMLElement} Group element
+     */
+    const createGroup = function(label) {
+        const group = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-comments-group' });
+        window.OpenStudio.DOM.safeAppendChild(group, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-comments-group-title' }, label));
+        return group;
+    };
+
+    /**
+     * Create the repeated questions list
+     * @returns {HTMLElement} Group element
+     */
+    const createQuestions = function() {
+        const group = createGroup('Repeated questions');
+        if (insights.questions.length === 0) {
+            window.OpenStudio.DOM.safeAppendChild(group, window.OpenStudio.DOM.createElement('div', {
+                className: 'openstudio-comments-empty'
+            }, 'No question was asked more than once.'));
+            return group;
+        }
+
+        const list = window.OpenStudio.DOM.createElement('ul', { className: 'openstudio-comments-questions' });
+        insights.questions.forEach(cluster => {
+            const item = window.OpenStudio.DOM.createElement('li', { title: cluster.examples.join('\n') });
+            window.OpenStudio.DOM.safeAppendChild(item, window.OpenStudio.DOM.createElement('span', { className: 'openstudio-comments-count' }, `×${cluster.count}`));
+            window.OpenStudio.DOM.safeAppendChild(item, document.createTextNode(cluster.question));
+            window.OpenStudio.DOM.safeAppendChild(list, item);
+        });
+        window.OpenStudio.DOM.safeAppendChild(group, list);
+        return group;
+    };
+
+    /**
+     * Create the missing phrase chips with their "add to tags" buttons
+     * @returns {HTMLElement} Group element
+     */
+    const createPhrases = function() {
+        const group = createGroup('Frequent phrases missing from your metadata');
+        if (insights.missingPhrases.length === 0) {
+            window.OpenStudio.DOM.safeAppendChild(group, window.OpenStudio.DOM.createElement('div', {
+                className: 'openstudio-comments-empty'
+            }, 'Your title, description and tags cover what commenters talk about.'));
+            return group;
+        }
+
+        const chips = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-comments-phrases' });
+        insights.missingPhrases.forEach(item => {
+            const chip = window.OpenStudio.DOM.createElement('span', {
+                className: 'openstudio-comments-phrase',
+                title: `In ${item.count} of ${insights.commentCount} comments`
+            });
+            window.OpenStudio.DOM.safeAppendChild(chip, document.createTextNode(`${item.term} ×${item.count}`));
+            window.OpenStudio.DOM.safeAppendChild(chip, createButton('+#', `Add "${item.term}" to the tags`, () => {
+                if (typeof handlers.onAddTag === 'function') handlers.onAddTag(item.term);
+            }));
+            window.OpenStudio.DOM.safeAppendChild(chips, chip);
+        });
+        window.OpenStudio.DOM.safeAppendChild(group, chips);
+        return group;
+    };
+
+    /**
+     * Create the follow-up topic list with "add to ideas" buttons
+     * @returns {HTMLElement|null} Group element, or null without topics
+     */
+    const createTopics = function() {
+        if (insights.topics.length === 0) return null;
+
+        const group = createGroup('Follow-up video topics');
+        const list = window.OpenStudio.DOM.createElement('ul', { className: 'openstudio-comments-topics' });
+        insights.topics.forEach(topic => {
+            const item = window.OpenStudio.DOM.createElement('li', {});
+            window.OpenStudio.DOM.safeAppendChild(item, window.OpenStudio.DOM.createElement('div', {}, topic.title));
+            window.OpenStudio.DOM.safeAppendChild(item, window.OpenStudio.DOM.createElement('span', { className: 'openstudio-comments-meta' }, topic.reason));
+            window.OpenStudio.DOM.safeAppendChild(item, createButton('💡 Add to ideas', 'Add this topic to your content idea backlog', () => {
+                if (typeof handlers.onAddIdea === 'function') handlers.onAddIdea(topic);
+            }));
+            window.OpenStudio.DOM.safeAppendChild(list, item);
+        });
+        window.OpenStudio.DOM.safeAppendChild(group, list);
+        return group;
+    };
+
+    /**
+     * Render the insights
+     */
+    const render = function() {
+        const report = root && root.querySelector('.openstudio-comments-report');
+        if (!report) return;
+        clear(report);
+        if (!insights) return;
+
+        if (insights.summary) {
+            const group = createGroup('AI summary');
+            window.OpenStudio.DOM.safeAppendChild(group, window.OpenStudio.DOM.createElement('div', {
+                className: 'openstudio-comments-summary'
+            }, insights.summary.text));
+            window.OpenStudio.DOM.safeAppendChild(report, group);
+        }
+
+        [createQuestions(), createPhrases(), createTopics()].forEach(group => {
+            if (group) window.OpenStudio.DOM.safeAppendChild(report, group);
+        });
+    };
+
+    /**
+     * Set the status line
+     * @param {string} text - Status text
+     * @param {boolean} isError - Whether it is an error
+     */
+    const setStatus = function(text, isError = false) {
+        const status = root && root.querySelector('.openstudio-comments-status');
+        if (status) {
+            status.className = `openstudio-comments-status${isError ? ' error' : ''}`;
+            status.textContent = text;
+        }
+    };
+
+    /**
+     * Inject the component styles once
+     */
+    const addStyles = function() {
+        if (document.getElementById('openstudio-comments-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'openstudio-comments-styles';
+        style.textContent = `
+            .openstudio-comments-actions {
+                display: flex;
+                gap: 6px;
+                margin-bottom: 6px;
+            }
+
+            .openstudio-comments-actions button {
+                padding: 6px 8px;
+                border: none;
+                border-radius: 4px;
+                background: #667eea;
+                color: white;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .openstudio-comments-actions button:disabled {
+                background: #adb5bd;
+                cursor: default;
+            }
+
+            .openstudio-comments-status {
+                margin-bottom: 6px;
+                color: #666;
+                font-size: 11px;
+            }
+
+            .openstudio-comments-status.error {
+                color: #dc3545;
+            }
+
+            .openstudio-comments-group {
+                margin-bottom: 8px;
+                font-size: 12px;
+                color: #333;
+            }
+
+            .openstudio-comments-group-title {
+                margin-bottom: 4px;
+                font-weight: 600;
+            }
+
+            .openstudio-comments-questions,
+            .openstudio-comments-topics {
+                margin: 0;
+                padding: 0;
+                list-style: none;
+            }
+
+            .openstudio-comments-questions li,
+            .openstudio-comments-topics li {
+                padding: 3px 0;
+                border-bottom: 1px solid #f0f0f0;
+            }
+
+            .openstudio-comments-count {
+                display: inline-block;
+                min-width: 24px;
+                margin-right: 4px;
+                color: #667eea;
+                font-weight: 600;
+            }
+
+            .openstudio-comments-phrases {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+            }
+
+            .openstudio-comments-phrase {
+                display: inline-flex;
+                align-items: center;
+                gap: 4px;
+                padding: 2px 6px;
+                border: 1px solid #dee2e6;
+                border-radius: 12px;
+                background: #f8f9fa;
+                font-size: 11px;
+            }
+
+            .openstudio-comments-group li button,
+            .openstudio-comments-phrase button {
+                padding: 0 4px;
+                border: 1px solid #dee2e6;
+                border-radius: 8px;
+                background: white;
+                font-size: 10px;
+                cursor: pointer;
+            }
+
+            .openstudio-comments-meta {
+                margin-right: 6px;
+                color: #999;
+                font-size: 11px;
+            }
+
+            .openstudio-comments-summary {
+                padding: 8px;
+                border-radius: 4px;
+                background: #f8f9fa;
+                line-height: 1.4;
+                white-space: pre-wrap;
+            }
+
+            .openstudio-comments-empty {
+                color: #666;
+                font-style: italic;
+            }
+        `;
+
+        document.head.appendChild(style);
+    };
+
+    window.OpenStudio.Components.CommentInsights = {
+        /**
+         * Create the comment insights view for the SEO panel
+         * @param {Object} callbacks - { onAnalyze(), onSummarize(), onAddTag(term), onAddIdea(topic) }
+         * @returns {HTMLElement|null} Comment insights element
+         */
+        create: function(callbacks) {
+            try {
+                addStyles();
+                handlers = callbacks || {};
+                insights = null;
+
+                root = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-comments' });
+                const actions = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-comments-actions' });
+                const analyzeButton = window.OpenStudio.DOM.createElement('button', {
+                    type: 'button',
+                    className: 'openstudio-comments-analyze'
+                }, '💬 Analyze comments');
+                const summarizeButton = window.OpenStudio.DOM.createElement('button', {
+                    type: 'button',
+                    className: 'openstudio-comments-summarize',
+                    title: 'Send the insights and the most-liked comments to Gemini for a summary',
+                    disabled: 'disabled'
+                }, '🤖 AI summary');
+
+                window.OpenStudio.DOM.safeAddEventListener(analyzeButton, 'click', (e) => {
+                    e.preventDefault();
+                    if (typeof handlers.onAnalyze === 'function') handlers.onAnalyze();
+                });
+                window.OpenStudio.DOM.safeAddEventListener(summarizeButton, 'click', (e) => {
+                    e.preventDefault();
+                    if (insights && typeof handlers.onSummarize === 'function') handlers.onSummarize();
+                });
+
+                window.OpenStudio.DOM.safeAppendChild(actions, analyzeButton);
+                window.OpenStudio.DOM.safeAppendChild(actions, summarizeButton);
+                window.OpenStudio.DOM.safeAppendChild(root, actions);
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', {
+                    className: 'openstudio-comments-status'
+                }, 'Finds repeated questions and uncovered phrases in the comments (uses your YouTube Data API key; analysed on this device).'));
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-comments-report' }));
+
+                return root;
+            } catch (error) {
+                console.error('OpenStudio: Error creating comment insights:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Show progress while comments are analysed or summarized
+         * @param {string} task - 'analysis' or 'summary'
+         * @param {boolean} busy - Whether the task is running
+         */
+        setBusy: function(task, busy) {
+            try {
+                if (!root) return;
+                const analyzeButton = root.querySelector('.openstudio-comments-analyze');
+                const summarizeButton = root.querySelector('.openstudio-comments-summarize');
+
+                analyzeButton.disabled = busy;
+                summarizeButton.disabled = busy || !insights;
+                if (busy) {
+                    setStatus(task === 'summary' ? 'Asking AI for a summary...' : 'Reading comment threads...');
+                }
+            } catch (error) {
+                console.error('OpenStudio: Error updating comment insights:', error);
+            }
+        },
+
+        /**
+         * Show comment insights
+         * @param {Object} data - Insights from the background script
+         */
+        showInsights: function(data) {
+            try {
+                insights = data;
+                const summarizeButton = root && root.querySelector('.openstudio-comments-summarize');
+                if (summarizeButton) summarizeButton.disabled = false;
+
+                setStatus(`${data.commentCount} comments, ${data.questionCount} with questions · analysed ${new Date(data.analyzedAt).toLocaleString()}`);
+                render();
+            } catch (error) {
+                console.error('OpenStudio: Error showing comment insights:', error);
+            }
+        },
+
+        /**
+         * Show an error in the status line
+         * @param {string} message - Error message
+         */
+        showError: function(message) {
+            setStatus(message, true);
+        }
+    };
+}
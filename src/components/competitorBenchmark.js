@@ -0,0 +1,422 @@
+/**
+ * OpenStudio Competitor Benchmark Component
+ * Compares the video's SEO scores and metadata against the top-ranking videos
+ * for its main keyword, lists the gaps and shows the optional AI gap analysis.
+ */
+
+// Ensure we don't redeclare the namespace
+if (typeof window.OpenStudio === "undefined") {
+    window.OpenStudio = {};
+}
+
+if (typeof window.OpenStudio.Components === "undefined") {
+    window.OpenStudio.Components = {};
+}
+
+if (typeof window.OpenStudio.Components.CompetitorBenchmark === "undefined") {
+    // Rows of the comparison table; higher is better unless the metric is neutral
+    const METRICS = [
+        { key: 'overallScore', label: 'SEO score' },
+        { key: 'titleScore', label: 'Title score' },
+        { key: 'descriptionScore', label: 'Description score' },
+        { key: 'tagsScore', label: 'Tags score' },
+        { key: 'titleLength', label: 'Title characters', neutral: true },
+        { key: 'descriptionWords', label: 'Description words' },
+        { key: 'tagCount', label: 'Tags' }
+    ];
+
+    // Competitors listed under the table
+    const MAX_LISTED_COMPETITORS = 5;
+
+    let root = null;
+    let handlers = {};
+    let benchmark = null;
+
+    /**
+     * Remove all children of an element
+     * @param {HTMLElement} element - Element to empty
+     */
+    const clear = function(element) {
+        while (element.firstChild) {
+            element.removeChild(element.firstChild);
+        }
+    };
+
+    /**
+     * Format a view count compactly (1.2K, 3.4M)
+     * @param {number} value - Count
+     * @returns {string} Formatted count
+     */
+    const formatCount = function(value) {
+        if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+        if (value >= 1000) return `${(value / 1000).toFixed(1)}K`;
+        return String(value);
+    };
+
+    /**
+     * Create the comparison table
+     * @param {Object} data - Benchmark from the background script
+     * @returns {HTMLElement} Table
+     */
+    const createTable = function(data) {
+        const table = window.OpenStudio.DOM.createElement('table', { className: 'openstudio-benchmark-table' });
+        const head = window.OpenStudio.DOM.createElement('tr', {});
+        ['', 'You', 'Median', 'Best'].forEach(text => {
+            window.OpenStudio.DOM.safeAppendChild(head, window.OpenStudio.DOM.createElement('th', {}, text));
+        });
+        window.OpenStudio.DOM.safeAppendChild(table, head);
+
+        METRICS.forEach(metric => {
+            const ours = data.ours[metric.key];
+            const median = data.medians[metric.key];
+            const best = Math.max(...data.competitors.map(item => item[metric.key]));
+            const comparison = metric.neutral || ours === median ? '' : ours > median ? 'ahead' : 'behind';
+
+            const row = window.OpenStudio.DOM.createElement('tr', {});
+            window.OpenStudio.DOM.safeAppendChild(row, window.OpenStudio.DOM.createElement('td', {}, metric.label));
+            window.OpenStudio.DOM.safeAppendChild(row, window.OpenStudio.DOM.createElement('td', { className: `openstudio-benchmark-ours ${comparison}` }, String(ours)));
+            window.OpenStudio.DOM.safeAppendChild(row, window.OpenStudio.DOM.createElement('td', {}, String(median)));
+            window.OpenStudio.DOM.safeAppendChild(row, window.OpenStudio.DOM.createElement('td', {}, String(best)));
+            window.OpenStudio.DOM.safeAppendChild(table, row);
+        });
+
+        return table;
+    };
+
+    /**
+     * Render the benchmark
+     */
+    const render = function() {
+        const report = root && root.querySelector('.openstudio-benchmark-report');
+        if (!report) return;
+        clear(report);
+
+        const analyzeButton = root.querySelector('.openstudio-benchmark-analyze');
+        if (analyzeButton) analyzeButton.disabled = !benchmark;
+
+        if (!benchmark) return;
+
+        if (benchmark.competitors.length === 0) {
+            window.OpenStudio.DOM.safeAppendChild(report,
+                window.OpenStudio.DOM.createElement('p', { className: 'openstudio-benchmark-empty' }, 'No other videos found for this keyword.'));
+            return;
+        }
+
+        window.OpenStudio.DOM.safeAppendChild(report, createTable(benchmark));
+
+        const gaps = window.OpenStudio.DOM.createElement('ul', { className: 'openstudio-benchmark-gaps' });
+        if (benchmark.gaps.length === 0) {
+            window.OpenStudio.DOM.safeAppendChild(gaps, window.OpenStudio.DOM.createElement('li', { className: 'none' }, '✓ No major gaps against the top results'));
+        }
+        benchmark.gaps.forEach(gap => {
+            window.OpenStudio.DOM.safeAppendChild(gaps, window.OpenStudio.DOM.createElement('li', {}, `⚠️ ${gap.message}`));
+        });
+        window.OpenStudio.DOM.safeAppendChild(report, gaps);
+
+        if (benchmark.missingTags.length > 0) {
+            const tags = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-benchmark-tags' });
+            window.OpenStudio.DOM.safeAppendChild(tags, window.OpenStudio.DOM.createElement('span', {}, 'Competitor tags:'));
+            benchmark.missingTags.forEach(item => {
+                const chip = window.OpenStudio.DOM.createElement('button', {
+                    type: 'button',
+                    title: `Used by ${item.count} of ${benchmark.competitors.length} top results. Click to add it to your tags`
+                }, `+ ${item.term}`);
+                window.OpenStudio.DOM.safeAddEventListener(chip, 'click', (e) => {
+                    e.preventDefault();
+                    if (typeof handlers.onAddTag === 'function') handlers.onAddTag(item.term);
+                });
+                window.OpenStudio.DOM.safeAppendChild(tags, chip);
+            });
+            window.OpenStudio.DOM.safeAppendChild(report, tags);
+        }
+
+        const list = window.OpenStudio.DOM.createElement('ol', { className: 'openstudio-benchmark-competitors' });
+        benchmark.competitors.slice(0, MAX_LISTED_COMPETITORS).forEach(item => {
+            const entry = window.OpenStudio.DOM.createElement('li', {});
+            window.OpenStudio.DOM.safeAppendChild(entry, window.OpenStudio.DOM.createElement('div', {}, item.title));
+            window.OpenStudio.DOM.safeAppendChild(entry, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-benchmark-meta' },
+                `${item.channelTitle} · ${formatCount(item.views)} views · SEO ${item.overallScore}`));
+            window.OpenStudio.DOM.safeAppendChild(list, entry);
+        });
+        window.OpenStudio.DOM.safeAppendChild(report, list);
+    };
+
+    /**
+     * Set the status line
+     * @param {string} text - Status text
+     * @param {boolean} isError - Whether it is an error
+     */
+    const setStatus = function(text, isError = false) {
+        const status = root && root.querySelector('.openstudio-benchmark-status');
+        if (status) {
+            status.className = `openstudio-benchmark-status${isError ? ' error' : ''}`;
+            status.textContent = text;
+        }
+    };
+
+    /**
+     * Inject the component styles once
+     */
+    const addStyles = function() {
+        if (document.getElementById('openstudio-benchmark-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'openstudio-benchmark-styles';
+        style.textContent = `
+            .openstudio-benchmark-form {
+                display: flex;
+                gap: 6px;
+                margin-bottom: 6px;
+            }
+
+            .openstudio-benchmark-input {
+                flex: 1;
+                padding: 6px;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                font-size: 12px;
+            }
+
+            .openstudio-benchmark-form button {
+                padding: 6px 8px;
+                border: none;
+                border-radius: 4px;
+                background: #667eea;
+                color: white;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .openstudio-benchmark-form button:disabled {
+                background: #adb5bd;
+                cursor: default;
+            }
+
+            .openstudio-benchmark-status {
+                margin-bottom: 6px;
+                color: #666;
+                font-size: 11px;
+            }
+
+            .openstudio-benchmark-status.error {
+                color: #dc3545;
+            }
+
+            .openstudio-benchmark-table {
+                width: 100%;
+                margin-bottom: 8px;
+                border-collapse: collapse;
+                font-size: 12px;
+            }
+
+            .openstudio-benchmark-table th,
+            .openstudio-benchmark-table td {
+                padding: 3px 4px;
+                border-bottom: 1px solid #f0f0f0;
+                text-align: right;
+            }
+
+            .openstudio-benchmark-table th:first-child,
+            .openstudio-benchmark-table td:first-child {
+                color: #333;
+                text-align: left;
+            }
+
+            .openstudio-benchmark-ours {
+                font-weight: 600;
+            }
+
+            .openstudio-benchmark-ours.ahead {
+                color: #28a745;
+            }
+
+            .openstudio-benchmark-ours.behind {
+                color: #dc3545;
+            }
+
+            .openstudio-benchmark-gaps {
+                margin: 0 0 8px 0;
+                padding: 0;
+                list-style: none;
+                font-size: 12px;
+            }
+
+            .openstudio-benchmark-gaps li {
+                padding: 2px 0;
+                color: #856404;
+            }
+
+            .openstudio-benchmark-gaps li.none {
+                color: #28a745;
+            }
+
+            .openstudio-benchmark-tags {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                align-items: center;
+                margin-bottom: 8px;
+                font-size: 11px;
+                color: #666;
+            }
+
+            .openstudio-benchmark-tags button {
+                padding: 2px 6px;
+                border: 1px solid #dee2e6;
+                border-radius: 12px;
+                background: #f8f9fa;
+                font-size: 11px;
+                cursor: pointer;
+            }
+
+            .openstudio-benchmark-competitors {
+                margin: 0 0 8px 0;
+                padding-left: 18px;
+                font-size: 12px;
+                color: #333;
+            }
+
+            .openstudio-benchmark-meta {
+                color: #999;
+                font-size: 11px;
+            }
+
+            .openstudio-benchmark-analysis {
+                padding: 8px;
+                border-radius: 4px;
+                background: #f8f9fa;
+                font-size: 12px;
+                line-height: 1.4;
+                white-space: pre-wrap;
+            }
+
+            .openstudio-benchmark-empty {
+                color: #666;
+                font-size: 12px;
+                font-style: italic;
+            }
+        `;
+
+        document.head.appendChild(style);
+    };
+
+    window.OpenStudio.Components.CompetitorBenchmark = {
+        /**
+         * Create the benchmark view for the SEO panel
+         * @param {Object} callbacks - { onRun(keyword), onAnalyze(keyword), onAddTag(tag) }
+         * @returns {HTMLElement|null} Benchmark element
+         */
+        create: function(callbacks) {
+            try {
+                addStyles();
+                handlers = callbacks || {};
+                benchmark = null;
+
+                root = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-benchmark' });
+                const form = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-benchmark-form' });
+                const input = window.OpenStudio.DOM.createElement('input', {
+                    type: 'text',
+                    className: 'openstudio-benchmark-input',
+                    placeholder: 'Main keyword (default: from the title)'
+                });
+                const runButton = window.OpenStudio.DOM.createElement('button', {
+                    type: 'button',
+                    className: 'openstudio-benchmark-run'
+                }, '📊 Benchmark');
+                const analyzeButton = window.OpenStudio.DOM.createElement('button', {
+                    type: 'button',
+                    className: 'openstudio-benchmark-analyze',
+                    title: 'Ask AI what the top results do better and which gaps you can fill'
+                }, '🤖 AI gaps');
+
+                const keyword = () => input.value.replace(/\s+/g, ' ').trim();
+                window.OpenStudio.DOM.safeAddEventListener(runButton, 'click', (e) => {
+                    e.preventDefault();
+                    if (typeof handlers.onRun === 'function') handlers.onRun(keyword());
+                });
+                window.OpenStudio.DOM.safeAddEventListener(analyzeButton, 'click', (e) => {
+                    e.preventDefault();
+                    if (benchmark && typeof handlers.onAnalyze === 'function') handlers.onAnalyze(benchmark.keyword);
+                });
+
+                window.OpenStudio.DOM.safeAppendChild(form, input);
+                window.OpenStudio.DOM.safeAppendChild(form, runButton);
+                window.OpenStudio.DOM.safeAppendChild(form, analyzeButton);
+                window.OpenStudio.DOM.safeAppendChild(root, form);
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', {
+                    className: 'openstudio-benchmark-status'
+                }, 'Compares your metadata with the top search results (uses your YouTube Data API key).'));
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-benchmark-report' }));
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-benchmark-ai' }));
+
+                render();
+                return root;
+            } catch (error) {
+                console.error('OpenStudio: Error creating competitor benchmark:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Show progress while the benchmark or AI analysis runs
+         * @param {string} task - 'benchmark' or 'analysis'
+         * @param {boolean} busy - Whether the task is running
+         */
+        setBusy: function(task, busy) {
+            try {
+                if (!root) return;
+                const runButton = root.querySelector('.openstudio-benchmark-run');
+                const analyzeButton = root.querySelector('.openstudio-benchmark-analyze');
+
+                runButton.disabled = busy;
+                analyzeButton.disabled = busy || !benchmark;
+                if (busy) {
+                    setStatus(task === 'analysis' ? 'Asking AI for a gap analysis...' : 'Fetching and scoring the top results...');
+                }
+            } catch (error) {
+                console.error('OpenStudio: Error updating competitor benchmark:', error);
+            }
+        },
+
+        /**
+         * Show a benchmark
+         * @param {Object} data - Benchmark from the background script
+         */
+        showBenchmark: function(data) {
+            try {
+                benchmark = data;
+                const input = root && root.querySelector('.openstudio-benchmark-input');
+                if (input) input.value = data.keyword;
+
+                const ai = root && root.querySelector('.openstudio-benchmark-ai');
+                if (ai) clear(ai);
+
+                setStatus(`Top ${data.competitors.length} results for "${data.keyword}", scored with the ${data.niche.label} preset`);
+                render();
+            } catch (error) {
+                console.error('OpenStudio: Error showing competitor benchmark:', error);
+            }
+        },
+
+        /**
+         * Show the AI gap analysis under the benchmark
+         * @param {string} text - Analysis text
+         */
+        showAnalysis: function(text) {
+            const ai = root && root.querySelector('.openstudio-benchmark-ai');
+            if (!ai) return;
+
+            clear(ai);
+            window.OpenStudio.DOM.safeAppendChild(ai, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-benchmark-analysis' }, text));
+            setStatus(`AI gap analysis for "${benchmark ? benchmark.keyword : ''}"`);
+        },
+
+        /**
+         * Show an error in the status line
+         * @param {string} message - Error message
+         */
+        showError: function(message) {
+            setStatus(message, true);
+        }
+    };
+}
@@ -0,0 +1,440 @@
+/**
+ * OpenStudio Description Review Component
+ * Shows a rewritten description as a line diff against the current one.
+ * Each changed hunk can be accepted or rejected, and links, timestamps and
+ * hashtags the result would lose are flagged before anything is applied.
+ */
+
+// Ensure we don't redeclare the namespace
+if (typeof window.OpenStudio === "undefined") {
+    window.OpenStudio = {};
+}
+
+if (typeof window.OpenStudio.Components === "undefined") {
+    window.OpenStudio.Components = {};
+}
+
+if (typeof window.OpenStudio.Components.DescriptionReview === "undefined") {
+    const LOST_ITEM_LABELS = {
+        links: 'Links',
+        timestamps: 'Timestamps',
+        hashtags: 'Hashtags'
+    };
+
+    // Unchanged runs longer than this are collapsed to a line count
+    const MAX_CONTEXT_LINES = 2;
+
+    let root = null;
+    let handlers = {};
+    let review = null;
+
+    /**
+     * The description as it would be with the current accept/reject choices
+     * @returns {string} Merged description
+     */
+    const getMergedText = function() {
+        return window.OpenStudio.TextDiff.applyHunks(review.segments, review.accepted);
+    };
+
+    /**
+     * Build the warning listing items the merged description would lose
+     * @param {Object} lost - Result of DescriptionParser.findLostItems
+     * @returns {HTMLElement} Warning element
+     */
+    const createLostWarning = function(lost) {
+        const warning = window.OpenStudio.DOM.createElement('div', {
+            className: `openstudio-review-lost ${lost.total > 0 ? 'has-lost' : 'none-lost'}`
+        });
+
+        if (lost.total === 0) {
+            warning.textContent = '✅ All links, timestamps and hashtags are kept';
+            return warning;
+        }
+
+        window.OpenStudio.DOM.safeAppendChild(
+            warning,
+            window.OpenStudio.DOM.createElement('div', { className: 'openstudio-review-lost-title' }, '⚠️ This version would drop:')
+        );
+        Object.entries(LOST_ITEM_LABELS).forEach(([key, label]) => {
+            if (lost[key].length === 0) return;
+            window.OpenStudio.DOM.safeAppendChild(
+                warning,
+                window.OpenStudio.DOM.createElement('div', { className: 'openstudio-review-lost-items' }, `${label}: ${lost[key].join(', ')}`)
+            );
+        });
+
+        return warning;
+    };
+
+    /**
+     * Create the lines of one side of a hunk
+     * @param {Array} lines - Lines
+     * @param {string} type - 'removed' or 'added'
+     * @returns {HTMLElement} Lines element
+     */
+    const createHunkLines = function(lines, type) {
+        const container = window.OpenStudio.DOM.createElement('div', { className: `openstudio-review-lines ${type}` });
+        const prefix = type === 'removed' ? '−' : '+';
+        lines.forEach(line => {
+            window.OpenStudio.DOM.safeAppendChild(
+                container,
+                window.OpenStudio.DOM.createElement('div', { className: 'openstudio-review-line' }, `${prefix} ${line}`)
+            );
+        });
+        return container;
+    };
+
+    /**
+     * Create a changed hunk with its accept/reject controls
+     * @param {Object} segment - Change segment from TextDiff.buildHunks
+     * @returns {HTMLElement} Hunk element
+     */
+    const createHunk = function(segment) {
+        const accepted = review.accepted[segment.id];
+        const hunk = window.OpenStudio.DOM.createElement('div', {
+            className: `openstudio-review-hunk ${accepted ? 'accepted' : 'rejected'}`
+        });
+
+        // Flag hunks whose accepted version drops something the original had
+        const lost = window.OpenStudio.DescriptionParser.findLostItems(segment.removed.join('\n'), review.rewrite);
+        if (lost.total > 0) {
+            window.OpenStudio.DOM.safeAppendChild(
+                hunk,
+                window.OpenStudio.DOM.createElement('div', { className: 'openstudio-review-hunk-flag' },
+                    `⚠️ Removes ${[...lost.links, ...lost.timestamps, ...lost.hashtags].join(', ')}`)
+            );
+        }
+
+        if (segment.removed.length > 0) {
+            window.OpenStudio.DOM.safeAppendChild(hunk, createHunkLines(segment.removed, 'removed'));
+        }
+        if (segment.added.length > 0) {
+            window.OpenStudio.DOM.safeAppendChild(hunk, createHunkLines(segment.added, 'added'));
+        }
+
+        const controls = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-review-hunk-controls' });
+        [
+            { value: true, text: '✓ Accept change' },
+            { value: false, text: '✗ Keep original' }
+        ].forEach(option => {
+            const button = window.OpenStudio.DOM.createElement('button', {
+                type: 'button',
+                className: `openstudio-review-choice${accepted === option.value ? ' active' : ''}`
+            }, option.text);
+            window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+                e.preventDefault();
+                review.accepted[segment.id] = option.value;
+                render();
+            });
+            window.OpenStudio.DOM.safeAppendChild(controls, button);
+        });
+        window.OpenStudio.DOM.safeAppendChild(hunk, controls);
+
+        return hunk;
+    };
+
+    /**
+     * Create an unchanged run, collapsed when long
+     * @param {Object} segment - Equal segment from TextDiff.buildHunks
+     * @returns {HTMLElement} Context element
+     */
+    const createContext = function(segment) {
+        const context = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-review-context' });
+        if (segment.lines.length > MAX_CONTEXT_LINES) {
+            context.textContent = `⋯ ${segment.lines.length} unchanged lines`;
+        } else {
+            segment.lines.forEach(line => {
+                window.OpenStudio.DOM.safeAppendChild(
+                    context,
+                    window.OpenStudio.DOM.createElement('div', { className: 'openstudio-review-line' }, `  ${line}`)
+                );
+            });
+        }
+        return context;
+    };
+
+    /**
+     * Create a footer button
+     * @param {string} text - Button text
+     * @param {string} className - Extra class
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLElement} Button
+     */
+    const createFooterButton = function(text, className, onClick) {
+        const button = window.OpenStudio.DOM.createElement('button', {
+            type: 'button',
+            className: `openstudio-review-action ${className}`
+        }, text);
+        window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+            e.preventDefault();
+            onClick();
+        });
+        return button;
+    };
+
+    /**
+     * Set every hunk to accepted or rejected
+     * @param {boolean} value - Accept (true) or reject (false)
+     */
+    const setAll = function(value) {
+        Object.keys(review.accepted).forEach(id => {
+            review.accepted[id] = value;
+        });
+        render();
+    };
+
+    /**
+     * Render the review for the current rewrite
+     */
+    const render = function() {
+        if (!root) return;
+
+        while (root.firstChild) {
+            root.removeChild(root.firstChild);
+        }
+
+        root.hidden = !review;
+        if (!review) return;
+
+        const changes = review.segments.filter(segment => segment.type === 'change');
+        const acceptedCount = changes.filter(segment => review.accepted[segment.id]).length;
+        const lost = window.OpenStudio.DescriptionParser.findLostItems(review.original, getMergedText());
+
+        window.OpenStudio.DOM.safeAppendChild(
+            root,
+            window.OpenStudio.DOM.createElement('div', { className: 'openstudio-review-header' },
+                `${review.label}: ${changes.length} change${changes.length === 1 ? '' : 's'}, ${acceptedCount} accepted`)
+        );
+        window.OpenStudio.DOM.safeAppendChild(root, createLostWarning(lost));
+
+        const hunks = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-review-hunks' });
+        review.segments.forEach(segment => {
+            window.OpenStudio.DOM.safeAppendChild(
+                hunks,
+                segment.type === 'change' ? createHunk(segment) : createContext(segment)
+            );
+        });
+        window.OpenStudio.DOM.safeAppendChild(root, hunks);
+
+        const footer = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-review-footer' });
+        window.OpenStudio.DOM.safeAppendChild(footer, createFooterButton('Accept all', 'secondary', () => setAll(true)));
+        window.OpenStudio.DOM.safeAppendChild(footer, createFooterButton('Reject all', 'secondary', () => setAll(false)));
+
+        const applyButton = createFooterButton(`Apply ${acceptedCount}/${changes.length}`, 'primary', () => {
+            const text = getMergedText();
+            const label = review.label;
+            window.OpenStudio.Components.DescriptionReview.close();
+            if (typeof handlers.onApply === 'function') handlers.onApply(text, label);
+        });
+        applyButton.disabled = acceptedCount === 0;
+        window.OpenStudio.DOM.safeAppendChild(footer, applyButton);
+
+        window.OpenStudio.DOM.safeAppendChild(footer, createFooterButton('Cancel', 'secondary', () => {
+            window.OpenStudio.Components.DescriptionReview.close();
+            if (typeof handlers.onCancel === 'function') handlers.onCancel();
+        }));
+        window.OpenStudio.DOM.safeAppendChild(root, footer);
+    };
+
+    /**
+     * Inject the component styles once
+     */
+    const addStyles = function() {
+        if (document.getElementById('openstudio-review-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'openstudio-review-styles';
+        style.textContent = `
+            .openstudio-description-review {
+                margin-bottom: 20px;
+                padding: 10px;
+                border: 1px solid #667eea;
+                border-radius: 6px;
+                background: #fafbff;
+                font-size: 12px;
+            }
+
+            .openstudio-review-header {
+                margin-bottom: 8px;
+                font-weight: 500;
+                color: #333;
+            }
+
+            .openstudio-review-lost {
+                margin-bottom: 8px;
+                padding: 6px 8px;
+                border-radius: 4px;
+            }
+
+            .openstudio-review-lost.has-lost {
+                background: #fdecee;
+                color: #a71d2a;
+            }
+
+            .openstudio-review-lost.none-lost {
+                background: #eaf6ec;
+                color: #1a7f37;
+            }
+
+            .openstudio-review-lost-items {
+                word-break: break-all;
+            }
+
+            .openstudio-review-hunks {
+                max-height: 320px;
+                overflow-y: auto;
+                font-family: Roboto Mono, monospace;
+            }
+
+            .openstudio-review-line {
+                white-space: pre-wrap;
+                word-break: break-word;
+            }
+
+            .openstudio-review-context {
+                padding: 2px 4px;
+                color: #999;
+            }
+
+            .openstudio-review-hunk {
+                margin: 4px 0;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                overflow: hidden;
+            }
+
+            .openstudio-review-hunk-flag {
+                padding: 2px 6px;
+                background: #fff3cd;
+                color: #856404;
+                font-family: 'YouTube Sans', Roboto, Arial, sans-serif;
+                word-break: break-all;
+            }
+
+            .openstudio-review-lines {
+                padding: 2px 6px;
+            }
+
+            .openstudio-review-lines.removed {
+                background: #ffebe9;
+                color: #cf222e;
+            }
+
+            .openstudio-review-lines.added {
+                background: #e6ffec;
+                color: #1a7f37;
+            }
+
+            .openstudio-review-hunk.accepted .openstudio-review-lines.removed,
+            .openstudio-review-hunk.rejected .openstudio-review-lines.added {
+                opacity: 0.45;
+                text-decoration: line-through;
+            }
+
+            .openstudio-review-hunk-controls,
+            .openstudio-review-footer {
+                display: flex;
+                gap: 4px;
+                padding: 4px;
+                font-family: 'YouTube Sans', Roboto, Arial, sans-serif;
+            }
+
+            .openstudio-review-choice,
+            .openstudio-review-action {
+                flex: 1;
+                padding: 4px;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                background: white;
+                font-size: 11px;
+                cursor: pointer;
+            }
+
+            .openstudio-review-choice.active {
+                border-color: #667eea;
+                background: #667eea;
+                color: white;
+            }
+
+            .openstudio-review-action.primary {
+                border-color: #28a745;
+                background: #28a745;
+                color: white;
+            }
+
+            .openstudio-review-action:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+        `;
+
+        document.head.appendChild(style);
+    };
+
+    window.OpenStudio.Components.DescriptionReview = {
+        /**
+         * Create the (initially hidden) review container for the SEO panel
+         * @param {Object} callbacks - { onApply(text, label), onCancel }
+         * @returns {HTMLElement|null} Review element
+         */
+        create: function(callbacks) {
+            try {
+                addStyles();
+                handlers = callbacks || {};
+                review = null;
+
+                root = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-description-review' });
+                render();
+                return root;
+            } catch (error) {
+                console.error('OpenStudio: Error creating description review:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Show a rewrite for review; every hunk starts accepted
+         * @param {Object} data - { original, rewrite, label }
+         */
+        open: function(data) {
+            try {
+                const segments = window.OpenStudio.TextDiff.buildHunks(data.original || '', data.rewrite || '');
+                const accepted = {};
+                segments
+                    .filter(segment => segment.type === 'change')
+                    .forEach(segment => {
+                        accepted[segment.id] = true;
+                    });
+
+                review = {
+                    original: data.original || '',
+                    rewrite: data.rewrite || '',
+                    label: data.label || 'Rewrite',
+                    segments,
+                    accepted
+                };
+                render();
+
+                if (root) root.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+            } catch (error) {
+                console.error('OpenStudio: Error opening description review:', error);
+            }
+        },
+
+        /**
+         * Hide the review and discard the pending rewrite
+         */
+        close: function() {
+            review = null;
+            render();
+        },
+
+        /**
+         * Whether a rewrite is waiting for review
+         * @returns {boolean} Open state
+         */
+        isOpen: function() {
+            return review !== null;
+        }
+    };
+}
@@ -0,0 +1,282 @@
+/**
+ * OpenStudio Field Annotations Component
+ * Shows SEO issues as inline markers next to the Studio field they concern.
+ * Clicking a marker focuses the field (selecting the affected text when the
+ * issue has a range) and explains the rule behind it.
+ */
+
+// Ensure we don't redeclare the namespace
+if (typeof window.OpenStudio === "undefined") {
+    window.OpenStudio = {};
+}
+
+if (typeof window.OpenStudio.Components === "undefined") {
+    window.OpenStudio.Components = {};
+}
+
+if (typeof window.OpenStudio.Components.FieldAnnotations === "undefined") {
+    const SEVERITY_ICONS = {
+        error: '⛔',
+        warning: '⚠️',
+        info: '💡'
+    };
+
+    const FIELD_LABELS = {
+        title: 'Title',
+        description: 'Description',
+        tags: 'Tags'
+    };
+
+    // Characters of context shown around a highlighted range
+    const PREVIEW_CONTEXT = 120;
+
+    // Annotation containers currently attached to the page
+    const containers = new Set();
+
+    /**
+     * Read the text of an input, textarea or contenteditable field
+     * @param {HTMLElement} field - Studio field
+     * @returns {string} Field text
+     */
+    const getFieldText = function(field) {
+        if (!field) return '';
+        return typeof field.value === 'string' ? field.value : (field.textContent || '');
+    };
+
+    /**
+     * Select a character range inside a contenteditable field
+     * @param {HTMLElement} field - Contenteditable element
+     * @param {Object} range - { start, end } character offsets
+     */
+    const selectContentEditableRange = function(field, range) {
+        const walker = document.createTreeWalker(field, NodeFilter.SHOW_TEXT);
+        const domRange = document.createRange();
+        let offset = 0;
+        let startSet = false;
+        let node = walker.nextNode();
+
+        while (node) {
+            const nodeEnd = offset + node.textContent.length;
+            if (!startSet && range.start <= nodeEnd) {
+                domRange.setStart(node, range.start - offset);
+                startSet = true;
+            }
+            if (startSet && range.end <= nodeEnd) {
+                domRange.setEnd(node, range.end - offset);
+                const selection = window.getSelection();
+                selection.removeAllRanges();
+                selection.addRange(domRange);
+                return;
+            }
+            offset = nodeEnd;
+            node = walker.nextNode();
+        }
+    };
+
+    /**
+     * Focus a field and select the annotated range, if any
+     * @param {HTMLElement} field - Studio field
+     * @param {Object} range - Optional { start, end } character offsets
+     */
+    const focusField = function(field, range) {
+        try {
+            field.scrollIntoView({ block: 'center', behavior: 'smooth' });
+            field.focus();
+
+            if (!range) return;
+            if (typeof field.setSelectionRange === 'function') {
+                field.setSelectionRange(range.start, range.end);
+            } else if (field.isContentEditable) {
+                selectContentEditableRange(field, range);
+            }
+        } catch (error) {
+            console.error('OpenStudio: Error focusing annotated field:', error);
+        }
+    };
+
+    /**
+     * Build a one-line preview of the field text with the range underlined
+     * @param {string} text - Field text
+     * @param {Object} range - { start, end } character offsets
+     * @returns {HTMLElement} Preview element
+     */
+    const createRangePreview = function(text, range) {
+        const preview = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-annotation-preview' });
+        const from = Math.max(0, range.start - PREVIEW_CONTEXT);
+        const to = Math.min(text.length, range.end + PREVIEW_CONTEXT);
+
+        const before = `${from > 0 ? '…' : ''}${text.slice(from, range.start)}`;
+        const marked = text.slice(range.start, range.end);
+        const after = `${text.slice(range.end, to)}${to < text.length ? '…' : ''}`;
+
+        window.OpenStudio.DOM.safeAppendChild(preview, document.createTextNode(before));
+        window.OpenStudio.DOM.safeAppendChild(
+            preview,
+            window.OpenStudio.DOM.createElement('span', { className: 'openstudio-annotation-range' }, marked)
+        );
+        window.OpenStudio.DOM.safeAppendChild(preview, document.createTextNode(after));
+
+        return preview;
+    };
+
+    /**
+     * Create the marker for a single annotation
+     * @param {Object} annotation - Annotation from SEOScorer
+     * @param {HTMLElement} field - Studio field the annotation belongs to
+     * @returns {HTMLElement} Marker element
+     */
+    const createMarker = function(annotation, field) {
+        const marker = window.OpenStudio.DOM.createElement('div', {
+            className: `openstudio-annotation severity-${annotation.severity}`
+        });
+
+        const itemsText = Array.isArray(annotation.items) && annotation.items.length > 0
+            ? `: ${annotation.items.join(', ')}`
+            : '';
+        const button = window.OpenStudio.DOM.createElement('button', {
+            type: 'button',
+            className: 'openstudio-annotation-marker',
+            title: 'Show why this matters'
+        }, `${SEVERITY_ICONS[annotation.severity] || SEVERITY_ICONS.info} ${annotation.message}${itemsText}`);
+
+        const explanation = window.OpenStudio.DOM.createElement('div', {
+            className: 'openstudio-annotation-explanation'
+        }, annotation.explanation || '');
+        explanation.hidden = true;
+
+        window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+            e.preventDefault();
+            explanation.hidden = !explanation.hidden;
+            focusField(field, annotation.range);
+        });
+
+        window.OpenStudio.DOM.safeAppendChild(marker, button);
+        window.OpenStudio.DOM.safeAppendChild(marker, explanation);
+
+        return marker;
+    };
+
+    /**
+     * Inject the component styles once
+     */
+    const addStyles = function() {
+        if (document.getElementById('openstudio-annotation-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'openstudio-annotation-styles';
+        style.textContent = `
+            .openstudio-annotations {
+                margin: 6px 0 10px 0;
+                font-family: 'Roboto', sans-serif;
+                font-size: 12px;
+            }
+
+            .openstudio-annotation-preview {
+                padding: 4px 8px;
+                margin-bottom: 4px;
+                background: #f8f9fa;
+                border-radius: 4px;
+                color: #333;
+                white-space: pre-wrap;
+                word-break: break-word;
+            }
+
+            .openstudio-annotation-range {
+                text-decoration: underline wavy #dc3545;
+                text-underline-offset: 3px;
+            }
+
+            .openstudio-annotation-marker {
+                display: block;
+                width: 100%;
+                padding: 3px 8px;
+                margin-bottom: 2px;
+                border: none;
+                border-left: 3px solid #17a2b8;
+                border-radius: 2px;
+                background: #f1f9fb;
+                color: #333;
+                font-size: 12px;
+                text-align: left;
+                cursor: pointer;
+            }
+
+            .severity-warning .openstudio-annotation-marker {
+                border-left-color: #ffc107;
+                background: #fff9e6;
+            }
+
+            .severity-error .openstudio-annotation-marker {
+                border-left-color: #dc3545;
+                background: #fdecee;
+            }
+
+            .openstudio-annotation-explanation {
+                padding: 4px 8px 6px 11px;
+                color: #666;
+                line-height: 1.4;
+            }
+        `;
+
+        document.head.appendChild(style);
+    };
+
+    window.OpenStudio.Components.FieldAnnotations = {
+        /**
+         * Render annotations next to their fields, replacing any previous markers
+         * @param {Array} annotations - Annotations from SEOScorer
+         * @param {Object} fields - { title, description, tags } field elements
+         * @returns {Array} Messages of the annotations that were placed on a field
+         */
+        render: function(annotations, fields) {
+            const placed = [];
+
+            try {
+                this.clear();
+                if (!Array.isArray(annotations) || annotations.length === 0) return placed;
+
+                addStyles();
+
+                Object.keys(FIELD_LABELS).forEach(fieldName => {
+                    const field = fields && fields[fieldName];
+                    const fieldAnnotations = annotations.filter(annotation => annotation.field === fieldName);
+                    if (!field || !field.isConnected || fieldAnnotations.length === 0) return;
+
+                    const container = window.OpenStudio.DOM.createElement('div', {
+                        className: 'openstudio-annotations',
+                        'data-field': fieldName,
+                        'aria-label': `${FIELD_LABELS[fieldName]} SEO notes`
+                    });
+
+                    // Underline affected text (e.g. title past the cut-off point) right under the field
+                    const text = getFieldText(field);
+                    fieldAnnotations
+                        .filter(annotation => annotation.range && annotation.range.end > annotation.range.start)
+                        .forEach(annotation => {
+                            window.OpenStudio.DOM.safeAppendChild(container, createRangePreview(text, annotation.range));
+                        });
+
+                    fieldAnnotations.forEach(annotation => {
+                        window.OpenStudio.DOM.safeAppendChild(container, createMarker(annotation, field));
+                        placed.push(annotation.message);
+                    });
+
+                    field.insertAdjacentElement('afterend', container);
+                    containers.add(container);
+                });
+            } catch (error) {
+                console.error('OpenStudio: Error rendering field annotations:', error);
+            }
+
+            return placed;
+        },
+
+        /**
+         * Remove all annotation markers from the page
+         */
+        clear: function() {
+            containers.forEach(container => window.OpenStudio.DOM.safeRemoveElement(container));
+            containers.clear();
+        }
+    };
+}
@@ -0,0 +1,472 @@
+/**
+ * OpenStudio Keyword Research Component
+ * Searches a seed phrase on YouTube (through the background script) and shows
+ * its competition and the title words, phrases and tags the top results share,
+ * each of which can be added to the video's title or tags.
+ */
+
+// Ensure we don't redeclare the namespace
+if (typeof window.OpenStudio === "undefined") {
+    window.OpenStudio = {};
+}
+
+if (typeof window.OpenStudio.Components === "undefined") {
+    window.OpenStudio.Components = {};
+}
+
+if (typeof window.OpenStudio.Components.KeywordResearch === "undefined") {
+    const LEVEL_LABELS = {
+        low: 'Low competition',
+        medium: 'Medium competition',
+        high: 'High competition'
+    };
+
+    // Top results listed under the report
+    const MAX_LISTED_RESULTS = 5;
+
+    let root = null;
+    let handlers = {};
+    let reports = [];
+    let activeQuery = null;
+
+    /**
+     * Format a count compactly (1.2K, 3.4M)
+     * @param {number|null} value - Count
+     * @returns {string} Formatted count
+     */
+    const formatCount = function(value) {
+        if (value === null || value === undefined) return 'hidden';
+        if (value >= 1000000) return `${(value / 1000000).toFixed(value >= 10000000 ? 0 : 1)}M`;
+        if (value >= 1000) return `${(value / 1000).toFixed(value >= 10000 ? 0 : 1)}K`;
+        return String(value);
+    };
+
+    /**
+     * Create a small button with a click handler
+     * @param {string} text - Button text
+     * @param {string} title - Tooltip
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLElement} Button
+     */
+    const createButton = function(text, title, onClick) {
+        const button = window.OpenStudio.DOM.createElement('button', { type: 'button', title }, text);
+        window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+            e.preventDefault();
+            onClick();
+        });
+        return button;
+    };
+
+    /**
+     * Create "+ Title" / "+ Tags" buttons for a term
+     * @param {string} term - Keyword
+     * @returns {Array} Buttons
+     */
+    const createAddButtons = function(term) {
+        return [
+            createButton('+T', `Add "${term}" to the title`, () => {
+                if (typeof handlers.onAddToTitle === 'function') handlers.onAddToTitle(term);
+            }),
+            createButton('+#', `Add "${term}" to the tags`, () => {
+                if (typeof handlers.onAddToTags === 'function') handlers.onAddToTags(term);
+            })
+        ];
+    };
+
+    /**
+     * Create a group of common terms
+     * @param {string} label - Group heading
+     * @param {Array} terms - [{ term, count }]
+     * @param {number} resultCount - Results the counts are out of
+     * @returns {HTMLElement|null} Group element, or null when empty
+     */
+    const createTermGroup = function(label, terms, resultCount) {
+        if (!terms || terms.length === 0) return null;
+
+        const group = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-keyword-group' });
+        window.OpenStudio.DOM.safeAppendChild(group, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-keyword-group-title' }, label));
+
+        const list = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-keyword-terms' });
+        terms.forEach(item => {
+            const chip = window.OpenStudio.DOM.createElement('span', {
+                className: 'openstudio-keyword-term',
+                title: `In ${item.count} of ${resultCount} top results`
+            });
+            window.OpenStudio.DOM.safeAppendChild(chip, document.createTextNode(`${item.term} ×${item.count}`));
+            createAddButtons(item.term).forEach(button => window.OpenStudio.DOM.safeAppendChild(chip, button));
+            window.OpenStudio.DOM.safeAppendChild(list, chip);
+        });
+        window.OpenStudio.DOM.safeAppendChild(group, list);
+
+        return group;
+    };
+
+    /**
+     * Render the report for a researched keyword
+     * @param {HTMLElement} container - Report element
+     * @param {Object} report - Report from the background script
+     */
+    const renderReport = function(container, report) {
+        const competition = report.competition;
+
+        const header = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-keyword-header' });
+        window.OpenStudio.DOM.safeAppendChild(header, window.OpenStudio.DOM.createElement('strong', {}, report.query));
+        window.OpenStudio.DOM.safeAppendChild(
+            header,
+            window.OpenStudio.DOM.createElement('span', { className: `openstudio-keyword-level ${competition.level}` },
+                `${LEVEL_LABELS[competition.level]} · ${competition.score}`)
+        );
+        createAddButtons(report.query).forEach(button => window.OpenStudio.DOM.safeAppendChild(header, button));
+        window.OpenStudio.DOM.safeAppendChild(container, header);
+
+        if (report.resultCount === 0) {
+            window.OpenStudio.DOM.safeAppendChild(container,
+                window.OpenStudio.DOM.createElement('p', { className: 'openstudio-keyword-empty' }, 'No videos found for this keyword.'));
+            return;
+        }
+
+        window.OpenStudio.DOM.safeAppendChild(
+            container,
+            window.OpenStudio.DOM.createElement('div', { className: 'openstudio-keyword-stats' },
+                `Median channel ${formatCount(competition.medianSubscribers)} subs · ` +
+                `median ${formatCount(competition.medianViews)} views · ` +
+                `top video ${formatCount(competition.topViews)} views · ` +
+                `${Math.round(competition.titleMatchRate * 100)}% of titles use the exact phrase`)
+        );
+
+        const results = window.OpenStudio.DOM.createElement('ol', { className: 'openstudio-keyword-results' });
+        report.results.slice(0, MAX_LISTED_RESULTS).forEach(result => {
+            const item = window.OpenStudio.DOM.createElement('li', {});
+            window.OpenStudio.DOM.safeAppendChild(item, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-keyword-result-title' }, result.title));
+            window.OpenStudio.DOM.safeAppendChild(
+                item,
+                window.OpenStudio.DOM.createElement('div', { className: 'openstudio-keyword-result-meta' },
+                    `${result.channelTitle} · ${formatCount(result.subscribers)} subs · ${formatCount(result.views)} views`)
+            );
+            window.OpenStudio.DOM.safeAppendChild(results, item);
+        });
+        window.OpenStudio.DOM.safeAppendChild(container, results);
+
+        [
+            createTermGroup('Common title phrases', report.commonTitlePhrases, report.resultCount),
+            createTermGroup('Common title words', report.commonTitleWords, report.resultCount),
+            createTermGroup('Common tags', report.commonTags, report.resultCount)
+        ].forEach(group => {
+            if (group) window.OpenStudio.DOM.safeAppendChild(container, group);
+        });
+    };
+
+    /**
+     * Render the researched keyword list and the active report
+     */
+    const render = function() {
+        if (!root) return;
+
+        const history = root.querySelector('.openstudio-keyword-history');
+        const report = root.querySelector('.openstudio-keyword-report');
+        if (!history || !report) return;
+
+        [history, report].forEach(element => {
+            while (element.firstChild) {
+                element.removeChild(element.firstChild);
+            }
+        });
+
+        reports.forEach(item => {
+            const chip = createButton(
+                `${item.query} · ${item.competition.score}`,
+                LEVEL_LABELS[item.competition.level],
+                () => {
+                    activeQuery = item.query;
+                    render();
+                }
+            );
+            chip.className = `openstudio-keyword-chip ${item.competition.level}${item.query === activeQuery ? ' active' : ''}`;
+            window.OpenStudio.DOM.safeAppendChild(history, chip);
+        });
+
+        const active = reports.find(item => item.query === activeQuery);
+        if (active) {
+            renderReport(report, active);
+        }
+    };
+
+    /**
+     * Inject the component styles once
+     */
+    const addStyles = function() {
+        if (document.getElementById('openstudio-keyword-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'openstudio-keyword-styles';
+        style.textContent = `
+            .openstudio-keyword-form {
+                display: flex;
+                gap: 6px;
+                margin-bottom: 8px;
+            }
+
+            .openstudio-keyword-input {
+                flex: 1;
+                padding: 6px;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                font-size: 12px;
+            }
+
+            .openstudio-keyword-form button {
+                padding: 6px 10px;
+                border: none;
+                border-radius: 4px;
+                background: #667eea;
+                color: white;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .openstudio-keyword-form button:disabled {
+                background: #adb5bd;
+                cursor: default;
+            }
+
+            .openstudio-keyword-status {
+                margin-bottom: 6px;
+                color: #666;
+                font-size: 11px;
+            }
+
+            .openstudio-keyword-status.error {
+                color: #dc3545;
+            }
+
+            .openstudio-keyword-history {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                margin-bottom: 8px;
+            }
+
+            .openstudio-keyword-chip {
+                padding: 2px 8px;
+                border: 1px solid #dee2e6;
+                border-radius: 12px;
+                background: white;
+                font-size: 11px;
+                cursor: pointer;
+            }
+
+            .openstudio-keyword-chip.active {
+                border-color: #667eea;
+                font-weight: 500;
+            }
+
+            .openstudio-keyword-chip.low,
+            .openstudio-keyword-level.low {
+                color: #28a745;
+            }
+
+            .openstudio-keyword-chip.medium,
+            .openstudio-keyword-level.medium {
+                color: #d97706;
+            }
+
+            .openstudio-keyword-chip.high,
+            .openstudio-keyword-level.high {
+                color: #dc3545;
+            }
+
+            .openstudio-keyword-header {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                align-items: center;
+                font-size: 13px;
+            }
+
+            .openstudio-keyword-level {
+                font-size: 11px;
+                font-weight: 500;
+            }
+
+            .openstudio-keyword-header button,
+            .openstudio-keyword-term button {
+                padding: 0 4px;
+                border: 1px solid #667eea;
+                border-radius: 3px;
+                background: white;
+                color: #667eea;
+                font-size: 10px;
+                cursor: pointer;
+            }
+
+            .openstudio-keyword-stats {
+                margin: 6px 0;
+                color: #666;
+                font-size: 11px;
+            }
+
+            .openstudio-keyword-results {
+                margin: 0 0 8px 0;
+                padding-left: 18px;
+                font-size: 12px;
+            }
+
+            .openstudio-keyword-result-title {
+                color: #333;
+            }
+
+            .openstudio-keyword-result-meta {
+                color: #999;
+                font-size: 11px;
+            }
+
+            .openstudio-keyword-group {
+                margin-bottom: 6px;
+            }
+
+            .openstudio-keyword-group-title {
+                margin-bottom: 4px;
+                color: #333;
+                font-size: 12px;
+                font-weight: 500;
+            }
+
+            .openstudio-keyword-terms {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+            }
+
+            .openstudio-keyword-term {
+                display: inline-flex;
+                gap: 3px;
+                align-items: center;
+                padding: 2px 6px;
+                border: 1px solid #dee2e6;
+                border-radius: 12px;
+                background: #f8f9fa;
+                font-size: 11px;
+            }
+
+            .openstudio-keyword-empty {
+                color: #666;
+                font-size: 12px;
+                font-style: italic;
+            }
+        `;
+
+        document.head.appendChild(style);
+    };
+
+    window.OpenStudio.Components.KeywordResearch = {
+        /**
+         * Create the keyword research view for the SEO panel
+         * @param {Object} callbacks - { onResearch(query), onAddToTitle(term), onAddToTags(term) }
+         * @returns {HTMLElement|null} Keyword research element
+         */
+        create: function(callbacks) {
+            try {
+                addStyles();
+                handlers = callbacks || {};
+
+                root = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-keyword-research' });
+                const form = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-keyword-form' });
+                const input = window.OpenStudio.DOM.createElement('input', {
+                    type: 'text',
+                    className: 'openstudio-keyword-input',
+                    placeholder: 'Seed keyword, e.g. rust tutorial'
+                });
+                const button = window.OpenStudio.DOM.createElement('button', {
+                    type: 'button',
+                    className: 'openstudio-keyword-submit'
+                }, '🔍 Research');
+
+                const submit = () => {
+                    const query = input.value.replace(/\s+/g, ' ').trim();
+                    if (query && typeof handlers.onResearch === 'function') {
+                        handlers.onResearch(query);
+                    }
+                };
+                window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+                    e.preventDefault();
+                    submit();
+                });
+                window.OpenStudio.DOM.safeAddEventListener(input, 'keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        submit();
+                    }
+                });
+
+                window.OpenStudio.DOM.safeAppendChild(form, input);
+                window.OpenStudio.DOM.safeAppendChild(form, button);
+                window.OpenStudio.DOM.safeAppendChild(root, form);
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', {
+                    className: 'openstudio-keyword-status'
+                }, 'Uses your YouTube Data API key (about 100 quota units per new keyword; results are cached for 6 hours).'));
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-keyword-history' }));
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-keyword-report' }));
+
+                render();
+                return root;
+            } catch (error) {
+                console.error('OpenStudio: Error creating keyword research:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Show a status line and disable the button while a search runs
+         * @param {boolean} busy - Whether a search is running
+         */
+        setBusy: function(busy) {
+            try {
+                const button = root && root.querySelector('.openstudio-keyword-submit');
+                const status = root && root.querySelector('.openstudio-keyword-status');
+                if (button) {
+                    button.disabled = busy;
+                    button.textContent = busy ? '⏳ Searching...' : '🔍 Research';
+                }
+                if (status && busy) {
+                    status.className = 'openstudio-keyword-status';
+                    status.textContent = 'Fetching the top results and their statistics...';
+                }
+            } catch (error) {
+                console.error('OpenStudio: Error updating keyword research:', error);
+            }
+        },
+
+        /**
+         * Show a report, adding it to the researched keywords
+         * @param {Object} report - Report from the background script
+         * @param {Object} options - { cached }
+         */
+        showReport: function(report, options = {}) {
+            try {
+                reports = [report, ...reports.filter(item => item.query.toLowerCase() !== report.query.toLowerCase())];
+                activeQuery = report.query;
+
+                const status = root && root.querySelector('.openstudio-keyword-status');
+                if (status) {
+                    status.className = 'openstudio-keyword-status';
+                    status.textContent = `${report.resultCount} top results${options.cached ? ' (cached)' : ''} · researched ${new Date(report.researchedAt).toLocaleString()}`;
+                }
+                render();
+            } catch (error) {
+                console.error('OpenStudio: Error showing keyword report:', error);
+            }
+        },
+
+        /**
+         * Show an error in the status line
+         * @param {string} message - Error message
+         */
+        showError: function(message) {
+            const status = root && root.querySelector('.openstudio-keyword-status');
+            if (status) {
+                status.className = 'openstudio-keyword-status error';
+                status.textContent = message;
+            }
+        }
+    };
+}
@@ -0,0 +1,372 @@
+/**
+ * OpenStudio Search Preview Component
+ * Renders how the current title and description appear in desktop search,
+ * mobile search and the suggested-videos sidebar. Text is wrapped and
+ * truncated by measured pixel width, the way YouTube clamps it.
+ */
+
+// Ensure we don't redeclare the namespace
+if (typeof window.OpenStudio === "undefined") {
+    window.OpenStudio = {};
+}
+
+if (typeof window.OpenStudio.Components === "undefined") {
+    window.OpenStudio.Components = {};
+}
+
+if (typeof window.OpenStudio.Components.SearchPreview === "undefined") {
+    /**
+     * Layout metrics approximating YouTube's current UI.
+     * Sizes are real CSS pixels; `zoom` shrinks the whole card to fit the panel
+     * without changing where text wraps.
+     */
+    const PREVIEW_LAYOUTS = {
+        desktop: {
+            label: 'Desktop search',
+            zoom: 0.35,
+            thumbnail: { width: 360, height: 202 },
+            title: { font: '400 18px Roboto, Arial, sans-serif', width: 600, maxLines: 2 },
+            description: { font: '400 12px Roboto, Arial, sans-serif', width: 600, maxLines: 2 }
+        },
+        mobile: {
+            label: 'Mobile search',
+            zoom: 1,
+            thumbnail: { width: 320, height: 180 },
+            title: { font: '500 16px Roboto, Arial, sans-serif', width: 320, maxLines: 2 },
+            description: null
+        },
+        sidebar: {
+            label: 'Suggested sidebar',
+            zoom: 0.85,
+            thumbnail: { width: 168, height: 94 },
+            title: { font: '500 14px Roboto, Arial, sans-serif', width: 200, maxLines: 2 },
+            description: null
+        }
+    };
+
+    let measureContext = null;
+    let activeLayout = 'desktop';
+    let lastData = { title: '', description: '', channelName: '' };
+    let root = null;
+
+    /**
+     * Measure the pixel width of text in a font
+     * @param {string} text - Text to measure
+     * @param {string} font - Canvas font string
+     * @returns {number} Width in pixels
+     */
+    const measure = function(text, font) {
+        if (!measureContext) {
+            measureContext = document.createElement('canvas').getContext('2d');
+        }
+        measureContext.font = font;
+        return measureContext.measureText(text).width;
+    };
+
+    /**
+     * Wrap text into lines of a maximum pixel width and clamp the line count
+     * @param {string} text - Text to wrap
+     * @param {Object} spec - { font, width, maxLines }
+     * @returns {Object} Visible lines, whether text was cut, and visible character count
+     */
+    const clampText = function(text, spec) {
+        const words = (text || '').replace(/\s+/g, ' ').trim().split(' ').filter(word => word.length > 0);
+        const fullText = words.join(' ');
+        const lines = [];
+        let current = '';
+
+        for (let i = 0; i < words.length && lines.length < spec.maxLines; i++) {
+            const candidate = current ? `${current} ${words[i]}` : words[i];
+
+            if (!current || measure(candidate, spec.font) <= spec.width) {
+                current = candidate;
+            } else {
+                lines.push(current);
+                current = words[i];
+            }
+        }
+
+        if (current && lines.length < spec.maxLines) {
+            lines.push(current);
+        }
+
+        const truncated = lines.join(' ').length < fullText.length;
+
+        // Trim the last visible line until it fits together with the ellipsis
+        if (truncated && lines.length > 0) {
+            let last = lines[lines.length - 1];
+            while (last.length > 0 && measure(`${last}…`, spec.font) > spec.width) {
+                last = Array.from(last).slice(0, -1).join('');
+            }
+            lines[lines.length - 1] = last.trimEnd();
+        }
+
+        const visibleChars = Array.from(lines.join(' ')).length;
+        if (truncated && lines.length > 0) {
+            lines[lines.length - 1] += '…';
+        }
+
+        return { lines, truncated, visibleChars };
+    };
+
+    /**
+     * Get the description lines shown in search (first non-empty lines)
+     * @param {string} description - Full description
+     * @returns {string} Snippet text
+     */
+    const getDescriptionSnippet = function(description) {
+        return (description || '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .slice(0, 3)
+            .join(' ');
+    };
+
+    /**
+     * Create a block of clamped text lines
+     * @param {Object} clamp - Result of clampText
+     * @param {Object} spec - Text spec
+     * @param {string} className - CSS class
+     * @returns {HTMLElement} Text block
+     */
+    const createTextBlock = function(clamp, spec, className) {
+        const block = window.OpenStudio.DOM.createElement('div', { className });
+        block.style.font = spec.font;
+        block.style.width = `${spec.width}px`;
+
+        clamp.lines.forEach(line => {
+            window.OpenStudio.DOM.safeAppendChild(
+                block,
+                window.OpenStudio.DOM.createElement('div', { className: 'openstudio-preview-line' }, line)
+            );
+        });
+
+        return block;
+    };
+
+    /**
+     * Render the active layout into the card container
+     */
+    const renderCard = function() {
+        if (!root) return;
+
+        const card = root.querySelector('.openstudio-preview-card');
+        const status = root.querySelector('.openstudio-preview-status');
+        if (!card || !status) return;
+
+        while (card.firstChild) {
+            card.removeChild(card.firstChild);
+        }
+
+        const layout = PREVIEW_LAYOUTS[activeLayout];
+        card.className = `openstudio-preview-card layout-${activeLayout}`;
+        card.style.zoom = layout.zoom;
+
+        const thumbnail = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-preview-thumbnail' }, '▶');
+        thumbnail.style.width = `${layout.thumbnail.width}px`;
+        thumbnail.style.height = `${layout.thumbnail.height}px`;
+
+        const meta = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-preview-meta' });
+        const titleClamp = clampText(lastData.title || 'Untitled video', layout.title);
+        window.OpenStudio.DOM.safeAppendChild(
+            meta,
+            createTextBlock(titleClamp, layout.title, 'openstudio-preview-title')
+        );
+        window.OpenStudio.DOM.safeAppendChild(
+            meta,
+            window.OpenStudio.DOM.createElement('div', { className: 'openstudio-preview-channel' }, lastData.channelName || 'Your channel')
+        );
+
+        let descriptionClamp = null;
+        if (layout.description) {
+            descriptionClamp = clampText(getDescriptionSnippet(lastData.description), layout.description);
+            window.OpenStudio.DOM.safeAppendChild(
+                meta,
+                createTextBlock(descriptionClamp, layout.description, 'openstudio-preview-description')
+            );
+        }
+
+        window.OpenStudio.DOM.safeAppendChild(card, thumbnail);
+        window.OpenStudio.DOM.safeAppendChild(card, meta);
+
+        // Summarize what gets cut off
+        const notes = [];
+        if (titleClamp.truncated) {
+            notes.push(`Title cut after ${titleClamp.visibleChars} characters`);
+        }
+        if (descriptionClamp && descriptionClamp.truncated) {
+            notes.push(`Description snippet cut after ${descriptionClamp.visibleChars} characters`);
+        }
+        status.textContent = notes.length > 0 ? `✂️ ${notes.join(' · ')}` : '✅ Nothing is cut off in this layout';
+        status.className = `openstudio-preview-status ${notes.length > 0 ? 'truncated' : 'complete'}`;
+    };
+
+    /**
+     * Inject the component styles once
+     */
+    const addStyles = function() {
+        if (document.getElementById('openstudio-preview-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'openstudio-preview-styles';
+        style.textContent = `
+            .openstudio-preview-tabs {
+                display: flex;
+                gap: 4px;
+                margin-bottom: 8px;
+            }
+
+            .openstudio-preview-tab {
+                flex: 1;
+                padding: 4px;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                background: white;
+                font-size: 11px;
+                cursor: pointer;
+            }
+
+            .openstudio-preview-tab.active {
+                background: #667eea;
+                border-color: #667eea;
+                color: white;
+            }
+
+            .openstudio-preview-card {
+                display: flex;
+                gap: 16px;
+                width: max-content;
+                padding: 12px;
+                background: #fff;
+                border: 1px solid #e0e0e0;
+                border-radius: 6px;
+                overflow: hidden;
+            }
+
+            .openstudio-preview-card.layout-mobile {
+                flex-direction: column;
+            }
+
+            .openstudio-preview-thumbnail {
+                flex-shrink: 0;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: #e0e0e0;
+                border-radius: 4px;
+                color: #999;
+            }
+
+            .openstudio-preview-meta {
+                min-width: 0;
+                overflow: hidden;
+            }
+
+            .openstudio-preview-title {
+                color: #0f0f0f;
+                line-height: 1.4;
+            }
+
+            .openstudio-preview-line {
+                white-space: nowrap;
+            }
+
+            .openstudio-preview-channel {
+                margin: 4px 0;
+                font-size: 12px;
+                color: #606060;
+            }
+
+            .openstudio-preview-description {
+                color: #606060;
+                line-height: 1.5;
+            }
+
+            .openstudio-preview-status {
+                margin-top: 6px;
+                font-size: 11px;
+            }
+
+            .openstudio-preview-status.truncated {
+                color: #b8860b;
+            }
+
+            .openstudio-preview-status.complete {
+                color: #28a745;
+            }
+        `;
+
+        document.head.appendChild(style);
+    };
+
+    window.OpenStudio.Components.SearchPreview = {
+        /**
+         * Create the preview section for the SEO panel
+         * @returns {HTMLElement|null} Preview section
+         */
+        create: function() {
+            try {
+                addStyles();
+
+                root = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-search-preview' });
+                const tabs = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-preview-tabs' });
+
+                Object.entries(PREVIEW_LAYOUTS).forEach(([id, layout]) => {
+                    const tab = window.OpenStudio.DOM.createElement('button', {
+                        type: 'button',
+                        className: `openstudio-preview-tab${id === activeLayout ? ' active' : ''}`,
+                        'data-layout': id
+                    }, layout.label);
+
+                    window.OpenStudio.DOM.safeAddEventListener(tab, 'click', () => {
+                        activeLayout = id;
+                        tabs.querySelectorAll('.openstudio-preview-tab').forEach(button => {
+                            button.classList.toggle('active', button.dataset.layout === id);
+                        });
+                        renderCard();
+                    });
+
+                    window.OpenStudio.DOM.safeAppendChild(tabs, tab);
+                });
+
+                window.OpenStudio.DOM.safeAppendChild(root, tabs);
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-preview-card' }));
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-preview-status' }));
+
+                renderCard();
+                return root;
+            } catch (error) {
+                console.error('OpenStudio: Error creating search preview:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Re-render the preview with new metadata
+         * @param {Object} data - { title, description, channelName }
+         */
+        update: function(data) {
+            try {
+                lastData = { ...lastData, ...(data || {}) };
+                renderCard();
+            } catch (error) {
+                console.error('OpenStudio: Error updating search preview:', error);
+            }
+        },
+
+        /**
+         * Measure where a title gets cut off in each layout
+         * @param {string} title - Video title
+         * @returns {Object} Per-layout { truncated, visibleChars }
+         */
+        getTruncation: function(title) {
+            const result = {};
+            Object.entries(PREVIEW_LAYOUTS).forEach(([id, layout]) => {
+                const clamp = clampText(title, layout.title);
+                result[id] = { truncated: clamp.truncated, visibleChars: clamp.visibleChars };
+            });
+            return result;
+        }
+    };
+}
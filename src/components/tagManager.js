@@ -0,0 +1,586 @@
+/**
+ * OpenStudio Tag Manager Component
+ * Edits the video's tags as chips: reorder by dragging, remove, add from
+ * suggestions or saved tag libraries, with a live character budget and
+ * duplicate flags. Nothing is written to the tags field until the final set
+ * is applied.
+ */
+
+// Ensure we don't redeclare the namespace
+if (typeof window.OpenStudio === "undefined") {
+    window.OpenStudio = {};
+}
+
+if (typeof window.OpenStudio.Components === "undefined") {
+    window.OpenStudio.Components = {};
+}
+
+if (typeof window.OpenStudio.Components.TagManager === "undefined") {
+    const SOURCE_LABELS = {
+        ai: 'AI',
+        fallback: 'Generated'
+    };
+
+    let root = null;
+    let handlers = {};
+    let tags = [];
+    let suggestions = [];
+    let libraries = [];
+    let tagUsage = { counts: {}, videosAnalyzed: 0 };
+    let selectedLibraryId = null;
+    let dragIndex = null;
+
+    /**
+     * Add tags to the working set, skipping exact duplicates
+     * @param {Array} values - Tags to add
+     */
+    const addTags = function(values) {
+        values.forEach(value => {
+            const tag = String(value).replace(/\s+/g, ' ').trim();
+            if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+                tags.push(tag);
+            }
+        });
+        render();
+    };
+
+    /**
+     * Create a button with a click handler
+     * @param {string} text - Button text
+     * @param {string} className - Button class
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLElement} Button
+     */
+    const createButton = function(text, className, onClick) {
+        const button = window.OpenStudio.DOM.createElement('button', { type: 'button', className }, text);
+        window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+            e.preventDefault();
+            onClick();
+        });
+        return button;
+    };
+
+    /**
+     * Create a draggable chip for a tag in the working set
+     * @param {string} tag - Tag
+     * @param {number} index - Position in the working set
+     * @param {Object|null} issue - Duplicate flag from TagUtils.findDuplicateTags
+     * @returns {HTMLElement} Chip
+     */
+    const createChip = function(tag, index, issue) {
+        const chip = window.OpenStudio.DOM.createElement('span', {
+            className: `openstudio-tag-chip${issue ? ` ${issue.type}` : ''}`,
+            draggable: 'true',
+            title: issue
+                ? `${issue.type === 'duplicate' ? 'Duplicate of' : 'Nearly the same as'} "${tags[issue.of]}"`
+                : 'Drag to reorder'
+        });
+
+        window.OpenStudio.DOM.safeAppendChild(chip, document.createTextNode(`${issue ? (issue.type === 'duplicate' ? '⚠️ ' : '≈ ') : ''}${tag}`));
+        window.OpenStudio.DOM.safeAppendChild(chip, createButton('×', 'openstudio-tag-remove', () => {
+            tags.splice(index, 1);
+            render();
+        }));
+
+        window.OpenStudio.DOM.safeAddEventListener(chip, 'dragstart', (e) => {
+            dragIndex = index;
+            if (e.dataTransfer) {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', tag);
+            }
+        });
+        window.OpenStudio.DOM.safeAddEventListener(chip, 'dragover', (e) => {
+            if (dragIndex === null) return;
+            e.preventDefault();
+            chip.classList.add('drop-target');
+        });
+        window.OpenStudio.DOM.safeAddEventListener(chip, 'dragleave', () => {
+            chip.classList.remove('drop-target');
+        });
+        window.OpenStudio.DOM.safeAddEventListener(chip, 'drop', (e) => {
+            e.preventDefault();
+            if (dragIndex === null || dragIndex === index) return;
+            const [moved] = tags.splice(dragIndex, 1);
+            tags.splice(index, 0, moved);
+            dragIndex = null;
+            render();
+        });
+        window.OpenStudio.DOM.safeAddEventListener(chip, 'dragend', () => {
+            dragIndex = null;
+            chip.classList.remove('drop-target');
+        });
+
+        return chip;
+    };
+
+    /**
+     * Render the budget line
+     * @param {HTMLElement} container - Budget element
+     */
+    const renderBudget = function(container) {
+        const utils = window.OpenStudio.TagUtils;
+        const used = utils.countTagCharacters(tags);
+        const limit = utils.TAG_LIMITS.maxCharacters;
+
+        container.className = `openstudio-tag-budget${used > limit ? ' over' : ''}`;
+        window.OpenStudio.DOM.safeAppendChild(
+            container,
+            window.OpenStudio.DOM.createElement('span', {},
+                `${used} / ${limit} characters · ${tags.length} tag${tags.length === 1 ? '' : 's'}`)
+        );
+
+        const bar = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-tag-budget-bar' });
+        const fill = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-tag-budget-fill' });
+        fill.style.width = `${Math.min(100, (used / limit) * 100)}%`;
+        window.OpenStudio.DOM.safeAppendChild(bar, fill);
+        window.OpenStudio.DOM.safeAppendChild(container, bar);
+    };
+
+    /**
+     * Render suggested tags that are not in the working set yet
+     * @param {HTMLElement} container - Suggestions element
+     */
+    const renderSuggestions = function(container) {
+        const utils = window.OpenStudio.TagUtils;
+        const present = new Set(tags.map(tag => tag.toLowerCase()));
+        const presentKeys = new Map(tags.map(tag => [utils.getTagKey(tag), tag]));
+        const open = suggestions.filter(item => !present.has(item.value.toLowerCase()));
+
+        const header = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-tag-suggestions-header' });
+        window.OpenStudio.DOM.safeAppendChild(header, window.OpenStudio.DOM.createElement('span', {}, 'Suggestions'));
+        window.OpenStudio.DOM.safeAppendChild(header, createButton('🏷️ Suggest', 'openstudio-tag-link', () => {
+            if (typeof handlers.onGenerate === 'function') handlers.onGenerate();
+        }));
+        if (open.length > 0) {
+            window.OpenStudio.DOM.safeAppendChild(header, createButton('Add all', 'openstudio-tag-link', () => {
+                addTags(open.map(item => item.value));
+            }));
+        }
+        window.OpenStudio.DOM.safeAppendChild(container, header);
+
+        if (open.length === 0) {
+            window.OpenStudio.DOM.safeAppendChild(
+                container,
+                window.OpenStudio.DOM.createElement('p', { className: 'openstudio-tag-empty' },
+                    suggestions.length > 0 ? 'All suggestions are in your tags.' : 'Click Suggest for AI and generated tag ideas.')
+            );
+            return;
+        }
+
+        const list = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-tag-chips' });
+        open.forEach(item => {
+            const similar = presentKeys.get(utils.getTagKey(item.value));
+            const chip = createButton(
+                `+ ${item.value}`,
+                `openstudio-tag-suggestion${similar ? ' near' : ''}`,
+                () => addTags([item.value])
+            );
+            chip.title = `${SOURCE_LABELS[item.source] || item.source}${similar ? ` · nearly the same as "${similar}"` : ''}`;
+            window.OpenStudio.DOM.safeAppendChild(list, chip);
+        });
+        window.OpenStudio.DOM.safeAppendChild(container, list);
+    };
+
+    /**
+     * Render the tag library picker with each tag's usage across analyzed videos
+     * @param {HTMLElement} container - Library element
+     */
+    const renderLibraries = function(container) {
+        const library = libraries.find(item => item.id === selectedLibraryId) || libraries[0];
+        selectedLibraryId = library.id;
+
+        const row = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-tag-library-row' });
+        const select = window.OpenStudio.DOM.createElement('select', { className: 'openstudio-tag-library-select' });
+        libraries.forEach(item => {
+            window.OpenStudio.DOM.safeAppendChild(
+                select,
+                window.OpenStudio.DOM.createElement('option', { value: item.id }, `📚 ${item.name} (${item.tags.length})`)
+            );
+        });
+        select.value = library.id;
+        window.OpenStudio.DOM.safeAddEventListener(select, 'change', () => {
+            selectedLibraryId = select.value;
+            render();
+        });
+
+        window.OpenStudio.DOM.safeAppendChild(row, select);
+        window.OpenStudio.DOM.safeAppendChild(row, createButton('Insert', 'openstudio-tag-link', () => {
+            addTags(library.tags);
+        }));
+        window.OpenStudio.DOM.safeAppendChild(container, row);
+
+        const usage = library.tags
+            .map(tag => {
+                const count = tagUsage.counts[tag.toLowerCase()] || 0;
+                return `${tag} ${count > 0 ? `×${count}` : '(unused)'}`;
+            })
+            .join(' · ');
+        window.OpenStudio.DOM.safeAppendChild(
+            container,
+            window.OpenStudio.DOM.createElement('div', {
+                className: 'openstudio-tag-library-usage',
+                title: `Videos using each tag, out of ${tagUsage.videosAnalyzed} analyzed`
+            }, usage || 'This library has no tags yet.')
+        );
+    };
+
+    /**
+     * Re-render the whole component from the working set and suggestions
+     */
+    const render = function() {
+        if (!root) return;
+
+        const utils = window.OpenStudio.TagUtils;
+        while (root.firstChild) {
+            root.removeChild(root.firstChild);
+        }
+
+        const budget = window.OpenStudio.DOM.createElement('div', {});
+        renderBudget(budget);
+        window.OpenStudio.DOM.safeAppendChild(root, budget);
+
+        const issues = utils.findDuplicateTags(tags);
+        const chips = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-tag-chips' });
+        tags.forEach((tag, index) => {
+            window.OpenStudio.DOM.safeAppendChild(chips, createChip(tag, index, issues[index]));
+        });
+        if (tags.length === 0) {
+            window.OpenStudio.DOM.safeAppendChild(chips,
+                window.OpenStudio.DOM.createElement('span', { className: 'openstudio-tag-empty' }, 'No tags yet.'));
+        }
+        window.OpenStudio.DOM.safeAppendChild(root, chips);
+
+        const duplicates = issues.filter(issue => issue && issue.type === 'duplicate').length;
+        const near = issues.filter(issue => issue && issue.type === 'near').length;
+        if (duplicates + near > 0) {
+            const warning = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-tag-warning' });
+            const parts = [];
+            if (duplicates > 0) parts.push(`${duplicates} duplicate${duplicates === 1 ? '' : 's'} (ignoring case)`);
+            if (near > 0) parts.push(`${near} near-duplicate${near === 1 ? '' : 's'} (plural, spacing or hyphen variants)`);
+            window.OpenStudio.DOM.safeAppendChild(warning, document.createTextNode(`${parts.join(', ')} `));
+            if (duplicates > 0) {
+                window.OpenStudio.DOM.safeAppendChild(warning, createButton('Remove duplicates', 'openstudio-tag-link', () => {
+                    tags = tags.filter((tag, index) => !issues[index] || issues[index].type !== 'duplicate');
+                    render();
+                }));
+            }
+            window.OpenStudio.DOM.safeAppendChild(root, warning);
+        }
+
+        const input = window.OpenStudio.DOM.createElement('input', {
+            type: 'text',
+            className: 'openstudio-tag-input',
+            placeholder: 'Add tags (comma-separated), then Enter'
+        });
+        window.OpenStudio.DOM.safeAddEventListener(input, 'keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            const values = utils.parseTags(input.value);
+            if (values.length > 0) {
+                addTags(values);
+                const next = root.querySelector('.openstudio-tag-input');
+                if (next) next.focus();
+            }
+        });
+        window.OpenStudio.DOM.safeAppendChild(root, input);
+
+        if (libraries.length > 0) {
+            const libraryBox = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-tag-libraries' });
+            renderLibraries(libraryBox);
+            window.OpenStudio.DOM.safeAppendChild(root, libraryBox);
+        }
+
+        const suggestionBox = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-tag-suggestions' });
+        renderSuggestions(suggestionBox);
+        window.OpenStudio.DOM.safeAppendChild(root, suggestionBox);
+
+        const over = utils.countTagCharacters(tags) > utils.TAG_LIMITS.maxCharacters;
+        const actions = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-tag-actions' });
+        window.OpenStudio.DOM.safeAppendChild(actions, createButton('↻ Reload from field', 'openstudio-tag-secondary', () => {
+            if (typeof handlers.onReload === 'function') handlers.onReload();
+        }));
+        const applyButton = createButton('✅ Apply tags', 'openstudio-tag-apply', () => {
+            if (typeof handlers.onApply === 'function') handlers.onApply(tags.slice());
+        });
+        applyButton.disabled = over;
+        applyButton.title = over ? 'Remove tags until the list fits in 500 characters' : 'Write these tags to the tags field';
+        window.OpenStudio.DOM.safeAppendChild(actions, applyButton);
+        window.OpenStudio.DOM.safeAppendChild(root, actions);
+    };
+
+    /**
+     * Inject the component styles once
+     */
+    const addStyles = function() {
+        if (document.getElementById('openstudio-tag-manager-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'openstudio-tag-manager-styles';
+        style.textContent = `
+            .openstudio-tag-budget {
+                margin-bottom: 8px;
+                color: #666;
+                font-size: 12px;
+            }
+
+            .openstudio-tag-budget.over {
+                color: #dc3545;
+                font-weight: 500;
+            }
+
+            .openstudio-tag-budget-bar {
+                height: 4px;
+                margin-top: 4px;
+                background: #e9ecef;
+                border-radius: 2px;
+                overflow: hidden;
+            }
+
+            .openstudio-tag-budget-fill {
+                height: 100%;
+                background: #667eea;
+            }
+
+            .openstudio-tag-budget.over .openstudio-tag-budget-fill {
+                background: #dc3545;
+            }
+
+            .openstudio-tag-chips {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                margin-bottom: 8px;
+            }
+
+            .openstudio-tag-chip {
+                display: inline-flex;
+                align-items: center;
+                gap: 4px;
+                padding: 2px 4px 2px 8px;
+                border: 1px solid #dee2e6;
+                border-radius: 12px;
+                background: #f8f9fa;
+                font-size: 12px;
+                cursor: grab;
+            }
+
+            .openstudio-tag-chip.duplicate {
+                border-color: #dc3545;
+                background: #ffebe9;
+            }
+
+            .openstudio-tag-chip.near {
+                border-color: #d97706;
+                background: #fff8e6;
+            }
+
+            .openstudio-tag-chip.drop-target {
+                border-color: #667eea;
+                box-shadow: -2px 0 0 #667eea;
+            }
+
+            .openstudio-tag-remove {
+                padding: 0 4px;
+                border: none;
+                background: none;
+                color: #999;
+                font-size: 13px;
+                cursor: pointer;
+            }
+
+            .openstudio-tag-warning {
+                margin-bottom: 8px;
+                color: #b45309;
+                font-size: 11px;
+            }
+
+            .openstudio-tag-input {
+                width: 100%;
+                box-sizing: border-box;
+                margin-bottom: 8px;
+                padding: 6px;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                font-size: 12px;
+            }
+
+            .openstudio-tag-libraries {
+                margin-bottom: 8px;
+            }
+
+            .openstudio-tag-library-row {
+                display: flex;
+                gap: 8px;
+                align-items: center;
+            }
+
+            .openstudio-tag-library-select {
+                flex: 1;
+                padding: 4px;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                font-size: 12px;
+            }
+
+            .openstudio-tag-library-usage {
+                margin-top: 4px;
+                color: #666;
+                font-size: 11px;
+                line-height: 1.4;
+            }
+
+            .openstudio-tag-suggestions-header {
+                display: flex;
+                gap: 8px;
+                align-items: center;
+                margin-bottom: 4px;
+                color: #333;
+                font-size: 12px;
+                font-weight: 500;
+            }
+
+            .openstudio-tag-suggestion {
+                padding: 2px 8px;
+                border: 1px dashed #667eea;
+                border-radius: 12px;
+                background: white;
+                color: #667eea;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .openstudio-tag-suggestion.near {
+                border-color: #d97706;
+                color: #b45309;
+            }
+
+            .openstudio-tag-link {
+                padding: 0;
+                border: none;
+                background: none;
+                color: #667eea;
+                font-size: 11px;
+                cursor: pointer;
+            }
+
+            .openstudio-tag-empty {
+                margin: 0 0 8px 0;
+                color: #666;
+                font-size: 12px;
+                font-style: italic;
+            }
+
+            .openstudio-tag-actions {
+                display: flex;
+                gap: 6px;
+            }
+
+            .openstudio-tag-actions button {
+                flex: 1;
+                padding: 6px;
+                border: 1px solid #667eea;
+                border-radius: 4px;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .openstudio-tag-secondary {
+                background: white;
+                color: #667eea;
+            }
+
+            .openstudio-tag-apply {
+                background: #667eea;
+                color: white;
+            }
+
+            .openstudio-tag-apply:disabled {
+                border-color: #dee2e6;
+                background: #dee2e6;
+                color: #888;
+                cursor: default;
+            }
+        `;
+
+        document.head.appendChild(style);
+    };
+
+    window.OpenStudio.Components.TagManager = {
+        /**
+         * Create the tag manager for the SEO panel
+         * @param {Object} callbacks - { onGenerate, onReload, onApply(tags) }
+         * @returns {HTMLElement|null} Tag manager element
+         */
+        create: function(callbacks) {
+            try {
+                addStyles();
+                handlers = callbacks || {};
+                root = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-tag-manager' });
+                render();
+                return root;
+            } catch (error) {
+                console.error('OpenStudio: Error creating tag manager:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Replace the working set with the tags currently in the field
+         * @param {Array} currentTags - Tags
+         */
+        load: function(currentTags) {
+            try {
+                tags = Array.isArray(currentTags) ? currentTags.slice() : [];
+                render();
+            } catch (error) {
+                console.error('OpenStudio: Error loading tags:', error);
+            }
+        },
+
+        /**
+         * Add suggested tags, keeping earlier suggestions from other sources
+         * @param {Array} values - Suggested tags
+         * @param {string} source - 'ai' or 'fallback'
+         */
+        addSuggestions: function(values, source) {
+            try {
+                const seen = new Set(suggestions.map(item => item.value.toLowerCase()));
+                (values || []).forEach(value => {
+                    const tag = String(value).replace(/\s+/g, ' ').trim();
+                    if (tag && !seen.has(tag.toLowerCase())) {
+                        suggestions.push({ value: tag, source });
+                        seen.add(tag.toLowerCase());
+                    }
+                });
+                render();
+            } catch (error) {
+                console.error('OpenStudio: Error adding tag suggestions:', error);
+            }
+        },
+
+        /**
+         * Offer saved tag libraries for insertion
+         * @param {Array} list - [{ id, name, tags }]
+         * @param {Object} usage - { counts: { lowercase tag: videos }, videosAnalyzed }
+         */
+        setLibraries: function(list, usage) {
+            try {
+                libraries = Array.isArray(list) ? list : [];
+                tagUsage = usage && usage.counts ? usage : { counts: {}, videosAnalyzed: 0 };
+                render();
+            } catch (error) {
+                console.error('OpenStudio: Error updating tag libraries:', error);
+            }
+        },
+
+        /**
+         * Forget all suggestions (e.g. when the panel is removed)
+         */
+        reset: function() {
+            tags = [];
+            suggestions = [];
+            dragIndex = null;
+            render();
+        }
+    };
+}
@@ -0,0 +1,202 @@
+/**
+ * OpenStudio Template Picker Component
+ * Lets the SEO panel insert a saved description template, or merge it into
+ * the current description and tags.
+ */
+
+// Ensure we don't redeclare the namespace
+if (typeof window.OpenStudio === "undefined") {
+    window.OpenStudio = {};
+}
+
+if (typeof window.OpenStudio.Components === "undefined") {
+    window.OpenStudio.Components = {};
+}
+
+if (typeof window.OpenStudio.Components.TemplatePicker === "undefined") {
+    let root = null;
+    let handlers = {};
+    let templates = [];
+
+    /**
+     * Get the template selected in the dropdown
+     * @returns {Object|null} Template
+     */
+    const getSelected = function() {
+        const select = root && root.querySelector('.openstudio-template-select');
+        if (!select) return null;
+        return templates.find(template => template.id === select.value) || null;
+    };
+
+    /**
+     * Render the dropdown, preview and buttons from the current templates
+     */
+    const render = function() {
+        if (!root) return;
+
+        const select = root.querySelector('.openstudio-template-select');
+        const preview = root.querySelector('.openstudio-template-preview');
+        const buttons = root.querySelectorAll('.openstudio-template-actions button');
+        if (!select || !preview) return;
+
+        const previous = select.value;
+        while (select.firstChild) {
+            select.removeChild(select.firstChild);
+        }
+
+        templates.forEach(template => {
+            window.OpenStudio.DOM.safeAppendChild(
+                select,
+                window.OpenStudio.DOM.createElement('option', { value: template.id }, template.name)
+            );
+        });
+        if (templates.some(template => template.id === previous)) {
+            select.value = previous;
+        }
+
+        select.disabled = templates.length === 0;
+        buttons.forEach(button => {
+            button.disabled = templates.length === 0;
+        });
+
+        const selected = getSelected();
+        if (!selected) {
+            preview.textContent = 'No templates yet. Create them in the extension options under "Description Templates".';
+            return;
+        }
+
+        const tagCount = selected.tags.length;
+        preview.textContent = `${selected.body.split('\n')[0] || '(empty description)'}${tagCount > 0 ? ` · ${tagCount} tag${tagCount === 1 ? '' : 's'}` : ''}`;
+    };
+
+    /**
+     * Inject the component styles once
+     */
+    const addStyles = function() {
+        if (document.getElementById('openstudio-template-picker-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'openstudio-template-picker-styles';
+        style.textContent = `
+            .openstudio-template-select {
+                width: 100%;
+                padding: 6px;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                font-size: 12px;
+            }
+
+            .openstudio-template-preview {
+                margin: 6px 0;
+                color: #666;
+                font-size: 11px;
+                white-space: nowrap;
+                overflow: hidden;
+                text-overflow: ellipsis;
+            }
+
+            .openstudio-template-actions {
+                display: flex;
+                gap: 6px;
+            }
+
+            .openstudio-template-actions button {
+                flex: 1;
+                padding: 6px;
+                border: 1px solid #667eea;
+                border-radius: 4px;
+                background: white;
+                color: #667eea;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .openstudio-template-actions button:disabled {
+                border-color: #dee2e6;
+                color: #aaa;
+                cursor: default;
+            }
+        `;
+
+        document.head.appendChild(style);
+    };
+
+    window.OpenStudio.Components.TemplatePicker = {
+        /**
+         * Create the template picker for the SEO panel
+         * @param {Object} callbacks - { onApply(template, mode) } where mode is 'insert' or 'merge'
+         * @returns {HTMLElement|null} Picker element
+         */
+        create: function(callbacks) {
+            try {
+                addStyles();
+                handlers = callbacks || {};
+
+                root = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-template-picker' });
+                const select = window.OpenStudio.DOM.createElement('select', { className: 'openstudio-template-select' });
+                window.OpenStudio.DOM.safeAddEventListener(select, 'change', () => render());
+
+                const actions = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-template-actions' });
+                [
+                    { mode: 'insert', text: '📄 Insert', title: 'Replace the description with the template and add its tags' },
+                    { mode: 'merge', text: '➕ Merge', title: 'Add the template paragraphs and tags the video does not have yet' }
+                ].forEach(config => {
+                    const button = window.OpenStudio.DOM.createElement('button', {
+                        type: 'button',
+                        title: config.title
+                    }, config.text);
+                    window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+                        e.preventDefault();
+                        const selected = getSelected();
+                        if (selected && typeof handlers.onApply === 'function') {
+                            handlers.onApply(selected, config.mode);
+                        }
+                    });
+                    window.OpenStudio.DOM.safeAppendChild(actions, button);
+                });
+
+                window.OpenStudio.DOM.safeAppendChild(root, select);
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-template-preview' }));
+                window.OpenStudio.DOM.safeAppendChild(root, actions);
+
+                render();
+                return root;
+            } catch (error) {
+                console.error('OpenStudio: Error creating template picker:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Replace the templates offered in the picker
+         * @param {Array} list - [{ id, name, body, tags }]
+         */
+        setTemplates: function(list) {
+            try {
+                templates = Array.isArray(list) ? list : [];
+                render();
+            } catch (error) {
+                console.error('OpenStudio: Error updating template picker:', error);
+            }
+        },
+
+        /**
+         * Select a template in the dropdown without applying it
+         * @param {string} templateId - Template ID
+         * @returns {boolean} Whether the template exists
+         */
+        selectTemplate: function(templateId) {
+            try {
+                const select = root && root.querySelector('.openstudio-template-select');
+                if (!select || !templates.some(template => template.id === templateId)) return false;
+
+                select.value = templateId;
+                render();
+                return true;
+            } catch (error) {
+                console.error('OpenStudio: Error selecting template:', error);
+                return false;
+            }
+        }
+    };
+}
@@ -0,0 +1,417 @@
+/**
+ * OpenStudio Thumbnail Check Component
+ * Checks a dropped thumbnail, or the one shown in Studio, for legibility and
+ * previews it at the sizes it is shown at in mobile search and the sidebar.
+ */
+
+// Ensure we don't redeclare the namespace
+if (typeof window.OpenStudio === "undefined") {
+    window.OpenStudio = {};
+}
+
+if (typeof window.OpenStudio.Components === "undefined") {
+    window.OpenStudio.Components = {};
+}
+
+if (typeof window.OpenStudio.Components.ThumbnailCheck === "undefined") {
+    let root = null;
+    let handlers = {};
+
+    // Contrast marks per region level
+    const LEVEL_MARKS = {
+        good: '✓',
+        fair: '⚠️',
+        low: '❌'
+    };
+
+    /**
+     * Remove all children of an element
+     * @param {HTMLElement} element - Element to empty
+     */
+    const clear = function(element) {
+        while (element.firstChild) {
+            element.removeChild(element.firstChild);
+        }
+    };
+
+    /**
+     * Capitalize the first letter
+     * @param {string} text - Text
+     * @returns {string} Capitalized text
+     */
+    const capitalize = function(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    };
+
+    /**
+     * Pass the first image file to the check handler
+     * @param {FileList} files - Dropped or chosen files
+     */
+    const handleFiles = function(files) {
+        const file = files && files[0];
+        if (!file) return;
+
+        if (!file.type.startsWith('image/')) {
+            setStatus('Drop an image file (JPG, PNG or WebP).', true);
+            return;
+        }
+        if (typeof handlers.onCheckFile === 'function') handlers.onCheckFile(file);
+    };
+
+    /**
+     * Create the drop zone with its file picker
+     * @returns {HTMLElement} Drop zone
+     */
+    const createDropZone = function() {
+        const zone = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-thumbcheck-drop' }, 'Drop a thumbnail image here or ');
+        const input = window.OpenStudio.DOM.createElement('input', {
+            type: 'file',
+            accept: 'image/*',
+            className: 'openstudio-thumbcheck-file'
+        });
+        const choose = window.OpenStudio.DOM.createElement('button', {
+            type: 'button',
+            className: 'openstudio-thumbcheck-choose'
+        }, 'choose a file');
+
+        window.OpenStudio.DOM.safeAddEventListener(choose, 'click', (e) => {
+            e.preventDefault();
+            input.click();
+        });
+        window.OpenStudio.DOM.safeAddEventListener(input, 'change', () => {
+            handleFiles(input.files);
+            input.value = '';
+        });
+        window.OpenStudio.DOM.safeAddEventListener(zone, 'dragover', (e) => {
+            e.preventDefault();
+            zone.classList.add('active');
+        });
+        window.OpenStudio.DOM.safeAddEventListener(zone, 'dragleave', () => {
+            zone.classList.remove('active');
+        });
+        window.OpenStudio.DOM.safeAddEventListener(zone, 'drop', (e) => {
+            e.preventDefault();
+            zone.classList.remove('active');
+            handleFiles(e.dataTransfer && e.dataTransfer.files);
+        });
+
+        window.OpenStudio.DOM.safeAppendChild(zone, choose);
+        window.OpenStudio.DOM.safeAppendChild(zone, input);
+        return zone;
+    };
+
+    /**
+     * Create the small-size previews of the image
+     * @param {string} imageUrl - Image to preview
+     * @param {Array} previews - [{ label, width, height }]
+     * @returns {HTMLElement} Preview row
+     */
+    const createPreviews = function(imageUrl, previews) {
+        const row = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-thumbcheck-previews' });
+
+        previews.forEach(preview => {
+            const figure = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-thumbcheck-preview' });
+            const frame = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-thumbcheck-frame' });
+            frame.style.width = `${preview.width}px`;
+            frame.style.height = `${preview.height}px`;
+
+            const image = window.OpenStudio.DOM.createElement('img', { src: imageUrl, alt: '' });
+            window.OpenStudio.DOM.safeAppendChild(frame, image);
+            // Stand-in for the video length badge YouTube draws over the corner
+            window.OpenStudio.DOM.safeAppendChild(frame, window.OpenStudio.DOM.createElement('span', { className: 'openstudio-thumbcheck-badge' }, '12:34'));
+
+            window.OpenStudio.DOM.safeAppendChild(figure, frame);
+            window.OpenStudio.DOM.safeAppendChild(figure, window.OpenStudio.DOM.createElement('div', {
+                className: 'openstudio-thumbcheck-caption'
+            }, `${preview.label} · ${preview.width}×${preview.height}`));
+            window.OpenStudio.DOM.safeAppendChild(row, figure);
+        });
+
+        return row;
+    };
+
+    /**
+     * Create the measurements: brightness, palette and text regions
+     * @param {Object} check - Check result from the background script
+     * @returns {HTMLElement} Measurements
+     */
+    const createMeasurements = function(check) {
+        const container = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-thumbcheck-measurements' });
+
+        window.OpenStudio.DOM.safeAppendChild(container, window.OpenStudio.DOM.createElement('div', {},
+            `Brightness ${check.brightness.mean}/255 · tonal spread ${check.brightness.spread} · saturation ${Math.round(check.saturation * 100)}%`));
+
+        const palette = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-thumbcheck-palette' });
+        check.palette.forEach(color => {
+            const chip = window.OpenStudio.DOM.createElement('span', { className: 'openstudio-thumbcheck-color', title: color.hex });
+            const swatch = window.OpenStudio.DOM.createElement('span', { className: 'openstudio-thumbcheck-swatch' });
+            swatch.style.background = color.hex;
+            window.OpenStudio.DOM.safeAppendChild(chip, swatch);
+            window.OpenStudio.DOM.safeAppendChild(chip, document.createTextNode(`${Math.round(color.share * 100)}%`));
+            window.OpenStudio.DOM.safeAppendChild(palette, chip);
+        });
+        window.OpenStudio.DOM.safeAppendChild(container, palette);
+
+        if (check.regions.length === 0) {
+            window.OpenStudio.DOM.safeAppendChild(container, window.OpenStudio.DOM.createElement('div', {
+                className: 'openstudio-thumbcheck-region'
+            }, 'No text-like regions found at sidebar size.'));
+        }
+        check.regions.forEach(region => {
+            window.OpenStudio.DOM.safeAppendChild(container, window.OpenStudio.DOM.createElement('div', {
+                className: `openstudio-thumbcheck-region ${region.level}`
+            }, `${LEVEL_MARKS[region.level]} ${capitalize(region.position)}: contrast ${region.contrast}:1${region.coversBadge ? ' (under the length badge)' : ''}`));
+        });
+
+        return container;
+    };
+
+    /**
+     * Set the status line
+     * @param {string} text - Status text
+     * @param {boolean} isError - Whether it is an error
+     */
+    const setStatus = function(text, isError = false) {
+        const status = root && root.querySelector('.openstudio-thumbcheck-status');
+        if (status) {
+            status.className = `openstudio-thumbcheck-status${isError ? ' error' : ''}`;
+            status.textContent = text;
+        }
+    };
+
+    /**
+     * Inject the component styles once
+     */
+    const addStyles = function() {
+        if (document.getElementById('openstudio-thumbcheck-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'openstudio-thumbcheck-styles';
+        style.textContent = `
+            .openstudio-thumbcheck {
+                margin-top: 10px;
+                padding-top: 8px;
+                border-top: 1px solid #e9ecef;
+                font-size: 12px;
+                color: #333;
+            }
+
+            .openstudio-thumbcheck-studio {
+                padding: 6px 8px;
+                margin-bottom: 6px;
+                border: none;
+                border-radius: 4px;
+                background: #667eea;
+                color: white;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .openstudio-thumbcheck-studio:disabled {
+                background: #adb5bd;
+                cursor: default;
+            }
+
+            .openstudio-thumbcheck-drop {
+                margin-bottom: 6px;
+                padding: 10px;
+                border: 2px dashed #dee2e6;
+                border-radius: 6px;
+                color: #666;
+                text-align: center;
+            }
+
+            .openstudio-thumbcheck-drop.active {
+                border-color: #667eea;
+                background: #f0f2ff;
+            }
+
+            .openstudio-thumbcheck-choose {
+                padding: 0;
+                border: none;
+                background: none;
+                color: #667eea;
+                font-size: 12px;
+                text-decoration: underline;
+                cursor: pointer;
+            }
+
+            .openstudio-thumbcheck-file {
+                display: none;
+            }
+
+            .openstudio-thumbcheck-status {
+                margin-bottom: 6px;
+                color: #666;
+                font-size: 11px;
+            }
+
+            .openstudio-thumbcheck-status.error {
+                color: #dc3545;
+            }
+
+            .openstudio-thumbcheck-previews {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: flex-end;
+                gap: 10px;
+                margin-bottom: 6px;
+            }
+
+            .openstudio-thumbcheck-frame {
+                position: relative;
+                overflow: hidden;
+                border-radius: 4px;
+                background: #000;
+            }
+
+            .openstudio-thumbcheck-frame img {
+                width: 100%;
+                height: 100%;
+                object-fit: cover;
+            }
+
+            .openstudio-thumbcheck-badge {
+                position: absolute;
+                right: 3px;
+                bottom: 3px;
+                padding: 0 3px;
+                border-radius: 2px;
+                background: rgba(0, 0, 0, 0.8);
+                color: white;
+                font-size: 9px;
+                line-height: 12px;
+            }
+
+            .openstudio-thumbcheck-caption {
+                margin-top: 2px;
+                color: #999;
+                font-size: 10px;
+            }
+
+            .openstudio-thumbcheck-palette {
+                margin: 4px 0;
+            }
+
+            .openstudio-thumbcheck-color {
+                display: inline-flex;
+                align-items: center;
+                gap: 3px;
+                margin-right: 8px;
+                font-size: 11px;
+            }
+
+            .openstudio-thumbcheck-swatch {
+                width: 12px;
+                height: 12px;
+                border: 1px solid #dee2e6;
+                border-radius: 2px;
+            }
+
+            .openstudio-thumbcheck-region {
+                font-size: 11px;
+            }
+
+            .openstudio-thumbcheck-region.good {
+                color: #28a745;
+            }
+
+            .openstudio-thumbcheck-region.fair {
+                color: #856404;
+            }
+
+            .openstudio-thumbcheck-region.low {
+                color: #dc3545;
+            }
+        `;
+
+        document.head.appendChild(style);
+    };
+
+    window.OpenStudio.Components.ThumbnailCheck = {
+        /**
+         * Create the thumbnail check view for the SEO panel
+         * @param {Object} callbacks - { onCheckStudio(), onCheckFile(file) }
+         * @returns {HTMLElement|null} Thumbnail check element
+         */
+        create: function(callbacks) {
+            try {
+                addStyles();
+                handlers = callbacks || {};
+
+                root = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-thumbcheck' });
+                const button = window.OpenStudio.DOM.createElement('button', {
+                    type: 'button',
+                    className: 'openstudio-thumbcheck-studio'
+                }, '🔍 Check Studio thumbnail');
+                window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+                    e.preventDefault();
+                    if (typeof handlers.onCheckStudio === 'function') handlers.onCheckStudio();
+                });
+
+                window.OpenStudio.DOM.safeAppendChild(root, button);
+                window.OpenStudio.DOM.safeAppendChild(root, createDropZone());
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', {
+                    className: 'openstudio-thumbcheck-status'
+                }, 'Checks brightness, colours and text contrast locally, at the size viewers see it.'));
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-thumbcheck-result' }));
+
+                return root;
+            } catch (error) {
+                console.error('OpenStudio: Error creating thumbnail check:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Show progress while a thumbnail is checked
+         * @param {boolean} busy - Whether a check is running
+         */
+        setBusy: function(busy) {
+            try {
+                const button = root && root.querySelector('.openstudio-thumbcheck-studio');
+                if (!button) return;
+
+                button.disabled = busy;
+                if (busy) setStatus('Checking thumbnail...');
+            } catch (error) {
+                console.error('OpenStudio: Error updating thumbnail check:', error);
+            }
+        },
+
+        /**
+         * Show a check result
+         * @param {Object} check - Check result from the background script
+         * @param {Object} options - { imageUrl, previews } when the image is at hand
+         */
+        showCheck: function(check, options = {}) {
+            try {
+                const result = root && root.querySelector('.openstudio-thumbcheck-result');
+                if (!result || !check) return;
+                clear(result);
+
+                const source = check.source.type === 'file'
+                    ? `dropped image ${check.source.width}×${check.source.height}`
+                    : 'Studio thumbnail';
+                const issues = check.suggestions.length;
+                setStatus(`Legibility ${check.score}/100 · ${source} · checked ${new Date(check.checkedAt).toLocaleString()}. ` +
+                    (issues > 0 ? `${issues} issue(s) added to the SEO suggestions.` : 'No thumbnail issues.'));
+
+                if (options.imageUrl && Array.isArray(options.previews)) {
+                    window.OpenStudio.DOM.safeAppendChild(result, createPreviews(options.imageUrl, options.previews));
+                }
+                window.OpenStudio.DOM.safeAppendChild(result, createMeasurements(check));
+            } catch (error) {
+                console.error('OpenStudio: Error showing thumbnail check:', error);
+            }
+        },
+
+        /**
+         * Show an error in the status line
+         * @param {string} message - Error message
+         */
+        showError: function(message) {
+            setStatus(message, true);
+        }
+    };
+}
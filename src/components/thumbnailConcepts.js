@@ -0,0 +1,329 @@
+/**
+ * OpenStudio Thumbnail Concepts Component
+ * Shows the AI thumbnail concepts for the video: visual elements, overlay text
+ * with its length and title-duplication checks, colour scheme and rationale.
+ */
+
+// Ensure we don't redeclare the namespace
+if (typeof window.OpenStudio === "undefined") {
+    window.OpenStudio = {};
+}
+
+if (typeof window.OpenStudio.Components === "undefined") {
+    window.OpenStudio.Components = {};
+}
+
+if (typeof window.OpenStudio.Components.ThumbnailConcepts === "undefined") {
+    let root = null;
+    let handlers = {};
+    let concepts = [];
+
+    /**
+     * Remove all children of an element
+     * @param {HTMLElement} element - Element to empty
+     */
+    const clear = function(element) {
+        while (element.firstChild) {
+            element.removeChild(element.firstChild);
+        }
+    };
+
+    /**
+     * CSS colour for a colour name from the AI ("Bright yellow" -> "yellow"), if any
+     * @param {string} name - Colour as written by the AI
+     * @returns {string|null} CSS colour
+     */
+    const toCssColor = function(name) {
+        const candidates = [name.trim(), name.trim().split(/\s+/).pop()];
+        return candidates.find(candidate => window.CSS && CSS.supports('color', candidate)) || null;
+    };
+
+    /**
+     * Create a labelled row of a concept card
+     * @param {string} label - Row label
+     * @returns {HTMLElement} Row with its label
+     */
+    const createRow = function(label) {
+        const row = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-thumbnail-row' });
+        window.OpenStudio.DOM.safeAppendChild(row, window.OpenStudio.DOM.createElement('span', { className: 'openstudio-thumbnail-label' }, label));
+        return row;
+    };
+
+    /**
+     * Create the overlay text row with its checks
+     * @param {Object} concept - Concept with overlayCheck
+     * @returns {HTMLElement} Row
+     */
+    const createOverlayRow = function(concept) {
+        const row = createRow('Overlay text');
+        window.OpenStudio.DOM.safeAppendChild(row, window.OpenStudio.DOM.createElement('span', { className: 'openstudio-thumbnail-overlay' }, concept.overlayText));
+
+        const check = concept.overlayCheck;
+        const notes = [];
+        if (check.tooLong) {
+            notes.push({ type: 'warning', text: `⚠️ Long for a small thumbnail (${check.words} words, ${check.characters} characters)` });
+        }
+        if (check.duplicates.length > 0) {
+            notes.push({ type: 'warning', text: `⚠️ Repeats the title: ${check.duplicates.join(', ')}` });
+        }
+        if (notes.length === 0) {
+            notes.push({ type: 'ok', text: `✓ ${check.words} words, adds to the title` });
+        }
+
+        notes.forEach(note => {
+            window.OpenStudio.DOM.safeAppendChild(row, window.OpenStudio.DOM.createElement('div', {
+                className: `openstudio-thumbnail-check ${note.type}`
+            }, note.text));
+        });
+        return row;
+    };
+
+    /**
+     * Create the card for one concept
+     * @param {Object} concept - { name, visualElements, overlayText, colors, rationale, overlayCheck }
+     * @returns {HTMLElement} Card
+     */
+    const createCard = function(concept) {
+        const card = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-thumbnail-card' });
+        window.OpenStudio.DOM.safeAppendChild(card, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-thumbnail-name' }, concept.name));
+
+        if (concept.visualElements.length > 0) {
+            const row = createRow('Visual elements');
+            const list = window.OpenStudio.DOM.createElement('ul', {});
+            concept.visualElements.forEach(element => {
+                window.OpenStudio.DOM.safeAppendChild(list, window.OpenStudio.DOM.createElement('li', {}, element));
+            });
+            window.OpenStudio.DOM.safeAppendChild(row, list);
+            window.OpenStudio.DOM.safeAppendChild(card, row);
+        }
+
+        if (concept.overlayText) {
+            window.OpenStudio.DOM.safeAppendChild(card, createOverlayRow(concept));
+        }
+
+        if (concept.colors.length > 0) {
+            const row = createRow('Colours');
+            concept.colors.forEach(color => {
+                const chip = window.OpenStudio.DOM.createElement('span', { className: 'openstudio-thumbnail-color' });
+                const cssColor = toCssColor(color);
+                if (cssColor) {
+                    const swatch = window.OpenStudio.DOM.createElement('span', { className: 'openstudio-thumbnail-swatch' });
+                    swatch.style.background = cssColor;
+                    window.OpenStudio.DOM.safeAppendChild(chip, swatch);
+                }
+                window.OpenStudio.DOM.safeAppendChild(chip, document.createTextNode(color));
+                window.OpenStudio.DOM.safeAppendChild(row, chip);
+            });
+            window.OpenStudio.DOM.safeAppendChild(card, row);
+        }
+
+        if (concept.rationale) {
+            const row = createRow('Why');
+            window.OpenStudio.DOM.safeAppendChild(row, window.OpenStudio.DOM.createElement('span', {}, concept.rationale));
+            window.OpenStudio.DOM.safeAppendChild(card, row);
+        }
+
+        return card;
+    };
+
+    /**
+     * Render the concepts
+     */
+    const render = function() {
+        const list = root && root.querySelector('.openstudio-thumbnail-list');
+        if (!list) return;
+        clear(list);
+
+        concepts.forEach(concept => {
+            window.OpenStudio.DOM.safeAppendChild(list, createCard(concept));
+        });
+    };
+
+    /**
+     * Set the status line
+     * @param {string} text - Status text
+     * @param {boolean} isError - Whether it is an error
+     */
+    const setStatus = function(text, isError = false) {
+        const status = root && root.querySelector('.openstudio-thumbnail-status');
+        if (status) {
+            status.className = `openstudio-thumbnail-status${isError ? ' error' : ''}`;
+            status.textContent = text;
+        }
+    };
+
+    /**
+     * Inject the component styles once
+     */
+    const addStyles = function() {
+        if (document.getElementById('openstudio-thumbnail-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'openstudio-thumbnail-styles';
+        style.textContent = `
+            .openstudio-thumbnail-generate {
+                padding: 6px 8px;
+                margin-bottom: 6px;
+                border: none;
+                border-radius: 4px;
+                background: #667eea;
+                color: white;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .openstudio-thumbnail-generate:disabled {
+                background: #adb5bd;
+                cursor: default;
+            }
+
+            .openstudio-thumbnail-status {
+                margin-bottom: 6px;
+                color: #666;
+                font-size: 11px;
+            }
+
+            .openstudio-thumbnail-status.error {
+                color: #dc3545;
+            }
+
+            .openstudio-thumbnail-card {
+                margin-bottom: 8px;
+                padding: 8px;
+                border: 1px solid #e9ecef;
+                border-radius: 6px;
+                font-size: 12px;
+                color: #333;
+            }
+
+            .openstudio-thumbnail-name {
+                margin-bottom: 4px;
+                font-weight: 600;
+            }
+
+            .openstudio-thumbnail-row {
+                margin-top: 4px;
+            }
+
+            .openstudio-thumbnail-row ul {
+                margin: 2px 0 0 0;
+                padding-left: 16px;
+            }
+
+            .openstudio-thumbnail-label {
+                display: block;
+                color: #999;
+                font-size: 11px;
+            }
+
+            .openstudio-thumbnail-overlay {
+                font-weight: 600;
+            }
+
+            .openstudio-thumbnail-check {
+                font-size: 11px;
+            }
+
+            .openstudio-thumbnail-check.warning {
+                color: #856404;
+            }
+
+            .openstudio-thumbnail-check.ok {
+                color: #28a745;
+            }
+
+            .openstudio-thumbnail-color {
+                display: inline-flex;
+                align-items: center;
+                gap: 4px;
+                margin: 2px 8px 0 0;
+            }
+
+            .openstudio-thumbnail-swatch {
+                width: 12px;
+                height: 12px;
+                border: 1px solid #dee2e6;
+                border-radius: 2px;
+            }
+        `;
+
+        document.head.appendChild(style);
+    };
+
+    window.OpenStudio.Components.ThumbnailConcepts = {
+        /**
+         * Create the thumbnail concepts view for the SEO panel
+         * @param {Object} callbacks - { onGenerate() }
+         * @returns {HTMLElement|null} Thumbnail concepts element
+         */
+        create: function(callbacks) {
+            try {
+                addStyles();
+                handlers = callbacks || {};
+                concepts = [];
+
+                root = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-thumbnail-concepts' });
+                const button = window.OpenStudio.DOM.createElement('button', {
+                    type: 'button',
+                    className: 'openstudio-thumbnail-generate'
+                }, '🎨 Suggest concepts');
+                window.OpenStudio.DOM.safeAddEventListener(button, 'click', (e) => {
+                    e.preventDefault();
+                    if (typeof handlers.onGenerate === 'function') handlers.onGenerate();
+                });
+
+                window.OpenStudio.DOM.safeAppendChild(root, button);
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', {
+                    className: 'openstudio-thumbnail-status'
+                }, 'AI thumbnail ideas for this title and description (uses your Gemini API key).'));
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-thumbnail-list' }));
+
+                return root;
+            } catch (error) {
+                console.error('OpenStudio: Error creating thumbnail concepts:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Show progress while the concepts are generated
+         * @param {boolean} busy - Whether generation is running
+         */
+        setBusy: function(busy) {
+            try {
+                const button = root && root.querySelector('.openstudio-thumbnail-generate');
+                if (!button) return;
+
+                button.disabled = busy;
+                if (busy) setStatus('Asking AI for thumbnail concepts...');
+            } catch (error) {
+                console.error('OpenStudio: Error updating thumbnail concepts:', error);
+            }
+        },
+
+        /**
+         * Show concepts
+         * @param {Array} list - Concepts with overlay checks
+         * @param {string} generatedAt - When they were generated (ISO string)
+         */
+        showConcepts: function(list, generatedAt) {
+            try {
+                concepts = Array.isArray(list) ? list : [];
+                if (concepts.length > 0) {
+                    setStatus(`${concepts.length} concept${concepts.length === 1 ? '' : 's'}${generatedAt ? `, generated ${new Date(generatedAt).toLocaleString()}` : ''}. Saved with this video.`);
+                }
+                render();
+            } catch (error) {
+                console.error('OpenStudio: Error showing thumbnail concepts:', error);
+            }
+        },
+
+        /**
+         * Show an error in the status line
+         * @param {string} message - Error message
+         */
+        showError: function(message) {
+            setStatus(message, true);
+        }
+    };
+}
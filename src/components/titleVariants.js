@@ -0,0 +1,474 @@
+/**
+ * OpenStudio Title Variants Component
+ * Side-by-side workspace for alternative titles. Each variant shows its own
+ * SEO breakdown and where it gets cut off in search, and can be edited,
+ * pinned and applied to the Studio title field.
+ */
+
+// Ensure we don't redeclare the namespace
+if (typeof window.OpenStudio === "undefined") {
+    window.OpenStudio = {};
+}
+
+if (typeof window.OpenStudio.Components === "undefined") {
+    window.OpenStudio.Components = {};
+}
+
+if (typeof window.OpenStudio.Components.TitleVariants === "undefined") {
+    const SOURCE_LABELS = {
+        ai: '🤖 AI',
+        fallback: '🧠 Smart',
+        manual: '✏️ Manual',
+        original: '📄 Original'
+    };
+
+    const LAYOUT_LABELS = {
+        desktop: 'Desktop',
+        mobile: 'Mobile',
+        sidebar: 'Sidebar'
+    };
+
+    // Maximum issues listed per variant
+    const MAX_ISSUES = 3;
+
+    let root = null;
+    let handlers = {};
+
+    /**
+     * Call a handler passed to create(), if present
+     * @param {string} name - Handler name
+     * @param {...*} args - Handler arguments
+     */
+    const notify = function(name, ...args) {
+        try {
+            if (typeof handlers[name] === 'function') {
+                handlers[name](...args);
+            }
+        } catch (error) {
+            console.error(`OpenStudio: Error in title variant ${name} handler:`, error);
+        }
+    };
+
+    /**
+     * Build the truncation preview: visible text, cut-off text and per-layout badges
+     * @param {string} title - Variant title
+     * @returns {HTMLElement} Preview element
+     */
+    const createPreview = function(title) {
+        const preview = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-variant-preview' });
+        const searchPreview = window.OpenStudio.Components.SearchPreview;
+        if (!searchPreview || !title) return preview;
+
+        const truncation = searchPreview.getTruncation(title);
+        const cutLayouts = Object.values(truncation).filter(layout => layout.truncated);
+        const characters = Array.from(title);
+
+        // Show the title as it reads in the tightest layout
+        const visibleChars = cutLayouts.length > 0
+            ? Math.min(...cutLayouts.map(layout => layout.visibleChars))
+            : characters.length;
+
+        const text = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-variant-preview-text' });
+        window.OpenStudio.DOM.safeAppendChild(text, document.createTextNode(characters.slice(0, visibleChars).join('')));
+        if (visibleChars < characters.length) {
+            window.OpenStudio.DOM.safeAppendChild(
+                text,
+                window.OpenStudio.DOM.createElement('span', { className: 'openstudio-variant-cut' }, characters.slice(visibleChars).join(''))
+            );
+        }
+
+        const badges = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-variant-layouts' });
+        Object.entries(truncation).forEach(([id, layout]) => {
+            const label = LAYOUT_LABELS[id] || id;
+            window.OpenStudio.DOM.safeAppendChild(
+                badges,
+                window.OpenStudio.DOM.createElement('span', {
+                    className: `openstudio-variant-layout ${layout.truncated ? 'truncated' : 'complete'}`
+                }, layout.truncated ? `${label} ✂️ ${layout.visibleChars}` : `${label} ✅`)
+            );
+        });
+
+        window.OpenStudio.DOM.safeAppendChild(preview, text);
+        window.OpenStudio.DOM.safeAppendChild(preview, badges);
+        return preview;
+    };
+
+    /**
+     * Build the score breakdown line and issue list for a variant
+     * @param {Object} score - { overallScore, grade, titleScore, focusScore, issues }
+     * @returns {HTMLElement} Breakdown element
+     */
+    const createBreakdown = function(score) {
+        const breakdown = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-variant-breakdown' });
+
+        if (!score) {
+            window.OpenStudio.DOM.safeAppendChild(
+                breakdown,
+                window.OpenStudio.DOM.createElement('div', { className: 'openstudio-variant-scores' }, 'Scoring...')
+            );
+            return breakdown;
+        }
+
+        const parts = [
+            `Overall ${score.overallScore} (${score.grade})`,
+            `Title ${score.titleScore}`
+        ];
+        if (score.focusScore !== null && score.focusScore !== undefined) {
+            parts.push(`Focus ${score.focusScore}`);
+        }
+
+        window.OpenStudio.DOM.safeAppendChild(
+            breakdown,
+            window.OpenStudio.DOM.createElement('div', { className: 'openstudio-variant-scores' }, parts.join(' · '))
+        );
+
+        (score.issues || []).slice(0, MAX_ISSUES).forEach(issue => {
+            window.OpenStudio.DOM.safeAppendChild(
+                breakdown,
+                window.OpenStudio.DOM.createElement('div', { className: 'openstudio-variant-issue' }, `• ${issue}`)
+            );
+        });
+
+        return breakdown;
+    };
+
+    /**
+     * Create the card for a single variant
+     * @param {Object} variant - { id, title, source, pinned, score }
+     * @param {Object} options - { isLive, isBest }
+     * @returns {HTMLElement} Variant card
+     */
+    const createCard = function(variant, options) {
+        const classes = ['openstudio-variant'];
+        if (variant.pinned) classes.push('pinned');
+        if (options.isLive) classes.push('live');
+        if (options.isBest) classes.push('best');
+
+        const card = window.OpenStudio.DOM.createElement('div', {
+            className: classes.join(' '),
+            'data-variant-id': variant.id
+        });
+
+        // Header: source, pin and remove
+        const header = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-variant-header' });
+        window.OpenStudio.DOM.safeAppendChild(
+            header,
+            window.OpenStudio.DOM.createElement('span', { className: 'openstudio-variant-source' },
+                `${SOURCE_LABELS[variant.source] || SOURCE_LABELS.manual}${options.isBest ? ' · ⭐ Best score' : ''}`)
+        );
+
+        const pinButton = window.OpenStudio.DOM.createElement('button', {
+            type: 'button',
+            className: 'openstudio-variant-icon',
+            title: variant.pinned ? 'Unpin (will be replaced on regenerate)' : 'Pin (kept when regenerating)'
+        }, variant.pinned ? '📌' : '📍');
+        window.OpenStudio.DOM.safeAddEventListener(pinButton, 'click', (e) => {
+            e.preventDefault();
+            notify('onTogglePin', variant.id);
+        });
+
+        const removeButton = window.OpenStudio.DOM.createElement('button', {
+            type: 'button',
+            className: 'openstudio-variant-icon',
+            title: 'Remove variant'
+        }, '✕');
+        window.OpenStudio.DOM.safeAddEventListener(removeButton, 'click', (e) => {
+            e.preventDefault();
+            notify('onRemove', variant.id);
+        });
+
+        window.OpenStudio.DOM.safeAppendChild(header, pinButton);
+        window.OpenStudio.DOM.safeAppendChild(header, removeButton);
+
+        // Editable title; re-scored once the edit is committed
+        const input = window.OpenStudio.DOM.createElement('textarea', {
+            className: 'openstudio-variant-input',
+            rows: '2',
+            maxlength: '100',
+            'aria-label': 'Title variant'
+        });
+        input.value = variant.title;
+        window.OpenStudio.DOM.safeAddEventListener(input, 'change', () => {
+            const title = input.value.replace(/\s+/g, ' ').trim();
+            if (title && title !== variant.title) {
+                notify('onEdit', variant.id, title);
+            }
+        });
+
+        const applyButton = window.OpenStudio.DOM.createElement('button', {
+            type: 'button',
+            className: 'openstudio-variant-apply'
+        }, options.isLive ? '✓ Live title' : 'Apply');
+        applyButton.disabled = options.isLive;
+        window.OpenStudio.DOM.safeAddEventListener(applyButton, 'click', (e) => {
+            e.preventDefault();
+            notify('onApply', variant.id);
+        });
+
+        window.OpenStudio.DOM.safeAppendChild(card, header);
+        window.OpenStudio.DOM.safeAppendChild(card, input);
+        window.OpenStudio.DOM.safeAppendChild(card, createBreakdown(variant.score));
+        window.OpenStudio.DOM.safeAppendChild(card, createPreview(variant.title));
+        window.OpenStudio.DOM.safeAppendChild(card, applyButton);
+
+        return card;
+    };
+
+    /**
+     * Inject the component styles once
+     */
+    const addStyles = function() {
+        if (document.getElementById('openstudio-variant-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'openstudio-variant-styles';
+        style.textContent = `
+            .openstudio-variant-toolbar {
+                display: flex;
+                gap: 6px;
+                margin-bottom: 8px;
+            }
+
+            .openstudio-variant-toolbar button {
+                flex: 1;
+                padding: 6px;
+                border: 1px solid #667eea;
+                border-radius: 4px;
+                background: white;
+                color: #667eea;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .openstudio-variant-toolbar button:disabled {
+                opacity: 0.6;
+                cursor: default;
+            }
+
+            .openstudio-variant-list {
+                display: flex;
+                gap: 8px;
+                overflow-x: auto;
+                padding-bottom: 4px;
+            }
+
+            .openstudio-variant {
+                flex: 0 0 170px;
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+                padding: 8px;
+                background: #fff;
+                border: 1px solid #dee2e6;
+                border-radius: 6px;
+                font-size: 12px;
+            }
+
+            .openstudio-variant.best {
+                border-color: #28a745;
+            }
+
+            .openstudio-variant.live {
+                background: #f1f9fb;
+            }
+
+            .openstudio-variant.pinned {
+                box-shadow: inset 3px 0 0 #667eea;
+            }
+
+            .openstudio-variant-header {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+            }
+
+            .openstudio-variant-source {
+                flex: 1;
+                color: #666;
+                font-size: 11px;
+            }
+
+            .openstudio-variant-icon {
+                padding: 0 4px;
+                border: none;
+                background: none;
+                cursor: pointer;
+            }
+
+            .openstudio-variant-input {
+                width: 100%;
+                box-sizing: border-box;
+                padding: 4px 6px;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                font: inherit;
+                resize: vertical;
+            }
+
+            .openstudio-variant-scores {
+                font-weight: 500;
+                color: #333;
+            }
+
+            .openstudio-variant-issue {
+                color: #b8860b;
+                font-size: 11px;
+            }
+
+            .openstudio-variant-preview-text {
+                color: #0f0f0f;
+                word-break: break-word;
+            }
+
+            .openstudio-variant-cut {
+                color: #aaa;
+                text-decoration: line-through;
+            }
+
+            .openstudio-variant-layouts {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                margin-top: 4px;
+            }
+
+            .openstudio-variant-layout {
+                padding: 1px 4px;
+                border-radius: 3px;
+                font-size: 10px;
+            }
+
+            .openstudio-variant-layout.truncated {
+                background: #fff9e6;
+                color: #b8860b;
+            }
+
+            .openstudio-variant-layout.complete {
+                background: #eaf6ec;
+                color: #28a745;
+            }
+
+            .openstudio-variant-apply {
+                margin-top: auto;
+                padding: 5px;
+                border: none;
+                border-radius: 4px;
+                background: #667eea;
+                color: white;
+                cursor: pointer;
+            }
+
+            .openstudio-variant-apply:disabled {
+                background: #6c757d;
+                cursor: default;
+            }
+
+            .openstudio-variant-empty {
+                color: #666;
+                font-size: 12px;
+                font-style: italic;
+            }
+        `;
+
+        document.head.appendChild(style);
+    };
+
+    window.OpenStudio.Components.TitleVariants = {
+        /**
+         * Create the variant workspace for the SEO panel
+         * @param {Object} callbacks - { onGenerate, onAddCurrent, onEdit, onTogglePin, onApply, onRemove }
+         * @returns {HTMLElement|null} Workspace element
+         */
+        create: function(callbacks) {
+            try {
+                addStyles();
+                handlers = callbacks || {};
+
+                root = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-title-variants' });
+                const toolbar = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-variant-toolbar' });
+
+                const generateButton = window.OpenStudio.DOM.createElement('button', {
+                    type: 'button',
+                    className: 'openstudio-variant-generate'
+                }, '✨ Generate variants');
+                window.OpenStudio.DOM.safeAddEventListener(generateButton, 'click', (e) => {
+                    e.preventDefault();
+                    notify('onGenerate');
+                });
+
+                const addButton = window.OpenStudio.DOM.createElement('button', {
+                    type: 'button',
+                    className: 'openstudio-variant-add'
+                }, '➕ Add current title');
+                window.OpenStudio.DOM.safeAddEventListener(addButton, 'click', (e) => {
+                    e.preventDefault();
+                    notify('onAddCurrent');
+                });
+
+                window.OpenStudio.DOM.safeAppendChild(toolbar, generateButton);
+                window.OpenStudio.DOM.safeAppendChild(toolbar, addButton);
+                window.OpenStudio.DOM.safeAppendChild(root, toolbar);
+                window.OpenStudio.DOM.safeAppendChild(root, window.OpenStudio.DOM.createElement('div', { className: 'openstudio-variant-list' }));
+
+                this.render([]);
+                return root;
+            } catch (error) {
+                console.error('OpenStudio: Error creating title variants:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Render the variant cards
+         * @param {Array} variants - [{ id, title, source, pinned, score }]
+         * @param {Object} options - { liveTitle } title currently in the Studio field
+         */
+        render: function(variants, options = {}) {
+            try {
+                if (!root) return;
+                const list = root.querySelector('.openstudio-variant-list');
+                if (!list) return;
+
+                while (list.firstChild) {
+                    list.removeChild(list.firstChild);
+                }
+
+                if (!Array.isArray(variants) || variants.length === 0) {
+                    window.OpenStudio.DOM.safeAppendChild(
+                        list,
+                        window.OpenStudio.DOM.createElement('p', { className: 'openstudio-variant-empty' },
+                            'No variants yet. Generate some or add the current title to compare against.')
+                    );
+                    return;
+                }
+
+                // Only highlight a best variant when there is something to compare
+                const scored = variants.filter(variant => variant.score);
+                const bestScore = scored.length > 1
+                    ? Math.max(...scored.map(variant => variant.score.overallScore))
+                    : null;
+
+                variants.forEach(variant => {
+                    window.OpenStudio.DOM.safeAppendChild(list, createCard(variant, {
+                        isLive: variant.title === options.liveTitle,
+                        isBest: bestScore !== null && variant.score && variant.score.overallScore === bestScore
+                    }));
+                });
+            } catch (error) {
+                console.error('OpenStudio: Error rendering title variants:', error);
+            }
+        },
+
+        /**
+         * Disable the generate button while a request is running
+         * @param {boolean} busy - Whether generation is in progress
+         */
+        setBusy: function(busy) {
+            const button = root && root.querySelector('.openstudio-variant-generate');
+            if (button) {
+                button.disabled = busy;
+                button.textContent = busy ? '⏳ Generating...' : '✨ Generate variants';
+            }
+        }
+    };
+}
@@ -70,7 +70,8 @@ if (typeof window.OpenStudio.TIMING === "undefined") {
         INJECTION_RETRIES: 20,
         RETRY_DELAY: 500,
         TIMEOUT: 10000,
-        NOTIFICATION_TIMEOUT: 3000
+        NOTIFICATION_TIMEOUT: 3000,
+        LIVE_SCORE_DEBOUNCE: 600
     });
 }
 
@@ -81,6 +82,7 @@ if (typeof window.OpenStudio.CACHE_EXPIRATION === "undefined") {
         TAG_SUGGESTIONS: 24 * 60 * 60 * 1000,  // 24 hours
         ANALYTICS: 6 * 60 * 60 * 1000,         // 6 hours
         PERFORMANCE: 30 * 60 * 1000,           // 30 minutes
+        KEYWORD_RESEARCH: 6 * 60 * 60 * 1000,  // 6 hours
         CACHE_MAX_AGE: 7 * 24 * 60 * 60 * 1000 // 7 days
     });
 }
@@ -94,7 +96,18 @@ if (typeof window.OpenStudio.STORAGE_KEYS === "undefined") {
         SEO_CACHE: 'openstudio_seo_cache',
         VIDEO_DATA: 'openstudio_video_data',
         PERFORMANCE_METRICS: 'openstudio_performance',
-        TAG_SUGGESTIONS: 'openstudio_tag_suggestions'
+        TAG_SUGGESTIONS: 'openstudio_tag_suggestions',
+        SCORING_PROFILE: 'openstudio_scoring_profile',
+        LANGUAGE_PACKS: 'openstudio_language_packs',
+        TITLE_VARIANTS: 'openstudio_title_variants',
+        CHANGE_HISTORY: 'openstudio_change_history',
+        DESCRIPTION_TEMPLATES: 'openstudio_description_templates',
+        BOILERPLATE_BLOCKS: 'openstudio_boilerplate_blocks',
+        TAG_LIBRARIES: 'openstudio_tag_libraries',
+        COMPETITOR_WATCHLIST: 'openstudio_competitor_watchlist',
+        TREND_SNAPSHOTS: 'openstudio_trend_snapshots',
+        CONTENT_IDEAS: 'openstudio_content_ideas',
+        CONTENT_PLAN: 'openstudio_content_plan'
     });
 }
 
@@ -108,39 +121,13 @@ if (typeof window.OpenStudio.SELECTORS === "undefined") {
         EDIT_VIDEO_CONTAINER: '[data-testid="video-edit-container"], .video-edit-container, .video-edit',
         STUDIO_SIDEBAR: '.ytcp-navigation-drawer, .ytcp-video-edit-sidebar, .video-edit-sidebar, [role="complementary"]',
         MAIN_CONTENT: '.ytcp-main-content, .main-content, main, [role="main"]',
-        VIDEO_EDIT_SIDEBAR: '.ytcp-video-edit-sidebar, .video-edit-sidebar, .sidebar, [data-testid*="sidebar"]'
+        VIDEO_EDIT_SIDEBAR: '.ytcp-video-edit-sidebar, .video-edit-sidebar, .sidebar, [data-testid*="sidebar"]',
+        STUDIO_SAVE_BUTTON: 'ytcp-button#save, #save, [data-testid="save-button"]'
     });
 }
 
-// SEO scoring configuration
-if (typeof window.OpenStudio.SEO_CONFIG === "undefined") {
-    window.OpenStudio.SEO_CONFIG = Object.freeze({
-        WEIGHTS: {
-            TITLE: 0.4,
-            DESCRIPTION: 0.35,
-            TAGS: 0.25
-        },
-        CRITERIA: {
-            TITLE: {
-                MIN_LENGTH: 30,
-                MAX_LENGTH: 100,
-                OPTIMAL_LENGTH: 60,
-                KEYWORD_DENSITY: 0.02
-            },
-            DESCRIPTION: {
-                MIN_LENGTH: 125,
-                MAX_LENGTH: 5000,
-                OPTIMAL_LENGTH: 250,
-                KEYWORD_DENSITY: 0.015
-            },
-            TAGS: {
-                MIN_COUNT: 5,
-                MAX_COUNT: 15,
-                OPTIMAL_COUNT: 10
-            }
-        }
-    });
-}
+// SEO scoring configuration lives in the scoring profile (see DEFAULT_SCORING_PROFILE
+// in src/utils/seoScorer.js) so every caller scores with the same thresholds
 
 // API key validation
 if (typeof window.OpenStudio.API_VALIDATION === "undefined") {
@@ -224,7 +211,6 @@ if (typeof window.OpenStudio.CONSTANTS === "undefined") {
         SELECTORS: window.OpenStudio.SELECTORS,
         TIMING: window.OpenStudio.TIMING,
         STATUS: window.OpenStudio.STATUS,
-        SEO_CONFIG: window.OpenStudio.SEO_CONFIG,
         API_VALIDATION: window.OpenStudio.API_VALIDATION,
         UI_MESSAGES: window.OpenStudio.UI_MESSAGES,
         STORAGE_KEYS: window.OpenStudio.STORAGE_KEYS,
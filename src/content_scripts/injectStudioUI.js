@@ -20,9 +20,27 @@ const state = {
     currentPage: null,
     seoPanel: null,
     observer: null,
-    retryCount: 0
+    retryCount: 0,
+    selectedNiche: 'auto',
+    selectedLanguage: 'auto',
+    focusKeywords: { primary: '', secondary: [] },
+    liveScoreTimer: null,
+    analysisRequestId: 0,
+    savedMetadata: null,
+    savedScore: null,
+    titleVariants: { variants: [], applied: [] },
+    changeHistory: { entries: [], position: 0 },
+    templates: { templates: [], socialLinks: '' },
+    boilerplateBlocks: [],
+    activeTab: 'seo'
 };
 
+// YouTube rejects titles longer than this
+const TITLE_MAX_LENGTH = 100;
+
+// Field detection runs on every live re-score; flip on to trace the selectors
+const DEBUG_FIELD_DETECTION = false;
+
 // Cache for video data to prevent excessive DOM queries
 const videoDataCache = {
     data: null,
@@ -99,7 +117,8 @@ function setupMinimalOpenStudio() {
         VIDEO_DESCRIPTION: 'textarea[aria-label*="description" i], #video-description, textarea[placeholder*="description" i]',
         VIDEO_TAGS: 'input[aria-label*="tags" i], #video-tags, input[placeholder*="tags" i]',
         MAIN_CONTENT: '.ytcp-main-content, .main-content, main, [role="main"]',
-        VIDEO_EDIT_SIDEBAR: '.ytcp-video-edit-sidebar, .video-edit-sidebar, .sidebar, [data-testid*="sidebar"]'
+        VIDEO_EDIT_SIDEBAR: '.ytcp-video-edit-sidebar, .video-edit-sidebar, .sidebar, [data-testid*="sidebar"]',
+        STUDIO_SAVE_BUTTON: 'ytcp-button#save, #save, [data-testid="save-button"]'
     };
     
     // Minimal timing fallback
@@ -109,7 +128,8 @@ function setupMinimalOpenStudio() {
         INJECTION_RETRIES: 20,
         PAGE_CHANGE_DELAY: 1000,
         SEO_ANALYSIS_DELAY: 500,
-        NOTIFICATION_TIMEOUT: 3000
+        NOTIFICATION_TIMEOUT: 3000,
+        LIVE_SCORE_DEBOUNCE: 600
     };
     
     // Minimal DOM utilities
@@ -280,14 +300,25 @@ function setupPageMonitoring() {
             subtree: true
         });
         
-        // Add form field change detection to invalidate cache
+        // Add form field change detection to invalidate cache and re-score live
         document.addEventListener('input', (e) => {
             if (e.target.matches('input, textarea, [contenteditable="true"]')) {
                 videoDataCache.clear();
-                console.log('🔍 OpenStudio: Video data cache cleared due to form change');
+                
+                // Edits inside our own panel (focus keywords) are handled by the panel
+                if (state.seoPanel && !state.seoPanel.contains(e.target)) {
+                    scheduleLiveAnalysis();
+                }
             }
         });
         
+        // Studio's Save button makes the current metadata the new baseline
+        document.addEventListener('click', (e) => {
+            if (state.isInjected && e.target.closest && e.target.closest(window.OpenStudio.SELECTORS.STUDIO_SAVE_BUTTON)) {
+                markMetadataSaved();
+            }
+        }, true);
+        
     } catch (error) {
         console.error('OpenStudio: Error setting up page monitoring:', error);
     }
@@ -437,7 +468,19 @@ async function injectVideoEditUI() {
             showNotification('✅ SEO Assistant panel injected successfully', 'success');
             
             // Initialize SEO analysis with delay
-            setTimeout(() => {
+            setTimeout(async () => {
+                await restoreFocusKeywords();
+                await restoreTitleVariants();
+                await restoreChangeHistory();
+                loadChaptersFromDescription();
+                loadTagsIntoManager();
+                await loadTagLibraries();
+                await loadTemplates();
+                await restorePlannedUpload();
+                await restoreThumbnailConcepts();
+                await restoreThumbnailCheck();
+                await restoreCommentInsights();
+                await loadBoilerplateBlocks();
                 initializeSEOAnalysis();
             }, window.OpenStudio.TIMING.SEO_ANALYSIS_DELAY);
             
@@ -460,6 +503,30 @@ async function injectVideoEditUI() {
     }
 }
 
+/**
+ * Whether an element belongs to OpenStudio's own panel. The panel's inputs
+ * (keywords, variants, chapters) can match the broad Studio field selectors.
+ */
+function isPanelElement(element) {
+    return Boolean(element && element.closest && element.closest('.openstudio-panel'));
+}
+
+/**
+ * Find the first element matching a selector that is one of Studio's fields
+ */
+function findStudioElement(selector) {
+    return Array.from(document.querySelectorAll(selector)).find(element => !isPanelElement(element)) || null;
+}
+
+/**
+ * Log a field detection trace when DEBUG_FIELD_DETECTION is on
+ */
+function debugLog(...args) {
+    if (DEBUG_FIELD_DETECTION) {
+        console.log(...args);
+    }
+}
+
 /**
  * Get current video data from the page with defensive field detection
  */
@@ -468,11 +535,11 @@ function getCurrentVideoData() {
         // Check cache first
         const cachedData = videoDataCache.get();
         if (cachedData) {
-            console.log('🔍 OpenStudio: Using cached video data');
+            debugLog('🔍 OpenStudio: Using cached video data');
             return cachedData;
         }
         
-        console.log('🔍 OpenStudio: Fetching fresh video data...');
+        debugLog('🔍 OpenStudio: Fetching fresh video data...');
         // Fixed selectors based on debug findings - YouTube Studio uses contenteditable
         const titleSelectors = [
             // Look for contenteditable that's likely to be title (shorter content, first occurrence)
@@ -529,18 +596,20 @@ function getCurrentVideoData() {
             'input[id*="tag" i]'
         ];
 
-        console.log('🔍 OpenStudio: Starting field detection debug...');
+        debugLog('🔍 OpenStudio: Starting field detection debug...');
         
         // Debug: Log all available form elements with detailed info
         const allInputs = document.querySelectorAll('input, textarea, [contenteditable="true"]');
-        console.log(`🔍 OpenStudio: Found ${allInputs.length} total input/textarea elements on page`);
+        debugLog(`🔍 OpenStudio: Found ${allInputs.length} total input/textarea elements on page`);
         
         // Enhanced debugging - show first 10 inputs with all attributes
-        Array.from(allInputs).slice(0, 10).forEach((input, index) => {
-            const attrs = Array.from(input.attributes).map(attr => `${attr.name}="${attr.value}"`).join(' ');
-            const content = (input.value || input.textContent || input.placeholder || '').substring(0, 50);
-            console.log(`🔍 Input ${index + 1}: <${input.tagName.toLowerCase()} ${attrs}> content="${content}"`);
-        });
+        if (DEBUG_FIELD_DETECTION) {
+            Array.from(allInputs).slice(0, 10).forEach((input, index) => {
+                const attrs = Array.from(input.attributes).map(attr => `${attr.name}="${attr.value}"`).join(' ');
+                const content = (input.value || input.textContent || input.placeholder || '').substring(0, 50);
+                debugLog(`🔍 Input ${index + 1}: <${input.tagName.toLowerCase()} ${attrs}> content="${content}"`);
+            });
+        }
         
         // Smart detection for contenteditable fields - need to distinguish title from description
         let titleElement = null;
@@ -549,51 +618,52 @@ function getCurrentVideoData() {
         let descriptionSelectorUsed = null;
         
         // First try specific non-contenteditable selectors
-        console.log('🔍 OpenStudio: Searching for title field...');
+        debugLog('🔍 OpenStudio: Searching for title field...');
         for (let i = 1; i < titleSelectors.length; i++) { // Skip first contenteditable selector
             const selector = titleSelectors[i];
-            const element = document.querySelector(selector);
-            console.log(`🔍 Title selector ${i + 1}/${titleSelectors.length}: "${selector}" -> ${element ? '✅ FOUND' : '❌ not found'}`);
+            const element = findStudioElement(selector);
+            debugLog(`🔍 Title selector ${i + 1}/${titleSelectors.length}: "${selector}" -> ${element ? '✅ FOUND' : '❌ not found'}`);
             if (element) {
                 titleElement = element;
                 titleSelectorUsed = selector;
-                console.log(`🔍 Title field value: "${element.value || element.textContent || element.innerText || 'EMPTY'}"`);
+                debugLog(`🔍 Title field value: "${element.value || element.textContent || element.innerText || 'EMPTY'}"`);
                 break;
             }
         }
         
-        console.log('🔍 OpenStudio: Searching for description field...');
+        debugLog('🔍 OpenStudio: Searching for description field...');
         for (let i = 1; i < descriptionSelectors.length; i++) { // Skip first contenteditable selector
             const selector = descriptionSelectors[i];
-            const element = document.querySelector(selector);
-            console.log(`🔍 Description selector ${i + 1}/${descriptionSelectors.length}: "${selector}" -> ${element ? '✅ FOUND' : '❌ not found'}`);
+            const element = findStudioElement(selector);
+            debugLog(`🔍 Description selector ${i + 1}/${descriptionSelectors.length}: "${selector}" -> ${element ? '✅ FOUND' : '❌ not found'}`);
             if (element) {
                 descriptionElement = element;
                 descriptionSelectorUsed = selector;
                 const content = element.value || element.textContent || element.innerText || 'EMPTY';
-                console.log(`🔍 Description field content: "${content.substring(0, 100)}${content.length > 100 ? '...' : ''}"`);
+                debugLog(`🔍 Description field content: "${content.substring(0, 100)}${content.length > 100 ? '...' : ''}"`);
                 break;
             }
         }
         
         // If no specific selectors worked, try smart contenteditable detection
         if (!titleElement || !descriptionElement) {
-            console.log('🔍 OpenStudio: Using smart contenteditable detection...');
-            const editableElements = document.querySelectorAll('[contenteditable="true"]');
-            console.log(`🔍 Found ${editableElements.length} contenteditable elements`);
+            debugLog('🔍 OpenStudio: Using smart contenteditable detection...');
+            const editableElements = Array.from(document.querySelectorAll('[contenteditable="true"]'))
+                .filter(element => !isPanelElement(element));
+            debugLog(`🔍 Found ${editableElements.length} contenteditable elements`);
             
             if (editableElements.length >= 2) {
                 // Assume first contenteditable is title, second is description
                 if (!titleElement) {
                     titleElement = editableElements[0];
                     titleSelectorUsed = '[contenteditable="true"]:first-of-type';
-                    console.log(`🔍 Title from contenteditable[0]: "${titleElement.textContent || 'EMPTY'}"`);
+                    debugLog(`🔍 Title from contenteditable[0]: "${titleElement.textContent || 'EMPTY'}"`);
                 }
                 
                 if (!descriptionElement) {
                     descriptionElement = editableElements[1];
                     descriptionSelectorUsed = '[contenteditable="true"]:nth-of-type(2)';
-                    console.log(`🔍 Description from contenteditable[1]: "${(descriptionElement.textContent || 'EMPTY').substring(0, 100)}..."`);
+                    debugLog(`🔍 Description from contenteditable[1]: "${(descriptionElement.textContent || 'EMPTY').substring(0, 100)}..."`);
                 }
             } else if (editableElements.length === 1) {
                 // Only one contenteditable found - determine if it's title or description by content length
@@ -603,14 +673,14 @@ function getCurrentVideoData() {
                     if (!titleElement) {
                         titleElement = editableElements[0];
                         titleSelectorUsed = '[contenteditable="true"] (detected as title by length)';
-                        console.log(`🔍 Title from single contenteditable: "${content}"`);
+                        debugLog(`🔍 Title from single contenteditable: "${content}"`);
                     }
                 } else {
                     // Likely description (longer content)
                     if (!descriptionElement) {
                         descriptionElement = editableElements[0];
                         descriptionSelectorUsed = '[contenteditable="true"] (detected as description by length)';
-                        console.log(`🔍 Description from single contenteditable: "${content.substring(0, 100)}..."`);
+                        debugLog(`🔍 Description from single contenteditable: "${content.substring(0, 100)}..."`);
                     }
                 }
             }
@@ -619,29 +689,29 @@ function getCurrentVideoData() {
         // Try to find tags field with detailed logging and smart fallback
         let tagsElement = null;
         let tagsSelectorUsed = null;
-        console.log('🔍 OpenStudio: Searching for tags field...');
+        debugLog('🔍 OpenStudio: Searching for tags field...');
         
         // First, try specific tag selectors
         for (let i = 0; i < tagSelectors.length; i++) {
             const selector = tagSelectors[i];
-            const element = document.querySelector(selector);
-            console.log(`🔍 Tags selector ${i + 1}/${tagSelectors.length}: "${selector}" -> ${element ? '✅ FOUND' : '❌ not found'}`);
+            const element = findStudioElement(selector);
+            debugLog(`🔍 Tags selector ${i + 1}/${tagSelectors.length}: "${selector}" -> ${element ? '✅ FOUND' : '❌ not found'}`);
             if (element) {
                 tagsElement = element;
                 tagsSelectorUsed = selector;
-                console.log(`🔍 Tags field value: "${element.value || element.textContent || element.innerText || 'EMPTY'}"`);
+                debugLog(`🔍 Tags field value: "${element.value || element.textContent || element.innerText || 'EMPTY'}"`);
                 break;
             }
         }
         
         // Smart fallback: Look for inputs that are likely to be tags based on context
         if (!tagsElement) {
-            console.log('🔍 OpenStudio: Trying smart tags detection...');
+            debugLog('🔍 OpenStudio: Trying smart tags detection...');
             const allTextInputs = document.querySelectorAll('input[type="text"], input:not([type])');
             
             for (const input of allTextInputs) {
-                // Skip if it's already identified as title or description
-                if (input === titleElement || input === descriptionElement) continue;
+                // Skip if it's already identified as title or description, or is one of the panel's inputs
+                if (input === titleElement || input === descriptionElement || isPanelElement(input)) continue;
                 
                 // Check parent containers for tags-related keywords
                 const container = input.closest('div, section, form, [class*="tag"], [class*="keyword"], [class*="chip"]');
@@ -656,7 +726,7 @@ function getCurrentVideoData() {
                         
                         tagsElement = input;
                         tagsSelectorUsed = 'Smart detection (container context)';
-                        console.log(`🔍 Tags field found via smart detection: ${input.outerHTML.substring(0, 100)}...`);
+                        debugLog(`🔍 Tags field found via smart detection: ${input.outerHTML.substring(0, 100)}...`);
                         break;
                     }
                 }
@@ -674,7 +744,7 @@ function getCurrentVideoData() {
                     
                     tagsElement = input;
                     tagsSelectorUsed = 'Smart detection (attribute context)';
-                    console.log(`🔍 Tags field found via attribute detection: ${input.outerHTML.substring(0, 100)}...`);
+                    debugLog(`🔍 Tags field found via attribute detection: ${input.outerHTML.substring(0, 100)}...`);
                     break;
                 }
             }
@@ -682,33 +752,33 @@ function getCurrentVideoData() {
         
         // Last resort: Look for empty text inputs that might be tags
         if (!tagsElement) {
-            console.log('🔍 OpenStudio: Trying last resort tags detection...');
+            debugLog('🔍 OpenStudio: Trying last resort tags detection...');
             const emptyInputs = Array.from(document.querySelectorAll('input[type="text"], input:not([type])'))
-                .filter(input => !input.value && input !== titleElement && input !== descriptionElement);
+                .filter(input => !input.value && input !== titleElement && input !== descriptionElement && !isPanelElement(input));
             
             if (emptyInputs.length > 0) {
                 // Take the first unused text input as potential tags field
                 tagsElement = emptyInputs[0];
                 tagsSelectorUsed = 'Last resort (empty input)';
-                console.log(`🔍 Tags field found via last resort: ${tagsElement.outerHTML.substring(0, 100)}...`);
+                debugLog(`🔍 Tags field found via last resort: ${tagsElement.outerHTML.substring(0, 100)}...`);
             }
         }
 
         // Enhanced debugging - show what we actually found
-        console.log('🔍 OpenStudio: Field detection summary:');
-        console.log(`  📝 Title: ${titleElement ? `FOUND with "${titleSelectorUsed}"` : '❌ NOT FOUND'}`);
-        console.log(`  📄 Description: ${descriptionElement ? `FOUND with "${descriptionSelectorUsed}"` : '❌ NOT FOUND'}`);
-        console.log(`  🏷️ Tags: ${tagsElement ? `FOUND with "${tagsSelectorUsed}"` : '❌ NOT FOUND'}`);
+        debugLog('🔍 OpenStudio: Field detection summary:');
+        debugLog(`  📝 Title: ${titleElement ? `FOUND with "${titleSelectorUsed}"` : '❌ NOT FOUND'}`);
+        debugLog(`  📄 Description: ${descriptionElement ? `FOUND with "${descriptionSelectorUsed}"` : '❌ NOT FOUND'}`);
+        debugLog(`  🏷️ Tags: ${tagsElement ? `FOUND with "${tagsSelectorUsed}"` : '❌ NOT FOUND'}`);
 
         // If no fields found, let's explore the page structure
-        if (!titleElement && !descriptionElement && !tagsElement) {
-            console.log('🔍 OpenStudio: No fields found! Exploring page structure...');
+        if (DEBUG_FIELD_DETECTION && !titleElement && !descriptionElement && !tagsElement) {
+            debugLog('🔍 OpenStudio: No fields found! Exploring page structure...');
             explorePageStructure();
         }
         
         // Additional debugging if only tags is missing
-        if ((titleElement || descriptionElement) && !tagsElement) {
-            console.log('🔍 OpenStudio: Tags field missing, analyzing page for clues...');
+        if (DEBUG_FIELD_DETECTION && (titleElement || descriptionElement) && !tagsElement) {
+            debugLog('🔍 OpenStudio: Tags field missing, analyzing page for clues...');
             analyzePageForTags();
         }
         
@@ -727,6 +797,7 @@ function getCurrentVideoData() {
             title: titleElement?.value || titleElement?.textContent || '',
             description: descriptionElement?.value || descriptionElement?.textContent || '',
             tags: tagsElement?.value || tagsElement?.textContent || '',
+            videoId: getCurrentVideoId(),
             url: window.location.href,
             timestamp: new Date().toISOString(),
             pageType: state.currentPage,
@@ -748,6 +819,7 @@ function getCurrentVideoData() {
             title: '',
             description: '',
             tags: '',
+            videoId: getCurrentVideoId(),
             url: window.location.href,
             timestamp: new Date().toISOString(),
             pageType: state.currentPage,
@@ -756,6 +828,102 @@ function getCurrentVideoData() {
     }
 }
 
+/**
+ * Read the focus keyword inputs into state
+ */
+function updateFocusKeywordsFromPanel() {
+    const primaryInput = window.OpenStudio.DOM.safeQuerySelector('#seo-focus-primary', state.seoPanel);
+    const secondaryInput = window.OpenStudio.DOM.safeQuerySelector('#seo-focus-secondary', state.seoPanel);
+    
+    state.focusKeywords = {
+        primary: primaryInput ? primaryInput.value.trim() : '',
+        secondary: secondaryInput
+            ? secondaryInput.value.split(',').map(keyword => keyword.trim()).filter(keyword => keyword.length > 0)
+            : []
+    };
+}
+
+/**
+ * Restore the focus keywords saved with this video's last analysis
+ */
+async function restoreFocusKeywords() {
+    try {
+        const videoId = getCurrentVideoId();
+        if (!videoId) return;
+        
+        const response = await chrome.runtime.sendMessage({ action: 'getVideoAnalysis', videoId });
+        const saved = response && response.success && response.analysis && response.analysis.focusKeywords;
+        if (!saved || !saved.primary) return;
+        
+        state.focusKeywords = {
+            primary: saved.primary,
+            secondary: Array.isArray(saved.secondary) ? saved.secondary : []
+        };
+        
+        const primaryInput = window.OpenStudio.DOM.safeQuerySelector('#seo-focus-primary', state.seoPanel);
+        const secondaryInput = window.OpenStudio.DOM.safeQuerySelector('#seo-focus-secondary', state.seoPanel);
+        if (primaryInput) primaryInput.value = state.focusKeywords.primary;
+        if (secondaryInput) secondaryInput.value = state.focusKeywords.secondary.join(', ');
+        
+    } catch (error) {
+        console.error('OpenStudio: Failed to restore focus keywords:', error);
+    }
+}
+
+/**
+ * Pre-fill the focus keyword and template planned for this video in the content planner.
+ * A focus keyword saved with an earlier analysis wins over the planned one.
+ */
+async function restorePlannedUpload() {
+    try {
+        const videoId = getCurrentVideoId();
+        if (!videoId) return;
+        
+        const response = await chrome.runtime.sendMessage({ action: 'getPlannedVideo', videoId });
+        const item = response && response.success && response.item;
+        if (!item) return;
+        
+        const filled = [];
+        if (item.keyword && !state.focusKeywords.primary) {
+            state.focusKeywords = { ...state.focusKeywords, primary: item.keyword };
+            const primaryInput = window.OpenStudio.DOM.safeQuerySelector('#seo-focus-primary', state.seoPanel);
+            if (primaryInput) primaryInput.value = item.keyword;
+            filled.push('focus keyword');
+        }
+        
+        const picker = window.OpenStudio.Components && window.OpenStudio.Components.TemplatePicker;
+        if (item.templateId && picker && picker.selectTemplate(item.templateId)) {
+            filled.push('template');
+        }
+        
+        if (filled.length > 0) {
+            showNotification(`📅 Planned as "${item.title}": ${filled.join(' and ')} pre-filled`, 'info');
+        }
+    } catch (error) {
+        console.error('OpenStudio: Failed to restore planned upload:', error);
+    }
+}
+
+/**
+ * Get current video data plus the panel's analysis options (niche preset, language, focus keywords)
+ */
+function getAnalysisRequestData() {
+    return {
+        ...getCurrentVideoData(),
+        niche: state.selectedNiche,
+        language: state.selectedLanguage,
+        focusKeywords: state.focusKeywords
+    };
+}
+
+/**
+ * Get the video ID from the current Studio URL
+ */
+function getCurrentVideoId() {
+    const match = window.location.pathname.match(/\/video\/([^\/?#]+)/);
+    return match ? match[1] : null;
+}
+
 /**
  * Comprehensive page structure exploration for debugging
  */
@@ -765,11 +933,11 @@ function explorePageStructure() {
         
         // Look for ytcp elements
         const ytcpElements = document.querySelectorAll('[class*="ytcp"]');
-        console.log(`🔍 Found ${ytcpElements.length} elements with "ytcp" in class name`);
+        debugLog(`🔍 Found ${ytcpElements.length} elements with "ytcp" in class name`);
         
         // Look for form containers
         const formContainers = document.querySelectorAll('form, [class*="form"], [class*="input"], [class*="field"]');
-        console.log(`🔍 Found ${formContainers.length} potential form containers`);
+        debugLog(`🔍 Found ${formContainers.length} potential form containers`);
         
         // Log some form elements for inspection
         const sampleInputs = Array.from(allInputs).slice(0, 5);
@@ -778,7 +946,7 @@ function explorePageStructure() {
             const id = input.id || 'no-id';
             const placeholder = input.placeholder || 'no-placeholder';
             const type = input.type || input.tagName.toLowerCase();
-            console.log(`🔍 Sample input ${index + 1}: <${type}> id="${id}" class="${classes}" placeholder="${placeholder}"`);
+            debugLog(`🔍 Sample input ${index + 1}: <${type}> id="${id}" class="${classes}" placeholder="${placeholder}"`);
         });
         
         // Look for any elements with "tag" or "keyword" in their text content
@@ -787,9 +955,9 @@ function explorePageStructure() {
             return text.includes('tag') || text.includes('keyword');
         }).slice(0, 5);
         
-        console.log(`🔍 Found ${potentialTagContainers.length} elements with tag/keyword text`);
+        debugLog(`🔍 Found ${potentialTagContainers.length} elements with tag/keyword text`);
         potentialTagContainers.forEach((el, index) => {
-            console.log(`🔍 Tag container ${index + 1}: ${el.tagName} "${el.textContent?.substring(0, 50)}..."`);
+            debugLog(`🔍 Tag container ${index + 1}: ${el.tagName} "${el.textContent?.substring(0, 50)}..."`);
         });
         
     } catch (error) {
@@ -812,15 +980,15 @@ function analyzePageForTags() {
             if (sectionText.includes('tag') || sectionText.includes('keyword') || 
                 sectionHtml.includes('tag') || sectionHtml.includes('keyword')) {
                 
-                console.log('🔍 Potential tags section found:');
-                console.log(`   Text: "${sectionText.substring(0, 100)}..."`);
+                debugLog('🔍 Potential tags section found:');
+                debugLog(`   Text: "${sectionText.substring(0, 100)}..."`);
                 
                 // Look for inputs in this section
                 const inputsInSection = section.querySelectorAll('input, textarea');
-                console.log(`   Contains ${inputsInSection.length} input elements`);
+                debugLog(`   Contains ${inputsInSection.length} input elements`);
                 
                 inputsInSection.forEach((input, index) => {
-                    console.log(`   Input ${index + 1}: ${input.outerHTML.substring(0, 100)}...`);
+                    debugLog(`   Input ${index + 1}: ${input.outerHTML.substring(0, 100)}...`);
                 });
                 
                 break; // Found potential section, don't spam console
@@ -830,7 +998,7 @@ function analyzePageForTags() {
         // Check if tags section might be collapsed or hidden
         const hiddenInputs = document.querySelectorAll('input[style*="display: none"], input[hidden]');
         if (hiddenInputs.length > 0) {
-            console.log(`🔍 Found ${hiddenInputs.length} hidden inputs that might be tags`);
+            debugLog(`🔍 Found ${hiddenInputs.length} hidden inputs that might be tags`);
         }
         
     } catch (error) {
@@ -845,7 +1013,7 @@ async function generateTagSuggestions() {
     try {
         showNotification('🏷️ Generating tags...', 'info');
         
-        const videoData = getCurrentVideoData();
+        const videoData = getAnalysisRequestData();
         if (!videoData.title && !videoData.description) {
             showNotification('⚠️ No video title or description found. Please refresh or enter content manually.', 'warning');
             return;
@@ -860,16 +1028,22 @@ async function generateTagSuggestions() {
         });
         
         if (response && response.success && response.tags) {
-            // Update tags field if available
-            const tagsElement = findTagsField();
-            if (tagsElement) {
-                const currentTags = tagsElement.value || '';
-                const newTags = response.tags.join(', ');
-                const combinedTags = currentTags ? `${currentTags}, ${newTags}` : newTags;
-                
-                tagsElement.value = combinedTags;
-                tagsElement.dispatchEvent(new Event('input', { bubbles: true }));
-                tagsElement.dispatchEvent(new Event('change', { bubbles: true }));
+            const manager = window.OpenStudio.Components && window.OpenStudio.Components.TagManager;
+            
+            if (manager) {
+                // Suggestions go to the tag manager; nothing is written until the final set is applied
+                manager.addSuggestions(response.tags, response.source);
+                if (Array.isArray(response.fallbackTags)) {
+                    manager.addSuggestions(response.fallbackTags, 'fallback');
+                }
+                revealPanelSection('.tags-section');
+            } else {
+                const tagsElement = findTagsField();
+                if (tagsElement) {
+                    const utils = window.OpenStudio.TagUtils;
+                    const combinedTags = utils.serializeTags([...utils.parseTags(getFieldValue(tagsElement)), ...response.tags]);
+                    applyFieldChange('tags', combinedTags, response.source === 'ai' ? 'AI tags' : 'Generated tags');
+                }
             }
             
             // Show appropriate message based on source
@@ -892,37 +1066,55 @@ async function generateTagSuggestions() {
 }
 
 /**
- * Optimize video title using AI or fallback
+ * Generate title variants (AI or fallback) into the variant workspace.
+ * Pinned variants and the original title are kept; nothing is applied until
+ * the user picks a variant.
  */
 async function optimizeTitle() {
+    const component = window.OpenStudio.Components && window.OpenStudio.Components.TitleVariants;
+    
     try {
-        showNotification('✨ Optimizing title...', 'info');
+        showNotification('✨ Generating title variants...', 'info');
         
-        const videoData = getCurrentVideoData();
+        const videoData = getAnalysisRequestData();
         if (!videoData.title) {
             showNotification('⚠️ No video title found. Please refresh or enter a title manually.', 'warning');
             return;
         }
         
+        if (component) component.setBusy(true);
+        
         const response = await chrome.runtime.sendMessage({
-            action: 'optimizeTitle',
+            action: 'generateTitleVariants',
             feature: 'title',
             videoTitle: videoData.title,
             data: videoData
         });
         
-        if (response && response.success && response.optimizedTitle) {
-            const titleElement = findTitleField();
-            if (titleElement) {
-                titleElement.value = response.optimizedTitle;
-                titleElement.dispatchEvent(new Event('input', { bubbles: true }));
-                titleElement.dispatchEvent(new Event('change', { bubbles: true }));
-                
-                // Show appropriate message based on source
-                const message = response.message || 'Title optimized successfully!';
-                const notificationType = response.source === 'ai' ? 'success' : 'info';
-                showNotification(`${notificationType === 'success' ? '✅' : '🧠'} ${message}`, notificationType);
+        if (response && response.success && Array.isArray(response.variants)) {
+            const kept = state.titleVariants.variants.filter(variant => variant.pinned || variant.source === 'original');
+            const keptTitles = new Set(kept.map(variant => variant.title));
+            
+            // Keep the current title as the baseline to compare against
+            if (!keptTitles.has(videoData.title)) {
+                kept.unshift(createTitleVariant(videoData.title, 'original'));
+                keptTitles.add(videoData.title);
             }
+            
+            const generated = response.variants
+                .filter(variant => !keptTitles.has(variant.title))
+                .map(variant => ({ ...createTitleVariant(variant.title, variant.source), score: variant.score }));
+            
+            state.titleVariants.variants = [...kept, ...generated];
+            await saveTitleVariants();
+            await rescoreTitleVariants();
+            
+            revealPanelSection('.title-variants-section');
+            
+            // Show appropriate message based on source
+            const message = response.message || `Generated ${generated.length} title variants`;
+            const notificationType = response.source === 'ai' ? 'success' : 'info';
+            showNotification(`${notificationType === 'success' ? '✅' : '🧠'} ${message}`, notificationType);
         } else if (response && response.error) {
             throw new Error(response.error);
         } else {
@@ -935,294 +1127,1900 @@ async function optimizeTitle() {
             error.message : 
             'Title optimization failed. Please try again or check your settings.';
         showNotification(`❌ ${errorMessage}`, 'error');
+    } finally {
+        if (component) component.setBusy(false);
     }
 }
 
 /**
- * Enhance video description using AI or fallback
+ * Create a new title variant record
  */
-async function enhanceDescription() {
+function createTitleVariant(title, source) {
+    return {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        title,
+        source,
+        pinned: false,
+        createdAt: new Date().toISOString(),
+        score: null
+    };
+}
+
+/**
+ * Load the saved title variants for this video
+ */
+async function restoreTitleVariants() {
     try {
-        showNotification('📝 Enhancing description...', 'info');
-        
-        const videoData = getCurrentVideoData();
-        if (!videoData.title && !videoData.description) {
-            showNotification('⚠️ No video content found. Please refresh or enter content manually.', 'warning');
-            return;
+        const videoId = getCurrentVideoId();
+        if (!videoId) return;
+        
+        const response = await chrome.runtime.sendMessage({ action: 'getTitleVariants', videoId });
+        if (response && response.success && response.record) {
+            state.titleVariants = {
+                variants: response.record.variants,
+                applied: response.record.applied
+            };
         }
         
-        const response = await chrome.runtime.sendMessage({
-            action: 'enhanceDescription',
-            feature: 'description',
-            videoTitle: videoData.title,
-            data: videoData
-        });
+    } catch (error) {
+        console.error('OpenStudio: Failed to restore title variants:', error);
+    }
+}
+
+/**
+ * Save the title variants for this video
+ */
+async function saveTitleVariants() {
+    try {
+        const videoId = getCurrentVideoId();
+        if (!videoId) return;
         
-        if (response && response.success && response.enhancedDescription) {
-            const descElement = findDescriptionField();
-            if (descElement) {
-                descElement.value = response.enhancedDescription;
-                descElement.dispatchEvent(new Event('input', { bubbles: true }));
-                descElement.dispatchEvent(new Event('change', { bubbles: true }));
-                
-                // Show appropriate message based on source
-                const message = response.message || 'Description enhanced successfully!';
-                const notificationType = response.source === 'ai' ? 'success' : 'info';
-                showNotification(`${notificationType === 'success' ? '✅' : '🧠'} ${message}`, notificationType);
+        await chrome.runtime.sendMessage({
+            action: 'saveTitleVariants',
+            videoId,
+            record: state.titleVariants
+        });
+    } catch (error) {
+        console.error('OpenStudio: Failed to save title variants:', error);
+    }
+}
+
+/**
+ * Re-score every variant against the current description, tags and settings
+ */
+async function rescoreTitleVariants() {
+    try {
+        const variants = state.titleVariants.variants;
+        if (variants.length > 0) {
+            const response = await chrome.runtime.sendMessage({
+                action: 'scoreTitleVariants',
+                data: getAnalysisRequestData(),
+                titles: variants.map(variant => variant.title)
+            });
+            
+            if (response && response.success && Array.isArray(response.scores)) {
+                variants.forEach((variant, index) => {
+                    variant.score = response.scores[index] || null;
+                });
             }
-        } else if (response && response.error) {
-            throw new Error(response.error);
-        } else {
-            throw new Error('Invalid response from background script');
         }
-        
     } catch (error) {
-        console.error('OpenStudio: Description enhancement failed:', error);
-        const errorMessage = error.message.includes('title') ? 
-            error.message : 
-            'Description enhancement failed. Please try again or check your settings.';
-        showNotification(`❌ ${errorMessage}`, 'error');
+        console.error('OpenStudio: Failed to score title variants:', error);
     }
+    
+    renderTitleVariants();
 }
 
 /**
- * Find title field with multiple selector attempts
+ * Render the variant workspace, marking the variant that is currently in the title field
  */
-function findTitleField() {
-    const selectors = [
-        'ytcp-social-suggestion-input input',  // Primary current selector
-        'textarea[aria-label*="title" i]',
-        '#video-title',
-        'input[placeholder*="title" i]',
-        'textarea[placeholder*="title" i]',
-        '[data-testid*="title"] input',
-        '[data-testid*="title"] textarea'
-    ];
+function renderTitleVariants() {
+    const component = window.OpenStudio.Components && window.OpenStudio.Components.TitleVariants;
+    if (!component) return;
     
-    for (const selector of selectors) {
-        const element = document.querySelector(selector);
-        if (element) return element;
+    const titleField = findTitleField();
+    component.render(state.titleVariants.variants, {
+        liveTitle: titleField ? getFieldValue(titleField).trim() : null
+    });
+}
+
+/**
+ * Find a title variant by ID
+ */
+function findTitleVariant(id) {
+    return state.titleVariants.variants.find(variant => variant.id === id) || null;
+}
+
+/**
+ * Add the title currently in the field as a variant
+ */
+async function addCurrentTitleVariant() {
+    const titleField = findTitleField();
+    const title = titleField ? getFieldValue(titleField).trim() : '';
+    if (!title) {
+        showNotification('⚠️ No video title found. Please refresh or enter a title manually.', 'warning');
+        return;
     }
-    return null;
+    if (state.titleVariants.variants.some(variant => variant.title === title)) {
+        showNotification('ℹ️ The current title is already in the workspace', 'info');
+        return;
+    }
+    
+    state.titleVariants.variants.push(createTitleVariant(title, 'manual'));
+    await saveTitleVariants();
+    await rescoreTitleVariants();
 }
 
 /**
- * Find description field with multiple selector attempts
+ * Replace a variant's text after the user edits it
  */
-function findDescriptionField() {
-    const selectors = [
-        'ytcp-mention-textbox textarea',  // Primary current selector
-        'textarea[aria-label*="description" i]',
-        '#video-description',
-        'textarea[placeholder*="description" i]',
-        '[data-testid*="description"] textarea'
-    ];
+async function editTitleVariant(id, title) {
+    const variant = findTitleVariant(id);
+    if (!variant) return;
     
-    for (const selector of selectors) {
-        const element = document.querySelector(selector);
-        if (element) return element;
-    }
-    return null;
+    variant.title = title;
+    variant.source = variant.source === 'original' ? 'manual' : variant.source;
+    variant.editedAt = new Date().toISOString();
+    variant.score = null;
+    renderTitleVariants();
+    
+    await saveTitleVariants();
+    await rescoreTitleVariants();
 }
 
 /**
- * Find tags field with multiple selector attempts
+ * Pin or unpin a variant so it survives regeneration
  */
-function findTagsField() {
-    const selectors = [
-        'ytcp-form-input-container[internalname="keywords"] input',  // Primary current selector
-        'input[aria-label*="tags" i]',
-        '#video-tags',
-        'input[placeholder*="tags" i]',
-        '[data-testid*="tags"] input'
-    ];
+async function toggleTitleVariantPin(id) {
+    const variant = findTitleVariant(id);
+    if (!variant) return;
     
-    for (const selector of selectors) {
-        const element = document.querySelector(selector);
-        if (element) return element;
-    }
-    return null;
+    variant.pinned = !variant.pinned;
+    renderTitleVariants();
+    await saveTitleVariants();
 }
 
 /**
- * Create SEO Assistant Panel component using DOM API (CSP-compliant)
+ * Remove a variant from the workspace (its applied history is kept)
  */
-function createSEOAssistantPanel() {
+async function removeTitleVariant(id) {
+    state.titleVariants.variants = state.titleVariants.variants.filter(variant => variant.id !== id);
+    renderTitleVariants();
+    await saveTitleVariants();
+}
+
+/**
+ * Write a variant into the Studio title field and record when it went live
+ */
+async function applyTitleVariant(id) {
     try {
-        // Main panel container
-        const panel = window.OpenStudio.DOM.createElement('div', {
-            id: 'openstudio-seo-panel',
-            className: 'openstudio-panel'
-        });
-        
-        if (!panel) {
-            throw new Error('Failed to create panel element');
+        const variant = findTitleVariant(id);
+        const titleField = findTitleField();
+        if (!variant || !titleField) {
+            showNotification('⚠️ Title field not found. Please refresh the page.', 'warning');
+            return;
         }
         
-        // Add styles first
-        addPanelStyles();
-        
-        // Create header
-        const header = createPanelHeader();
-        
-        // Create content
-        const content = createPanelContent();
-        
-        // Append sections
-        if (header && content) {
-            window.OpenStudio.DOM.safeAppendChild(panel, header);
-            window.OpenStudio.DOM.safeAppendChild(panel, content);
-        }
+        applyFieldChange('title', variant.title, 'Title variant');
         
-        // Setup event listeners
-        setupPanelEventListeners(panel);
+        // Applied history lets each variant be matched against the CTR of the period it was live
+        state.titleVariants.applied.push({
+            variantId: variant.id,
+            title: variant.title,
+            appliedAt: new Date().toISOString()
+        });
         
-        return panel;
+        renderTitleVariants();
+        await saveTitleVariants();
+        showNotification('✅ Title applied - save in Studio to publish it', 'success');
         
     } catch (error) {
-        console.error('OpenStudio: Error creating SEO assistant panel:', error);
-        return null;
+        console.error('OpenStudio: Failed to apply title variant:', error);
+        showNotification('❌ Failed to apply title. Please try again.', 'error');
     }
 }
 
 /**
- * Create panel header (CSP-compliant)
+ * Load the chapter block from the description field into the chapter editor
  */
-function createPanelHeader() {
+function loadChaptersFromDescription() {
+    const component = window.OpenStudio.Components && window.OpenStudio.Components.ChapterEditor;
+    const descElement = findDescriptionField();
+    if (component && descElement) {
+        component.load(getFieldValue(descElement));
+    }
+}
+
+/**
+ * Write the edited chapters into the description, replacing the existing chapter block
+ */
+function writeChaptersToDescription(chapters) {
     try {
-        const header = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-header' });
-        
-        const title = window.OpenStudio.DOM.createElement('h3', {}, '🎯 SEO Assistant');
-        
-        const toggleContainer = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-toggle' });
-        const toggleInput = window.OpenStudio.DOM.createElement('input', {
-            type: 'checkbox',
-            id: 'seo-enabled'
-        });
-        
-        // Set checked property properly for CSP compliance
-        if (toggleInput) {
-            toggleInput.checked = true;
+        const descElement = findDescriptionField();
+        if (!descElement) {
+            showNotification('⚠️ Description field not found. Please refresh the page.', 'warning');
+            return;
         }
-        const toggleLabel = window.OpenStudio.DOM.createElement('label', { for: 'seo-enabled' }, 'Enabled');
-        
-        window.OpenStudio.DOM.safeAppendChild(toggleContainer, toggleInput);
-        window.OpenStudio.DOM.safeAppendChild(toggleContainer, toggleLabel);
         
-        window.OpenStudio.DOM.safeAppendChild(header, title);
-        window.OpenStudio.DOM.safeAppendChild(header, toggleContainer);
+        const parser = window.OpenStudio.DescriptionParser;
+        const validation = parser.validateChapters(chapters);
+        if (!validation.valid &&
+            !confirm('These chapters do not meet YouTube\'s chapter rules, so YouTube will not show them. Write them anyway?')) {
+            return;
+        }
         
-        return header;
+        const description = parser.replaceChapterBlock(getFieldValue(descElement), chapters);
+        applyFieldChange('description', description, 'Chapters');
+        showNotification(`✅ Wrote ${chapters.length} chapters to the description`, 'success');
         
     } catch (error) {
-        console.error('OpenStudio: Error creating panel header:', error);
-        return null;
+        console.error('OpenStudio: Failed to write chapters:', error);
+        showNotification('❌ Failed to write chapters. Please try again.', 'error');
     }
 }
 
 /**
- * Create panel content (CSP-compliant)
+ * Load the tags field into the tag manager
  */
-function createPanelContent() {
-    try {
+function loadTagsIntoManager() {
+    const component = window.OpenStudio.Components && window.OpenStudio.Components.TagManager;
+    const tagsElement = findTagsField();
+    if (component && window.OpenStudio.TagUtils) {
+        component.load(tagsElement ? window.OpenStudio.TagUtils.parseTags(getFieldValue(tagsElement)) : []);
+    }
+}
+
+/**
+ * Load the saved tag libraries into the tag manager
+ */
+async function loadTagLibraries() {
+    try {
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.TagManager;
+        if (!component) return;
+        
+        const response = await chrome.runtime.sendMessage({ action: 'getTagLibraries' });
+        if (response && response.success) {
+            component.setLibraries(response.libraries, response.usage);
+        }
+        
+    } catch (error) {
+        console.error('OpenStudio: Failed to load tag libraries:', error);
+    }
+}
+
+/**
+ * Write the tag manager's final tag set to the tags field
+ */
+function applyManagedTags(tags) {
+    const utils = window.OpenStudio.TagUtils;
+    if (utils.countTagCharacters(tags) > utils.TAG_LIMITS.maxCharacters) {
+        showNotification(`⚠️ Tags are over YouTube's ${utils.TAG_LIMITS.maxCharacters}-character limit`, 'warning');
+        return;
+    }
+    
+    if (applyFieldChange('tags', utils.serializeTags(tags), 'Tag manager')) {
+        showNotification(`✅ Applied ${tags.length} tags`, 'success');
+    } else {
+        showNotification('⚠️ Tags field not found. Please refresh the page.', 'warning');
+    }
+}
+
+/**
+ * Research a keyword on YouTube and show the report
+ * @param {string} query - Seed keyword
+ */
+async function researchKeyword(query) {
+    const component = window.OpenStudio.Components.KeywordResearch;
+    try {
+        component.setBusy(true);
+        const response = await chrome.runtime.sendMessage({ action: 'researchKeyword', query });
+        
+        if (response && response.success) {
+            component.showReport(response.report, { cached: response.cached });
+        } else {
+            component.showError(response?.error || 'Keyword research failed. Please try again.');
+        }
+        
+    } catch (error) {
+        console.error('OpenStudio: Failed to research keyword:', error);
+        component.showError('Keyword research failed. Please try again.');
+    } finally {
+        component.setBusy(false);
+    }
+}
+
+/**
+ * Append a researched keyword to the title
+ * @param {string} term - Keyword
+ */
+function addKeywordToTitle(term) {
+    const titleElement = findTitleField();
+    if (!titleElement) {
+        showNotification('⚠️ Title field not found. Please refresh the page.', 'warning');
+        return;
+    }
+    
+    const title = getFieldValue(titleElement).trim();
+    if (title.toLowerCase().includes(term.toLowerCase())) {
+        showNotification(`ℹ️ The title already contains "${term}"`, 'info');
+        return;
+    }
+    
+    const updated = title ? `${title} | ${term}` : term;
+    if (updated.length > TITLE_MAX_LENGTH) {
+        showNotification(`⚠️ Adding "${term}" would take the title over ${TITLE_MAX_LENGTH} characters`, 'warning');
+        return;
+    }
+    
+    applyFieldChange('title', updated, 'Keyword research');
+    showNotification(`✅ Added "${term}" to the title`, 'success');
+}
+
+/**
+ * Add a researched keyword to the tags
+ * @param {string} term - Keyword
+ * @param {string} label - Change history label
+ */
+function addKeywordToTags(term, label = 'Keyword research') {
+    const utils = window.OpenStudio.TagUtils;
+    const tagsElement = findTagsField();
+    if (!tagsElement) {
+        showNotification('⚠️ Tags field not found. Please refresh the page.', 'warning');
+        return;
+    }
+    
+    const tags = utils.parseTags(getFieldValue(tagsElement));
+    if (tags.some(tag => utils.getTagKey(tag) === utils.getTagKey(term))) {
+        showNotification(`ℹ️ "${term}" is already a tag`, 'info');
+        return;
+    }
+    
+    const updated = [...tags, term];
+    if (utils.countTagCharacters(updated) > utils.TAG_LIMITS.maxCharacters) {
+        showNotification(`⚠️ Adding "${term}" would take the tags over ${utils.TAG_LIMITS.maxCharacters} characters`, 'warning');
+        return;
+    }
+    
+    applyFieldChange('tags', utils.serializeTags(updated), label);
+    showNotification(`✅ Added "${term}" to the tags`, 'success');
+}
+
+/**
+ * Benchmark the current metadata against the top-ranking videos for a keyword
+ * @param {string} keyword - Keyword to search, or '' for the title's main keyword
+ */
+async function runBenchmark(keyword) {
+    const component = window.OpenStudio.Components.CompetitorBenchmark;
+    try {
+        component.setBusy('benchmark', true);
+        const response = await chrome.runtime.sendMessage({
+            action: 'benchmarkVideo',
+            data: getAnalysisRequestData(),
+            keyword
+        });
+        
+        if (response && response.success) {
+            component.showBenchmark(response.benchmark);
+        } else {
+            component.showError(response?.error || 'Benchmark failed. Please try again.');
+        }
+        
+    } catch (error) {
+        console.error('OpenStudio: Failed to benchmark video:', error);
+        component.showError('Benchmark failed. Please try again.');
+    } finally {
+        component.setBusy('benchmark', false);
+    }
+}
+
+/**
+ * Ask AI for a gap analysis against the benchmarked competitors
+ * @param {string} keyword - Benchmarked keyword
+ */
+async function analyzeCompetitorGaps(keyword) {
+    const component = window.OpenStudio.Components.CompetitorBenchmark;
+    try {
+        component.setBusy('analysis', true);
+        const response = await chrome.runtime.sendMessage({
+            action: 'analyzeCompetitors',
+            data: getAnalysisRequestData(),
+            keyword
+        });
+        
+        if (response && response.success) {
+            component.showAnalysis(response.analysis);
+        } else {
+            component.showError(response?.error || 'AI gap analysis failed. Please try again.');
+        }
+        
+    } catch (error) {
+        console.error('OpenStudio: Failed to analyze competitors:', error);
+        component.showError('AI gap analysis failed. Please try again.');
+    } finally {
+        component.setBusy('analysis', false);
+    }
+}
+
+/**
+ * Ask AI for thumbnail concepts for the current title and description
+ */
+async function generateThumbnailConcepts() {
+    const component = window.OpenStudio.Components.ThumbnailConcepts;
+    try {
+        component.setBusy(true);
+        const response = await chrome.runtime.sendMessage({
+            action: 'generateThumbnailConcepts',
+            data: getCurrentVideoData()
+        });
+        
+        if (response && response.success) {
+            component.showConcepts(response.concepts, response.generatedAt);
+        } else {
+            component.showError(response?.error || 'Thumbnail concepts failed. Please try again.');
+        }
+        
+    } catch (error) {
+        console.error('OpenStudio: Failed to generate thumbnail concepts:', error);
+        component.showError('Thumbnail concepts failed. Please try again.');
+    } finally {
+        component.setBusy(false);
+    }
+}
+
+/**
+ * Show the thumbnail concepts saved with this video, checked against the current title
+ */
+async function restoreThumbnailConcepts() {
+    try {
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.ThumbnailConcepts;
+        const videoId = getCurrentVideoId();
+        if (!component || !videoId) return;
+        
+        const response = await chrome.runtime.sendMessage({
+            action: 'getThumbnailConcepts',
+            videoId,
+            title: getCurrentVideoData().title
+        });
+        if (response && response.success && response.concepts.length > 0) {
+            component.showConcepts(response.concepts, response.generatedAt);
+        }
+    } catch (error) {
+        console.error('OpenStudio: Failed to restore thumbnail concepts:', error);
+    }
+}
+
+/**
+ * Find the thumbnail Studio shows for the video, falling back to the published one
+ * @returns {string|null} Image URL
+ */
+function findThumbnailImageUrl() {
+    const selectors = [
+        'ytcp-thumbnails-compact-editor [aria-selected="true"] img',  // Primary current selector
+        'ytcp-thumbnails-compact-editor img',
+        'ytcp-thumbnail-uploader img',
+        '#still-picker img',
+        'ytcp-video-info img',
+        'img[src*="ytimg.com/vi"]'
+    ];
+    
+    // The background only loads thumbnails from YouTube's image host, data URLs and unsaved blob: picks
+    const isThumbnailSource = src => /^(blob:|data:image\/)/.test(src) || /^https:\/\/([\w-]+\.)?ytimg\.com\//.test(src);
+    
+    for (const selector of selectors) {
+        const image = document.querySelector(selector);
+        if (image && image.src && isThumbnailSource(image.src)) return image.src;
+    }
+    
+    const videoId = getCurrentVideoId();
+    return videoId ? `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg` : null;
+}
+
+/**
+ * Read a file or blob as a data URL
+ * @param {Blob} blob - File or blob
+ * @returns {Promise<string>} Data URL
+ */
+function readAsDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Check the thumbnail shown in Studio
+ */
+async function checkStudioThumbnail() {
+    try {
+        let imageUrl = findThumbnailImageUrl();
+        if (!imageUrl) {
+            window.OpenStudio.Components.ThumbnailCheck.showError('No thumbnail found on this page. Drop the image instead.');
+            return;
+        }
+        
+        // A thumbnail picked but not yet saved only exists in this page
+        if (imageUrl.startsWith('blob:')) {
+            imageUrl = await readAsDataUrl(await (await fetch(imageUrl)).blob());
+        }
+        await runThumbnailCheck(imageUrl, 'studio');
+    } catch (error) {
+        console.error('OpenStudio: Failed to read Studio thumbnail:', error);
+        window.OpenStudio.Components.ThumbnailCheck.showError('Could not read the Studio thumbnail. Drop the image instead.');
+    }
+}
+
+/**
+ * Check a dropped or chosen thumbnail file
+ * @param {File} file - Image file
+ */
+async function checkThumbnailFile(file) {
+    try {
+        await runThumbnailCheck(await readAsDataUrl(file), 'file');
+    } catch (error) {
+        console.error('OpenStudio: Failed to read thumbnail file:', error);
+        window.OpenStudio.Components.ThumbnailCheck.showError('Could not read that file.');
+    }
+}
+
+/**
+ * Have the background script analyse a thumbnail, then fold the result into the SEO suggestions
+ * @param {string} imageUrl - Image URL or data URL
+ * @param {string} source - 'studio' or 'file'
+ */
+async function runThumbnailCheck(imageUrl, source) {
+    const component = window.OpenStudio.Components.ThumbnailCheck;
+    try {
+        component.setBusy(true);
+        const response = await chrome.runtime.sendMessage({
+            action: 'checkThumbnail',
+            data: {
+                videoId: getCurrentVideoId(),
+                url: window.location.href,
+                imageUrl,
+                source
+            }
+        });
+        
+        if (response && response.success) {
+            component.showCheck(response.check, { imageUrl, previews: response.previews });
+            initializeSEOAnalysis({ live: true });
+        } else {
+            component.showError(response?.error || 'Thumbnail check failed. Please try again.');
+        }
+        
+    } catch (error) {
+        console.error('OpenStudio: Failed to check thumbnail:', error);
+        component.showError('Thumbnail check failed. Please try again.');
+    } finally {
+        component.setBusy(false);
+    }
+}
+
+/**
+ * Show the last thumbnail check saved with this video
+ */
+async function restoreThumbnailCheck() {
+    try {
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.ThumbnailCheck;
+        const videoId = getCurrentVideoId();
+        if (!component || !videoId) return;
+        
+        const response = await chrome.runtime.sendMessage({ action: 'getVideoAnalysis', videoId });
+        if (response && response.success && response.analysis && response.analysis.thumbnailCheck) {
+            component.showCheck(response.analysis.thumbnailCheck);
+        }
+    } catch (error) {
+        console.error('OpenStudio: Failed to restore thumbnail check:', error);
+    }
+}
+
+/**
+ * Read the video's comment threads and show what viewers ask and talk about
+ */
+async function analyzeComments() {
+    const component = window.OpenStudio.Components.CommentInsights;
+    try {
+        component.setBusy('analysis', true);
+        const response = await chrome.runtime.sendMessage({
+            action: 'analyzeComments',
+            data: getAnalysisRequestData()
+        });
+        
+        if (response && response.success) {
+            component.showInsights(response.insights);
+        } else {
+            component.showError(response?.error || 'Comment analysis failed. Please try again.');
+        }
+        
+    } catch (error) {
+        console.error('OpenStudio: Failed to analyze comments:', error);
+        component.showError('Comment analysis failed. Please try again.');
+    } finally {
+        component.setBusy('analysis', false);
+    }
+}
+
+/**
+ * Ask AI to summarize the analysed comments
+ */
+async function summarizeComments() {
+    const component = window.OpenStudio.Components.CommentInsights;
+    try {
+        component.setBusy('summary', true);
+        const response = await chrome.runtime.sendMessage({
+            action: 'summarizeComments',
+            data: getAnalysisRequestData()
+        });
+        
+        if (response && response.success) {
+            component.showInsights(response.insights);
+        } else {
+            component.showError(response?.error || 'Comment summary failed. Please try again.');
+        }
+        
+    } catch (error) {
+        console.error('OpenStudio: Failed to summarize comments:', error);
+        component.showError('Comment summary failed. Please try again.');
+    } finally {
+        component.setBusy('summary', false);
+    }
+}
+
+/**
+ * Add a follow-up topic from the comments to the content idea backlog
+ * @param {Object} topic - { title, reason }
+ */
+async function addTopicToIdeas(topic) {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'addIdea',
+            idea: {
+                title: topic.title,
+                description: `Follow-up to "${getCurrentVideoData().title || 'this video'}"`,
+                reasoning: topic.reason
+            }
+        });
+        
+        if (response && response.success) {
+            showNotification('💡 Added to your content ideas', 'success');
+        } else {
+            showNotification(`⚠️ ${response?.error || 'Could not add the idea'}`, 'warning');
+        }
+    } catch (error) {
+        console.error('OpenStudio: Failed to add idea:', error);
+        showNotification('❌ Could not add the idea', 'error');
+    }
+}
+
+/**
+ * Show the comment insights saved with this video, compared with the current metadata
+ */
+async function restoreCommentInsights() {
+    try {
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.CommentInsights;
+        if (!component || !getCurrentVideoId()) return;
+        
+        const response = await chrome.runtime.sendMessage({
+            action: 'getCommentInsights',
+            data: getAnalysisRequestData()
+        });
+        if (response && response.success && response.insights) {
+            component.showInsights(response.insights);
+        }
+    } catch (error) {
+        console.error('OpenStudio: Failed to restore comment insights:', error);
+    }
+}
+
+/**
+ * Load the saved description templates into the template picker
+ */
+async function loadTemplates() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getTemplates' });
+        if (response && response.success) {
+            state.templates = {
+                templates: response.templates,
+                socialLinks: response.socialLinks
+            };
+        }
+        
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.TemplatePicker;
+        if (component) {
+            component.setTemplates(state.templates.templates);
+        }
+        
+    } catch (error) {
+        console.error('OpenStudio: Failed to load templates:', error);
+    }
+}
+
+/**
+ * Values for the template placeholders, taken from the current video
+ */
+function getTemplateVariables(description) {
+    const parser = window.OpenStudio.DescriptionParser;
+    const titleElement = findTitleField();
+    
+    return {
+        title: titleElement ? getFieldValue(titleElement).trim() : '',
+        primaryKeyword: state.focusKeywords.primary,
+        date: new Date().toLocaleDateString(),
+        socialLinks: state.templates.socialLinks,
+        chapters: parser ? parser.buildChapterBlock(parser.parseChapters(description).chapters) : ''
+    };
+}
+
+/**
+ * Insert a template into the description (replacing it) or merge it in, then add its tags
+ */
+function applyTemplate(template, mode) {
+    try {
+        const engine = window.OpenStudio.TemplateEngine;
+        const descElement = findDescriptionField();
+        if (!descElement) {
+            showNotification('⚠️ Description field not found. Please refresh the page.', 'warning');
+            return;
+        }
+        
+        const current = getFieldValue(descElement);
+        const variables = getTemplateVariables(current);
+        const rendered = engine.renderTemplate(template.body, variables);
+        
+        if (mode === 'insert' && current.trim() && current.trim() !== rendered &&
+            !confirm(`Replace the current description with the "${template.name}" template?`)) {
+            return;
+        }
+        
+        const description = mode === 'merge' ? engine.mergeDescription(current, rendered) : rendered;
+        applyFieldChange('description', description, `Template: ${template.name}`);
+        
+        const tags = template.tags.map(tag => engine.renderTemplate(tag, variables)).filter(tag => tag.length > 0);
+        const tagsElement = findTagsField();
+        if (tags.length > 0 && tagsElement) {
+            applyFieldChange('tags', engine.mergeTags(getFieldValue(tagsElement), tags), `Template tags: ${template.name}`);
+        }
+        
+        loadChaptersFromDescription();
+        showNotification(`✅ ${mode === 'merge' ? 'Merged' : 'Inserted'} the "${template.name}" template`, 'success');
+        
+    } catch (error) {
+        console.error('OpenStudio: Failed to apply template:', error);
+        showNotification('❌ Failed to apply the template. Please try again.', 'error');
+    }
+}
+
+/**
+ * Load the channel's boilerplate blocks
+ */
+async function loadBoilerplateBlocks() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getBoilerplateBlocks' });
+        if (response && response.success) {
+            state.boilerplateBlocks = response.blocks;
+        }
+        renderBoilerplateStatus();
+        
+    } catch (error) {
+        console.error('OpenStudio: Failed to load boilerplate blocks:', error);
+    }
+}
+
+/**
+ * Show which boilerplate blocks the description has and which are outdated
+ */
+function renderBoilerplateStatus() {
+    const component = window.OpenStudio.Components && window.OpenStudio.Components.BoilerplateBlocks;
+    const descElement = findDescriptionField();
+    if (!component || !window.OpenStudio.Boilerplate) return;
+    
+    component.update(window.OpenStudio.Boilerplate.checkBlocks(
+        descElement ? getFieldValue(descElement) : '',
+        state.boilerplateBlocks
+    ));
+}
+
+/**
+ * Insert a boilerplate block at the end of the description, or update its copies
+ */
+function insertBoilerplateBlock(key) {
+    const block = state.boilerplateBlocks.find(item => item.key === key);
+    const descElement = findDescriptionField();
+    if (!block || !descElement) {
+        showNotification('⚠️ Description field not found. Please refresh the page.', 'warning');
+        return;
+    }
+    
+    const description = window.OpenStudio.Boilerplate.insertBlock(getFieldValue(descElement), block);
+    applyFieldChange('description', description, `Block: ${block.name || block.key}`);
+    renderBoilerplateStatus();
+}
+
+/**
+ * Update every outdated boilerplate block copy in the description
+ */
+function syncBoilerplateBlocks() {
+    const descElement = findDescriptionField();
+    if (!descElement) {
+        showNotification('⚠️ Description field not found. Please refresh the page.', 'warning');
+        return;
+    }
+    
+    const result = window.OpenStudio.Boilerplate.syncBlocks(getFieldValue(descElement), state.boilerplateBlocks);
+    if (result.updated.length === 0) return;
+    
+    applyFieldChange('description', result.description, 'Update blocks');
+    renderBoilerplateStatus();
+    showNotification(`✅ Updated ${result.updated.length} boilerplate block${result.updated.length === 1 ? '' : 's'}`, 'success');
+}
+
+/**
+ * Find the Studio field for a metadata field name
+ */
+function findMetadataField(fieldName) {
+    const finders = {
+        title: findTitleField,
+        description: findDescriptionField,
+        tags: findTagsField
+    };
+    return finders[fieldName] ? finders[fieldName]() : null;
+}
+
+/**
+ * Write a value into a Studio field, snapshotting the previous value for undo.
+ * Everything OpenStudio writes into the metadata fields goes through here.
+ */
+function applyFieldChange(fieldName, value, label) {
+    const field = findMetadataField(fieldName);
+    if (!field) return false;
+    
+    const before = getFieldValue(field);
+    if (before === value) return true;
+    
+    setFieldValue(field, value);
+    
+    // A new change discards anything that was undone
+    const history = state.changeHistory;
+    history.entries = history.entries.slice(0, history.position);
+    history.entries.push({
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        field: fieldName,
+        label,
+        before,
+        after: value,
+        appliedAt: new Date().toISOString()
+    });
+    history.position = history.entries.length;
+    
+    renderChangeHistory();
+    saveChangeHistory();
+    if (fieldName === 'tags') loadTagsIntoManager();
+    return true;
+}
+
+/**
+ * Revert the most recent applied change
+ */
+async function undoFieldChange() {
+    const history = state.changeHistory;
+    const entry = history.entries[history.position - 1];
+    if (!entry) return;
+    
+    if (await restoreHistoryValue(entry, entry.before, entry.after, 'Undo')) {
+        history.position--;
+        renderChangeHistory();
+        saveChangeHistory();
+        showNotification(`↩️ Undid "${entry.label}"`, 'info');
+    }
+}
+
+/**
+ * Re-apply the most recently undone change
+ */
+async function redoFieldChange() {
+    const history = state.changeHistory;
+    const entry = history.entries[history.position];
+    if (!entry) return;
+    
+    if (await restoreHistoryValue(entry, entry.after, entry.before, 'Redo')) {
+        history.position++;
+        renderChangeHistory();
+        saveChangeHistory();
+        showNotification(`↪️ Redid "${entry.label}"`, 'info');
+    }
+}
+
+/**
+ * Write a history value back into its field, asking first if the field was edited since
+ */
+async function restoreHistoryValue(entry, value, expected, action) {
+    const field = findMetadataField(entry.field);
+    if (!field) {
+        showNotification('⚠️ Field not found. Please refresh the page.', 'warning');
+        return false;
+    }
+    
+    if (getFieldValue(field) !== expected &&
+        !confirm(`The ${entry.field} was edited after "${entry.label}". ${action} anyway and lose those edits?`)) {
+        return false;
+    }
+    
+    setFieldValue(field, value);
+    if (entry.field === 'tags') loadTagsIntoManager();
+    return true;
+}
+
+/**
+ * Load the undo/redo history for this video
+ */
+async function restoreChangeHistory() {
+    try {
+        const videoId = getCurrentVideoId();
+        if (!videoId) return;
+        
+        const response = await chrome.runtime.sendMessage({ action: 'getChangeHistory', videoId });
+        if (response && response.success && response.record) {
+            state.changeHistory = {
+                entries: response.record.entries,
+                position: response.record.position
+            };
+            renderChangeHistory();
+        }
+        
+    } catch (error) {
+        console.error('OpenStudio: Failed to restore change history:', error);
+    }
+}
+
+/**
+ * Save the undo/redo history for this video
+ */
+async function saveChangeHistory() {
+    try {
+        const videoId = getCurrentVideoId();
+        if (!videoId) return;
+        
+        await chrome.runtime.sendMessage({
+            action: 'saveChangeHistory',
+            videoId,
+            record: state.changeHistory
+        });
+    } catch (error) {
+        console.error('OpenStudio: Failed to save change history:', error);
+    }
+}
+
+/**
+ * Render the history section
+ */
+function renderChangeHistory() {
+    const component = window.OpenStudio.Components && window.OpenStudio.Components.ChangeHistory;
+    if (component) {
+        component.update(state.changeHistory);
+    }
+}
+
+/**
+ * Read the text of an input, textarea or contenteditable field
+ */
+function getFieldValue(field) {
+    return typeof field.value === 'string' ? field.value : (field.textContent || '');
+}
+
+/**
+ * Set the text of an input, textarea or contenteditable field and notify Studio
+ */
+function setFieldValue(field, value) {
+    if (typeof field.value === 'string') {
+        field.value = value;
+    } else {
+        field.textContent = value;
+    }
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Enhance video description using AI or fallback.
+ * The rewrite is shown as a diff to approve hunk by hunk before anything is applied.
+ */
+async function enhanceDescription() {
+    try {
+        showNotification('📝 Enhancing description...', 'info');
+        
+        const videoData = getAnalysisRequestData();
+        if (!videoData.title && !videoData.description) {
+            showNotification('⚠️ No video content found. Please refresh or enter content manually.', 'warning');
+            return;
+        }
+        
+        const response = await chrome.runtime.sendMessage({
+            action: 'enhanceDescription',
+            feature: 'description',
+            videoTitle: videoData.title,
+            data: videoData
+        });
+        
+        if (response && response.success && response.enhancedDescription) {
+            const descElement = findDescriptionField();
+            if (descElement) {
+                const original = getFieldValue(descElement);
+                const label = response.source === 'ai' ? 'AI description' : 'Enhanced description';
+                const review = window.OpenStudio.Components && window.OpenStudio.Components.DescriptionReview;
+                
+                // The channel's own boilerplate blocks replace the stock call-to-action
+                const enhanced = window.OpenStudio.Boilerplate
+                    ? window.OpenStudio.Boilerplate.applyAutoBlocks(response.enhancedDescription, state.boilerplateBlocks)
+                    : response.enhancedDescription;
+                
+                if (original.trim() === enhanced.trim()) {
+                    showNotification('ℹ️ The enhanced description matches the current one', 'info');
+                    return;
+                }
+                
+                if (review && original.trim()) {
+                    review.open({ original, rewrite: enhanced, label });
+                    showNotification('📝 Review the changes in the panel before applying them', 'info');
+                    return;
+                }
+                
+                // Nothing hand-written to protect - apply directly (still undoable)
+                applyFieldChange('description', enhanced, label);
+                
+                // Show appropriate message based on source
+                const message = response.message || 'Description enhanced successfully!';
+                const notificationType = response.source === 'ai' ? 'success' : 'info';
+                showNotification(`${notificationType === 'success' ? '✅' : '🧠'} ${message}`, notificationType);
+            }
+        } else if (response && response.error) {
+            throw new Error(response.error);
+        } else {
+            throw new Error('Invalid response from background script');
+        }
+        
+    } catch (error) {
+        console.error('OpenStudio: Description enhancement failed:', error);
+        const errorMessage = error.message.includes('title') ? 
+            error.message : 
+            'Description enhancement failed. Please try again or check your settings.';
+        showNotification(`❌ ${errorMessage}`, 'error');
+    }
+}
+
+/**
+ * Find title field with multiple selector attempts
+ */
+function findTitleField() {
+    const selectors = [
+        'ytcp-social-suggestion-input input',  // Primary current selector
+        'textarea[aria-label*="title" i]',
+        '#video-title',
+        'input[placeholder*="title" i]',
+        'textarea[placeholder*="title" i]',
+        '[data-testid*="title"] input',
+        '[data-testid*="title"] textarea'
+    ];
+    
+    for (const selector of selectors) {
+        const element = findStudioElement(selector);
+        if (element) return element;
+    }
+    return null;
+}
+
+/**
+ * Find description field with multiple selector attempts
+ */
+function findDescriptionField() {
+    const selectors = [
+        'ytcp-mention-textbox textarea',  // Primary current selector
+        'textarea[aria-label*="description" i]',
+        '#video-description',
+        'textarea[placeholder*="description" i]',
+        '[data-testid*="description"] textarea'
+    ];
+    
+    for (const selector of selectors) {
+        const element = findStudioElement(selector);
+        if (element) return element;
+    }
+    return null;
+}
+
+/**
+ * Find tags field with multiple selector attempts
+ */
+function findTagsField() {
+    const selectors = [
+        'ytcp-form-input-container[internalname="keywords"] input',  // Primary current selector
+        'input[aria-label*="tags" i]',
+        '#video-tags',
+        'input[placeholder*="tags" i]',
+        '[data-testid*="tags"] input'
+    ];
+    
+    for (const selector of selectors) {
+        const element = findStudioElement(selector);
+        if (element) return element;
+    }
+    return null;
+}
+
+/**
+ * Create SEO Assistant Panel component using DOM API (CSP-compliant)
+ */
+function createSEOAssistantPanel() {
+    try {
+        // Main panel container
+        const panel = window.OpenStudio.DOM.createElement('div', {
+            id: 'openstudio-seo-panel',
+            className: 'openstudio-panel'
+        });
+        
+        if (!panel) {
+            throw new Error('Failed to create panel element');
+        }
+        
+        // Add styles first
+        addPanelStyles();
+        
+        // Create header
+        const header = createPanelHeader();
+        
+        // Create content
+        const content = createPanelContent();
+        
+        // Append sections
+        if (header && content) {
+            window.OpenStudio.DOM.safeAppendChild(panel, header);
+            window.OpenStudio.DOM.safeAppendChild(panel, content);
+        }
+        
+        // Setup event listeners
+        setupPanelEventListeners(panel);
+        
+        return panel;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating SEO assistant panel:', error);
+        return null;
+    }
+}
+
+/**
+ * Create panel header (CSP-compliant)
+ */
+function createPanelHeader() {
+    try {
+        const header = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-header' });
+        
+        const title = window.OpenStudio.DOM.createElement('h3', {}, '🎯 SEO Assistant');
+        
+        const toggleContainer = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-toggle' });
+        const toggleInput = window.OpenStudio.DOM.createElement('input', {
+            type: 'checkbox',
+            id: 'seo-enabled'
+        });
+        
+        // Set checked property properly for CSP compliance
+        if (toggleInput) {
+            toggleInput.checked = true;
+        }
+        const toggleLabel = window.OpenStudio.DOM.createElement('label', { for: 'seo-enabled' }, 'Enabled');
+        
+        window.OpenStudio.DOM.safeAppendChild(toggleContainer, toggleInput);
+        window.OpenStudio.DOM.safeAppendChild(toggleContainer, toggleLabel);
+        
+        window.OpenStudio.DOM.safeAppendChild(header, title);
+        window.OpenStudio.DOM.safeAppendChild(header, toggleContainer);
+        
+        return header;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating panel header:', error);
+        return null;
+    }
+}
+
+/**
+ * Create panel content (CSP-compliant)
+ */
+function createPanelContent() {
+    try {
         const content = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-content' });
         
-        // Create score card
-        const scoreCard = createScoreCard();
+        // Create score card
+        const scoreCard = createScoreCard();
+        
+        // Create niche selector
+        const nicheSelector = createNicheSelector();
+        
+        // Create language selector
+        const languageSelector = createLanguageSelector();
+        
+        // Create focus keyword section
+        const focusSection = createFocusKeywordSection();
+        
+        // Create suggestions section
+        const suggestionsSection = createSuggestionsSection();
+        
+        // Create search preview section
+        const previewSection = createPreviewSection();
+        
+        // Create title variant workspace
+        const titleVariantsSection = createTitleVariantsSection();
+        
+        // Create tag manager section
+        const tagsSection = createTagsSection();
+        
+        // Create keyword research section
+        const keywordSection = createKeywordResearchSection();
+        
+        // Create competitor benchmark section
+        const benchmarkSection = createBenchmarkSection();
+        
+        // Create thumbnail concepts section
+        const thumbnailSection = createThumbnailSection();
+        
+        // Create comment insights section
+        const commentsSection = createCommentsSection();
+        
+        // Create chapter editor section
+        const chaptersSection = createChaptersSection();
+        
+        // Create description template section
+        const templatesSection = createTemplatesSection();
+        
+        // Create boilerplate block section
+        const boilerplateSection = createBoilerplateSection();
+        
+        // Create undo/redo history section
+        const historySection = createHistorySection();
+        
+        // Create description rewrite review (hidden until a rewrite arrives)
+        const reviewSection = createDescriptionReviewSection();
+        
+        // Create actions section
+        const actionsSection = createActionsSection();
+        
+        // Group the sections into tabs; the score stays above and the actions below
+        const tabs = createPanelTabs([
+            {
+                id: 'seo',
+                label: 'SEO',
+                sections: [nicheSelector, languageSelector, focusSection, suggestionsSection, previewSection, titleVariantsSection, tagsSection, keywordSection]
+            },
+            { id: 'description', label: 'Description', sections: [chaptersSection, templatesSection, boilerplateSection] },
+            { id: 'benchmark', label: 'Benchmark', sections: [benchmarkSection] },
+            { id: 'thumbnail', label: 'Thumbnail', sections: [thumbnailSection] },
+            { id: 'comments', label: 'Comments', sections: [commentsSection] },
+            { id: 'history', label: 'History', sections: [historySection] }
+        ]);
+        
+        // Append all sections
+        if (scoreCard) window.OpenStudio.DOM.safeAppendChild(content, scoreCard);
+        if (tabs) window.OpenStudio.DOM.safeAppendChild(content, tabs);
+        if (reviewSection) window.OpenStudio.DOM.safeAppendChild(content, reviewSection);
+        if (actionsSection) window.OpenStudio.DOM.safeAppendChild(content, actionsSection);
+        
+        return content;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating panel content:', error);
+        return null;
+    }
+}
+
+/**
+ * Create the panel's tab strip and one pane per tab (CSP-compliant)
+ * @param {Array} tabs - [{ id, label, sections }]; tabs without sections are left out
+ * @returns {HTMLElement} Tab container
+ */
+function createPanelTabs(tabs) {
+    try {
+        const container = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-tabs' });
+        const strip = window.OpenStudio.DOM.createElement('div', { className: 'openstudio-tab-strip', role: 'tablist' });
+        const available = tabs
+            .map(tab => ({ ...tab, sections: tab.sections.filter(Boolean) }))
+            .filter(tab => tab.sections.length > 0);
+        
+        if (!available.some(tab => tab.id === state.activeTab)) {
+            state.activeTab = available.length > 0 ? available[0].id : 'seo';
+        }
+        
+        window.OpenStudio.DOM.safeAppendChild(container, strip);
+        
+        available.forEach(tab => {
+            const button = window.OpenStudio.DOM.createElement('button', {
+                className: 'openstudio-tab',
+                type: 'button',
+                role: 'tab',
+                'data-tab': tab.id
+            }, tab.label);
+            const pane = window.OpenStudio.DOM.createElement('div', {
+                className: 'openstudio-tab-pane',
+                role: 'tabpanel',
+                'data-tab': tab.id
+            });
+            
+            tab.sections.forEach(section => window.OpenStudio.DOM.safeAppendChild(pane, section));
+            window.OpenStudio.DOM.safeAddEventListener(button, 'click', () => selectPanelTab(tab.id));
+            
+            window.OpenStudio.DOM.safeAppendChild(strip, button);
+            window.OpenStudio.DOM.safeAppendChild(container, pane);
+        });
+        
+        selectPanelTab(state.activeTab, container);
+        
+        return container;
         
-        // Create suggestions section
-        const suggestionsSection = createSuggestionsSection();
+    } catch (error) {
+        console.error('OpenStudio: Error creating panel tabs:', error);
+        return null;
+    }
+}
+
+/**
+ * Show one of the panel's tabs
+ * @param {string} tabId - Tab ID
+ * @param {HTMLElement} root - Element holding the tabs (defaults to the panel)
+ */
+function selectPanelTab(tabId, root = state.seoPanel) {
+    try {
+        if (!root) return;
         
-        // Create actions section
-        const actionsSection = createActionsSection();
+        state.activeTab = tabId;
+        root.querySelectorAll('.openstudio-tab').forEach(button => {
+            const active = button.getAttribute('data-tab') === tabId;
+            window.OpenStudio.DOM.safeToggleClass(button, 'active', active);
+            button.setAttribute('aria-selected', String(active));
+        });
+        root.querySelectorAll('.openstudio-tab-pane').forEach(pane => {
+            pane.hidden = pane.getAttribute('data-tab') !== tabId;
+        });
+        
+    } catch (error) {
+        console.error('OpenStudio: Error selecting panel tab:', error);
+    }
+}
+
+/**
+ * Switch to the tab holding a panel section and scroll it into view
+ * @param {string} selector - Section selector
+ */
+function revealPanelSection(selector) {
+    try {
+        if (!state.seoPanel) return;
+        
+        const section = window.OpenStudio.DOM.safeQuerySelector(selector, state.seoPanel);
+        if (!section) return;
+        
+        const pane = section.closest('.openstudio-tab-pane');
+        if (pane) selectPanelTab(pane.getAttribute('data-tab'));
+        section.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        
+    } catch (error) {
+        console.error('OpenStudio: Error revealing panel section:', error);
+    }
+}
+
+/**
+ * Create score card section (CSP-compliant)
+ */
+function createScoreCard() {
+    try {
+        const scoreCard = window.OpenStudio.DOM.createElement('div', { className: 'seo-score-card' });
+        
+        // Score circle
+        const scoreCircle = window.OpenStudio.DOM.createElement('div', { className: 'score-circle' });
+        const scoreNumber = window.OpenStudio.DOM.createElement('span', { 
+            className: 'score-number',
+            id: 'seo-score'
+        }, '--');
+        const scoreLabel = window.OpenStudio.DOM.createElement('span', { className: 'score-label' }, 'SEO Score');
+        const scoreDelta = window.OpenStudio.DOM.createElement('span', {
+            className: 'score-delta',
+            id: 'seo-score-delta'
+        });
+        
+        window.OpenStudio.DOM.safeAppendChild(scoreCircle, scoreNumber);
+        window.OpenStudio.DOM.safeAppendChild(scoreCircle, scoreLabel);
+        
+        // Score details
+        const scoreDetails = window.OpenStudio.DOM.createElement('div', { className: 'score-details' });
+        window.OpenStudio.DOM.safeAppendChild(scoreDetails, scoreDelta);
+        
+        const metrics = [
+            { id: 'title-score', label: 'Title' },
+            { id: 'description-score', label: 'Description' },
+            { id: 'tags-score', label: 'Tags' },
+            { id: 'thumbnail-score', label: 'Thumbnail' }
+        ];
+        
+        metrics.forEach(metric => {
+            const scoreItem = window.OpenStudio.DOM.createElement('div', { className: 'score-item' });
+            const metricLabel = window.OpenStudio.DOM.createElement('span', { className: 'score-metric' }, metric.label);
+            const metricValue = window.OpenStudio.DOM.createElement('span', { 
+                className: 'score-value',
+                id: metric.id
+            }, '--');
+            
+            window.OpenStudio.DOM.safeAppendChild(scoreItem, metricLabel);
+            window.OpenStudio.DOM.safeAppendChild(scoreItem, metricValue);
+            window.OpenStudio.DOM.safeAppendChild(scoreDetails, scoreItem);
+        });
+        
+        window.OpenStudio.DOM.safeAppendChild(scoreCard, scoreCircle);
+        window.OpenStudio.DOM.safeAppendChild(scoreCard, scoreDetails);
+        
+        return scoreCard;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating score card:', error);
+        return null;
+    }
+}
+
+/**
+ * Create niche preset selector (CSP-compliant)
+ */
+function createNicheSelector() {
+    try {
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'niche-section' });
+        
+        const label = window.OpenStudio.DOM.createElement('label', { for: 'seo-niche' }, 'Niche');
+        const select = window.OpenStudio.DOM.createElement('select', { id: 'seo-niche' });
+        const autoOption = window.OpenStudio.DOM.createElement('option', { value: 'auto' }, 'Auto-detect');
+        const detected = window.OpenStudio.DOM.createElement('span', {
+            id: 'seo-niche-detected',
+            className: 'niche-detected'
+        });
+        
+        window.OpenStudio.DOM.safeAppendChild(select, autoOption);
+        window.OpenStudio.DOM.safeAppendChild(section, label);
+        window.OpenStudio.DOM.safeAppendChild(section, select);
+        window.OpenStudio.DOM.safeAppendChild(section, detected);
+        
+        // Presets are defined by the scorer in the background
+        chrome.runtime.sendMessage({ action: 'getNichePresets' }).then(response => {
+            if (!response || !response.success) return;
+            response.niches.forEach(niche => {
+                const option = window.OpenStudio.DOM.createElement('option', { value: niche.id }, niche.label);
+                window.OpenStudio.DOM.safeAppendChild(select, option);
+            });
+            select.value = state.selectedNiche;
+        }).catch(error => {
+            console.error('OpenStudio: Failed to load niche presets:', error);
+        });
+        
+        return section;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating niche selector:', error);
+        return null;
+    }
+}
+
+/**
+ * Create metadata language selector (CSP-compliant)
+ */
+function createLanguageSelector() {
+    try {
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'language-section' });
+        
+        const label = window.OpenStudio.DOM.createElement('label', { for: 'seo-language' }, 'Language');
+        const select = window.OpenStudio.DOM.createElement('select', { id: 'seo-language' });
+        const autoOption = window.OpenStudio.DOM.createElement('option', { value: 'auto' }, 'Auto-detect');
+        const detected = window.OpenStudio.DOM.createElement('span', {
+            id: 'seo-language-detected',
+            className: 'niche-detected'
+        });
+        
+        window.OpenStudio.DOM.safeAppendChild(select, autoOption);
+        window.OpenStudio.DOM.safeAppendChild(section, label);
+        window.OpenStudio.DOM.safeAppendChild(section, select);
+        window.OpenStudio.DOM.safeAppendChild(section, detected);
+        
+        // Language packs live with the scorer in the background
+        chrome.runtime.sendMessage({ action: 'getLanguages' }).then(response => {
+            if (!response || !response.success) return;
+            response.languages.forEach(language => {
+                const option = window.OpenStudio.DOM.createElement('option', { value: language.code }, language.name);
+                window.OpenStudio.DOM.safeAppendChild(select, option);
+            });
+            select.value = state.selectedLanguage;
+        }).catch(error => {
+            console.error('OpenStudio: Failed to load languages:', error);
+        });
+        
+        return section;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating language selector:', error);
+        return null;
+    }
+}
+
+/**
+ * Create focus keyword inputs and report (CSP-compliant)
+ */
+function createFocusKeywordSection() {
+    try {
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'focus-section' });
+        
+        const title = window.OpenStudio.DOM.createElement('h4', {}, '🎯 Focus Keyword');
+        const primaryInput = window.OpenStudio.DOM.createElement('input', {
+            type: 'text',
+            id: 'seo-focus-primary',
+            placeholder: 'Primary keyword'
+        });
+        const secondaryInput = window.OpenStudio.DOM.createElement('input', {
+            type: 'text',
+            id: 'seo-focus-secondary',
+            placeholder: 'Secondary keywords, comma separated'
+        });
+        const report = window.OpenStudio.DOM.createElement('ul', {
+            id: 'seo-focus-report',
+            className: 'focus-report'
+        });
+        
+        window.OpenStudio.DOM.safeAppendChild(section, title);
+        window.OpenStudio.DOM.safeAppendChild(section, primaryInput);
+        window.OpenStudio.DOM.safeAppendChild(section, secondaryInput);
+        window.OpenStudio.DOM.safeAppendChild(section, report);
+        
+        return section;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating focus keyword section:', error);
+        return null;
+    }
+}
+
+/**
+ * Create suggestions section (CSP-compliant)
+ */
+function createSuggestionsSection() {
+    try {
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'suggestions-section' });
+        
+        const title = window.OpenStudio.DOM.createElement('h4', {}, '💡 Suggestions');
+        const suggestionsContainer = window.OpenStudio.DOM.createElement('div', { 
+            id: 'seo-suggestions',
+            className: 'suggestions-list'
+        });
+        
+        const analyzingMessage = window.OpenStudio.DOM.createElement('p', { className: 'analyzing' }, 'Analyzing video metadata...');
+        window.OpenStudio.DOM.safeAppendChild(suggestionsContainer, analyzingMessage);
+        
+        window.OpenStudio.DOM.safeAppendChild(section, title);
+        window.OpenStudio.DOM.safeAppendChild(section, suggestionsContainer);
+        
+        return section;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating suggestions section:', error);
+        return null;
+    }
+}
+
+/**
+ * Create search-result preview section (CSP-compliant)
+ */
+function createPreviewSection() {
+    try {
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.SearchPreview;
+        if (!component) return null;
+        
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'preview-section' });
+        const title = window.OpenStudio.DOM.createElement('h4', {}, '👀 Search Preview');
+        const preview = component.create();
+        
+        window.OpenStudio.DOM.safeAppendChild(section, title);
+        window.OpenStudio.DOM.safeAppendChild(section, preview);
+        
+        return section;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating preview section:', error);
+        return null;
+    }
+}
+
+/**
+ * Create title variant workspace section (CSP-compliant)
+ */
+function createTitleVariantsSection() {
+    try {
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.TitleVariants;
+        if (!component) return null;
+        
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'title-variants-section' });
+        const title = window.OpenStudio.DOM.createElement('h4', {}, '🆎 Title Variants');
+        const workspace = component.create({
+            onGenerate: optimizeTitle,
+            onAddCurrent: addCurrentTitleVariant,
+            onEdit: editTitleVariant,
+            onTogglePin: toggleTitleVariantPin,
+            onApply: applyTitleVariant,
+            onRemove: removeTitleVariant
+        });
+        
+        window.OpenStudio.DOM.safeAppendChild(section, title);
+        window.OpenStudio.DOM.safeAppendChild(section, workspace);
+        
+        return section;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating title variants section:', error);
+        return null;
+    }
+}
+
+/**
+ * Create keyword research section (CSP-compliant)
+ */
+function createKeywordResearchSection() {
+    try {
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.KeywordResearch;
+        if (!component || !window.OpenStudio.TagUtils) return null;
+        
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'keyword-research-section' });
+        const title = window.OpenStudio.DOM.createElement('h4', {}, '🔎 Keyword Research');
+        const research = component.create({
+            onResearch: researchKeyword,
+            onAddToTitle: addKeywordToTitle,
+            onAddToTags: (term) => addKeywordToTags(term)
+        });
+        
+        window.OpenStudio.DOM.safeAppendChild(section, title);
+        window.OpenStudio.DOM.safeAppendChild(section, research);
+        
+        return section;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating keyword research section:', error);
+        return null;
+    }
+}
+
+/**
+ * Create competitor benchmark section (CSP-compliant)
+ */
+function createBenchmarkSection() {
+    try {
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.CompetitorBenchmark;
+        if (!component || !window.OpenStudio.TagUtils) return null;
+        
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'benchmark-section' });
+        const title = window.OpenStudio.DOM.createElement('h4', {}, '📊 Benchmark');
+        const benchmark = component.create({
+            onRun: runBenchmark,
+            onAnalyze: analyzeCompetitorGaps,
+            onAddTag: (tag) => addKeywordToTags(tag, 'Benchmark')
+        });
+        
+        window.OpenStudio.DOM.safeAppendChild(section, title);
+        window.OpenStudio.DOM.safeAppendChild(section, benchmark);
+        
+        return section;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating benchmark section:', error);
+        return null;
+    }
+}
+
+/**
+ * Create thumbnail section with the concepts and the legibility check (CSP-compliant)
+ */
+function createThumbnailSection() {
+    try {
+        const components = window.OpenStudio.Components || {};
+        if (!components.ThumbnailConcepts && !components.ThumbnailCheck) return null;
+        
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'thumbnail-section' });
+        const title = window.OpenStudio.DOM.createElement('h4', {}, '🖼️ Thumbnail');
+        window.OpenStudio.DOM.safeAppendChild(section, title);
+        
+        if (components.ThumbnailConcepts) {
+            const concepts = components.ThumbnailConcepts.create({ onGenerate: generateThumbnailConcepts });
+            window.OpenStudio.DOM.safeAppendChild(section, concepts);
+        }
+        if (components.ThumbnailCheck) {
+            const check = components.ThumbnailCheck.create({
+                onCheckStudio: checkStudioThumbnail,
+                onCheckFile: checkThumbnailFile
+            });
+            window.OpenStudio.DOM.safeAppendChild(section, check);
+        }
+        
+        return section;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating thumbnail section:', error);
+        return null;
+    }
+}
+
+/**
+ * Create comment insights section (CSP-compliant)
+ */
+function createCommentsSection() {
+    try {
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.CommentInsights;
+        if (!component || !window.OpenStudio.TagUtils) return null;
+        
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'comments-section' });
+        const title = window.OpenStudio.DOM.createElement('h4', {}, '💬 Comment Insights');
+        const insights = component.create({
+            onAnalyze: analyzeComments,
+            onSummarize: summarizeComments,
+            onAddTag: (term) => addKeywordToTags(term, 'Comment insights'),
+            onAddIdea: addTopicToIdeas
+        });
+        
+        window.OpenStudio.DOM.safeAppendChild(section, title);
+        window.OpenStudio.DOM.safeAppendChild(section, insights);
+        
+        return section;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating comment insights section:', error);
+        return null;
+    }
+}
+
+/**
+ * Create tag manager section (CSP-compliant)
+ */
+function createTagsSection() {
+    try {
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.TagManager;
+        if (!component || !window.OpenStudio.TagUtils) return null;
+        
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'tags-section' });
+        const title = window.OpenStudio.DOM.createElement('h4', {}, '🏷️ Tag Manager');
+        const manager = component.create({
+            onGenerate: generateTagSuggestions,
+            onReload: loadTagsIntoManager,
+            onApply: applyManagedTags
+        });
+        
+        window.OpenStudio.DOM.safeAppendChild(section, title);
+        window.OpenStudio.DOM.safeAppendChild(section, manager);
+        
+        return section;
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating tags section:', error);
+        return null;
+    }
+}
+
+/**
+ * Create chapter editor section (CSP-compliant)
+ */
+function createChaptersSection() {
+    try {
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.ChapterEditor;
+        if (!component) return null;
+        
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'chapters-section' });
+        const title = window.OpenStudio.DOM.createElement('h4', {}, '⏱️ Chapters');
+        const editor = component.create({
+            onReload: loadChaptersFromDescription,
+            onWrite: writeChaptersToDescription
+        });
         
-        // Append all sections
-        if (scoreCard) window.OpenStudio.DOM.safeAppendChild(content, scoreCard);
-        if (suggestionsSection) window.OpenStudio.DOM.safeAppendChild(content, suggestionsSection);
-        if (actionsSection) window.OpenStudio.DOM.safeAppendChild(content, actionsSection);
+        window.OpenStudio.DOM.safeAppendChild(section, title);
+        window.OpenStudio.DOM.safeAppendChild(section, editor);
         
-        return content;
+        return section;
         
     } catch (error) {
-        console.error('OpenStudio: Error creating panel content:', error);
+        console.error('OpenStudio: Error creating chapters section:', error);
         return null;
     }
 }
 
 /**
- * Create score card section (CSP-compliant)
+ * Create description template section (CSP-compliant)
  */
-function createScoreCard() {
+function createTemplatesSection() {
     try {
-        const scoreCard = window.OpenStudio.DOM.createElement('div', { className: 'seo-score-card' });
-        
-        // Score circle
-        const scoreCircle = window.OpenStudio.DOM.createElement('div', { className: 'score-circle' });
-        const scoreNumber = window.OpenStudio.DOM.createElement('span', { 
-            className: 'score-number',
-            id: 'seo-score'
-        }, '--');
-        const scoreLabel = window.OpenStudio.DOM.createElement('span', { className: 'score-label' }, 'SEO Score');
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.TemplatePicker;
+        if (!component || !window.OpenStudio.TemplateEngine) return null;
         
-        window.OpenStudio.DOM.safeAppendChild(scoreCircle, scoreNumber);
-        window.OpenStudio.DOM.safeAppendChild(scoreCircle, scoreLabel);
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'templates-section' });
+        const title = window.OpenStudio.DOM.createElement('h4', {}, '🧩 Templates');
+        const picker = component.create({ onApply: applyTemplate });
         
-        // Score details
-        const scoreDetails = window.OpenStudio.DOM.createElement('div', { className: 'score-details' });
+        window.OpenStudio.DOM.safeAppendChild(section, title);
+        window.OpenStudio.DOM.safeAppendChild(section, picker);
         
-        const metrics = [
-            { id: 'title-score', label: 'Title' },
-            { id: 'description-score', label: 'Description' },
-            { id: 'tags-score', label: 'Tags' }
-        ];
+        return section;
         
-        metrics.forEach(metric => {
-            const scoreItem = window.OpenStudio.DOM.createElement('div', { className: 'score-item' });
-            const metricLabel = window.OpenStudio.DOM.createElement('span', { className: 'score-metric' }, metric.label);
-            const metricValue = window.OpenStudio.DOM.createElement('span', { 
-                className: 'score-value',
-                id: metric.id
-            }, '--');
-            
-            window.OpenStudio.DOM.safeAppendChild(scoreItem, metricLabel);
-            window.OpenStudio.DOM.safeAppendChild(scoreItem, metricValue);
-            window.OpenStudio.DOM.safeAppendChild(scoreDetails, scoreItem);
+    } catch (error) {
+        console.error('OpenStudio: Error creating templates section:', error);
+        return null;
+    }
+}
+
+/**
+ * Create boilerplate block section (CSP-compliant)
+ */
+function createBoilerplateSection() {
+    try {
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.BoilerplateBlocks;
+        if (!component || !window.OpenStudio.Boilerplate) return null;
+        
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'boilerplate-section' });
+        const title = window.OpenStudio.DOM.createElement('h4', {}, '🧱 Boilerplate Blocks');
+        const blocks = component.create({
+            onInsert: insertBoilerplateBlock,
+            onSyncAll: syncBoilerplateBlocks
         });
         
-        window.OpenStudio.DOM.safeAppendChild(scoreCard, scoreCircle);
-        window.OpenStudio.DOM.safeAppendChild(scoreCard, scoreDetails);
+        window.OpenStudio.DOM.safeAppendChild(section, title);
+        window.OpenStudio.DOM.safeAppendChild(section, blocks);
         
-        return scoreCard;
+        return section;
         
     } catch (error) {
-        console.error('OpenStudio: Error creating score card:', error);
+        console.error('OpenStudio: Error creating boilerplate section:', error);
         return null;
     }
 }
 
 /**
- * Create suggestions section (CSP-compliant)
+ * Create undo/redo history section (CSP-compliant)
  */
-function createSuggestionsSection() {
+function createHistorySection() {
     try {
-        const section = window.OpenStudio.DOM.createElement('div', { className: 'suggestions-section' });
-        
-        const title = window.OpenStudio.DOM.createElement('h4', {}, '💡 Suggestions');
-        const suggestionsContainer = window.OpenStudio.DOM.createElement('div', { 
-            id: 'seo-suggestions',
-            className: 'suggestions-list'
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.ChangeHistory;
+        if (!component) return null;
+        
+        const section = window.OpenStudio.DOM.createElement('div', { className: 'history-section' });
+        const title = window.OpenStudio.DOM.createElement('h4', {}, '🕘 Change History');
+        const history = component.create({
+            onUndo: undoFieldChange,
+            onRedo: redoFieldChange
         });
         
-        const analyzingMessage = window.OpenStudio.DOM.createElement('p', { className: 'analyzing' }, 'Analyzing video metadata...');
-        window.OpenStudio.DOM.safeAppendChild(suggestionsContainer, analyzingMessage);
-        
         window.OpenStudio.DOM.safeAppendChild(section, title);
-        window.OpenStudio.DOM.safeAppendChild(section, suggestionsContainer);
+        window.OpenStudio.DOM.safeAppendChild(section, history);
         
         return section;
         
     } catch (error) {
-        console.error('OpenStudio: Error creating suggestions section:', error);
+        console.error('OpenStudio: Error creating history section:', error);
+        return null;
+    }
+}
+
+/**
+ * Create description rewrite review section (CSP-compliant)
+ */
+function createDescriptionReviewSection() {
+    try {
+        const component = window.OpenStudio.Components && window.OpenStudio.Components.DescriptionReview;
+        if (!component) return null;
+        
+        return component.create({
+            onApply: (text, label) => {
+                if (applyFieldChange('description', text, label)) {
+                    showNotification('✅ Description updated - undo is available in Change History', 'success');
+                } else {
+                    showNotification('⚠️ Description field not found. Please refresh the page.', 'warning');
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('OpenStudio: Error creating description review section:', error);
         return null;
     }
 }
@@ -1280,6 +3078,35 @@ function setupPanelEventListeners(panel) {
             });
         }
         
+        // Niche preset selector
+        const nicheSelect = window.OpenStudio.DOM.safeQuerySelector('#seo-niche', panel);
+        if (nicheSelect) {
+            window.OpenStudio.DOM.safeAddEventListener(nicheSelect, 'change', (e) => {
+                state.selectedNiche = e.target.value;
+                initializeSEOAnalysis();
+            });
+        }
+        
+        // Metadata language selector
+        const languageSelect = window.OpenStudio.DOM.safeQuerySelector('#seo-language', panel);
+        if (languageSelect) {
+            window.OpenStudio.DOM.safeAddEventListener(languageSelect, 'change', (e) => {
+                state.selectedLanguage = e.target.value;
+                initializeSEOAnalysis();
+            });
+        }
+        
+        // Focus keyword inputs - re-score once the user commits a value
+        ['#seo-focus-primary', '#seo-focus-secondary'].forEach(selector => {
+            const input = window.OpenStudio.DOM.safeQuerySelector(selector, panel);
+            if (input) {
+                window.OpenStudio.DOM.safeAddEventListener(input, 'change', () => {
+                    updateFocusKeywordsFromPanel();
+                    initializeSEOAnalysis();
+                });
+            }
+        });
+        
         // Action buttons with defensive error handling
         const buttons = [
             { id: 'generate-tags', handler: generateTagSuggestions },
@@ -1369,6 +3196,38 @@ function addPanelStyles() {
                 padding: 20px;
             }
             
+            .openstudio-tab-strip {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                margin-bottom: 16px;
+                border-bottom: 1px solid #e0e0e0;
+            }
+            
+            .openstudio-tab {
+                padding: 6px 10px;
+                border: none;
+                border-bottom: 2px solid transparent;
+                background: none;
+                font-size: 13px;
+                color: #666;
+                cursor: pointer;
+            }
+            
+            .openstudio-tab:hover {
+                color: #333;
+            }
+            
+            .openstudio-tab.active {
+                border-bottom-color: #667eea;
+                color: #667eea;
+                font-weight: 500;
+            }
+            
+            .openstudio-tab-pane[hidden] {
+                display: none;
+            }
+            
             .seo-score-card {
                 display: flex;
                 gap: 20px;
@@ -1431,6 +3290,117 @@ function addPanelStyles() {
                 color: #333;
             }
             
+            .score-delta {
+                display: block;
+                font-size: 12px;
+                font-weight: 600;
+            }
+            
+            .score-delta:empty {
+                display: none;
+            }
+            
+            .score-delta.positive {
+                color: #28a745;
+            }
+            
+            .score-delta.negative {
+                color: #dc3545;
+            }
+            
+            .preview-section,
+            .title-variants-section,
+            .tags-section,
+            .keyword-research-section,
+            .benchmark-section,
+            .thumbnail-section,
+            .comments-section,
+            .chapters-section,
+            .templates-section,
+            .boilerplate-section,
+            .history-section {
+                margin-bottom: 20px;
+            }
+            
+            .preview-section h4,
+            .title-variants-section h4,
+            .tags-section h4,
+            .keyword-research-section h4,
+            .benchmark-section h4,
+            .thumbnail-section h4,
+            .comments-section h4,
+            .chapters-section h4,
+            .templates-section h4,
+            .boilerplate-section h4,
+            .history-section h4 {
+                margin: 0 0 12px 0;
+                font-size: 14px;
+                color: #333;
+            }
+            
+            .field-annotation-note {
+                margin: 0 0 8px 0;
+                font-size: 12px;
+                color: #666;
+            }
+            
+            .niche-section,
+            .language-section {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                margin-bottom: 16px;
+                font-size: 13px;
+                color: #666;
+            }
+            
+            .niche-section select,
+            .language-section select {
+                padding: 4px 8px;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                font-size: 13px;
+            }
+            
+            .niche-detected {
+                font-style: italic;
+            }
+            
+            .focus-section {
+                margin-bottom: 16px;
+            }
+            
+            .focus-section h4 {
+                margin: 0 0 8px 0;
+                font-size: 14px;
+                color: #333;
+            }
+            
+            .focus-section input {
+                width: 100%;
+                box-sizing: border-box;
+                padding: 6px 8px;
+                margin-bottom: 6px;
+                border: 1px solid #dee2e6;
+                border-radius: 4px;
+                font-size: 13px;
+            }
+            
+            .focus-report {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+                font-size: 12px;
+            }
+            
+            .focus-check.pass {
+                color: #28a745;
+            }
+            
+            .focus-check.fail {
+                color: #dc3545;
+            }
+            
             .suggestions-section h4 {
                 margin: 0 0 12px 0;
                 font-size: 14px;
@@ -1592,38 +3562,72 @@ function showNotification(message, type = 'info') {
 /**
  * Initialize SEO analysis for current video
  */
-async function initializeSEOAnalysis() {
+async function initializeSEOAnalysis(options = {}) {
+    // Responses can arrive out of order; only the newest request may update the panel
+    const requestId = ++state.analysisRequestId;
+    const isStale = () => requestId !== state.analysisRequestId;
+    
     try {
-        console.log('OpenStudio: Initializing SEO analysis');
+        const live = options.live === true;
+        if (!live) {
+            console.log('OpenStudio: Initializing SEO analysis');
+        }
         
-        const videoData = getCurrentVideoData();
+        const videoData = getAnalysisRequestData();
         if (!videoData) {
             throw new Error('No video data available');
         }
         
-        // Use fallback analysis if FallbackHelper is available
-        if (window.OpenStudio && window.OpenStudio.FallbackHelper) {
-            const analysis = window.OpenStudio.FallbackHelper.analyzeSEOScore(
-                videoData.title, 
-                videoData.description, 
-                videoData.tags
-            );
+        // Run the shared SEO scorer in the background so every caller sees the same analysis.
+        // Live scores reflect unsaved edits, so they are not stored.
+        const response = await chrome.runtime.sendMessage({
+            action: 'analyzeVideo',
+            data: videoData,
+            persist: !live
+        });
+        if (isStale()) return;
+        
+        if (response && response.success && response.analysis) {
+            const analysis = response.analysis;
+            
+            // The first analysis after injection reflects the saved metadata
+            if (!state.savedMetadata) {
+                state.savedMetadata = getMetadataSnapshot(videoData);
+                state.savedScore = analysis.overallScore;
+            } else if (!live) {
+                // Settings may have changed - re-score the saved metadata with them
+                await refreshSavedScore();
+                if (isStale()) return;
+            }
+            
             updateSEODisplay({
+                delta: state.savedScore === null ? null : analysis.overallScore - state.savedScore,
                 seoScore: analysis.overallScore,
-                titleScore: analysis.titleScore,
-                descriptionScore: analysis.descriptionScore,
-                tagsScore: analysis.tagsScore,
-                suggestions: analysis.suggestions
+                titleScore: analysis.components.title.score,
+                descriptionScore: analysis.components.description.score,
+                tagsScore: analysis.components.tags.score,
+                thumbnailScore: analysis.thumbnailCheck ? analysis.thumbnailCheck.score : null,
+                suggestions: analysis.suggestions,
+                niche: analysis.niche,
+                language: analysis.language,
+                focus: analysis.focus,
+                annotations: analysis.annotations
             });
+            
+            // Variant scores depend on the rest of the metadata; live edits only move the "live" marker
+            if (live) {
+                renderTitleVariants();
+            } else {
+                rescoreTitleVariants();
+            }
+            
+            renderBoilerplateStatus();
         } else {
-            // Fallback to simple analysis
-            updateSEODisplay({
-                seoScore: videoData.title ? 50 : 0,
-                suggestions: ['Configure API keys for detailed analysis', 'Add a compelling title', 'Write detailed description']
-            });
+            throw new Error(response?.error || 'SEO analysis unavailable');
         }
         
     } catch (error) {
+        if (isStale()) return;
         console.error('OpenStudio: Failed to initialize SEO analysis:', error);
         
         // Show fallback data
@@ -1634,6 +3638,63 @@ async function initializeSEOAnalysis() {
     }
 }
 
+/**
+ * Re-score after the user stops typing
+ */
+function scheduleLiveAnalysis() {
+    if (!state.isInjected) return;
+    
+    clearTimeout(state.liveScoreTimer);
+    state.liveScoreTimer = setTimeout(() => {
+        state.liveScoreTimer = null;
+        initializeSEOAnalysis({ live: true });
+    }, window.OpenStudio.TIMING.LIVE_SCORE_DEBOUNCE);
+}
+
+/**
+ * Pick the scored metadata fields from video data
+ */
+function getMetadataSnapshot(videoData) {
+    return {
+        title: videoData.title || '',
+        description: videoData.description || '',
+        tags: videoData.tags || ''
+    };
+}
+
+/**
+ * Score the last saved metadata with the panel's current settings
+ */
+async function refreshSavedScore() {
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'analyzeVideo',
+            data: { ...getAnalysisRequestData(), ...state.savedMetadata },
+            persist: false
+        });
+        
+        if (response && response.success && response.analysis) {
+            state.savedScore = response.analysis.overallScore;
+        }
+    } catch (error) {
+        console.error('OpenStudio: Failed to score saved metadata:', error);
+    }
+}
+
+/**
+ * Treat the current field values as saved and store their analysis
+ */
+function markMetadataSaved() {
+    try {
+        clearTimeout(state.liveScoreTimer);
+        videoDataCache.clear();
+        state.savedMetadata = getMetadataSnapshot(getCurrentVideoData() || {});
+        initializeSEOAnalysis();
+    } catch (error) {
+        console.error('OpenStudio: Error updating saved baseline:', error);
+    }
+}
+
 /**
  * Update SEO display with analysis results (CSP-compliant)
  */
@@ -1647,25 +3708,40 @@ function updateSEODisplay(analysis) {
             scoreElement.textContent = analysis.seoScore || '--';
         }
         
+        // Mark field-specific issues next to their fields; the panel lists the rest
+        const placedMessages = new Set(renderFieldAnnotations(analysis.annotations));
+        const panelSuggestions = Array.isArray(analysis.suggestions)
+            ? analysis.suggestions.filter(suggestion => !placedMessages.has(suggestion))
+            : analysis.suggestions;
+        
         // Update suggestions with safe DOM manipulation
         const suggestionsContainer = window.OpenStudio.DOM.safeQuerySelector('#seo-suggestions', state.seoPanel);
-        if (suggestionsContainer && analysis.suggestions) {
+        if (suggestionsContainer && panelSuggestions) {
             // Clear existing content safely
             while (suggestionsContainer.firstChild) {
                 suggestionsContainer.removeChild(suggestionsContainer.firstChild);
             }
             
-            if (Array.isArray(analysis.suggestions) && analysis.suggestions.length > 0) {
+            if (placedMessages.size > 0) {
+                const fieldNote = window.OpenStudio.DOM.createElement(
+                    'p',
+                    { className: 'field-annotation-note' },
+                    `📍 ${placedMessages.size} issue(s) marked next to the fields`
+                );
+                window.OpenStudio.DOM.safeAppendChild(suggestionsContainer, fieldNote);
+            }
+            
+            if (Array.isArray(panelSuggestions) && panelSuggestions.length > 0) {
                 const suggestionsList = window.OpenStudio.DOM.createElement('ul', { className: 'suggestions-list' });
                 
-                analysis.suggestions.forEach(suggestion => {
+                panelSuggestions.forEach(suggestion => {
                     const suggestionText = typeof suggestion === 'string' ? suggestion : suggestion.text || '';
                     const listItem = window.OpenStudio.DOM.createElement('li', { className: 'suggestion-item' }, suggestionText);
                     window.OpenStudio.DOM.safeAppendChild(suggestionsList, listItem);
                 });
                 
                 window.OpenStudio.DOM.safeAppendChild(suggestionsContainer, suggestionsList);
-            } else {
+            } else if (placedMessages.size === 0) {
                 const noSuggestions = window.OpenStudio.DOM.createElement('p', { className: 'no-suggestions' }, 'No suggestions available.');
                 window.OpenStudio.DOM.safeAppendChild(suggestionsContainer, noSuggestions);
             }
@@ -1674,11 +3750,118 @@ function updateSEODisplay(analysis) {
         // Update individual scores
         updateIndividualScores(analysis);
         
+        // Show how far the unsaved edits moved the score
+        const deltaElement = window.OpenStudio.DOM.safeQuerySelector('#seo-score-delta', state.seoPanel);
+        if (deltaElement) {
+            const delta = analysis.delta || 0;
+            deltaElement.textContent = delta !== 0
+                ? `${delta > 0 ? '+' : ''}${delta} since last save`
+                : '';
+            deltaElement.className = `score-delta ${delta > 0 ? 'positive' : delta < 0 ? 'negative' : ''}`;
+        }
+        
+        // Update focus keyword report
+        updateFocusReport(analysis.focus);
+        
+        // Update search-result preview with the current field values
+        if (window.OpenStudio.Components && window.OpenStudio.Components.SearchPreview) {
+            const videoData = getCurrentVideoData() || {};
+            window.OpenStudio.Components.SearchPreview.update({
+                title: videoData.title || '',
+                description: videoData.description || ''
+            });
+        }
+        
+        // Show which language the metadata was analyzed in
+        const languageElement = window.OpenStudio.DOM.safeQuerySelector('#seo-language-detected', state.seoPanel);
+        if (languageElement) {
+            languageElement.textContent = analysis.language && analysis.language.source === 'detected'
+                ? `Detected: ${analysis.language.name}`
+                : '';
+        }
+        
+        // Show which niche preset was applied
+        const nicheElement = window.OpenStudio.DOM.safeQuerySelector('#seo-niche-detected', state.seoPanel);
+        if (nicheElement) {
+            nicheElement.textContent = analysis.niche && analysis.niche.source === 'detected'
+                ? `Detected: ${analysis.niche.label}`
+                : '';
+        }
+        
     } catch (error) {
         console.error('OpenStudio: Error updating SEO display:', error);
     }
 }
 
+/**
+ * Show scorer annotations inline next to the Studio fields
+ * @returns {Array} Messages that were placed on a field
+ */
+function renderFieldAnnotations(annotations) {
+    const component = window.OpenStudio.Components && window.OpenStudio.Components.FieldAnnotations;
+    if (!component) return [];
+    
+    return component.render(annotations || [], {
+        title: findTitleField(),
+        description: findDescriptionField(),
+        tags: findTagsField()
+    });
+}
+
+/**
+ * Render the focus keyword checks
+ */
+function updateFocusReport(focus) {
+    const report = window.OpenStudio.DOM.safeQuerySelector('#seo-focus-report', state.seoPanel);
+    if (!report) return;
+    
+    while (report.firstChild) {
+        report.removeChild(report.firstChild);
+    }
+    
+    if (!focus) return;
+    
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const checks = [
+        {
+            ok: focus.title.found && focus.title.nearStart,
+            text: focus.title.found
+                ? `In title at word ${focus.title.position}`
+                : 'Not in title'
+        },
+        {
+            ok: focus.description.inOpening,
+            text: focus.description.inOpening
+                ? 'In description opening'
+                : 'Not in description opening'
+        },
+        {
+            ok: focus.description.densityStatus === 'ok',
+            text: `Description density ${percent(focus.description.density)} (target ${percent(focus.description.targetDensity)})`
+        },
+        {
+            ok: focus.tags.exact,
+            text: focus.tags.exact
+                ? 'Exact tag present'
+                : `${focus.tags.matchingTags.length} tag(s) contain it`
+        }
+    ];
+    
+    focus.secondary.forEach(item => {
+        checks.push({
+            ok: item.inTitle || item.inDescription || item.inTags,
+            text: `Secondary "${item.keyword}"`
+        });
+    });
+    
+    checks.forEach(check => {
+        const item = window.OpenStudio.DOM.createElement('li', {
+            className: check.ok ? 'focus-check pass' : 'focus-check fail'
+        }, `${check.ok ? '✓' : '✗'} ${check.text}`);
+        window.OpenStudio.DOM.safeAppendChild(report, item);
+    });
+}
+
 /**
  * Update individual metric scores
  */
@@ -1688,7 +3871,8 @@ function updateIndividualScores(analysis) {
         const scores = {
             title: analysis?.titleScore || '--',
             description: analysis?.descriptionScore || '--',
-            tags: analysis?.tagsScore || '--'
+            tags: analysis?.tagsScore || '--',
+            thumbnail: analysis?.thumbnailScore || '--'
         };
         
         Object.keys(scores).forEach(metric => {
@@ -1708,6 +3892,9 @@ function updateIndividualScores(analysis) {
  */
 function clearSEOData() {
     try {
+        // Drop analyses still in flight so they cannot refill the panel
+        state.analysisRequestId++;
+        
         if (state.seoPanel) {
             const scoreElement = window.OpenStudio.DOM.safeQuerySelector('#seo-score', state.seoPanel);
             const suggestionsElement = window.OpenStudio.DOM.safeQuerySelector('#seo-suggestions', state.seoPanel);
@@ -1725,13 +3912,24 @@ function clearSEOData() {
                 window.OpenStudio.DOM.safeAppendChild(suggestionsElement, disabledMessage);
             }
             
+            // Clear inline field markers
+            renderFieldAnnotations([]);
+            
             // Clear individual scores
-            ['title-score', 'description-score', 'tags-score'].forEach(id => {
+            ['title-score', 'description-score', 'tags-score', 'thumbnail-score'].forEach(id => {
                 const element = window.OpenStudio.DOM.safeQuerySelector(`#${id}`, state.seoPanel);
                 if (element) {
                     element.textContent = '--';
                 }
             });
+            
+            // Clear the score change and the focus keyword report
+            const deltaElement = window.OpenStudio.DOM.safeQuerySelector('#seo-score-delta', state.seoPanel);
+            if (deltaElement) {
+                deltaElement.textContent = '';
+                deltaElement.className = 'score-delta';
+            }
+            updateFocusReport(null);
         }
     } catch (error) {
         console.error('OpenStudio: Error clearing SEO data:', error);
@@ -1745,7 +3943,7 @@ function getCurrentPageData() {
     try {
         return {
             pageType: state.currentPage,
-            currentVideo: getCurrentVideoData(),
+            currentVideo: getAnalysisRequestData(),
             isInjected: state.isInjected,
             timestamp: new Date().toISOString(),
             version: '1.0.2-enterprise'
@@ -1802,6 +4000,14 @@ function cleanupInjection() {
             window.OpenStudio.DOM.safeRemoveElement(state.seoPanel);
         }
         
+        if (window.OpenStudio.Components && window.OpenStudio.Components.FieldAnnotations) {
+            window.OpenStudio.Components.FieldAnnotations.clear();
+        }
+        
+        if (window.OpenStudio.Components && window.OpenStudio.Components.TagManager) {
+            window.OpenStudio.Components.TagManager.reset();
+        }
+        
         // Remove styles if no panels exist
         const existingPanels = document.querySelectorAll('.openstudio-panel');
         if (existingPanels.length === 0) {
@@ -1814,6 +4020,15 @@ function cleanupInjection() {
         state.isInjected = false;
         state.seoPanel = null;
         state.retryCount = 0;
+        state.focusKeywords = { primary: '', secondary: [] };
+        clearTimeout(state.liveScoreTimer);
+        state.liveScoreTimer = null;
+        state.savedMetadata = null;
+        state.savedScore = null;
+        state.titleVariants = { variants: [], applied: [] };
+        state.changeHistory = { entries: [], position: 0 };
+        state.templates = { templates: [], socialLinks: '' };
+        state.boilerplateBlocks = [];
         
     } catch (error) {
         console.error('OpenStudio: Error cleaning up injection:', error);
@@ -0,0 +1,529 @@
+/**
+ * OpenStudio Content Planner Page JavaScript
+ * Calendar of planned uploads and real upload dates, plus the planned upload editor
+ */
+
+const MESSAGE_TIMEOUT = 5000;
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// DOM elements cache
+let elements = {};
+
+// Planner data from the background script: { plan, stages, templates, drafts, channel }
+let planner = null;
+
+// Planned upload open in the editor (null = new) and the month shown
+let selectedItemId = null;
+let visibleMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+
+// Initialize planner page
+document.addEventListener('DOMContentLoaded', initializePlannerPage);
+
+/**
+ * Initialize the planner page
+ */
+async function initializePlannerPage() {
+    cacheElements();
+    setupEventListeners();
+    await applySavedTheme();
+    await loadPlan();
+}
+
+/**
+ * Cache frequently used DOM elements
+ */
+function cacheElements() {
+    elements = {
+        statusMessage: document.getElementById('status-message'),
+        previousMonth: document.getElementById('previous-month'),
+        nextMonth: document.getElementById('next-month'),
+        calendarMonth: document.getElementById('calendar-month'),
+        calendarGrid: document.getElementById('calendar-grid'),
+        uploadStatus: document.getElementById('upload-status'),
+        channelInput: document.getElementById('planner-channel'),
+        refreshUploadsButton: document.getElementById('refresh-uploads'),
+        planList: document.getElementById('plan-list'),
+        draftList: document.getElementById('draft-list'),
+        editorTitle: document.getElementById('editor-title'),
+        itemTitle: document.getElementById('item-title'),
+        itemKeyword: document.getElementById('item-keyword'),
+        itemTemplate: document.getElementById('item-template'),
+        itemDate: document.getElementById('item-date'),
+        itemStatus: document.getElementById('item-status'),
+        itemVideo: document.getElementById('item-video'),
+        itemNotes: document.getElementById('item-notes'),
+        saveItemButton: document.getElementById('save-item'),
+        newItemButton: document.getElementById('new-item'),
+        deleteItemButton: document.getElementById('delete-item')
+    };
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+    if (elements.previousMonth) {
+        elements.previousMonth.addEventListener('click', () => changeMonth(-1));
+    }
+    if (elements.nextMonth) {
+        elements.nextMonth.addEventListener('click', () => changeMonth(1));
+    }
+    if (elements.refreshUploadsButton) {
+        elements.refreshUploadsButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            refreshUploads();
+        });
+    }
+    if (elements.saveItemButton) {
+        elements.saveItemButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            saveItem();
+        });
+    }
+    if (elements.newItemButton) {
+        elements.newItemButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            selectItem(null);
+        });
+    }
+    if (elements.deleteItemButton) {
+        elements.deleteItemButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            deleteItem();
+        });
+    }
+}
+
+/**
+ * Use the dark theme when it is chosen in the settings
+ */
+async function applySavedTheme() {
+    const response = await sendMessageToBackground('getSettings');
+    const theme = response.success ? response.settings.theme : 'light';
+    const dark = theme === 'dark' || (theme === 'auto' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+    document.body.classList.toggle('theme-dark', dark);
+}
+
+/**
+ * Load the plan, stages, templates and drafted ideas
+ */
+async function loadPlan() {
+    try {
+        const response = await sendMessageToBackground('getPlan');
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        updatePlanner(response);
+        if (elements.channelInput && planner.channel) {
+            elements.channelInput.value = planner.channel.handle || planner.channel.id;
+        }
+        populateEditorChoices();
+        selectItem(null);
+    } catch (error) {
+        console.error('Error loading content plan:', error);
+        showStatusMessage('Failed to load the content plan: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Store a planner response from the background script and re-render
+ */
+function updatePlanner(response) {
+    planner = {
+        plan: response.plan,
+        stages: response.stages,
+        templates: response.templates,
+        drafts: response.drafts,
+        channel: response.channel
+    };
+    renderCalendar();
+    renderPlanList();
+    renderDrafts();
+}
+
+/**
+ * Remove every child of an element
+ */
+function clearElement(element) {
+    while (element.firstChild) {
+        element.removeChild(element.firstChild);
+    }
+}
+
+/**
+ * Format a date as a YYYY-MM-DD key in local time
+ */
+function toDateKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Label of a stage ID
+ */
+function getStageLabel(stageId) {
+    const stage = planner.stages.find(item => item.id === stageId);
+    return stage ? stage.label : stageId;
+}
+
+/**
+ * Fill the template and stage selects
+ */
+function populateEditorChoices() {
+    if (elements.itemTemplate) {
+        clearElement(elements.itemTemplate);
+        [{ id: '', name: 'No template' }, ...planner.templates].forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            elements.itemTemplate.appendChild(option);
+        });
+    }
+
+    if (elements.itemStatus) {
+        clearElement(elements.itemStatus);
+        planner.stages.forEach(stage => {
+            const option = document.createElement('option');
+            option.value = stage.id;
+            option.textContent = stage.label;
+            elements.itemStatus.appendChild(option);
+        });
+    }
+}
+
+/**
+ * Show another month
+ */
+function changeMonth(offset) {
+    visibleMonth = new Date(visibleMonth.getFullYear(), visibleMonth.getMonth() + offset, 1);
+    renderCalendar();
+}
+
+/**
+ * Render the month grid with planned uploads on their target dates and real uploads on their publish dates
+ */
+function renderCalendar() {
+    if (!planner || !elements.calendarGrid) return;
+
+    clearElement(elements.calendarGrid);
+    if (elements.calendarMonth) {
+        elements.calendarMonth.textContent = visibleMonth.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    }
+
+    WEEKDAYS.forEach(day => {
+        const header = document.createElement('div');
+        header.className = 'calendar-weekday';
+        header.textContent = day;
+        elements.calendarGrid.appendChild(header);
+    });
+
+    // Weeks start on Monday
+    const start = new Date(visibleMonth);
+    start.setDate(1 - ((visibleMonth.getDay() + 6) % 7));
+    const today = toDateKey(new Date());
+    const publishedIds = new Set(planner.plan.uploads.map(upload => upload.videoId));
+
+    for (let i = 0; i < 42; i++) {
+        const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+        if (i === 35 && date.getMonth() !== visibleMonth.getMonth()) break;
+
+        const key = toDateKey(date);
+        const cell = document.createElement('div');
+        cell.className = 'calendar-day' +
+            (date.getMonth() !== visibleMonth.getMonth() ? ' outside' : '') +
+            (key === today ? ' today' : '');
+
+        const label = document.createElement('div');
+        label.className = 'calendar-date';
+        label.textContent = String(date.getDate());
+        cell.appendChild(label);
+
+        planner.plan.items
+            .filter(item => item.targetDate === key && !publishedIds.has(item.videoId))
+            .forEach(item => {
+                const entry = document.createElement('button');
+                entry.type = 'button';
+                entry.className = `calendar-entry stage-${item.status}`;
+                entry.textContent = item.title;
+                entry.title = `${item.title} · ${getStageLabel(item.status)}`;
+                entry.addEventListener('click', () => selectItem(item.id));
+                cell.appendChild(entry);
+            });
+
+        planner.plan.uploads
+            .filter(upload => upload.date === key)
+            .forEach(upload => {
+                const entry = document.createElement('a');
+                entry.className = 'calendar-entry upload';
+                entry.href = `https://studio.youtube.com/video/${encodeURIComponent(upload.videoId)}/edit`;
+                entry.target = '_blank';
+                entry.rel = 'noopener noreferrer';
+                entry.textContent = `▶ ${upload.title}`;
+                entry.title = `Published: ${upload.title}`;
+                cell.appendChild(entry);
+            });
+
+        elements.calendarGrid.appendChild(cell);
+    }
+
+    if (elements.uploadStatus) {
+        elements.uploadStatus.textContent = planner.plan.uploadsFetchedAt
+            ? `${planner.plan.uploads.length} uploads loaded ${new Date(planner.plan.uploadsFetchedAt).toLocaleString()}`
+            : 'Load your upload dates to see them next to the plan.';
+    }
+}
+
+/**
+ * Render the planned uploads grouped by stage, dated ones first
+ */
+function renderPlanList() {
+    if (!planner || !elements.planList) return;
+
+    clearElement(elements.planList);
+    const publishedIds = new Set(planner.plan.uploads.map(upload => upload.videoId));
+    const stageOrder = planner.stages.map(stage => stage.id);
+    const items = [...planner.plan.items].sort((a, b) =>
+        (stageOrder.indexOf(a.status) - stageOrder.indexOf(b.status)) ||
+        ((a.targetDate || '9999') < (b.targetDate || '9999') ? -1 : 1));
+
+    if (items.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'help-text';
+        empty.textContent = 'Nothing planned yet. Fill in the editor or plan a drafted idea.';
+        elements.planList.appendChild(empty);
+        return;
+    }
+
+    items.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'plan-row';
+
+        const stage = document.createElement('span');
+        stage.className = `plan-stage stage-${item.status}`;
+        stage.textContent = getStageLabel(item.status);
+
+        const title = document.createElement('div');
+        title.className = 'plan-row-title';
+        title.textContent = item.title;
+        title.addEventListener('click', () => selectItem(item.id));
+
+        const meta = document.createElement('div');
+        meta.className = 'help-text';
+        meta.textContent = [
+            item.targetDate ? `Target ${item.targetDate}` : 'No date',
+            item.keyword ? `Keyword: ${item.keyword}` : null,
+            publishedIds.has(item.videoId) ? '✅ Published' : item.videoId ? '🔗 Video linked' : null
+        ].filter(Boolean).join(' · ');
+        title.appendChild(meta);
+
+        row.appendChild(stage);
+        row.appendChild(title);
+        elements.planList.appendChild(row);
+    });
+}
+
+/**
+ * Render the drafted ideas that aren't planned yet
+ */
+function renderDrafts() {
+    if (!planner || !elements.draftList) return;
+
+    clearElement(elements.draftList);
+    if (planner.drafts.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'help-text';
+        empty.textContent = 'No unplanned drafts.';
+        elements.draftList.appendChild(empty);
+        return;
+    }
+
+    planner.drafts.forEach(idea => {
+        const row = document.createElement('div');
+        row.className = 'plan-row';
+
+        const title = document.createElement('div');
+        title.className = 'plan-row-title';
+        title.textContent = `${idea.starred ? '★ ' : ''}${idea.title}`;
+
+        const plan = document.createElement('button');
+        plan.type = 'button';
+        plan.className = 'btn btn-primary';
+        plan.textContent = 'Plan';
+        plan.addEventListener('click', (e) => {
+            e.preventDefault();
+            planIdea(idea);
+        });
+
+        row.appendChild(title);
+        row.appendChild(plan);
+        elements.draftList.appendChild(row);
+    });
+}
+
+/**
+ * Open a planned upload in the editor, or clear the editor for a new one
+ */
+function selectItem(itemId) {
+    const item = itemId ? planner.plan.items.find(other => other.id === itemId) : null;
+    selectedItemId = item ? item.id : null;
+
+    if (elements.editorTitle) elements.editorTitle.textContent = item ? 'Edit Planned Upload' : 'New Planned Upload';
+    if (elements.itemTitle) elements.itemTitle.value = item ? item.title : '';
+    if (elements.itemKeyword) elements.itemKeyword.value = item ? item.keyword : '';
+    if (elements.itemTemplate) elements.itemTemplate.value = item ? item.templateId : '';
+    if (elements.itemDate) elements.itemDate.value = item ? item.targetDate : '';
+    if (elements.itemStatus) elements.itemStatus.value = item ? item.status : planner.stages[0].id;
+    if (elements.itemVideo) elements.itemVideo.value = item ? item.videoId : '';
+    if (elements.itemNotes) elements.itemNotes.value = item ? item.notes : '';
+    if (elements.deleteItemButton) elements.deleteItemButton.disabled = !item;
+
+    if (item && item.targetDate) {
+        const [year, month] = item.targetDate.split('-').map(Number);
+        visibleMonth = new Date(year, month - 1, 1);
+        renderCalendar();
+    }
+}
+
+/**
+ * Save the planned upload in the editor
+ */
+async function saveItem() {
+    const item = {
+        id: selectedItemId,
+        title: elements.itemTitle?.value ?? '',
+        keyword: elements.itemKeyword?.value ?? '',
+        templateId: elements.itemTemplate?.value ?? '',
+        targetDate: elements.itemDate?.value ?? '',
+        status: elements.itemStatus?.value ?? '',
+        videoId: elements.itemVideo?.value ?? '',
+        notes: elements.itemNotes?.value ?? ''
+    };
+
+    try {
+        const response = await sendMessageToBackground('savePlanItem', { item });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        updatePlanner(response);
+        selectItem(response.item.id);
+        showStatusMessage('Planned upload saved', 'success');
+    } catch (error) {
+        console.error('Error saving planned upload:', error);
+        showStatusMessage('Failed to save: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Delete the planned upload in the editor
+ */
+async function deleteItem() {
+    const item = planner.plan.items.find(other => other.id === selectedItemId);
+    if (!item || !confirm(`Delete the planned upload "${item.title}"?`)) {
+        return;
+    }
+
+    try {
+        const response = await sendMessageToBackground('deletePlanItem', { itemId: item.id });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        updatePlanner(response);
+        selectItem(null);
+        showStatusMessage('Planned upload deleted', 'success');
+    } catch (error) {
+        console.error('Error deleting planned upload:', error);
+        showStatusMessage('Failed to delete: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Turn a drafted idea into a planned upload and open it in the editor
+ */
+async function planIdea(idea) {
+    try {
+        const response = await sendMessageToBackground('planIdea', { ideaId: idea.id });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        updatePlanner(response);
+        selectItem(response.item.id);
+        showStatusMessage(`"${idea.title}" added to the plan`, 'success');
+    } catch (error) {
+        console.error('Error planning content idea:', error);
+        showStatusMessage('Failed to plan the idea: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Load our channel's latest upload dates
+ */
+async function refreshUploads() {
+    const channel = elements.channelInput?.value.trim() ?? '';
+
+    if (elements.refreshUploadsButton) {
+        elements.refreshUploadsButton.disabled = true;
+        elements.refreshUploadsButton.textContent = 'Loading...';
+    }
+    try {
+        const response = await sendMessageToBackground('refreshPlanUploads', { channel });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        updatePlanner(response);
+        showStatusMessage('Upload dates loaded', 'success');
+    } catch (error) {
+        console.error('Error loading upload dates:', error);
+        showStatusMessage('Failed to load upload dates: ' + error.message, 'error');
+    } finally {
+        if (elements.refreshUploadsButton) {
+            elements.refreshUploadsButton.disabled = false;
+            elements.refreshUploadsButton.textContent = 'Load Upload Dates';
+        }
+    }
+}
+
+/**
+ * Show a status message
+ */
+function showStatusMessage(message, type = 'success') {
+    const statusElement = elements.statusMessage;
+    if (!statusElement) return;
+
+    statusElement.textContent = message;
+    statusElement.className = `status-message status-${type}`;
+    statusElement.style.display = 'block';
+
+    setTimeout(() => {
+        statusElement.style.display = 'none';
+    }, MESSAGE_TIMEOUT);
+}
+
+/**
+ * Send message to background script
+ */
+function sendMessageToBackground(action, data = {}) {
+    return new Promise((resolve) => {
+        try {
+            chrome.runtime.sendMessage({
+                action,
+                ...data
+            }, (response) => {
+                if (chrome.runtime.lastError) {
+                    console.error('Chrome runtime error:', chrome.runtime.lastError);
+                    resolve({ success: false, error: chrome.runtime.lastError.message });
+                } else {
+                    resolve(response || { success: false, error: 'No response from background script' });
+                }
+            });
+        } catch (error) {
+            console.error('Error sending message to background:', error);
+            resolve({ success: false, error: error.message });
+        }
+    });
+}
@@ -52,7 +52,8 @@ const TIMING = {
 const URLS = {
     YOUTUBE_STUDIO: 'https://studio.youtube.com',
     YOUTUBE_ANALYTICS: 'https://studio.youtube.com/channel/analytics',
-    HELP_WIKI: 'https://github.com/openstudio-extension/openstudio/wiki/help'
+    HELP_WIKI: 'https://github.com/openstudio-extension/openstudio/wiki/help',
+    PLANNER_PAGE: 'src/planner/planner.html'
 };
 
 const UI_MESSAGES = {
@@ -105,10 +106,12 @@ function cacheElements() {
         youtubeStatus: safeGetElementById('youtube-status'),
         apiStatus: safeGetElementById('api-status'),
         seoStatus: safeGetElementById('seo-status'),
+        competitorStatus: safeGetElementById('competitor-status'),
         videosAnalyzed: safeGetElementById('videos-analyzed'),
         seoScore: safeGetElementById('seo-score'),
         openStudioBtn: safeGetElementById('open-studio'),
         openSettingsBtn: safeGetElementById('open-settings'),
+        openPlannerBtn: safeGetElementById('open-planner'),
         viewAnalyticsBtn: safeGetElementById('view-analytics'),
         
         // SEO Summary elements
@@ -143,6 +146,16 @@ function setupEventListeners() {
         });
     }
     
+    // Open content planner button
+    if (elements.openPlannerBtn) {
+        elements.openPlannerBtn.addEventListener('click', () => {
+            chrome.tabs.create({
+                url: chrome.runtime.getURL(URLS.PLANNER_PAGE)
+            });
+            window.close();
+        });
+    }
+    
     // View analytics button
     if (elements.viewAnalyticsBtn) {
         elements.viewAnalyticsBtn.addEventListener('click', async () => {
@@ -210,6 +223,12 @@ async function loadPopupData() {
             updateApiStatus(dataCache.apiKeys);
         }
         
+        // Get competitor watchlist status
+        const watchlistResponse = await sendMessageToBackground('getWatchlist');
+        if (watchlistResponse.success) {
+            updateCompetitorStatus(watchlistResponse.watchlist);
+        }
+        
         // Update cache timestamp
         dataCache.lastUpdate = now;
         
@@ -246,7 +265,7 @@ async function checkCurrentTabStatus() {
                     });
                     
                     if (response && response.success) {
-                        updatePageSpecificData(response.data);
+                        await updatePageSpecificData(response.data);
                     }
                 } catch (error) {
                     // Content script might not be injected yet
@@ -295,6 +314,25 @@ function updateApiStatus(keys) {
     }
 }
 
+/**
+ * Update competitor watchlist status in UI
+ */
+function updateCompetitorStatus(watchlist) {
+    if (!elements.competitorStatus) return;
+    
+    const outperforming = watchlist.uploads.filter(upload => upload.outperforming).length;
+    if (watchlist.channels.length === 0) {
+        elements.competitorStatus.textContent = 'Not set up';
+        updateStatusIndicator(elements.competitorStatus, 'inactive');
+    } else if (outperforming > 0) {
+        elements.competitorStatus.textContent = `🔥 ${outperforming} upload${outperforming === 1 ? '' : 's'} outperforming`;
+        updateStatusIndicator(elements.competitorStatus, 'pending');
+    } else {
+        elements.competitorStatus.textContent = `Watching ${watchlist.channels.length} channel${watchlist.channels.length === 1 ? '' : 's'}`;
+        updateStatusIndicator(elements.competitorStatus, 'active');
+    }
+}
+
 /**
  * Update YouTube Studio status
  */
@@ -337,30 +375,42 @@ async function loadAnalyticsData() {
 /**
  * Update page-specific data when on YouTube Studio
  */
-function updatePageSpecificData(pageData) {
+async function updatePageSpecificData(pageData) {
     if (pageData.currentVideo) {
         // Show SEO summary section
         elements.seoSummary.style.display = 'block';
         
-        // Update individual scores
-        if (pageData.currentVideo.seoAnalysis) {
-            const analysis = pageData.currentVideo.seoAnalysis;
-            updateScoreDisplay(elements.titleScore, analysis.titleScore);
-            updateScoreDisplay(elements.descriptionScore, analysis.descriptionScore);
-            updateScoreDisplay(elements.tagsScore, analysis.tagsScore);
+        // Run the shared SEO scorer for the current video
+        const analysisResponse = await sendMessageToBackground('analyzeVideo', {
+            data: pageData.currentVideo
+        });
+        
+        if (analysisResponse.success && analysisResponse.analysis) {
+            const analysis = analysisResponse.analysis;
+            updateScoreDisplay(elements.titleScore, analysis.components.title.score);
+            updateScoreDisplay(elements.descriptionScore, analysis.components.description.score);
+            updateScoreDisplay(elements.tagsScore, analysis.components.tags.score);
             
             // Update overall SEO score
             elements.seoScore.textContent = analysis.overallScore || '--';
             
-            // Update suggestions
-            if (analysis.suggestions && analysis.suggestions.length > 0) {
+            // Show highest-priority suggestions first
+            const prioritized = [
+                ...analysis.analysis.priority.high,
+                ...analysis.analysis.priority.medium,
+                ...analysis.analysis.priority.low
+            ];
+            
+            if (prioritized.length > 0) {
                 const suggestionsList = createSafeSuggestionsList(
-                    analysis.suggestions.slice(0, 3) // Show top 3 suggestions
+                    prioritized.slice(0, 3) // Show top 3 suggestions
                 );
                 safeSetInnerHTML(elements.seoSuggestions, suggestionsList);
             } else {
-                safeSetInnerHTML(elements.seoSuggestions, '<p class="no-suggestions">Analysis in progress...</p>');
+                safeSetInnerHTML(elements.seoSuggestions, '<p class="no-suggestions">No suggestions - looking good!</p>');
             }
+        } else {
+            safeSetInnerHTML(elements.seoSuggestions, '<p class="no-suggestions">Analysis in progress...</p>');
         }
         
         // Enable view analytics button if we have video data
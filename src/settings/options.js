@@ -67,6 +67,32 @@ const GEMINI_API_KEY_MIN_LENGTH = API_VALIDATION.GEMINI_API_KEY_MIN_LENGTH;
 // DOM elements cache
 let elements = {};
 
+// Saved description templates and the one open in the editor (null = new)
+let templateData = { templates: [], socialLinks: '' };
+let selectedTemplateId = null;
+
+// User-added language packs and the code of the one open in the editor (null = new)
+let languagePacks = [];
+let selectedLanguageCode = null;
+
+// Saved boilerplate blocks and the key of the one open in the editor (null = new)
+let boilerplateBlocks = [];
+let selectedBlockKey = null;
+
+// Saved tag libraries, tag usage across analyzed videos and the library open in the editor (null = new)
+let tagLibraries = [];
+let tagUsage = { counts: {}, videosAnalyzed: 0 };
+let selectedLibraryId = null;
+
+// Competitor watchlist summary from the background script
+let watchlist = null;
+
+// Trending feed summary from the background script
+let trends = null;
+
+// Content idea backlog from the background script
+let ideaBacklog = null;
+
 // Settings structure - use defaults from constants
 const defaultSettings = DEFAULT_SETTINGS;
 
@@ -93,6 +119,30 @@ async function initializeOptionsPage() {
     // Load API keys
     await loadApiKeys();
     
+    // Load scoring profile
+    await loadScoringProfile();
+    
+    // Load user-added language packs
+    await loadLanguagePacks();
+    
+    // Load description templates
+    await loadTemplates();
+    
+    // Load tag libraries
+    await loadTagLibraries();
+    
+    // Load boilerplate blocks
+    await loadBoilerplateBlocks();
+    
+    // Load competitor watchlist
+    await loadWatchlist();
+    
+    // Load trending feeds
+    await loadTrends();
+    
+    // Load content ideas
+    await loadIdeas();
+    
 }
 
 /**
@@ -124,6 +174,77 @@ function cacheElements() {
         saveButton: safeGetElementById('save-settings'),
         resetButton: safeGetElementById('reset-settings'),
         exportButton: safeGetElementById('export-settings'),
+        saveProfileButton: safeGetElementById('save-scoring-profile'),
+        resetProfileButton: safeGetElementById('reset-scoring-profile'),
+        
+        // Scoring profile fields
+        profileNumberInputs: document.querySelectorAll('[data-profile-path]'),
+        profileListInputs: document.querySelectorAll('[data-profile-list]'),
+        
+        // Language packs
+        languagePackSelect: safeGetElementById('language-pack-select'),
+        languagePackCode: safeGetElementById('language-pack-code'),
+        languagePackName: safeGetElementById('language-pack-name'),
+        languagePackScript: safeGetElementById('language-pack-script'),
+        languagePackStopWords: safeGetElementById('language-pack-stopwords'),
+        languagePackCta: safeGetElementById('language-pack-cta'),
+        languagePackKeywordInputs: document.querySelectorAll('[data-language-keywords]'),
+        saveLanguagePackButton: safeGetElementById('save-language-pack'),
+        newLanguagePackButton: safeGetElementById('new-language-pack'),
+        deleteLanguagePackButton: safeGetElementById('delete-language-pack'),
+        
+        // Description templates
+        templateSocialLinks: safeGetElementById('template-social-links'),
+        templateSelect: safeGetElementById('template-select'),
+        templateName: safeGetElementById('template-name'),
+        templateBody: safeGetElementById('template-body'),
+        templateTags: safeGetElementById('template-tags'),
+        templatePlaceholderHelp: safeGetElementById('template-placeholder-help'),
+        saveTemplateButton: safeGetElementById('save-template'),
+        newTemplateButton: safeGetElementById('new-template'),
+        deleteTemplateButton: safeGetElementById('delete-template'),
+        
+        // Tag libraries
+        librarySelect: safeGetElementById('library-select'),
+        libraryName: safeGetElementById('library-name'),
+        libraryTags: safeGetElementById('library-tags'),
+        libraryUsage: safeGetElementById('library-usage'),
+        saveLibraryButton: safeGetElementById('save-library'),
+        newLibraryButton: safeGetElementById('new-library'),
+        deleteLibraryButton: safeGetElementById('delete-library'),
+        
+        // Boilerplate blocks
+        blockSelect: safeGetElementById('block-select'),
+        blockName: safeGetElementById('block-name'),
+        blockKey: safeGetElementById('block-key'),
+        blockContent: safeGetElementById('block-content'),
+        blockAutoAppend: safeGetElementById('block-auto-append'),
+        saveBlockButton: safeGetElementById('save-block'),
+        newBlockButton: safeGetElementById('new-block'),
+        deleteBlockButton: safeGetElementById('delete-block'),
+        
+        // Competitor watchlist
+        watchChannelInput: safeGetElementById('watch-channel-input'),
+        addWatchChannelButton: safeGetElementById('add-watch-channel'),
+        checkWatchlistButton: safeGetElementById('check-watchlist'),
+        watchChannelList: safeGetElementById('watch-channel-list'),
+        watchUploadList: safeGetElementById('watch-upload-list'),
+        watchPatterns: safeGetElementById('watch-patterns'),
+        
+        // Trend explorer
+        trendRegion: safeGetElementById('trend-region'),
+        trendCategory: safeGetElementById('trend-category'),
+        addTrendFeedButton: safeGetElementById('add-trend-feed'),
+        snapshotTrendsButton: safeGetElementById('snapshot-trends'),
+        trendFeedList: safeGetElementById('trend-feed-list'),
+        
+        // Content ideas
+        ideaChannelInput: safeGetElementById('idea-channel-input'),
+        generateIdeasButton: safeGetElementById('generate-ideas'),
+        ideaPerformers: safeGetElementById('idea-performers'),
+        ideaList: safeGetElementById('idea-list'),
+        ideaDismissed: safeGetElementById('idea-dismissed'),
+        ideaDraftList: safeGetElementById('idea-draft-list'),
         
         // Status
         statusMessage: safeGetElementById('status-message')
@@ -173,6 +294,206 @@ function setupEventListeners() {
         console.error('Export button not found!');
     }
     
+    // Scoring profile buttons
+    if (elements.saveProfileButton) {
+        elements.saveProfileButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            saveScoringProfile();
+        });
+    }
+    
+    if (elements.resetProfileButton) {
+        elements.resetProfileButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            resetScoringProfile();
+        });
+    }
+    
+    // Description template controls
+    if (elements.templateSelect) {
+        elements.templateSelect.addEventListener('change', (e) => {
+            selectTemplate(e.target.value || null);
+        });
+    }
+    
+    if (elements.saveTemplateButton) {
+        elements.saveTemplateButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            saveTemplate();
+        });
+    }
+    
+    if (elements.newTemplateButton) {
+        elements.newTemplateButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            selectTemplate(null);
+            elements.templateName?.focus();
+        });
+    }
+    
+    if (elements.deleteTemplateButton) {
+        elements.deleteTemplateButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            deleteTemplate();
+        });
+    }
+    
+    if (elements.templateSocialLinks) {
+        elements.templateSocialLinks.addEventListener('change', () => {
+            persistTemplates(templateData.templates, 'Social links saved');
+        });
+    }
+    
+    // Tag library controls
+    if (elements.librarySelect) {
+        elements.librarySelect.addEventListener('change', (e) => {
+            selectTagLibrary(e.target.value || null);
+        });
+    }
+    
+    if (elements.libraryTags) {
+        elements.libraryTags.addEventListener('input', renderLibraryUsage);
+    }
+    
+    if (elements.saveLibraryButton) {
+        elements.saveLibraryButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            saveTagLibrary();
+        });
+    }
+    
+    if (elements.newLibraryButton) {
+        elements.newLibraryButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            selectTagLibrary(null);
+            elements.libraryName?.focus();
+        });
+    }
+    
+    if (elements.deleteLibraryButton) {
+        elements.deleteLibraryButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            deleteTagLibrary();
+        });
+    }
+    
+    // Competitor watchlist controls
+    if (elements.addWatchChannelButton) {
+        elements.addWatchChannelButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            addWatchedChannel();
+        });
+    }
+    
+    if (elements.watchChannelInput) {
+        elements.watchChannelInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addWatchedChannel();
+            }
+        });
+    }
+    
+    if (elements.checkWatchlistButton) {
+        elements.checkWatchlistButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            checkWatchlistNow();
+        });
+    }
+    
+    // Trend explorer controls
+    if (elements.addTrendFeedButton) {
+        elements.addTrendFeedButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            addTrendFeed();
+        });
+    }
+    
+    if (elements.snapshotTrendsButton) {
+        elements.snapshotTrendsButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            snapshotTrendsNow();
+        });
+    }
+    
+    // Content idea controls
+    if (elements.generateIdeasButton) {
+        elements.generateIdeasButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            generateIdeas();
+        });
+    }
+    
+    // Language pack controls
+    if (elements.languagePackSelect) {
+        elements.languagePackSelect.addEventListener('change', (e) => {
+            selectLanguagePack(e.target.value || null);
+        });
+    }
+    
+    if (elements.saveLanguagePackButton) {
+        elements.saveLanguagePackButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            saveLanguagePack();
+        });
+    }
+    
+    if (elements.newLanguagePackButton) {
+        elements.newLanguagePackButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            selectLanguagePack(null);
+            elements.languagePackCode?.focus();
+        });
+    }
+    
+    if (elements.deleteLanguagePackButton) {
+        elements.deleteLanguagePackButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            deleteLanguagePack();
+        });
+    }
+    
+    // Boilerplate block controls
+    if (elements.blockSelect) {
+        elements.blockSelect.addEventListener('change', (e) => {
+            selectBoilerplateBlock(e.target.value || null);
+        });
+    }
+    
+    if (elements.blockName && elements.blockKey) {
+        // New blocks take their key from the name until the key is edited by hand
+        elements.blockName.addEventListener('input', () => {
+            if (!selectedBlockKey && !elements.blockKey.dataset.edited && window.OpenStudio?.Boilerplate) {
+                elements.blockKey.value = window.OpenStudio.Boilerplate.slugifyBlockKey(elements.blockName.value);
+            }
+        });
+        elements.blockKey.addEventListener('input', () => {
+            elements.blockKey.dataset.edited = 'true';
+        });
+    }
+    
+    if (elements.saveBlockButton) {
+        elements.saveBlockButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            saveBoilerplateBlock();
+        });
+    }
+    
+    if (elements.newBlockButton) {
+        elements.newBlockButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            selectBoilerplateBlock(null);
+            elements.blockName?.focus();
+        });
+    }
+    
+    if (elements.deleteBlockButton) {
+        elements.deleteBlockButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            deleteBoilerplateBlock();
+        });
+    }
+    
     // Auto-save on certain changes
     const autoSaveElements = [
         elements.seoEnabled,
@@ -258,109 +579,1462 @@ async function loadApiKeys() {
 }
 
 /**
- * Populate form with settings values
+ * Load the scoring profile from storage
  */
-function populateSettingsForm(settings) {
-    // SEO Settings
-    if (elements.seoEnabled) elements.seoEnabled.checked = settings.seoEnabled;
-    if (elements.autoSuggestions) elements.autoSuggestions.checked = settings.autoSuggestions;
-    if (elements.tagRecommendations) elements.tagRecommendations.checked = settings.tagRecommendations;
-    if (elements.titleOptimization) elements.titleOptimization.checked = settings.titleOptimization;
+async function loadScoringProfile() {
+    try {
+        const response = await sendMessageToBackground('getScoringProfile');
+        if (response.success) {
+            populateScoringProfileForm(response.profile);
+        } else {
+            console.error('Failed to load scoring profile:', response.error);
+        }
+    } catch (error) {
+        console.error('Error loading scoring profile:', error);
+    }
+}
+
+/**
+ * Populate scoring profile form from a profile object
+ */
+function populateScoringProfileForm(profile) {
+    if (!profile) return;
     
-    // Analytics Settings
-    if (elements.analyticsTracking) elements.analyticsTracking.checked = settings.analyticsTracking;
-    if (elements.performanceAlerts) elements.performanceAlerts.checked = settings.performanceAlerts;
-    if (elements.trendAnalysis) elements.trendAnalysis.checked = settings.trendAnalysis;
+    elements.profileNumberInputs.forEach(input => {
+        const [section, key] = input.dataset.profilePath.split('.');
+        const value = profile[section]?.[key];
+        // Weights are stored normalized; show them rounded for editing
+        input.value = typeof value === 'number' ? Math.round(value * 1000) / 1000 : '';
+    });
     
-    // UI Preferences
-    if (elements.themeSelect) elements.themeSelect.value = settings.theme;
-    if (elements.notificationsEnabled) elements.notificationsEnabled.checked = settings.notificationsEnabled;
-    if (elements.compactMode) elements.compactMode.checked = settings.compactMode;
+    elements.profileListInputs.forEach(input => {
+        const [section, key] = input.dataset.profileList.split('.');
+        const list = profile[section]?.[key];
+        input.value = Array.isArray(list) ? list.join(', ') : '';
+    });
 }
 
 /**
- * Save settings to storage
+ * Collect scoring profile values from the form
  */
-async function saveSettings(silent = false) {
+function collectScoringProfile() {
+    const profile = {};
+    
+    elements.profileNumberInputs.forEach(input => {
+        const [section, key] = input.dataset.profilePath.split('.');
+        if (input.value === '') return;
+        profile[section] = profile[section] || {};
+        profile[section][key] = Number(input.value);
+    });
+    
+    elements.profileListInputs.forEach(input => {
+        const [section, key] = input.dataset.profileList.split('.');
+        profile[section] = profile[section] || {};
+        profile[section][key] = input.value
+            .split(',')
+            .map(item => item.trim())
+            .filter(item => item.length > 0);
+    });
+    
+    return profile;
+}
+
+/**
+ * Save the scoring profile
+ */
+async function saveScoringProfile() {
     try {
+        const profile = collectScoringProfile();
         
-        // Collect settings from form
-        const settings = {
-            seoEnabled: elements.seoEnabled?.checked ?? true,
-            autoSuggestions: elements.autoSuggestions?.checked ?? true,
-            tagRecommendations: elements.tagRecommendations?.checked ?? false,
-            titleOptimization: elements.titleOptimization?.checked ?? false,
-            analyticsTracking: elements.analyticsTracking?.checked ?? true,
-            performanceAlerts: elements.performanceAlerts?.checked ?? false,
-            trendAnalysis: elements.trendAnalysis?.checked ?? false,
-            theme: elements.themeSelect?.value ?? 'light',
-            notificationsEnabled: elements.notificationsEnabled?.checked ?? true,
-            compactMode: elements.compactMode?.checked ?? false,
-            lastUpdated: new Date().toISOString()
-        };
-        
-        
-        // Save settings
-        const settingsResponse = await sendMessageToBackground('saveSettings', { settings });
-        
-        // Collect and save API keys with proper camelCase naming
-        const apiKeys = {
-            youtube: elements.youtubeApiKey?.value?.trim() ?? '',
-            geminiApiKey: elements.geminiApiKey?.value?.trim() ?? ''
-        };
-        
-        
-        const keysResponse = await sendMessageToBackground('saveApiKeys', { keys: apiKeys });
-        
-        if (settingsResponse.success && keysResponse.success) {
-            if (!silent) {
-                showStatusMessage('Settings saved successfully!', 'success');
+        const minMaxPairs = [
+            ['title', 'minLength', 'maxLength'],
+            ['description', 'minLength', 'maxLength'],
+            ['tags', 'minCount', 'maxCount']
+        ];
+        for (const [section, minKey, maxKey] of minMaxPairs) {
+            const min = profile[section]?.[minKey];
+            const max = profile[section]?.[maxKey];
+            if (min !== undefined && max !== undefined && min > max) {
+                showStatusMessage(`Scoring profile: ${section} minimum cannot exceed maximum`, 'error');
+                return;
             }
+        }
+        
+        const response = await sendMessageToBackground('saveScoringProfile', { profile });
+        if (response.success) {
+            populateScoringProfileForm(response.profile);
+            showStatusMessage('Scoring profile saved successfully!', 'success');
         } else {
-            throw new Error(`Failed to save - Settings: ${settingsResponse.error}, Keys: ${keysResponse.error}`);
+            throw new Error(response.error);
         }
     } catch (error) {
-        console.error('Error saving settings:', error);
-        showStatusMessage('Failed to save settings: ' + error.message, 'error');
+        console.error('Error saving scoring profile:', error);
+        showStatusMessage('Failed to save scoring profile: ' + error.message, 'error');
     }
 }
 
 /**
- * Reset settings to defaults
+ * Reset the scoring profile to defaults
  */
-async function resetSettings() {
-    if (confirm('Are you sure you want to reset all settings to defaults? This cannot be undone.')) {
-        try {
-            populateSettingsForm(defaultSettings);
-            applyTheme(defaultSettings.theme);
-            
-            // Clear API keys
-            if (elements.youtubeApiKey) elements.youtubeApiKey.value = '';
-            if (elements.geminiApiKey) elements.geminiApiKey.value = '';
-            
-            await saveSettings();
-            showStatusMessage('Settings reset to defaults', 'success');
-        } catch (error) {
-            console.error('Error resetting settings:', error);
-            showStatusMessage('Failed to reset settings', 'error');
+async function resetScoringProfile() {
+    if (!confirm('Reset the scoring profile to its defaults?')) {
+        return;
+    }
+    
+    try {
+        const response = await sendMessageToBackground('resetScoringProfile');
+        if (response.success) {
+            populateScoringProfileForm(response.profile);
+            showStatusMessage('Scoring profile reset to defaults', 'success');
+        } else {
+            throw new Error(response.error);
         }
+    } catch (error) {
+        console.error('Error resetting scoring profile:', error);
+        showStatusMessage('Failed to reset scoring profile: ' + error.message, 'error');
     }
 }
 
 /**
- * Export settings as JSON file
+ * Load the description templates from storage
  */
-async function exportSettings() {
+async function loadTemplates() {
     try {
+        renderPlaceholderHelp();
         
-        const settingsResponse = await sendMessageToBackground('getSettings');
-        
-        const keysResponse = await sendMessageToBackground('getApiKeys');
+        const response = await sendMessageToBackground('getTemplates');
+        if (response.success) {
+            templateData = { templates: response.templates, socialLinks: response.socialLinks };
+            if (elements.templateSocialLinks) elements.templateSocialLinks.value = templateData.socialLinks;
+            selectTemplate(templateData.templates[0]?.id || null);
+        } else {
+            console.error('Failed to load templates:', response.error);
+        }
+    } catch (error) {
+        console.error('Error loading templates:', error);
+    }
+}
+
+/**
+ * List the placeholders templates can use
+ */
+function renderPlaceholderHelp() {
+    const engine = window.OpenStudio?.TemplateEngine;
+    if (!engine || !elements.templatePlaceholderHelp) return;
+    
+    elements.templatePlaceholderHelp.textContent = 'Placeholders: ' + Object.entries(engine.TEMPLATE_VARIABLES)
+        .map(([name, help]) => `{${name}} ${help.toLowerCase()}`)
+        .join(' · ');
+}
+
+/**
+ * Rebuild the template dropdown
+ */
+function renderTemplateList() {
+    const select = elements.templateSelect;
+    if (!select) return;
+    
+    while (select.firstChild) {
+        select.removeChild(select.firstChild);
+    }
+    
+    select.appendChild(new Option('＋ New template', ''));
+    templateData.templates.forEach(template => {
+        select.appendChild(new Option(template.name, template.id));
+    });
+    select.value = selectedTemplateId || '';
+}
+
+/**
+ * Open a template in the editor (null starts a new one)
+ */
+function selectTemplate(templateId) {
+    const template = templateData.templates.find(item => item.id === templateId) || null;
+    selectedTemplateId = template ? template.id : null;
+    
+    if (elements.templateName) elements.templateName.value = template ? template.name : '';
+    if (elements.templateBody) elements.templateBody.value = template ? template.body : '';
+    if (elements.templateTags) elements.templateTags.value = template ? template.tags.join(', ') : '';
+    if (elements.deleteTemplateButton) elements.deleteTemplateButton.disabled = !template;
+    
+    renderTemplateList();
+}
+
+/**
+ * Save the template open in the editor
+ */
+async function saveTemplate() {
+    const name = elements.templateName?.value.trim() ?? '';
+    if (!name) {
+        showStatusMessage('Give the template a name before saving', 'error');
+        return;
+    }
+    
+    const duplicate = templateData.templates.find(item =>
+        item.id !== selectedTemplateId && item.name.toLowerCase() === name.toLowerCase());
+    if (duplicate) {
+        showStatusMessage(`A template named "${duplicate.name}" already exists`, 'error');
+        return;
+    }
+    
+    const template = {
+        id: selectedTemplateId,
+        name,
+        body: elements.templateBody?.value ?? '',
+        tags: (elements.templateTags?.value ?? '')
+            .split(',')
+            .map(tag => tag.trim())
+            .filter(tag => tag.length > 0)
+    };
+    
+    const templates = selectedTemplateId
+        ? templateData.templates.map(item => (item.id === selectedTemplateId ? template : item))
+        : [...templateData.templates, template];
+    
+    const unknown = window.OpenStudio?.TemplateEngine
+        ? window.OpenStudio.TemplateEngine.findUnknownPlaceholders(`${template.body} ${template.tags.join(' ')}`)
+        : [];
+    const message = unknown.length > 0
+        ? `Template saved. Unknown placeholders will be left as typed: ${unknown.map(item => `{${item}}`).join(', ')}`
+        : 'Template saved successfully!';
+    
+    const saved = await persistTemplates(templates, message, unknown.length > 0 ? 'warning' : 'success');
+    if (saved) {
+        // New templates get their id from storage and are saved last
+        selectTemplate(selectedTemplateId || saved.templates[saved.templates.length - 1]?.id || null);
+    }
+}
+
+/**
+ * Delete the template open in the editor
+ */
+async function deleteTemplate() {
+    const template = templateData.templates.find(item => item.id === selectedTemplateId);
+    if (!template || !confirm(`Delete the "${template.name}" template?`)) {
+        return;
+    }
+    
+    const saved = await persistTemplates(
+        templateData.templates.filter(item => item.id !== template.id),
+        'Template deleted'
+    );
+    if (saved) {
+        selectTemplate(saved.templates[0]?.id || null);
+    }
+}
+
+/**
+ * Save the template list and social links
+ * @returns {Promise<Object|null>} The saved data, or null on failure
+ */
+async function persistTemplates(templates, message, type = 'success') {
+    try {
+        const response = await sendMessageToBackground('saveTemplates', {
+            data: {
+                templates,
+                socialLinks: elements.templateSocialLinks?.value ?? templateData.socialLinks
+            }
+        });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        
+        templateData = { templates: response.templates, socialLinks: response.socialLinks };
+        showStatusMessage(message, type);
+        return templateData;
+    } catch (error) {
+        console.error('Error saving templates:', error);
+        showStatusMessage('Failed to save templates: ' + error.message, 'error');
+        return null;
+    }
+}
+
+/**
+ * Split the library tags textarea into tags
+ */
+function getLibraryTagsInput() {
+    return (elements.libraryTags?.value ?? '')
+        .split(/[,\n]/)
+        .map(tag => tag.replace(/\s+/g, ' ').trim())
+        .filter(tag => tag.length > 0);
+}
+
+/**
+ * Load the tag libraries and tag usage from storage
+ */
+async function loadTagLibraries() {
+    try {
+        const response = await sendMessageToBackground('getTagLibraries');
+        if (response.success) {
+            tagLibraries = response.libraries;
+            tagUsage = response.usage || tagUsage;
+            selectTagLibrary(tagLibraries[0]?.id || null);
+        } else {
+            console.error('Failed to load tag libraries:', response.error);
+        }
+    } catch (error) {
+        console.error('Error loading tag libraries:', error);
+    }
+}
+
+/**
+ * Rebuild the tag library dropdown
+ */
+function renderTagLibraryList() {
+    const select = elements.librarySelect;
+    if (!select) return;
+    
+    while (select.firstChild) {
+        select.removeChild(select.firstChild);
+    }
+    
+    select.appendChild(new Option('＋ New library', ''));
+    tagLibraries.forEach(library => {
+        select.appendChild(new Option(`${library.name} (${library.tags.length} tags)`, library.id));
+    });
+    select.value = selectedLibraryId || '';
+}
+
+/**
+ * Show how many analyzed videos use each tag in the editor
+ */
+function renderLibraryUsage() {
+    if (!elements.libraryUsage) return;
+    
+    const tags = getLibraryTagsInput();
+    if (tags.length === 0) {
+        elements.libraryUsage.textContent = 'Comma-separated or one per line.';
+        return;
+    }
+    
+    const usage = tags
+        .map(tag => `${tag}: ${tagUsage.counts[tag.toLowerCase()] || 0}`)
+        .join(' · ');
+    elements.libraryUsage.textContent = `Used in analyzed videos (of ${tagUsage.videosAnalyzed}): ${usage}`;
+}
+
+/**
+ * Open a tag library in the editor (null starts a new one)
+ */
+function selectTagLibrary(libraryId) {
+    const library = tagLibraries.find(item => item.id === libraryId) || null;
+    selectedLibraryId = library ? library.id : null;
+    
+    if (elements.libraryName) elements.libraryName.value = library ? library.name : '';
+    if (elements.libraryTags) elements.libraryTags.value = library ? library.tags.join(', ') : '';
+    if (elements.deleteLibraryButton) elements.deleteLibraryButton.disabled = !library;
+    
+    renderTagLibraryList();
+    renderLibraryUsage();
+}
+
+/**
+ * Save the tag library open in the editor
+ */
+async function saveTagLibrary() {
+    const name = elements.libraryName?.value.trim() ?? '';
+    if (!name) {
+        showStatusMessage('Give the library a name before saving', 'error');
+        return;
+    }
+    
+    const duplicate = tagLibraries.find(item =>
+        item.id !== selectedLibraryId && item.name.toLowerCase() === name.toLowerCase());
+    if (duplicate) {
+        showStatusMessage(`A library named "${duplicate.name}" already exists`, 'error');
+        return;
+    }
+    
+    const library = { id: selectedLibraryId, name, tags: getLibraryTagsInput() };
+    const libraries = selectedLibraryId
+        ? tagLibraries.map(item => (item.id === selectedLibraryId ? library : item))
+        : [...tagLibraries, library];
+    
+    if (await persistTagLibraries(libraries, 'Tag library saved successfully!')) {
+        // New libraries get their id from storage and are saved last
+        selectTagLibrary(selectedLibraryId || tagLibraries[tagLibraries.length - 1]?.id || null);
+    }
+}
+
+/**
+ * Delete the tag library open in the editor
+ */
+async function deleteTagLibrary() {
+    const library = tagLibraries.find(item => item.id === selectedLibraryId);
+    if (!library || !confirm(`Delete the "${library.name}" tag library?`)) {
+        return;
+    }
+    
+    if (await persistTagLibraries(tagLibraries.filter(item => item.id !== library.id), 'Tag library deleted')) {
+        selectTagLibrary(tagLibraries[0]?.id || null);
+    }
+}
+
+/**
+ * Save the tag library list
+ * @returns {Promise<boolean>} Whether the libraries were saved
+ */
+async function persistTagLibraries(libraries, message) {
+    try {
+        const response = await sendMessageToBackground('saveTagLibraries', { libraries });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        
+        tagLibraries = response.libraries;
+        showStatusMessage(message, 'success');
+        return true;
+    } catch (error) {
+        console.error('Error saving tag libraries:', error);
+        showStatusMessage('Failed to save tag libraries: ' + error.message, 'error');
+        return false;
+    }
+}
+
+/**
+ * Split a comma-separated list field
+ */
+function parseWordList(value) {
+    return (value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item.length > 0);
+}
+
+/**
+ * Load the user-added language packs
+ */
+async function loadLanguagePacks() {
+    try {
+        const response = await sendMessageToBackground('getLanguagePacks');
+        if (response.success) {
+            languagePacks = response.packs;
+            selectLanguagePack(languagePacks[0]?.code || null);
+        } else {
+            console.error('Failed to load language packs:', response.error);
+        }
+    } catch (error) {
+        console.error('Error loading language packs:', error);
+    }
+}
+
+/**
+ * Rebuild the language pack dropdown
+ */
+function renderLanguagePackList() {
+    const select = elements.languagePackSelect;
+    if (!select) return;
+    
+    while (select.firstChild) {
+        select.removeChild(select.firstChild);
+    }
+    
+    select.appendChild(new Option('＋ New language pack', ''));
+    languagePacks.forEach(pack => {
+        select.appendChild(new Option(`${pack.name || pack.code} [${pack.code}]`, pack.code));
+    });
+    select.value = selectedLanguageCode || '';
+}
+
+/**
+ * Open a language pack in the editor (null starts a new one)
+ */
+function selectLanguagePack(code) {
+    const pack = languagePacks.find(item => item.code === code) || null;
+    selectedLanguageCode = pack ? pack.code : null;
+    
+    if (elements.languagePackCode) elements.languagePackCode.value = pack ? pack.code : '';
+    if (elements.languagePackName) elements.languagePackName.value = pack ? pack.name : '';
+    if (elements.languagePackScript) elements.languagePackScript.value = pack ? pack.script : '';
+    if (elements.languagePackStopWords) elements.languagePackStopWords.value = pack ? pack.stopWords.join(', ') : '';
+    if (elements.languagePackCta) elements.languagePackCta.value = pack ? pack.cta.join(', ') : '';
+    elements.languagePackKeywordInputs.forEach(input => {
+        const words = pack?.keywords?.[input.dataset.languageKeywords];
+        input.value = Array.isArray(words) ? words.join(', ') : '';
+    });
+    if (elements.deleteLanguagePackButton) elements.deleteLanguagePackButton.disabled = !pack;
+    
+    renderLanguagePackList();
+}
+
+/**
+ * Save the language pack open in the editor
+ */
+async function saveLanguagePack() {
+    const code = (elements.languagePackCode?.value ?? '').trim().toLowerCase();
+    const stopWords = parseWordList(elements.languagePackStopWords?.value);
+    
+    if (!/^[a-z]{2,3}(-[a-z]+)?$/.test(code)) {
+        showStatusMessage('Enter a language code such as "fr" or "pt-br"', 'error');
+        return;
+    }
+    if (code !== selectedLanguageCode && languagePacks.some(item => item.code === code)) {
+        showStatusMessage(`A language pack with the code "${code}" already exists`, 'error');
+        return;
+    }
+    if (stopWords.length === 0) {
+        showStatusMessage('Add the language\'s most common words as stop words so it can be detected', 'error');
+        return;
+    }
+    
+    const keywords = {};
+    elements.languagePackKeywordInputs.forEach(input => {
+        keywords[input.dataset.languageKeywords] = parseWordList(input.value);
+    });
+    
+    const pack = {
+        code,
+        name: (elements.languagePackName?.value ?? '').trim() || code,
+        script: (elements.languagePackScript?.value ?? '').trim(),
+        stopWords,
+        cta: parseWordList(elements.languagePackCta?.value),
+        keywords
+    };
+    
+    const packs = selectedLanguageCode
+        ? languagePacks.map(item => (item.code === selectedLanguageCode ? pack : item))
+        : [...languagePacks, pack];
+    
+    if (await persistLanguagePacks(packs, `Language pack saved. ${pack.name} is now available in the SEO Assistant panel.`)) {
+        selectLanguagePack(code);
+    }
+}
+
+/**
+ * Delete the language pack open in the editor
+ */
+async function deleteLanguagePack() {
+    const pack = languagePacks.find(item => item.code === selectedLanguageCode);
+    if (!pack || !confirm(`Delete the "${pack.name}" language pack?`)) {
+        return;
+    }
+    
+    if (await persistLanguagePacks(languagePacks.filter(item => item.code !== pack.code), 'Language pack deleted')) {
+        selectLanguagePack(languagePacks[0]?.code || null);
+    }
+}
+
+/**
+ * Save the language pack list
+ * @returns {Promise<boolean>} Whether the packs were saved
+ */
+async function persistLanguagePacks(packs, message) {
+    try {
+        const response = await sendMessageToBackground('saveLanguagePacks', { packs });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        
+        languagePacks = response.packs;
+        if (response.skipped.length > 0) {
+            showStatusMessage(`Saved, but these packs could not be loaded (check the script name): ${response.skipped.join(', ')}`, 'error');
+        } else {
+            showStatusMessage(message, 'success');
+        }
+        return true;
+    } catch (error) {
+        console.error('Error saving language packs:', error);
+        showStatusMessage('Failed to save language packs: ' + error.message, 'error');
+        return false;
+    }
+}
+
+/**
+ * Load the boilerplate blocks from storage
+ */
+async function loadBoilerplateBlocks() {
+    try {
+        const response = await sendMessageToBackground('getBoilerplateBlocks');
+        if (response.success) {
+            boilerplateBlocks = response.blocks;
+            selectBoilerplateBlock(boilerplateBlocks[0]?.key || null);
+        } else {
+            console.error('Failed to load boilerplate blocks:', response.error);
+        }
+    } catch (error) {
+        console.error('Error loading boilerplate blocks:', error);
+    }
+}
+
+/**
+ * Rebuild the boilerplate block dropdown
+ */
+function renderBoilerplateBlockList() {
+    const select = elements.blockSelect;
+    if (!select) return;
+    
+    while (select.firstChild) {
+        select.removeChild(select.firstChild);
+    }
+    
+    select.appendChild(new Option('＋ New block', ''));
+    boilerplateBlocks.forEach(block => {
+        select.appendChild(new Option(`${block.name || block.key} [${block.key}]`, block.key));
+    });
+    select.value = selectedBlockKey || '';
+}
+
+/**
+ * Open a boilerplate block in the editor (null starts a new one)
+ */
+function selectBoilerplateBlock(key) {
+    const block = boilerplateBlocks.find(item => item.key === key) || null;
+    selectedBlockKey = block ? block.key : null;
+    
+    if (elements.blockName) elements.blockName.value = block ? block.name : '';
+    if (elements.blockKey) {
+        elements.blockKey.value = block ? block.key : '';
+        delete elements.blockKey.dataset.edited;
+    }
+    if (elements.blockContent) elements.blockContent.value = block ? block.content : '';
+    if (elements.blockAutoAppend) elements.blockAutoAppend.checked = block ? block.autoAppend : false;
+    if (elements.deleteBlockButton) elements.deleteBlockButton.disabled = !block;
+    
+    renderBoilerplateBlockList();
+}
+
+/**
+ * Save the boilerplate block open in the editor
+ */
+async function saveBoilerplateBlock() {
+    const slugify = window.OpenStudio?.Boilerplate?.slugifyBlockKey || (value => value.trim().toLowerCase());
+    const name = elements.blockName?.value.trim() ?? '';
+    const key = slugify(elements.blockKey?.value || name);
+    
+    if (!key) {
+        showStatusMessage('Give the block a name or marker key before saving', 'error');
+        return;
+    }
+    if (key !== selectedBlockKey && boilerplateBlocks.some(item => item.key === key)) {
+        showStatusMessage(`A block with the key "${key}" already exists`, 'error');
+        return;
+    }
+    if (selectedBlockKey && key !== selectedBlockKey &&
+        !confirm(`Change the marker key from "${selectedBlockKey}" to "${key}"? Copies already in your descriptions keep the old key.`)) {
+        return;
+    }
+    
+    const block = {
+        key,
+        name: name || key,
+        content: elements.blockContent?.value ?? '',
+        autoAppend: elements.blockAutoAppend?.checked ?? false
+    };
+    
+    const blocks = selectedBlockKey
+        ? boilerplateBlocks.map(item => (item.key === selectedBlockKey ? block : item))
+        : [...boilerplateBlocks, block];
+    
+    if (await persistBoilerplateBlocks(blocks, 'Block saved. Outdated copies can be updated from the SEO Assistant panel.')) {
+        selectBoilerplateBlock(key);
+    }
+}
+
+/**
+ * Delete the boilerplate block open in the editor
+ */
+async function deleteBoilerplateBlock() {
+    const block = boilerplateBlocks.find(item => item.key === selectedBlockKey);
+    if (!block || !confirm(`Delete the "${block.name}" block? Copies already in your descriptions are left as they are.`)) {
+        return;
+    }
+    
+    if (await persistBoilerplateBlocks(boilerplateBlocks.filter(item => item.key !== block.key), 'Block deleted')) {
+        selectBoilerplateBlock(boilerplateBlocks[0]?.key || null);
+    }
+}
+
+/**
+ * Save the boilerplate block list
+ * @returns {Promise<boolean>} Whether the blocks were saved
+ */
+async function persistBoilerplateBlocks(blocks, message) {
+    try {
+        const response = await sendMessageToBackground('saveBoilerplateBlocks', { blocks });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        
+        boilerplateBlocks = response.blocks;
+        showStatusMessage(message, 'success');
+        return true;
+    } catch (error) {
+        console.error('Error saving boilerplate blocks:', error);
+        showStatusMessage('Failed to save boilerplate blocks: ' + error.message, 'error');
+        return false;
+    }
+}
+
+/**
+ * Load the competitor watchlist
+ */
+async function loadWatchlist() {
+    try {
+        const response = await sendMessageToBackground('getWatchlist');
+        if (response.success) {
+            watchlist = response.watchlist;
+            renderWatchlist();
+        } else {
+            console.error('Failed to load competitor watchlist:', response.error);
+        }
+    } catch (error) {
+        console.error('Error loading competitor watchlist:', error);
+    }
+}
+
+/**
+ * Format a count compactly (1.2K, 3.4M), or a dash when unknown
+ */
+function formatWatchCount(value) {
+    if (value === null || value === undefined) return '—';
+    if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+    if (value >= 1000) return `${(value / 1000).toFixed(1)}K`;
+    return String(value);
+}
+
+/**
+ * Render the watched channels, their uploads and the title/tag patterns
+ */
+function renderWatchlist() {
+    if (!watchlist || !elements.watchChannelList || !elements.watchUploadList) return;
+    
+    [elements.watchChannelList, elements.watchUploadList].forEach(element => {
+        while (element.firstChild) {
+            element.removeChild(element.firstChild);
+        }
+    });
+    
+    if (watchlist.channels.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'help-text';
+        empty.textContent = 'No channels yet.';
+        elements.watchChannelList.appendChild(empty);
+    }
+    
+    watchlist.channels.forEach(channel => {
+        const row = document.createElement('div');
+        row.className = 'watch-channel';
+        
+        const name = document.createElement('div');
+        name.className = 'watch-channel-name';
+        name.textContent = channel.title;
+        
+        const meta = document.createElement('div');
+        meta.className = channel.lastError ? 'watch-channel-error' : 'watch-channel-meta';
+        meta.textContent = channel.lastError
+            ? `Last check failed: ${channel.lastError}`
+            : `${channel.handle || channel.id} · ${formatWatchCount(channel.subscribers)} subscribers · ` +
+              `${channel.uploadsPerWeek} uploads/week` +
+              (channel.outperforming > 0 ? ` · 🔥 ${channel.outperforming} outperforming` : '');
+        name.appendChild(meta);
+        
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn btn-secondary';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', (e) => {
+            e.preventDefault();
+            removeWatchedChannel(channel);
+        });
+        
+        row.appendChild(name);
+        row.appendChild(remove);
+        elements.watchChannelList.appendChild(row);
+    });
+    
+    watchlist.uploads.forEach(upload => {
+        const row = document.createElement('tr');
+        if (upload.outperforming) row.className = 'outperforming';
+        
+        const title = document.createElement('td');
+        const link = document.createElement('a');
+        link.href = `https://www.youtube.com/watch?v=${encodeURIComponent(upload.videoId)}`;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = upload.title;
+        const channel = document.createElement('div');
+        channel.className = 'watch-channel-meta';
+        channel.textContent = upload.channelTitle;
+        title.appendChild(link);
+        title.appendChild(channel);
+        
+        const ratio = document.createElement('span');
+        ratio.className = `watch-ratio${upload.outperforming ? ' outperforming' : ''}`;
+        ratio.textContent = upload.ratio === null ? '—' : `${upload.outperforming ? '🔥 ' : ''}${upload.ratio}×`;
+        ratio.title = upload.basis ? `Compared with the channel's usual ${upload.basis} views` : 'Not enough uploads recorded for this channel yet';
+        const ratioCell = document.createElement('td');
+        ratioCell.appendChild(ratio);
+        
+        const age = upload.ageHours < 48 ? `${upload.ageHours}h` : `${Math.round(upload.ageHours / 24)}d`;
+        const cells = [age, formatWatchCount(upload.views24h), formatWatchCount(upload.views48h), formatWatchCount(upload.views)]
+            .map(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                return cell;
+            });
+        
+        row.appendChild(title);
+        cells.forEach(cell => row.appendChild(cell));
+        row.appendChild(ratioCell);
+        elements.watchUploadList.appendChild(row);
+    });
+    
+    if (elements.watchPatterns) {
+        const patterns = watchlist.patterns;
+        const parts = [];
+        if (patterns.titleWords.length > 0) {
+            parts.push(`Common title words: ${patterns.titleWords.map(item => `${item.term} (${item.count})`).join(', ')}`);
+        }
+        if (patterns.tags.length > 0) {
+            parts.push(`Common tags: ${patterns.tags.map(item => `${item.term} (${item.count})`).join(', ')}`);
+        }
+        if (patterns.averageTitleLength > 0) {
+            parts.push(`Average title length: ${patterns.averageTitleLength} characters`);
+        }
+        if (watchlist.lastCheckedAt) {
+            parts.push(`Last checked ${new Date(watchlist.lastCheckedAt).toLocaleString()}`);
+        }
+        elements.watchPatterns.textContent = parts.join(' · ');
+    }
+}
+
+/**
+ * Disable the watchlist buttons while the background script talks to YouTube
+ */
+function setWatchlistBusy(busy) {
+    if (elements.addWatchChannelButton) elements.addWatchChannelButton.disabled = busy;
+    if (elements.checkWatchlistButton) {
+        elements.checkWatchlistButton.disabled = busy;
+        elements.checkWatchlistButton.textContent = busy ? 'Checking...' : 'Check Now';
+    }
+}
+
+/**
+ * Add the channel typed into the watchlist input
+ */
+async function addWatchedChannel() {
+    const channel = elements.watchChannelInput?.value.trim() ?? '';
+    if (!channel) {
+        showStatusMessage('Enter a channel ID, @handle or channel URL', 'error');
+        return;
+    }
+    
+    setWatchlistBusy(true);
+    try {
+        const response = await sendMessageToBackground('addWatchedChannel', { channel });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        
+        watchlist = response.watchlist;
+        elements.watchChannelInput.value = '';
+        renderWatchlist();
+        showStatusMessage('Channel added to the watchlist', 'success');
+    } catch (error) {
+        console.error('Error adding competitor channel:', error);
+        showStatusMessage('Failed to add channel: ' + error.message, 'error');
+    } finally {
+        setWatchlistBusy(false);
+    }
+}
+
+/**
+ * Remove a channel and its recorded uploads from the watchlist
+ */
+async function removeWatchedChannel(channel) {
+    if (!confirm(`Stop watching "${channel.title}"? Its recorded uploads are deleted too.`)) {
+        return;
+    }
+    
+    try {
+        const response = await sendMessageToBackground('removeWatchedChannel', { channelId: channel.id });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        
+        watchlist = response.watchlist;
+        renderWatchlist();
+        showStatusMessage('Channel removed from the watchlist', 'success');
+    } catch (error) {
+        console.error('Error removing competitor channel:', error);
+        showStatusMessage('Failed to remove channel: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Check all watched channels for new uploads now
+ */
+async function checkWatchlistNow() {
+    setWatchlistBusy(true);
+    try {
+        const response = await sendMessageToBackground('checkWatchlist');
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        
+        watchlist = response.watchlist;
+        renderWatchlist();
+        showStatusMessage('Watchlist updated', 'success');
+    } catch (error) {
+        console.error('Error checking competitor watchlist:', error);
+        showStatusMessage('Failed to check the watchlist: ' + error.message, 'error');
+    } finally {
+        setWatchlistBusy(false);
+    }
+}
+
+/**
+ * Load the trending feeds and the category choices
+ */
+async function loadTrends() {
+    try {
+        const response = await sendMessageToBackground('getTrends');
+        if (response.success) {
+            trends = response.trends;
+            populateTrendCategories(response.categories || []);
+            renderTrends();
+        } else {
+            console.error('Failed to load trends:', response.error);
+        }
+    } catch (error) {
+        console.error('Error loading trends:', error);
+    }
+}
+
+/**
+ * Fill the category select with the categories the background script offers
+ */
+function populateTrendCategories(categories) {
+    if (!elements.trendCategory || categories.length === 0) return;
+    
+    while (elements.trendCategory.firstChild) {
+        elements.trendCategory.removeChild(elements.trendCategory.firstChild);
+    }
+    
+    categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category.id;
+        option.textContent = category.label;
+        elements.trendCategory.appendChild(option);
+    });
+}
+
+/**
+ * Create a row of keyword chips, or nothing when there are none
+ */
+function createTrendTerms(label, terms, rising) {
+    const group = document.createElement('div');
+    if (terms.length === 0) return group;
+    
+    const title = document.createElement('div');
+    title.className = 'watch-channel-meta';
+    title.textContent = label;
+    group.appendChild(title);
+    
+    const list = document.createElement('div');
+    list.className = 'trend-terms';
+    terms.forEach(item => {
+        const chip = document.createElement('span');
+        chip.className = `trend-term${rising ? ' rising' : ''}`;
+        chip.textContent = rising
+            ? `${item.term} ${item.isNew ? 'NEW' : `+${item.change}`}`
+            : `${item.term} (${item.count})`;
+        if (rising) {
+            chip.title = `${item.count} trending videos now, ${item.previous} on average before`;
+        }
+        list.appendChild(chip);
+    });
+    group.appendChild(list);
+    
+    return group;
+}
+
+/**
+ * Render each trending feed with its rising keywords, common keywords and top videos
+ */
+function renderTrends() {
+    if (!trends || !elements.trendFeedList) return;
+    
+    while (elements.trendFeedList.firstChild) {
+        elements.trendFeedList.removeChild(elements.trendFeedList.firstChild);
+    }
+    
+    if (trends.feeds.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'help-text';
+        empty.textContent = 'No feeds yet. Add a region and category to start collecting snapshots.';
+        elements.trendFeedList.appendChild(empty);
+        return;
+    }
+    
+    trends.feeds.forEach(feed => {
+        const container = document.createElement('div');
+        container.className = 'trend-feed';
+        
+        const header = document.createElement('div');
+        header.className = 'watch-channel';
+        
+        const name = document.createElement('div');
+        name.className = 'watch-channel-name';
+        name.textContent = feed.label;
+        
+        const meta = document.createElement('div');
+        meta.className = feed.lastError ? 'watch-channel-error' : 'watch-channel-meta';
+        meta.textContent = feed.lastError
+            ? `Last snapshot failed: ${feed.lastError}`
+            : `${feed.snapshotCount} snapshot${feed.snapshotCount === 1 ? '' : 's'}` +
+              (feed.takenAt ? ` · latest ${new Date(feed.takenAt).toLocaleString()}` : '');
+        name.appendChild(meta);
+        
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn btn-secondary';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', (e) => {
+            e.preventDefault();
+            removeTrendFeed(feed);
+        });
+        
+        header.appendChild(name);
+        header.appendChild(remove);
+        container.appendChild(header);
+        
+        if (feed.snapshotCount > 1 && feed.rising.length === 0) {
+            const steady = document.createElement('div');
+            steady.className = 'help-text';
+            steady.textContent = 'No keywords are rising compared with the earlier snapshots.';
+            container.appendChild(steady);
+        }
+        container.appendChild(createTrendTerms('Rising keywords', feed.rising, true));
+        container.appendChild(createTrendTerms('Most common keywords', feed.top, false));
+        
+        if (feed.videos.length > 0) {
+            const table = document.createElement('table');
+            table.className = 'watch-table';
+            const body = document.createElement('tbody');
+            
+            feed.videos.forEach(video => {
+                const row = document.createElement('tr');
+                
+                const title = document.createElement('td');
+                const link = document.createElement('a');
+                link.href = `https://www.youtube.com/watch?v=${encodeURIComponent(video.videoId)}`;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = video.title;
+                const channel = document.createElement('div');
+                channel.className = 'watch-channel-meta';
+                channel.textContent = video.channelTitle;
+                title.appendChild(link);
+                title.appendChild(channel);
+                
+                const views = document.createElement('td');
+                views.textContent = formatWatchCount(video.views);
+                
+                row.appendChild(title);
+                row.appendChild(views);
+                body.appendChild(row);
+            });
+            
+            table.appendChild(body);
+            container.appendChild(table);
+        }
+        
+        elements.trendFeedList.appendChild(container);
+    });
+}
+
+/**
+ * Disable the trend buttons while the background script talks to YouTube
+ */
+function setTrendsBusy(busy) {
+    if (elements.addTrendFeedButton) elements.addTrendFeedButton.disabled = busy;
+    if (elements.snapshotTrendsButton) {
+        elements.snapshotTrendsButton.disabled = busy;
+        elements.snapshotTrendsButton.textContent = busy ? 'Fetching...' : 'Snapshot Now';
+    }
+}
+
+/**
+ * Add the chosen region and category as a trending feed
+ */
+async function addTrendFeed() {
+    const regionCode = elements.trendRegion?.value.trim().toUpperCase() ?? '';
+    if (!/^[A-Z]{2}$/.test(regionCode)) {
+        showStatusMessage('Enter a two-letter region code such as US or GB', 'error');
+        return;
+    }
+    
+    setTrendsBusy(true);
+    try {
+        const response = await sendMessageToBackground('addTrendFeed', {
+            regionCode,
+            categoryId: elements.trendCategory?.value ?? ''
+        });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        
+        trends = response.trends;
+        renderTrends();
+        showStatusMessage('Trending feed added', 'success');
+    } catch (error) {
+        console.error('Error adding trending feed:', error);
+        showStatusMessage('Failed to add feed: ' + error.message, 'error');
+    } finally {
+        setTrendsBusy(false);
+    }
+}
+
+/**
+ * Remove a trending feed and its snapshots
+ */
+async function removeTrendFeed(feed) {
+    if (!confirm(`Stop tracking "${feed.label}"? Its snapshots are deleted too.`)) {
+        return;
+    }
+    
+    try {
+        const response = await sendMessageToBackground('removeTrendFeed', { feedId: feed.id });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        
+        trends = response.trends;
+        renderTrends();
+        showStatusMessage('Trending feed removed', 'success');
+    } catch (error) {
+        console.error('Error removing trending feed:', error);
+        showStatusMessage('Failed to remove feed: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Take a snapshot of every trending feed now
+ */
+async function snapshotTrendsNow() {
+    setTrendsBusy(true);
+    try {
+        const response = await sendMessageToBackground('snapshotTrends');
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        
+        trends = response.trends;
+        renderTrends();
+        showStatusMessage('Trends updated', 'success');
+    } catch (error) {
+        console.error('Error taking trending snapshots:', error);
+        showStatusMessage('Failed to update trends: ' + error.message, 'error');
+    } finally {
+        setTrendsBusy(false);
+    }
+}
+
+/**
+ * Load the content idea backlog
+ */
+async function loadIdeas() {
+    try {
+        const response = await sendMessageToBackground('getIdeas');
+        if (response.success) {
+            ideaBacklog = response.backlog;
+            if (elements.ideaChannelInput && ideaBacklog.channel) {
+                elements.ideaChannelInput.value = ideaBacklog.channel.handle || ideaBacklog.channel.id;
+            }
+            renderIdeas();
+        } else {
+            console.error('Failed to load content ideas:', response.error);
+        }
+    } catch (error) {
+        console.error('Error loading content ideas:', error);
+    }
+}
+
+/**
+ * Create the card for one idea with its star, promote and dismiss controls
+ */
+function createIdeaCard(idea) {
+    const card = document.createElement('div');
+    card.className = 'idea-card';
+    
+    const header = document.createElement('div');
+    header.className = 'idea-header';
+    
+    const star = document.createElement('button');
+    star.type = 'button';
+    star.className = 'idea-star';
+    star.textContent = idea.starred ? '★' : '☆';
+    star.title = idea.starred ? 'Unstar' : 'Star';
+    star.addEventListener('click', (e) => {
+        e.preventDefault();
+        changeIdea(idea, { starred: !idea.starred });
+    });
+    
+    const title = document.createElement('div');
+    title.className = 'idea-title';
+    title.textContent = idea.title;
+    
+    const potential = document.createElement('span');
+    potential.className = `idea-potential${idea.potential === 'High' ? ' high' : ''}`;
+    potential.textContent = `${idea.potential} potential`;
+    
+    header.appendChild(star);
+    header.appendChild(title);
+    header.appendChild(potential);
+    card.appendChild(header);
+    
+    [idea.description, idea.reasoning && `Why: ${idea.reasoning}`].filter(Boolean).forEach(text => {
+        const line = document.createElement('div');
+        line.className = 'help-text';
+        line.textContent = text;
+        card.appendChild(line);
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'idea-actions';
+    const addAction = (label, className, changes) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn ${className}`;
+        button.textContent = label;
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            changeIdea(idea, changes);
+        });
+        actions.appendChild(button);
+    };
+    
+    if (idea.status === 'draft') {
+        addAction('Back to Backlog', 'btn-secondary', { status: 'open' });
+    } else {
+        addAction('Promote to Draft', 'btn-primary', { status: 'draft' });
+        addAction('Dismiss', 'btn-secondary', { status: 'dismissed' });
+    }
+    card.appendChild(actions);
+    
+    return card;
+}
+
+/**
+ * Render the backlog (starred first), the drafts and the performers the last ideas were based on
+ */
+function renderIdeas() {
+    if (!ideaBacklog || !elements.ideaList || !elements.ideaDraftList) return;
+    
+    [elements.ideaList, elements.ideaDraftList].forEach(element => {
+        while (element.firstChild) {
+            element.removeChild(element.firstChild);
+        }
+    });
+    
+    const open = ideaBacklog.ideas
+        .filter(idea => idea.status === 'open')
+        .sort((a, b) => b.starred - a.starred);
+    const drafts = ideaBacklog.ideas.filter(idea => idea.status === 'draft');
+    const dismissed = ideaBacklog.ideas.filter(idea => idea.status === 'dismissed').length;
+    
+    [[elements.ideaList, open, 'No ideas yet. Enter your channel and generate some.'],
+     [elements.ideaDraftList, drafts, 'Promote an idea to start a draft.']].forEach(([list, ideas, emptyText]) => {
+        if (ideas.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'help-text';
+            empty.textContent = emptyText;
+            list.appendChild(empty);
+        }
+        ideas.forEach(idea => list.appendChild(createIdeaCard(idea)));
+    });
+    
+    if (elements.ideaDismissed) {
+        elements.ideaDismissed.textContent = dismissed > 0 ? `${dismissed} dismissed idea${dismissed === 1 ? '' : 's'} hidden` : '';
+    }
+    
+    if (elements.ideaPerformers) {
+        const { top, bottom } = ideaBacklog.performers;
+        const describe = uploads => uploads.slice(0, 3).map(upload => `"${upload.title}" (${formatWatchCount(upload.viewsPerDay)}/day)`).join(', ');
+        const parts = [];
+        if (top.length > 0) parts.push(`Best performers: ${describe(top)}`);
+        if (bottom.length > 0) parts.push(`Weakest: ${describe(bottom)}`);
+        if (ideaBacklog.generatedAt) parts.push(`Generated ${new Date(ideaBacklog.generatedAt).toLocaleString()}`);
+        elements.ideaPerformers.textContent = parts.join(' · ');
+    }
+}
+
+/**
+ * Generate new ideas for the channel in the input
+ */
+async function generateIdeas() {
+    const channel = elements.ideaChannelInput?.value.trim() ?? '';
+    if (!channel) {
+        showStatusMessage('Enter your channel ID, @handle or channel URL', 'error');
+        return;
+    }
+    
+    if (elements.generateIdeasButton) {
+        elements.generateIdeasButton.disabled = true;
+        elements.generateIdeasButton.textContent = 'Generating...';
+    }
+    try {
+        const response = await sendMessageToBackground('generateIdeas', { channel });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        
+        ideaBacklog = response.backlog;
+        renderIdeas();
+        showStatusMessage(response.usedTrends ? 'New ideas added, using your trend snapshots' : 'New ideas added', 'success');
+    } catch (error) {
+        console.error('Error generating content ideas:', error);
+        showStatusMessage('Failed to generate ideas: ' + error.message, 'error');
+    } finally {
+        if (elements.generateIdeasButton) {
+            elements.generateIdeasButton.disabled = false;
+            elements.generateIdeasButton.textContent = 'Generate Ideas';
+        }
+    }
+}
+
+/**
+ * Star, promote or dismiss an idea
+ */
+async function changeIdea(idea, changes) {
+    try {
+        const response = await sendMessageToBackground('updateIdea', { ideaId: idea.id, changes });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+        
+        ideaBacklog = response.backlog;
+        renderIdeas();
+    } catch (error) {
+        console.error('Error updating content idea:', error);
+        showStatusMessage('Failed to update idea: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Populate form with settings values
+ */
+function populateSettingsForm(settings) {
+    // SEO Settings
+    if (elements.seoEnabled) elements.seoEnabled.checked = settings.seoEnabled;
+    if (elements.autoSuggestions) elements.autoSuggestions.checked = settings.autoSuggestions;
+    if (elements.tagRecommendations) elements.tagRecommendations.checked = settings.tagRecommendations;
+    if (elements.titleOptimization) elements.titleOptimization.checked = settings.titleOptimization;
+    
+    // Analytics Settings
+    if (elements.analyticsTracking) elements.analyticsTracking.checked = settings.analyticsTracking;
+    if (elements.performanceAlerts) elements.performanceAlerts.checked = settings.performanceAlerts;
+    if (elements.trendAnalysis) elements.trendAnalysis.checked = settings.trendAnalysis;
+    
+    // UI Preferences
+    if (elements.themeSelect) elements.themeSelect.value = settings.theme;
+    if (elements.notificationsEnabled) elements.notificationsEnabled.checked = settings.notificationsEnabled;
+    if (elements.compactMode) elements.compactMode.checked = settings.compactMode;
+}
+
+/**
+ * Save settings to storage
+ */
+async function saveSettings(silent = false) {
+    try {
+        
+        // Collect settings from form
+        const settings = {
+            seoEnabled: elements.seoEnabled?.checked ?? true,
+            autoSuggestions: elements.autoSuggestions?.checked ?? true,
+            tagRecommendations: elements.tagRecommendations?.checked ?? false,
+            titleOptimization: elements.titleOptimization?.checked ?? false,
+            analyticsTracking: elements.analyticsTracking?.checked ?? true,
+            performanceAlerts: elements.performanceAlerts?.checked ?? false,
+            trendAnalysis: elements.trendAnalysis?.checked ?? false,
+            theme: elements.themeSelect?.value ?? 'light',
+            notificationsEnabled: elements.notificationsEnabled?.checked ?? true,
+            compactMode: elements.compactMode?.checked ?? false,
+            lastUpdated: new Date().toISOString()
+        };
+        
+        
+        // Save settings
+        const settingsResponse = await sendMessageToBackground('saveSettings', { settings });
+        
+        // Collect and save API keys with proper camelCase naming
+        const apiKeys = {
+            youtube: elements.youtubeApiKey?.value?.trim() ?? '',
+            geminiApiKey: elements.geminiApiKey?.value?.trim() ?? ''
+        };
+        
+        
+        const keysResponse = await sendMessageToBackground('saveApiKeys', { keys: apiKeys });
+        
+        if (settingsResponse.success && keysResponse.success) {
+            if (!silent) {
+                showStatusMessage('Settings saved successfully!', 'success');
+            }
+        } else {
+            throw new Error(`Failed to save - Settings: ${settingsResponse.error}, Keys: ${keysResponse.error}`);
+        }
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        showStatusMessage('Failed to save settings: ' + error.message, 'error');
+    }
+}
+
+/**
+ * Reset settings to defaults
+ */
+async function resetSettings() {
+    if (confirm('Are you sure you want to reset all settings to defaults? This cannot be undone.')) {
+        try {
+            populateSettingsForm(defaultSettings);
+            applyTheme(defaultSettings.theme);
+            
+            // Clear API keys
+            if (elements.youtubeApiKey) elements.youtubeApiKey.value = '';
+            if (elements.geminiApiKey) elements.geminiApiKey.value = '';
+            
+            await saveSettings();
+            showStatusMessage('Settings reset to defaults', 'success');
+        } catch (error) {
+            console.error('Error resetting settings:', error);
+            showStatusMessage('Failed to reset settings', 'error');
+        }
+    }
+}
+
+/**
+ * Export settings as JSON file
+ */
+async function exportSettings() {
+    try {
+        
+        const settingsResponse = await sendMessageToBackground('getSettings');
+        
+        const keysResponse = await sendMessageToBackground('getApiKeys');
+        
+        const profileResponse = await sendMessageToBackground('getScoringProfile');
+        
+        const templatesResponse = await sendMessageToBackground('getTemplates');
+        
+        const blocksResponse = await sendMessageToBackground('getBoilerplateBlocks');
+        
+        const librariesResponse = await sendMessageToBackground('getTagLibraries');
+        
+        const watchlistResponse = await sendMessageToBackground('getWatchlist');
         
         if (settingsResponse.success && keysResponse.success) {
             const exportData = {
                 settings: settingsResponse.settings,
                 apiKeys: keysResponse.keys,
+                scoringProfile: profileResponse.success ? profileResponse.profile : null,
+                descriptionTemplates: templatesResponse.success
+                    ? { templates: templatesResponse.templates, socialLinks: templatesResponse.socialLinks }
+                    : null,
+                boilerplateBlocks: blocksResponse.success ? blocksResponse.blocks : null,
+                tagLibraries: librariesResponse.success ? librariesResponse.libraries : null,
+                competitorChannels: watchlistResponse.success
+                    ? watchlistResponse.watchlist.channels.map(channel => ({ id: channel.id, title: channel.title }))
+                    : null,
                 exportDate: new Date().toISOString(),
                 version: '1.0.0'
             };
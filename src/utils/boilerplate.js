@@ -0,0 +1,197 @@
+/**
+ * OpenStudio Boilerplate Blocks
+ * Inserts channel-wide description blocks (footer, socials, disclosures)
+ * between start and end markers, and finds copies that are out of date
+ */
+
+// A block copy is wrapped as "[os:key]" ... "[/os:key]", each marker on its own line
+const BLOCK_START_PATTERN = /^\[os:([a-z0-9-]+)\][ \t]*$/;
+const BLOCK_END_PATTERN = /^\[\/os:([a-z0-9-]+)\][ \t]*$/;
+
+const BLOCK_STATUS = {
+    CURRENT: 'current',
+    OUTDATED: 'outdated',
+    MISSING: 'missing'
+};
+
+/**
+ * Turn a block name into a marker key
+ * @param {string} name - Block name
+ * @returns {string} Lowercase key with dashes, e.g. "affiliate-disclosure"
+ */
+function slugifyBlockKey(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40);
+}
+
+/**
+ * Wrap a block's content in its markers
+ * @param {Object} block - { key, content }
+ * @returns {string} Marked block text
+ */
+function wrapBlock(block) {
+    return `[os:${block.key}]\n${(block.content || '').trim()}\n[/os:${block.key}]`;
+}
+
+/**
+ * Find the marked block copies in a description
+ * @param {string} description - Description text
+ * @returns {Array} [{ key, content, start, end }] with line indexes (end exclusive, includes the end marker)
+ */
+function findBlocks(description) {
+    const lines = (description || '').split('\n');
+    const found = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const start = lines[i].trim().match(BLOCK_START_PATTERN);
+        if (!start) continue;
+
+        const endIndex = lines.findIndex((line, index) => {
+            const end = index > i && line.trim().match(BLOCK_END_PATTERN);
+            return end && end[1] === start[1];
+        });
+        // An unterminated start marker is left alone
+        if (endIndex === -1) continue;
+
+        found.push({
+            key: start[1],
+            content: lines.slice(i + 1, endIndex).join('\n').trim(),
+            start: i,
+            end: endIndex + 1
+        });
+        i = endIndex;
+    }
+
+    return found;
+}
+
+/**
+ * Compare the block copies in a description with the master blocks
+ * @param {string} description - Description text
+ * @param {Array} blocks - Master blocks [{ key, name, content }]
+ * @returns {Array} [{ key, name, status }] in master block order
+ */
+function checkBlocks(description, blocks) {
+    const copies = findBlocks(description);
+
+    return (blocks || []).map(block => {
+        const blockCopies = copies.filter(copy => copy.key === block.key);
+        let status = BLOCK_STATUS.MISSING;
+        if (blockCopies.length > 0) {
+            status = blockCopies.every(copy => copy.content === (block.content || '').trim())
+                ? BLOCK_STATUS.CURRENT
+                : BLOCK_STATUS.OUTDATED;
+        }
+        return { key: block.key, name: block.name, status };
+    });
+}
+
+/**
+ * Replace every copy of a block with the master content
+ * @param {string} description - Description text
+ * @param {Object} block - Master block { key, content }
+ * @returns {string} Updated description
+ */
+function replaceBlock(description, block) {
+    const lines = (description || '').split('\n');
+
+    // Work from the end so earlier line indexes stay valid
+    findBlocks(description)
+        .filter(copy => copy.key === block.key)
+        .reverse()
+        .forEach(copy => {
+            lines.splice(copy.start, copy.end - copy.start, ...wrapBlock(block).split('\n'));
+        });
+
+    return lines.join('\n');
+}
+
+/**
+ * Insert a block at the end of a description, or refresh it if a copy is already there
+ * @param {string} description - Description text
+ * @param {Object} block - Master block { key, content }
+ * @returns {string} Updated description
+ */
+function insertBlock(description, block) {
+    if (findBlocks(description).some(copy => copy.key === block.key)) {
+        return replaceBlock(description, block);
+    }
+
+    const current = (description || '').trimEnd();
+    return current ? `${current}\n\n${wrapBlock(block)}` : wrapBlock(block);
+}
+
+/**
+ * Update every outdated block copy in a description
+ * @param {string} description - Description text
+ * @param {Array} blocks - Master blocks
+ * @returns {Object} { description, updated: [keys] }
+ */
+function syncBlocks(description, blocks) {
+    let result = description || '';
+    const updated = [];
+
+    checkBlocks(result, blocks)
+        .filter(item => item.status === BLOCK_STATUS.OUTDATED)
+        .forEach(item => {
+            result = replaceBlock(result, blocks.find(block => block.key === item.key));
+            updated.push(item.key);
+        });
+
+    return { description: result, updated };
+}
+
+/**
+ * Bring a generated description in line with the blocks: update outdated copies
+ * and append the blocks marked to be added automatically
+ * @param {string} description - Description text
+ * @param {Array} blocks - Master blocks [{ key, content, autoAppend }]
+ * @returns {string} Updated description
+ */
+function applyAutoBlocks(description, blocks) {
+    let result = syncBlocks(description, blocks).description;
+
+    (blocks || [])
+        .filter(block => block.autoAppend)
+        .forEach(block => {
+            result = insertBlock(result, block);
+        });
+
+    return result;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        BLOCK_STATUS,
+        slugifyBlockKey,
+        wrapBlock,
+        findBlocks,
+        checkBlocks,
+        insertBlock,
+        syncBlocks,
+        applyAutoBlocks
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to OpenStudio namespace
+    if (typeof window.OpenStudio === 'undefined') {
+        window.OpenStudio = {};
+    }
+
+    window.OpenStudio.Boilerplate = {
+        BLOCK_STATUS,
+        slugifyBlockKey,
+        wrapBlock,
+        findBlocks,
+        checkBlocks,
+        insertBlock,
+        syncBlocks,
+        applyAutoBlocks
+    };
+}
@@ -0,0 +1,265 @@
+/**
+ * OpenStudio Comment Insights
+ * Mines a video's comment threads for repeated viewer questions and frequent
+ * phrases the title, description and tags don't cover, and turns them into
+ * follow-up video topics. Everything here runs locally.
+ */
+
+import { detectLanguage, getLanguagePack, tokenize } from './languages.js';
+import { countTerms } from './keywordResearch.js';
+
+const COMMENT_SETTINGS = {
+    // Comment thread pages fetched (100 threads each, 1 quota unit each)
+    maxPages: 5,
+    pageSize: 100,
+    // Share of keywords two questions must have in common to be the same question
+    questionOverlap: 0.6,
+    maxQuestions: 10,
+    // Examples kept per question cluster
+    questionExamples: 3,
+    // Comments a phrase must appear in to be reported
+    minPhraseComments: 3,
+    maxPhrases: 40,
+    maxMissingPhrases: 15,
+    maxTopics: 5,
+    // Most-liked comments kept for the optional AI summary
+    topComments: 20,
+    maxCommentLength: 300
+};
+
+// Words every comment section is full of; they say nothing about the topic
+const COMMENT_FILLER = new Set([
+    'video', 'videos', 'channel', 'please', 'thanks', 'thank', 'love', 'great',
+    'awesome', 'nice', 'cool', 'make', 'made', 'watch', 'watching', 'next',
+    'part', 'also', 'really', 'would', 'could', 'should', 'does', 'anyone', 'someone'
+]);
+
+/**
+ * Flatten comment thread items into top-level comments
+ * @param {Array} threads - YouTube API commentThread items (snippet)
+ * @returns {Array} [{ text, likes, replies }]
+ */
+function normalizeComments(threads) {
+    return (threads || [])
+        .map(thread => {
+            const snippet = thread.snippet?.topLevelComment?.snippet || {};
+            return {
+                // Requested as plain text; strip markup in case HTML comes back
+                text: String(snippet.textDisplay || snippet.textOriginal || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim(),
+                likes: snippet.likeCount || 0,
+                replies: thread.snippet?.totalReplyCount || 0
+            };
+        })
+        .filter(comment => comment.text.length > 0);
+}
+
+/**
+ * Topic words of a text: no stop words, filler, numbers or very short words
+ * @param {string} text - Text
+ * @param {Set} stopWords - Stop words of the comments' language
+ * @returns {Array} Words
+ */
+function getKeywords(text, stopWords) {
+    return tokenize(text).filter(word => word.length > 2 && !stopWords.has(word) && !COMMENT_FILLER.has(word) && !/^\d+$/.test(word));
+}
+
+/**
+ * Words and two-word phrases of a comment
+ * @param {string} text - Comment text
+ * @param {Set} stopWords - Stop words of the comments' language
+ * @returns {Array} Terms
+ */
+function getCommentTerms(text, stopWords) {
+    const words = tokenize(text);
+    const phrases = [];
+    for (let i = 0; i < words.length - 1; i++) {
+        const pair = [words[i], words[i + 1]];
+        if (pair.some(word => stopWords.has(word) || COMMENT_FILLER.has(word) || /^\d+$/.test(word))) continue;
+        phrases.push(pair.join(' '));
+    }
+    return [...getKeywords(text, stopWords), ...phrases];
+}
+
+/**
+ * The question sentences of a comment
+ * @param {string} text - Comment text
+ * @returns {Array} Questions
+ */
+function extractQuestions(text) {
+    return text
+        .split(/(?<=[.!?？؟])\s+/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => /[?？؟]/.test(sentence) && tokenize(sentence).length >= 3);
+}
+
+/**
+ * Share of the smaller keyword set that the other set also has
+ * @param {Set} first - Keywords
+ * @param {Set} second - Keywords
+ * @returns {number} Overlap 0-1
+ */
+function keywordOverlap(first, second) {
+    const smaller = first.size <= second.size ? first : second;
+    const larger = smaller === first ? second : first;
+    if (smaller.size === 0) return 0;
+    return [...smaller].filter(word => larger.has(word)).length / smaller.size;
+}
+
+/**
+ * Group questions that ask the same thing, most asked first
+ * @param {Array} comments - Normalized comments
+ * @param {Set} stopWords - Stop words of the comments' language
+ * @returns {Array} [{ question, count, likes, keywords, examples }] asked at least twice
+ */
+function clusterQuestions(comments, stopWords) {
+    const questions = comments
+        .flatMap(comment => extractQuestions(comment.text).map(text => ({
+            text,
+            likes: comment.likes,
+            keywords: new Set(getKeywords(text, stopWords))
+        })))
+        .filter(question => question.keywords.size > 0)
+        // Most-liked first, so each cluster is led by its most-liked wording
+        .sort((a, b) => b.likes - a.likes);
+
+    const clusters = [];
+    questions.forEach(question => {
+        const cluster = clusters.find(item => keywordOverlap(item.keywords, question.keywords) >= COMMENT_SETTINGS.questionOverlap);
+        if (cluster) {
+            cluster.members.push(question);
+        } else {
+            clusters.push({ keywords: question.keywords, members: [question] });
+        }
+    });
+
+    return clusters
+        .filter(cluster => cluster.members.length >= 2)
+        .map(cluster => ({
+            question: cluster.members[0].text.slice(0, COMMENT_SETTINGS.maxCommentLength),
+            count: cluster.members.length,
+            likes: cluster.members.reduce((sum, member) => sum + member.likes, 0),
+            keywords: countTerms(cluster.members.map(member => [...member.keywords]), 3).map(item => item.term),
+            examples: cluster.members.slice(1, 1 + COMMENT_SETTINGS.questionExamples).map(member => member.text.slice(0, COMMENT_SETTINGS.maxCommentLength))
+        }))
+        .sort((a, b) => b.count - a.count || b.likes - a.likes)
+        .slice(0, COMMENT_SETTINGS.maxQuestions);
+}
+
+/**
+ * Drop single words that only ever appear inside one of the listed phrases
+ * @param {Array} terms - [{ term, count }]
+ * @returns {Array} Terms without the redundant words
+ */
+function dropCoveredWords(terms) {
+    const phrases = terms.filter(item => item.term.includes(' '));
+    return terms.filter(item => item.term.includes(' ') ||
+        !phrases.some(phrase => phrase.count >= item.count && phrase.term.split(' ').includes(item.term)));
+}
+
+/**
+ * Build the insights for a video's comment threads
+ * @param {Array} threads - YouTube API commentThread items
+ * @returns {Object} { commentCount, questionCount, questions, phrases, topComments, language, analyzedAt }
+ */
+function buildCommentInsights(threads) {
+    const comments = normalizeComments(threads);
+    const language = detectLanguage(comments.slice(0, 50).map(comment => comment.text).join(' ')).code;
+    const stopWords = new Set(getLanguagePack(language).stopWords);
+
+    return {
+        commentCount: comments.length,
+        questionCount: comments.filter(comment => extractQuestions(comment.text).length > 0).length,
+        questions: clusterQuestions(comments, stopWords),
+        phrases: dropCoveredWords(countTerms(comments.map(comment => getCommentTerms(comment.text, stopWords)), COMMENT_SETTINGS.maxPhrases)
+            .filter(item => item.count >= COMMENT_SETTINGS.minPhraseComments)),
+        topComments: [...comments]
+            .sort((a, b) => b.likes - a.likes)
+            .slice(0, COMMENT_SETTINGS.topComments)
+            .map(comment => ({ text: comment.text.slice(0, COMMENT_SETTINGS.maxCommentLength), likes: comment.likes })),
+        language,
+        analyzedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Frequent comment phrases the video's metadata doesn't mention
+ * @param {Array} phrases - [{ term, count }]
+ * @param {Object} video - { title, description, tags }
+ * @returns {Array} [{ term, count }]
+ */
+function findMissingPhrases(phrases, video) {
+    const tags = Array.isArray(video?.tags) ? video.tags.join(' ') : String(video?.tags || '');
+    const covered = ` ${tokenize(`${video?.title || ''} ${video?.description || ''} ${tags}`).join(' ')} `;
+
+    return (phrases || [])
+        .filter(item => !covered.includes(` ${item.term} `))
+        .slice(0, COMMENT_SETTINGS.maxMissingPhrases);
+}
+
+/**
+ * Follow-up video topics: the most asked questions, then uncovered phrases
+ * @param {Array} questions - Question clusters
+ * @param {Array} missingPhrases - Phrases missing from the metadata
+ * @returns {Array} [{ title, reason }]
+ */
+function suggestFollowUps(questions, missingPhrases) {
+    const topics = questions.slice(0, 3).map(cluster => ({
+        title: cluster.question,
+        reason: `${cluster.count} comments ask this`
+    }));
+
+    const asked = topics.map(topic => topic.title.toLowerCase()).join(' ');
+    missingPhrases
+        // Two-word phrases make better topics than single words
+        .filter(item => item.term.includes(' ') && !asked.includes(item.term))
+        .forEach(item => {
+            topics.push({
+                title: item.term,
+                reason: `Mentioned in ${item.count} comments but not in the title, description or tags`
+            });
+        });
+
+    return topics.slice(0, COMMENT_SETTINGS.maxTopics);
+}
+
+/**
+ * Compare saved insights with the video's current metadata
+ * @param {Object} insights - Saved comment insights
+ * @param {Object} video - { title, description, tags }
+ * @returns {Object} Insights with missingPhrases and topics
+ */
+function addMetadataCoverage(insights, video) {
+    const missingPhrases = findMissingPhrases(insights.phrases, video);
+    return {
+        ...insights,
+        missingPhrases,
+        topics: suggestFollowUps(insights.questions, missingPhrases)
+    };
+}
+
+/**
+ * Format insights for an AI summary prompt
+ * @param {Object} insights - Comment insights
+ * @returns {string} Prompt text
+ */
+function formatInsightsForPrompt(insights) {
+    const questions = insights.questions.map(cluster => `- "${cluster.question}" (asked ${cluster.count} times)`);
+    const phrases = insights.phrases.slice(0, 20).map(item => `${item.term} (${item.count})`);
+    const comments = insights.topComments.map(comment => `- ${comment.text} (${comment.likes} likes)`);
+
+    return [
+        `Comments analysed: ${insights.commentCount}, with questions: ${insights.questionCount}`,
+        `Repeated questions:\n${questions.join('\n') || '- none'}`,
+        `Frequent phrases: ${phrases.join(', ') || 'none'}`,
+        `Most-liked comments:\n${comments.join('\n') || '- none'}`
+    ].join('\n\n');
+}
+
+export {
+    COMMENT_SETTINGS,
+    normalizeComments,
+    buildCommentInsights,
+    findMissingPhrases,
+    addMetadataCoverage,
+    formatInsightsForPrompt
+};
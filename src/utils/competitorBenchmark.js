@@ -0,0 +1,187 @@
+/**
+ * OpenStudio Competitor Benchmark
+ * Scores the top-ranking videos for a keyword with the same SEO scorer as the
+ * video being edited and reports where our metadata falls behind theirs.
+ */
+
+import SEOScorer from './seoScorer.js';
+import { countCharacters, detectLanguage, getLanguagePack, tokenize } from './languages.js';
+import { countTerms, median, normalizeResults } from './keywordResearch.js';
+
+// Words kept from the title when deriving its main keyword
+const MAX_KEYWORD_WORDS = 4;
+
+// A component counts as a gap when it scores this far below the competitor median
+const SCORE_GAP = 10;
+
+// Competitor tags we don't use, most common first
+const MAX_MISSING_TAGS = 10;
+
+// Scored metadata fields compared against the competitor medians
+const COMPONENTS = ['title', 'description', 'tags'];
+
+/**
+ * Derive the main keyword to search for: the primary focus keyword when set,
+ * otherwise the leading content words of the title's first segment
+ * @param {string} title - Video title
+ * @param {Object|string} focusKeywords - Focus keywords
+ * @returns {string} Keyword, or '' when the title has none
+ */
+function extractMainKeyword(title, focusKeywords) {
+    const focus = SEOScorer.normalizeFocusKeywords(focusKeywords);
+    if (focus.primary) return focus.primary;
+
+    // "Rust Tutorial for Beginners | Full Course (2024)" -> "Rust Tutorial for Beginners"
+    const segment = (title || '')
+        .split(/\s[-–—]\s|[|:([【]/)
+        .map(part => part.trim())
+        .find(part => part.length > 0) || '';
+
+    const stopWords = new Set(getLanguagePack(detectLanguage(segment).code).stopWords);
+    return tokenize(segment)
+        .filter(word => !stopWords.has(word) && !/^\d+$/.test(word))
+        .slice(0, MAX_KEYWORD_WORDS)
+        .join(' ');
+}
+
+/**
+ * Measure one video's metadata with the SEO scorer
+ * @param {Object} videoData - { title, description, tags, niche, language, focusKeywords }
+ * @param {Object} profile - Scoring profile
+ * @param {string} keyword - Benchmarked keyword
+ * @returns {Object} Scores and metadata measurements
+ */
+function measureVideo(videoData, profile, keyword) {
+    const result = SEOScorer.analyzeVideo(videoData, profile);
+    const tags = typeof videoData.tags === 'string'
+        ? videoData.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0)
+        : videoData.tags || [];
+
+    return {
+        overallScore: result.overallScore,
+        titleScore: result.components.title.score,
+        descriptionScore: result.components.description.score,
+        tagsScore: result.components.tags.score,
+        titleLength: countCharacters(videoData.title || ''),
+        descriptionWords: tokenize(videoData.description).length,
+        tagCount: tags.length,
+        keywordInTitle: SEOScorer.findPhrase(videoData.title || '', keyword.toLowerCase()) >= 0,
+        niche: result.niche,
+        tags
+    };
+}
+
+/**
+ * Describe where our metadata falls behind the competitors
+ * @param {Object} ours - Our measurements
+ * @param {Array} competitors - Competitor measurements
+ * @param {Object} medians - Competitor medians
+ * @param {Array} missingTags - Common competitor tags we don't use
+ * @param {string} keyword - Benchmarked keyword
+ * @returns {Array} [{ field, message }]
+ */
+function findGaps(ours, competitors, medians, missingTags, keyword) {
+    const gaps = [];
+    const keywordTitles = competitors.filter(item => item.keywordInTitle).length;
+
+    if (!ours.keywordInTitle && keywordTitles >= competitors.length / 2) {
+        gaps.push({
+            field: 'title',
+            message: `${keywordTitles} of ${competitors.length} top results use "${keyword}" in the title; yours doesn't`
+        });
+    }
+
+    COMPONENTS.forEach(field => {
+        const key = `${field}Score`;
+        if (ours[key] <= medians[key] - SCORE_GAP) {
+            gaps.push({
+                field,
+                message: `Your ${field} score is ${ours[key]}; the top results' median is ${medians[key]}`
+            });
+        }
+    });
+
+    if (ours.descriptionWords < medians.descriptionWords / 2) {
+        gaps.push({
+            field: 'description',
+            message: `Top results' descriptions run a median ${medians.descriptionWords} words; yours has ${ours.descriptionWords}`
+        });
+    }
+
+    if (ours.tagCount < medians.tagCount / 2) {
+        gaps.push({
+            field: 'tags',
+            message: `Top results use a median ${medians.tagCount} tags; you have ${ours.tagCount}`
+        });
+    }
+
+    if (missingTags.length > 0) {
+        gaps.push({
+            field: 'tags',
+            message: `Common competitor tags you don't use: ${missingTags.slice(0, 5).map(item => item.term).join(', ')}`
+        });
+    }
+
+    return gaps;
+}
+
+/**
+ * Benchmark our video against the top-ranking videos for a keyword
+ * @param {Object} videoData - Our video data (title, description, tags, niche, language, focusKeywords, videoId)
+ * @param {string} keyword - Searched keyword
+ * @param {Array} videos - YouTube API video items for the top results, in ranking order
+ * @param {Array} channels - YouTube API channel items for the results' channels
+ * @param {Object} profile - Scoring profile
+ * @returns {Object} { keyword, ours, competitors, medians, missingTags, gaps, benchmarkedAt }
+ */
+function buildBenchmark(videoData, keyword, videos, channels, profile) {
+    const { tags: ourTags, niche, ...ours } = measureVideo(videoData, profile, keyword);
+
+    // Score competitors with our niche preset so the numbers are comparable
+    const results = normalizeResults(videos, channels).filter(result => result.videoId !== videoData.videoId);
+    const competitors = results.map(result => {
+        const { tags, niche: competitorNiche, ...measured } = measureVideo({
+            title: result.title,
+            description: result.description,
+            tags: result.tags,
+            niche: niche.id,
+            language: 'auto'
+        }, profile, keyword);
+
+        return {
+            videoId: result.videoId,
+            title: result.title,
+            channelTitle: result.channelTitle,
+            views: result.views,
+            subscribers: result.subscribers,
+            ...measured
+        };
+    });
+
+    const medians = {};
+    ['overallScore', 'titleScore', 'descriptionScore', 'tagsScore', 'titleLength', 'descriptionWords', 'tagCount']
+        .forEach(key => {
+            medians[key] = median(competitors.map(item => item[key]));
+        });
+
+    const ourTagKeys = new Set(ourTags.map(tag => tag.toLowerCase()));
+    const missingTags = countTerms(results.map(result => result.tags.map(tag => tag.toLowerCase().trim())), Infinity)
+        .filter(item => !ourTagKeys.has(item.term))
+        .slice(0, MAX_MISSING_TAGS);
+
+    return {
+        keyword,
+        niche,
+        ours,
+        competitors,
+        medians,
+        missingTags,
+        gaps: competitors.length > 0 ? findGaps(ours, competitors, medians, missingTags, keyword) : [],
+        benchmarkedAt: new Date().toISOString()
+    };
+}
+
+export {
+    extractMainKeyword,
+    buildBenchmark
+};
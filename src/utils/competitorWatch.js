@@ -0,0 +1,270 @@
+/**
+ * OpenStudio Competitor Watchlist
+ * Records the uploads of watched competitor channels on every check, works out
+ * their views after 24 and 48 hours, and flags uploads that are doing better
+ * than the channel usually does.
+ */
+
+import { detectLanguage, getLanguagePack, tokenize } from './languages.js';
+import { countTerms, median } from './keywordResearch.js';
+
+const WATCH_SETTINGS = {
+    // How often the background script checks the watched channels
+    checkIntervalMinutes: 60,
+    // Newest uploads fetched per channel on each check
+    uploadsPerCheck: 10,
+    // View snapshots are recorded until an upload is this old
+    trackingHours: 72,
+    // 24h/48h views are only interpolated between snapshots this close together
+    maxInterpolationHours: 12,
+    // An upload outperforms when it beats the channel's usual views by this factor
+    outperformRatio: 1.5,
+    // Uploads needed before a channel's median is a usable baseline
+    minBaselineUploads: 3,
+    // Uploads considered for title and tag patterns
+    patternDays: 30
+};
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Parse what the user typed into a channel lookup
+ * @param {string} input - Channel ID, @handle or channel URL
+ * @returns {string|null} Channel ID (UC…) or @handle, or null when unusable
+ */
+function parseChannelInput(input) {
+    const text = String(input || '').trim();
+    if (!text) return null;
+
+    const idMatch = text.match(/(?:^|\/channel\/)(UC[\w-]{22})(?:[/?#]|$)/);
+    if (idMatch) return idMatch[1];
+
+    const handleMatch = text.match(/(?:^|youtube\.com\/)@([\w.-]{3,30})(?:[/?#]|$)/);
+    if (handleMatch) return `@${handleMatch[1]}`;
+
+    // A bare name is most likely a handle typed without the @
+    return /^[\w.-]{3,30}$/.test(text) ? `@${text}` : null;
+}
+
+/**
+ * Create a watchlist entry from a YouTube API channel item
+ * @param {Object} channel - Channel item (snippet, statistics)
+ * @returns {Object} { id, title, handle, thumbnail, subscribers, videoCount, addedAt, lastCheckedAt }
+ */
+function createWatchedChannel(channel) {
+    return {
+        id: channel.id,
+        title: channel.snippet?.title || channel.id,
+        handle: channel.snippet?.customUrl || '',
+        thumbnail: channel.snippet?.thumbnails?.default?.url || '',
+        subscribers: channel.statistics?.hiddenSubscriberCount ? null : Number(channel.statistics?.subscriberCount || 0),
+        videoCount: Number(channel.statistics?.videoCount || 0),
+        addedAt: new Date().toISOString(),
+        lastCheckedAt: null
+    };
+}
+
+/**
+ * Hours between an upload's publish time and a moment
+ * @param {Object} upload - Recorded upload
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {number} Age in hours
+ */
+function ageHours(upload, time) {
+    return (time - new Date(upload.publishedAt).getTime()) / HOUR;
+}
+
+/**
+ * Estimate an upload's views at an age by interpolating between the snapshots around it
+ * @param {Object} upload - Recorded upload with snapshots [{ at, views }]
+ * @param {number} hours - Age in hours
+ * @returns {number|null} Views, or null when the snapshots don't cover that age closely enough
+ */
+function viewsAtAge(upload, hours) {
+    // Every upload starts at zero views when it is published
+    const points = [{ age: 0, views: 0 }, ...(upload.snapshots || []).map(snapshot => ({
+        age: ageHours(upload, new Date(snapshot.at).getTime()),
+        views: snapshot.views
+    }))].sort((a, b) => a.age - b.age);
+
+    const after = points.findIndex(point => point.age >= hours);
+    if (after <= 0) return after === 0 ? points[0].views : null;
+
+    const before = points[after - 1];
+    const next = points[after];
+    if (next.age - before.age > WATCH_SETTINGS.maxInterpolationHours) return null;
+
+    return Math.round(before.views + (next.views - before.views) * (hours - before.age) / (next.age - before.age));
+}
+
+/**
+ * Record a check of one channel's newest uploads
+ * @param {Object} watchlist - { channels, uploads, lastCheckedAt }
+ * @param {string} channelId - Checked channel
+ * @param {Array} videos - YouTube API video items (snippet, statistics)
+ * @param {number} now - Check time in milliseconds
+ * @returns {Object} Updated watchlist
+ */
+function recordUploads(watchlist, channelId, videos, now = Date.now()) {
+    const uploads = [...watchlist.uploads];
+    const checkedAt = new Date(now).toISOString();
+
+    (videos || []).forEach(video => {
+        const views = Number(video.statistics?.viewCount || 0);
+        const index = uploads.findIndex(upload => upload.videoId === video.id);
+        const upload = index >= 0 ? { ...uploads[index] } : {
+            videoId: video.id,
+            channelId,
+            publishedAt: video.snippet?.publishedAt || checkedAt,
+            firstSeenAt: checkedAt,
+            snapshots: [],
+            views24h: null,
+            views48h: null
+        };
+
+        upload.title = video.snippet?.title || '';
+        upload.tags = Array.isArray(video.snippet?.tags) ? video.snippet.tags : [];
+        upload.views = views;
+        upload.likes = Number(video.statistics?.likeCount || 0);
+        upload.comments = Number(video.statistics?.commentCount || 0);
+        upload.lastCheckedAt = checkedAt;
+
+        if (ageHours(upload, now) <= WATCH_SETTINGS.trackingHours) {
+            upload.snapshots = [...upload.snapshots, { at: checkedAt, views }];
+        }
+
+        // Fill in the 24h/48h views once the snapshots cover those ages
+        if (upload.views24h === null) upload.views24h = viewsAtAge(upload, 24);
+        if (upload.views48h === null) upload.views48h = viewsAtAge(upload, 48);
+
+        // Snapshots are no longer needed once both windows are known or past tracking
+        if ((upload.views48h !== null || ageHours(upload, now) > WATCH_SETTINGS.trackingHours) && upload.snapshots.length > 0) {
+            upload.snapshots = [];
+        }
+
+        if (index >= 0) {
+            uploads[index] = upload;
+        } else {
+            uploads.push(upload);
+        }
+    });
+
+    return {
+        ...watchlist,
+        channels: watchlist.channels.map(channel => (
+            channel.id === channelId ? { ...channel, lastCheckedAt: checkedAt, lastError: null } : channel
+        )),
+        uploads
+    };
+}
+
+/**
+ * Compare an upload with the channel's usual views
+ * @param {Object} upload - Recorded upload
+ * @param {Array} others - The channel's other recorded uploads
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { ratio, basis } where basis is '48h', '24h', 'so far' or 'lifetime', or ratio null without a baseline
+ */
+function ratePerformance(upload, others, now) {
+    const baseline = key => {
+        const values = others.map(other => other[key]).filter(value => value !== null && value !== undefined);
+        return values.length >= WATCH_SETTINGS.minBaselineUploads ? median(values) : null;
+    };
+
+    const baseline48h = baseline('views48h');
+    const baseline24h = baseline('views24h');
+
+    if (upload.views48h !== null && baseline48h) {
+        return { ratio: upload.views48h / baseline48h, basis: '48h' };
+    }
+    if (upload.views24h !== null && baseline24h) {
+        return { ratio: upload.views24h / baseline24h, basis: '24h' };
+    }
+    // Beating the usual first-day views before the first day is over is a strong signal
+    if (ageHours(upload, now) < 24 && baseline24h) {
+        return { ratio: upload.views / baseline24h, basis: 'so far' };
+    }
+
+    // Fall back to the lifetime views of the channel's older uploads
+    const older = others.filter(other => ageHours(other, now) > 48).map(other => other.views);
+    if (older.length >= WATCH_SETTINGS.minBaselineUploads && median(older) > 0) {
+        return { ratio: upload.views / median(older), basis: 'lifetime' };
+    }
+
+    return { ratio: null, basis: null };
+}
+
+/**
+ * Common words and tags across recent competitor uploads
+ * @param {Array} uploads - Recorded uploads
+ * @returns {Object} { titleWords, tags, averageTitleLength }
+ */
+function findPatterns(uploads) {
+    if (uploads.length === 0) {
+        return { titleWords: [], tags: [], averageTitleLength: 0 };
+    }
+
+    const titles = uploads.map(upload => upload.title);
+    const stopWords = new Set(getLanguagePack(detectLanguage(titles.join(' ')).code).stopWords);
+
+    return {
+        titleWords: countTerms(titles.map(title => tokenize(title)
+            .filter(word => word.length > 2 && !stopWords.has(word) && !/^\d+$/.test(word))), 15),
+        tags: countTerms(uploads.map(upload => (upload.tags || []).map(tag => tag.toLowerCase().trim())), 15),
+        averageTitleLength: Math.round(titles.reduce((total, title) => total + Array.from(title).length, 0) / titles.length)
+    };
+}
+
+/**
+ * Summarize the watchlist for display: uploads rated against their channel,
+ * outperforming ones first, plus per-channel upload rates and overall patterns
+ * @param {Object} watchlist - { channels, uploads, lastCheckedAt }
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { channels, uploads, patterns, lastCheckedAt }
+ */
+function summarizeWatchlist(watchlist, now = Date.now()) {
+    const channelsById = new Map(watchlist.channels.map(channel => [channel.id, channel]));
+
+    const uploads = watchlist.uploads
+        .filter(upload => channelsById.has(upload.channelId))
+        .map(upload => {
+            const others = watchlist.uploads.filter(other => other.channelId === upload.channelId && other.videoId !== upload.videoId);
+            const performance = ratePerformance(upload, others, now);
+            const { snapshots, ...rest } = upload;
+
+            return {
+                ...rest,
+                channelTitle: channelsById.get(upload.channelId).title,
+                ageHours: Math.round(ageHours(upload, now)),
+                ratio: performance.ratio === null ? null : Math.round(performance.ratio * 10) / 10,
+                basis: performance.basis,
+                outperforming: performance.ratio !== null && performance.ratio >= WATCH_SETTINGS.outperformRatio
+            };
+        })
+        .sort((a, b) => (b.outperforming - a.outperforming) ||
+            (b.outperforming ? b.ratio - a.ratio : new Date(b.publishedAt) - new Date(a.publishedAt)));
+
+    const patternCutoff = now - WATCH_SETTINGS.patternDays * 24 * HOUR;
+    const recent = uploads.filter(upload => new Date(upload.publishedAt).getTime() >= patternCutoff);
+
+    return {
+        channels: watchlist.channels.map(channel => ({
+            ...channel,
+            // Uploads per week over the pattern window
+            uploadsPerWeek: Math.round(recent.filter(upload => upload.channelId === channel.id).length / (WATCH_SETTINGS.patternDays / 7) * 10) / 10,
+            outperforming: uploads.filter(upload => upload.channelId === channel.id && upload.outperforming).length
+        })),
+        uploads,
+        patterns: findPatterns(recent),
+        lastCheckedAt: watchlist.lastCheckedAt
+    };
+}
+
+export {
+    WATCH_SETTINGS,
+    parseChannelInput,
+    createWatchedChannel,
+    viewsAtAge,
+    recordUploads,
+    summarizeWatchlist
+};
@@ -0,0 +1,170 @@
+/**
+ * OpenStudio Content Ideas
+ * Ranks a channel's uploads by views per day so the idea prompt can learn from
+ * what worked and what didn't, and keeps the generated ideas in a backlog where
+ * they can be starred, dismissed or promoted to a draft.
+ */
+
+const IDEA_SETTINGS = {
+    // Newest uploads ranked on each generation
+    uploadsAnalyzed: 50,
+    // Best and worst performers sent to the idea prompt
+    performersSent: 5,
+    // Uploads younger than this are left out, their views per day are still settling
+    minAgeDays: 2
+};
+
+// Idea statuses: in the backlog, promoted to a draft, or dismissed
+const IDEA_STATUS = {
+    OPEN: 'open',
+    DRAFT: 'draft',
+    DISMISSED: 'dismissed'
+};
+
+const POTENTIAL_LEVELS = ['High', 'Medium', 'Low'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Summarize our channel for the idea prompt
+ * @param {Object} channel - YouTube API channel item (snippet, statistics)
+ * @returns {Object} { id, title, handle, description, subscribers, videoCount }
+ */
+function summarizeChannel(channel) {
+    return {
+        id: channel.id,
+        title: channel.snippet?.title || channel.id,
+        handle: channel.snippet?.customUrl || '',
+        description: (channel.snippet?.description || '').slice(0, 500),
+        subscribers: channel.statistics?.hiddenSubscriberCount ? null : Number(channel.statistics?.subscriberCount || 0),
+        videoCount: Number(channel.statistics?.videoCount || 0)
+    };
+}
+
+/**
+ * Rank uploads by views per day since publishing
+ * @param {Array} videos - YouTube API video items (snippet, statistics)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array} [{ videoId, title, tags, views, publishedAt, ageDays, viewsPerDay }], best first
+ */
+function rankUploads(videos, now = Date.now()) {
+    const ageDays = video => (now - new Date(video.snippet.publishedAt).getTime()) / DAY;
+
+    return (videos || [])
+        .filter(video => video.snippet?.publishedAt && ageDays(video) >= IDEA_SETTINGS.minAgeDays)
+        .map(video => {
+            const views = Number(video.statistics?.viewCount || 0);
+            return {
+                videoId: video.id,
+                title: video.snippet.title || '',
+                tags: (Array.isArray(video.snippet.tags) ? video.snippet.tags : []).slice(0, 10),
+                views,
+                publishedAt: video.snippet.publishedAt,
+                ageDays: Math.round(ageDays(video)),
+                viewsPerDay: Math.round(views / ageDays(video))
+            };
+        })
+        .sort((a, b) => b.viewsPerDay - a.viewsPerDay);
+}
+
+/**
+ * Pick the best and worst performers without overlap
+ * @param {Array} ranked - Result of rankUploads
+ * @returns {Object} { top, bottom }
+ */
+function selectPerformers(ranked) {
+    const count = Math.min(IDEA_SETTINGS.performersSent, Math.floor(ranked.length / 2));
+    return {
+        top: ranked.slice(0, count),
+        bottom: count > 0 ? ranked.slice(-count).reverse() : []
+    };
+}
+
+/**
+ * Describe the performers for the idea prompt, labelled so the model can tell them apart
+ * @param {Object} performers - Result of selectPerformers
+ * @returns {Array} [{ performance, title, tags, viewsPerDay, ageDays }]
+ */
+function formatPerformersForPrompt(performers) {
+    const describe = performance => ({ title, tags, viewsPerDay, ageDays }) => ({ performance, title, tags, viewsPerDay, ageDays });
+    return [
+        ...performers.top.map(describe('top')),
+        ...performers.bottom.map(describe('bottom'))
+    ];
+}
+
+/**
+ * Add generated ideas to the backlog, skipping titles it already has
+ * @param {Array} backlog - Existing ideas
+ * @param {Array} ideas - Ideas from the AI helper ({ title, description, reasoning, potential })
+ * @param {number} now - Generation time in milliseconds
+ * @returns {Array} New ideas first, then the existing ones
+ */
+function addIdeas(backlog, ideas, now = Date.now()) {
+    const known = new Set(backlog.map(idea => idea.title.toLowerCase()));
+    const createdAt = new Date(now).toISOString();
+
+    const added = (ideas || [])
+        .filter(idea => idea && typeof idea.title === 'string' && idea.title.trim())
+        .map((idea, index) => {
+            const potential = POTENTIAL_LEVELS.find(level => String(idea.potential || '').toLowerCase().includes(level.toLowerCase()));
+            return {
+                id: `idea_${now.toString(36)}_${index}`,
+                title: idea.title.trim(),
+                description: String(idea.description || '').trim(),
+                reasoning: String(idea.reasoning || '').trim(),
+                potential: potential || 'Medium',
+                starred: false,
+                status: IDEA_STATUS.OPEN,
+                createdAt,
+                promotedAt: null
+            };
+        })
+        .filter(idea => {
+            const key = idea.title.toLowerCase();
+            if (known.has(key)) return false;
+            known.add(key);
+            return true;
+        });
+
+    return [...added, ...backlog];
+}
+
+/**
+ * Apply a star, dismiss or promote action to one idea
+ * @param {Array} backlog - Existing ideas
+ * @param {string} ideaId - Idea to change
+ * @param {Object} changes - { starred, status }
+ * @returns {Array} Updated ideas
+ */
+function updateIdea(backlog, ideaId, changes) {
+    if (!backlog.some(idea => idea.id === ideaId)) {
+        throw new Error('Idea not found');
+    }
+    if (changes.status !== undefined && !Object.values(IDEA_STATUS).includes(changes.status)) {
+        throw new Error(`Unknown idea status: ${changes.status}`);
+    }
+
+    return backlog.map(idea => {
+        if (idea.id !== ideaId) return idea;
+
+        const updated = { ...idea };
+        if (typeof changes.starred === 'boolean') updated.starred = changes.starred;
+        if (changes.status !== undefined) {
+            updated.status = changes.status;
+            updated.promotedAt = changes.status === IDEA_STATUS.DRAFT ? new Date().toISOString() : null;
+        }
+        return updated;
+    });
+}
+
+export {
+    IDEA_SETTINGS,
+    IDEA_STATUS,
+    summarizeChannel,
+    rankUploads,
+    selectPerformers,
+    formatPerformersForPrompt,
+    addIdeas,
+    updateIdea
+};
@@ -0,0 +1,152 @@
+/**
+ * OpenStudio Content Planner
+ * Planned uploads with a working title, focus keyword, description template,
+ * target date and production stage, alongside the dates of our real uploads.
+ */
+
+// Production stages, in order
+const PLAN_STAGES = [
+    { id: 'idea', label: 'Idea' },
+    { id: 'scripting', label: 'Scripting' },
+    { id: 'editing', label: 'Editing' },
+    { id: 'scheduled', label: 'Scheduled' }
+];
+
+// Newest uploads shown on the calendar
+const PLAN_UPLOADS = 50;
+
+/**
+ * Read a video ID from an ID, Studio URL, watch URL or youtu.be link
+ * @param {string} input - What the user typed
+ * @returns {string|null} 11-character video ID, or null when unusable
+ */
+function parseVideoId(input) {
+    const text = String(input || '').trim();
+    if (!text) return null;
+
+    const match = text.match(/(?:\/video\/|[?&]v=|youtu\.be\/|\/shorts\/)([\w-]{11})(?:[/?&#]|$)/) ||
+        text.match(/^([\w-]{11})$/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Validate and clean up a planned item
+ * @param {Object} item - { id, title, keyword, templateId, targetDate, status, videoId, ideaId, notes }
+ * @param {Object|null} existing - The stored item it replaces
+ * @returns {Object} Planned item
+ */
+function normalizePlanItem(item, existing = null) {
+    const title = String(item?.title || '').trim();
+    if (!title) {
+        throw new Error('A planned upload needs a working title');
+    }
+
+    const targetDate = String(item.targetDate || '').trim();
+    if (targetDate && !/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
+        throw new Error('The target date must be a date (YYYY-MM-DD)');
+    }
+
+    const status = item.status || PLAN_STAGES[0].id;
+    if (!PLAN_STAGES.some(stage => stage.id === status)) {
+        throw new Error(`Unknown stage: ${status}`);
+    }
+
+    const videoInput = String(item.videoId || '').trim();
+    const videoId = videoInput ? parseVideoId(videoInput) : '';
+    if (videoId === null) {
+        throw new Error('Enter the video as an ID, Studio link or watch link');
+    }
+
+    const now = new Date().toISOString();
+    return {
+        id: existing ? existing.id : `plan_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+        title,
+        keyword: String(item.keyword || '').trim(),
+        templateId: String(item.templateId || ''),
+        targetDate,
+        status,
+        videoId,
+        ideaId: item.ideaId || existing?.ideaId || null,
+        notes: String(item.notes || '').trim(),
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Add or update a planned item
+ * @param {Array} items - Planned items
+ * @param {Object} item - Item from the planner form (with id when editing)
+ * @returns {Object} { items, item }
+ */
+function upsertPlanItem(items, item) {
+    const existing = item.id ? items.find(other => other.id === item.id) : null;
+    if (item.id && !existing) {
+        throw new Error('Planned upload not found');
+    }
+
+    const saved = normalizePlanItem(item, existing);
+    const clash = saved.videoId && items.find(other => other.videoId === saved.videoId && other.id !== saved.id);
+    if (clash) {
+        throw new Error(`That video is already linked to "${clash.title}"`);
+    }
+
+    return {
+        items: existing ? items.map(other => (other.id === saved.id ? saved : other)) : [...items, saved],
+        item: saved
+    };
+}
+
+/**
+ * Start a planned item from a content idea
+ * @param {Object} idea - Idea from the backlog
+ * @returns {Object} Planned item fields for upsertPlanItem
+ */
+function planFromIdea(idea) {
+    return {
+        title: idea.title,
+        keyword: '',
+        templateId: '',
+        targetDate: '',
+        status: PLAN_STAGES[0].id,
+        videoId: '',
+        ideaId: idea.id,
+        notes: [idea.description, idea.reasoning].filter(Boolean).join('\n\n')
+    };
+}
+
+/**
+ * Reduce channel uploads to what the calendar shows
+ * @param {Array} videos - YouTube API video items (snippet)
+ * @returns {Array} [{ videoId, title, publishedAt, date }]
+ */
+function summarizeUploads(videos) {
+    return (videos || [])
+        .filter(video => video.snippet?.publishedAt)
+        .map(video => ({
+            videoId: video.id,
+            title: video.snippet.title || '',
+            publishedAt: video.snippet.publishedAt,
+            // Local calendar day of the upload
+            date: toDateKey(new Date(video.snippet.publishedAt))
+        }));
+}
+
+/**
+ * Format a date as a YYYY-MM-DD key in local time
+ * @param {Date} date - Date
+ * @returns {string} Date key
+ */
+function toDateKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export {
+    PLAN_STAGES,
+    PLAN_UPLOADS,
+    parseVideoId,
+    upsertPlanItem,
+    planFromIdea,
+    summarizeUploads
+};
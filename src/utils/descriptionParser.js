@@ -0,0 +1,310 @@
+/**
+ * OpenStudio Description Parser
+ * Extracts the parts of a description that must survive a rewrite
+ * (links, chapter timestamps and hashtags) and parses, validates and
+ * rebuilds the chapter block
+ */
+
+const DESCRIPTION_PATTERNS = {
+    link: /https?:\/\/[^\s<>()\[\]"']+/gi,
+    timestamp: /(?:^|[^\d:])((?:\d{1,2}:)?\d{1,2}:\d{2})(?![\d:])/g,
+    hashtag: /#[\p{L}\p{M}\p{N}_]+/gu
+};
+
+// YouTube's requirements for timestamps to become chapters
+const CHAPTER_RULES = {
+    minChapters: 3,
+    minLengthSeconds: 10
+};
+
+// A chapter line: optional brackets, a timestamp, an optional separator, then the title
+const CHAPTER_LINE_PATTERN = /^\s*[(\[]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*(?:[-–—:|.]\s*)?(.*)$/;
+
+/**
+ * Collect unique matches of a pattern, using the given capture group
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern
+ * @param {number} group - Capture group to collect
+ * @returns {Array} Unique matches in order of appearance
+ */
+function collectMatches(text, pattern, group = 0) {
+    const found = [];
+    for (const match of (text || '').matchAll(pattern)) {
+        const value = match[group].replace(/[.,;:!?]+$/, '');
+        if (!found.includes(value)) found.push(value);
+    }
+    return found;
+}
+
+/**
+ * Extract links from a description
+ * @param {string} text - Description text
+ * @returns {Array} Unique URLs
+ */
+function extractLinks(text) {
+    return collectMatches(text, DESCRIPTION_PATTERNS.link);
+}
+
+/**
+ * Extract timestamps (e.g. 0:00, 12:34, 1:02:03) from a description
+ * @param {string} text - Description text
+ * @returns {Array} Unique timestamps
+ */
+function extractTimestamps(text) {
+    return collectMatches(text, DESCRIPTION_PATTERNS.timestamp, 1);
+}
+
+/**
+ * Extract hashtags from a description
+ * @param {string} text - Description text
+ * @returns {Array} Unique hashtags
+ */
+function extractHashtags(text) {
+    return collectMatches(text, DESCRIPTION_PATTERNS.hashtag);
+}
+
+/**
+ * Find links, timestamps and hashtags in the original that a rewrite drops
+ * @param {string} original - Original description
+ * @param {string} rewrite - Rewritten description
+ * @returns {Object} { links, timestamps, hashtags, total }
+ */
+function findLostItems(original, rewrite) {
+    const lost = (extract) => {
+        const kept = new Set(extract(rewrite).map(item => item.toLowerCase()));
+        return extract(original).filter(item => !kept.has(item.toLowerCase()));
+    };
+
+    const result = {
+        links: lost(extractLinks),
+        timestamps: lost(extractTimestamps),
+        hashtags: lost(extractHashtags)
+    };
+    result.total = result.links.length + result.timestamps.length + result.hashtags.length;
+
+    return result;
+}
+
+/**
+ * Convert a timestamp to seconds
+ * @param {string} value - Timestamp such as 0:00, 12:34 or 1:02:03
+ * @returns {number|null} Seconds, or null if the timestamp is invalid
+ */
+function parseTimestamp(value) {
+    const match = String(value || '').trim().match(/^(?:(\d{1,2}):)?(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const hours = match[1] ? parseInt(match[1], 10) : 0;
+    const minutes = parseInt(match[2], 10);
+    const seconds = parseInt(match[3], 10);
+    if (seconds >= 60 || (match[1] && minutes >= 60)) return null;
+
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Format seconds as a timestamp
+ * @param {number} totalSeconds - Seconds
+ * @returns {string} Timestamp such as 2:05 or 1:02:05
+ */
+function formatTimestamp(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = Math.floor(totalSeconds % 60);
+    const pad = value => String(value).padStart(2, '0');
+
+    return hours > 0
+        ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+        : `${minutes}:${pad(seconds)}`;
+}
+
+/**
+ * Find the chapter block in a description: the longest run of lines that start with a timestamp
+ * @param {string} description - Description text
+ * @returns {Object} { chapters: [{ timestamp, seconds, title }], block: { start, end } | null } (line indexes, end exclusive)
+ */
+function parseChapters(description) {
+    const lines = (description || '').split('\n');
+    let best = null;
+    let current = null;
+
+    lines.forEach((line, index) => {
+        const match = line.match(CHAPTER_LINE_PATTERN);
+        if (!match) {
+            current = null;
+            return;
+        }
+
+        if (!current) {
+            current = { start: index, end: index, chapters: [] };
+        }
+        current.end = index + 1;
+        current.chapters.push({
+            timestamp: match[1],
+            seconds: parseTimestamp(match[1]),
+            title: match[2].trim()
+        });
+
+        if (!best || current.chapters.length > best.chapters.length) {
+            best = current;
+        }
+    });
+
+    return best
+        ? { chapters: best.chapters, block: { start: best.start, end: best.end } }
+        : { chapters: [], block: null };
+}
+
+/**
+ * Check chapters against YouTube's chapter rules
+ * @param {Array} chapters - [{ timestamp, title }] in description order
+ * @param {Object} options - { durationSeconds } to also check the last chapter
+ * @returns {Object} { valid, checks: [{ rule, label, passed }], errors: [{ rule, index, message }] }
+ */
+function validateChapters(chapters, options = {}) {
+    const errors = [];
+    const seconds = chapters.map(chapter => parseTimestamp(chapter.timestamp));
+    const duration = Number(options.durationSeconds) > 0 ? Number(options.durationSeconds) : null;
+
+    chapters.forEach((chapter, index) => {
+        if (seconds[index] === null) {
+            errors.push({ rule: 'timestamp', index, message: `Chapter ${index + 1} has an invalid timestamp "${chapter.timestamp}"` });
+        }
+        if (!chapter.title || !chapter.title.trim()) {
+            errors.push({ rule: 'title', index, message: `Chapter ${index + 1} needs a title` });
+        }
+        if (duration !== null && seconds[index] !== null && seconds[index] >= duration) {
+            errors.push({ rule: 'duration', index, message: `Chapter ${index + 1} starts after the video ends` });
+        }
+    });
+
+    if (chapters.length > 0 && seconds[0] !== 0) {
+        errors.push({ rule: 'firstAtZero', index: 0, message: 'The first chapter must start at 0:00' });
+    }
+
+    if (chapters.length < CHAPTER_RULES.minChapters) {
+        errors.push({
+            rule: 'minChapters',
+            index: null,
+            message: `Add at least ${CHAPTER_RULES.minChapters} chapters (currently ${chapters.length})`
+        });
+    }
+
+    for (let i = 1; i < chapters.length; i++) {
+        if (seconds[i] === null || seconds[i - 1] === null) continue;
+
+        if (seconds[i] <= seconds[i - 1]) {
+            errors.push({
+                rule: 'ascending',
+                index: i,
+                message: `Chapter ${i + 1} (${chapters[i].timestamp}) must come after chapter ${i} (${chapters[i - 1].timestamp})`
+            });
+        } else if (seconds[i] - seconds[i - 1] < CHAPTER_RULES.minLengthSeconds) {
+            errors.push({
+                rule: 'minLength',
+                index: i - 1,
+                message: `Chapter ${i} is shorter than ${CHAPTER_RULES.minLengthSeconds} seconds`
+            });
+        }
+    }
+
+    // The last chapter's length is only known when the video length is
+    const last = seconds[seconds.length - 1];
+    if (duration !== null && last !== null && last !== undefined && last < duration &&
+        duration - last < CHAPTER_RULES.minLengthSeconds) {
+        errors.push({
+            rule: 'minLength',
+            index: chapters.length - 1,
+            message: `Chapter ${chapters.length} is shorter than ${CHAPTER_RULES.minLengthSeconds} seconds`
+        });
+    }
+
+    const failed = new Set(errors.map(error => error.rule));
+    const checks = [
+        { rule: 'firstAtZero', label: 'First chapter starts at 0:00' },
+        { rule: 'minChapters', label: `At least ${CHAPTER_RULES.minChapters} chapters` },
+        { rule: 'minLength', label: `Each chapter is at least ${CHAPTER_RULES.minLengthSeconds} seconds` },
+        { rule: 'ascending', label: 'Timestamps are in ascending order' }
+    ].map(check => ({ ...check, passed: !failed.has(check.rule) }));
+
+    return { valid: errors.length === 0, checks, errors };
+}
+
+/**
+ * Build the chapter block text
+ * @param {Array} chapters - [{ timestamp, title }]
+ * @returns {string} One "timestamp title" line per chapter
+ */
+function buildChapterBlock(chapters) {
+    return chapters
+        .map(chapter => {
+            const seconds = parseTimestamp(chapter.timestamp);
+            const timestamp = seconds === null ? chapter.timestamp : formatTimestamp(seconds);
+            return `${timestamp} ${(chapter.title || '').trim()}`.trim();
+        })
+        .join('\n');
+}
+
+/**
+ * Write chapters into a description, replacing the existing chapter block.
+ * Without one, the block goes after the opening paragraph so the first lines stay as they are.
+ * @param {string} description - Description text
+ * @param {Array} chapters - [{ timestamp, title }]
+ * @returns {string} Updated description
+ */
+function replaceChapterBlock(description, chapters) {
+    const lines = (description || '').split('\n');
+    const blockLines = chapters.length > 0 ? buildChapterBlock(chapters).split('\n') : [];
+    const { block } = parseChapters(description);
+
+    if (block) {
+        lines.splice(block.start, block.end - block.start, ...blockLines);
+        return lines.join('\n');
+    }
+
+    if (blockLines.length === 0) return description || '';
+    if (!(description || '').trim()) return blockLines.join('\n');
+
+    const paragraphEnd = lines.findIndex((line, index) => index > 0 && line.trim() === '');
+    if (paragraphEnd === -1) {
+        return [...lines, '', ...blockLines].join('\n');
+    }
+
+    lines.splice(paragraphEnd, 0, '', ...blockLines);
+    return lines.join('\n');
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        extractLinks,
+        extractTimestamps,
+        extractHashtags,
+        findLostItems,
+        parseTimestamp,
+        formatTimestamp,
+        parseChapters,
+        validateChapters,
+        buildChapterBlock,
+        replaceChapterBlock
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to OpenStudio namespace
+    if (typeof window.OpenStudio === 'undefined') {
+        window.OpenStudio = {};
+    }
+
+    window.OpenStudio.DescriptionParser = {
+        extractLinks,
+        extractTimestamps,
+        extractHashtags,
+        findLostItems,
+        parseTimestamp,
+        formatTimestamp,
+        parseChapters,
+        validateChapters,
+        buildChapterBlock,
+        replaceChapterBlock
+    };
+}
@@ -3,6 +3,8 @@
  * Handles AI-powered content generation and analysis using Google's Gemini API
  */
 
+import { parseThumbnailConcepts } from './thumbnailConcepts.js';
+
 // Gemini API configuration
 const GEMINI_API_CONFIG = {
     baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
@@ -74,7 +76,8 @@ const PROMPTS = {
     
     Channel info: {channelInfo}
     Recent videos: {recentVideos}
-    Current trends: {trends}
+    Current trends:
+    {trends}
     
     For each idea provide:
     - Compelling title
@@ -92,13 +95,15 @@ const PROMPTS = {
     Video content: "{description}"
     Target audience: General YouTube viewers
     
-    Provide 3 thumbnail concepts with:
-    - Visual elements to include
-    - Text overlay suggestions
-    - Color scheme recommendations
-    - Psychological appeal explanation
+    Provide 3 thumbnail concepts. Focus on concepts that create curiosity and emotional engagement.
+    Keep the overlay text to a few words and don't repeat the title in it.
     
-    Focus on concepts that create curiosity and emotional engagement.
+    Use exactly this format for each concept:
+    Concept 1: short concept name
+    Visual elements: element; element; element
+    Overlay text: the text shown on the thumbnail
+    Colors: color; color; color
+    Rationale: why it would make viewers click
     `,
     
     competitorAnalysis: `
@@ -241,13 +246,14 @@ class GeminiAIHelper {
      * Generate content ideas
      * @param {Object} channelData - Channel information
      * @param {Array} recentVideos - Recent videos data
+     * @param {string} trends - Trend description from the trend explorer (formatTrendsForPrompt)
      * @returns {Promise<Array>} Content ideas
      */
-    async generateContentIdeas(channelData, recentVideos = []) {
+    async generateContentIdeas(channelData, recentVideos = [], trends = '') {
         const prompt = PROMPTS.contentIdeas
             .replace('{channelInfo}', JSON.stringify(channelData))
             .replace('{recentVideos}', JSON.stringify(recentVideos.slice(0, 5)))
-            .replace('{trends}', 'Current YouTube trends'); // This could be enhanced with real trend data
+            .replace('{trends}', () => trends || 'No trend data available');
 
         try {
             const response = await this.generateText(prompt, {
@@ -485,44 +491,10 @@ class GeminiAIHelper {
     /**
      * Parse thumbnail suggestions from response
      * @param {string} text - Response text
-     * @returns {Array} Thumbnail concepts
+     * @returns {Array} Thumbnail concepts ({ name, visualElements, overlayText, colors, rationale })
      */
     parseThumbnailSuggestions(text) {
-        const concepts = [];
-        const sections = text.split(/concept \d+:|thumbnail \d+:/i);
-        
-        for (let i = 1; i < sections.length; i++) {
-            const section = sections[i].trim();
-            if (section.length > 20) {
-                concepts.push({
-                    concept: `Concept ${i}`,
-                    description: section.substring(0, 200) + (section.length > 200 ? '...' : ''),
-                    elements: this.extractElements(section)
-                });
-            }
-        }
-        
-        return concepts.slice(0, 3);
-    }
-
-    /**
-     * Extract visual elements from thumbnail description
-     * @param {string} text - Description text
-     * @returns {Array} Visual elements
-     */
-    extractElements(text) {
-        const elements = [];
-        const keywords = ['color', 'text', 'face', 'background', 'emotion', 'object', 'style'];
-        
-        keywords.forEach(keyword => {
-            const regex = new RegExp(`${keyword}[^.]*`, 'gi');
-            const matches = text.match(regex);
-            if (matches) {
-                elements.push(...matches.slice(0, 2));
-            }
-        });
-        
-        return elements.slice(0, 5);
+        return parseThumbnailConcepts(text);
     }
 
     /**
@@ -0,0 +1,185 @@
+/**
+ * OpenStudio Keyword Research
+ * Turns YouTube search results (with video and channel statistics) into a
+ * competition report and the title words, phrases and tags the top results
+ * have in common.
+ */
+
+import { detectLanguage, getLanguagePack, tokenize } from './languages.js';
+
+// Competition score inputs reach 100 at these medians (log scale)
+const COMPETITION_SCALE = {
+    subscribers: 1000000,
+    views: 1000000
+};
+
+const COMPETITION_WEIGHTS = {
+    subscribers: 0.4,
+    views: 0.4,
+    titleMatch: 0.2
+};
+
+const COMPETITION_LEVELS = [
+    { max: 40, level: 'low' },
+    { max: 70, level: 'medium' },
+    { max: Infinity, level: 'high' }
+];
+
+// A term must appear in at least this many results to count as common
+const MIN_TERM_RESULTS = 2;
+
+/**
+ * Median of a list of numbers
+ * @param {Array} values - Numbers
+ * @returns {number} Median, or 0 for an empty list
+ */
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Scale a count to 0-100 on a log scale
+ * @param {number} value - Count
+ * @param {number} full - Count that scores 100
+ * @returns {number} Score
+ */
+function logScore(value, full) {
+    if (value <= 1) return 0;
+    return Math.min(100, (Math.log10(value) / Math.log10(full)) * 100);
+}
+
+/**
+ * Count in how many items each term appears, keeping the most common ones
+ * @param {Array} termLists - One list of terms per result
+ * @param {number} limit - Maximum terms to return
+ * @returns {Array} [{ term, count }] most common first
+ */
+function countTerms(termLists, limit) {
+    const counts = new Map();
+    termLists.forEach(terms => {
+        new Set(terms).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    });
+
+    return [...counts.entries()]
+        .filter(([, count]) => count >= MIN_TERM_RESULTS)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([term, count]) => ({ term, count }));
+}
+
+/**
+ * Flatten API video and channel items into result rows
+ * @param {Array} videos - YouTube API video items (snippet, statistics)
+ * @param {Array} channels - YouTube API channel items (statistics)
+ * @returns {Array} [{ videoId, title, channelId, channelTitle, views, likes, comments, subscribers, publishedAt, viewsPerDay, tags, description }]
+ */
+function normalizeResults(videos, channels) {
+    const subscribersByChannel = new Map((channels || []).map(channel => [
+        channel.id,
+        channel.statistics?.hiddenSubscriberCount ? null : Number(channel.statistics?.subscriberCount || 0)
+    ]));
+
+    return (videos || []).map(video => {
+        const views = Number(video.statistics?.viewCount || 0);
+        const publishedAt = video.snippet?.publishedAt || null;
+        const ageDays = publishedAt ? Math.max(1, (Date.now() - new Date(publishedAt).getTime()) / 86400000) : null;
+
+        return {
+            videoId: video.id,
+            title: video.snippet?.title || '',
+            description: video.snippet?.description || '',
+            tags: Array.isArray(video.snippet?.tags) ? video.snippet.tags : [],
+            channelId: video.snippet?.channelId || '',
+            channelTitle: video.snippet?.channelTitle || '',
+            views,
+            likes: Number(video.statistics?.likeCount || 0),
+            comments: Number(video.statistics?.commentCount || 0),
+            subscribers: subscribersByChannel.get(video.snippet?.channelId) ?? null,
+            publishedAt,
+            viewsPerDay: ageDays ? Math.round(views / ageDays) : null
+        };
+    });
+}
+
+/**
+ * Rate how hard it is to rank for a keyword from its top results
+ * @param {string} query - Searched keyword
+ * @param {Array} results - Rows from normalizeResults
+ * @returns {Object} { score, level, medianSubscribers, medianViews, topViews, titleMatchRate }
+ */
+function rateCompetition(query, results) {
+    const subscribers = results.map(result => result.subscribers).filter(value => value !== null);
+    const views = results.map(result => result.views);
+    const phrase = query.toLowerCase().trim();
+    const titleMatches = results.filter(result => result.title.toLowerCase().includes(phrase)).length;
+
+    const medianSubscribers = median(subscribers);
+    const medianViews = median(views);
+    const titleMatchRate = results.length > 0 ? titleMatches / results.length : 0;
+
+    const score = Math.round(
+        logScore(medianSubscribers, COMPETITION_SCALE.subscribers) * COMPETITION_WEIGHTS.subscribers +
+        logScore(medianViews, COMPETITION_SCALE.views) * COMPETITION_WEIGHTS.views +
+        titleMatchRate * 100 * COMPETITION_WEIGHTS.titleMatch
+    );
+
+    return {
+        score,
+        level: COMPETITION_LEVELS.find(item => score < item.max).level,
+        medianSubscribers,
+        medianViews,
+        topViews: views.length > 0 ? Math.max(...views) : 0,
+        titleMatchRate: Math.round(titleMatchRate * 100) / 100
+    };
+}
+
+/**
+ * Build the keyword research report for a search
+ * @param {string} query - Searched keyword
+ * @param {Array} videos - YouTube API video items for the top results, in ranking order
+ * @param {Array} channels - YouTube API channel items for the results' channels
+ * @returns {Object} { query, resultCount, competition, results, commonTitleWords, commonTitlePhrases, commonTags, researchedAt }
+ */
+function buildKeywordReport(query, videos, channels) {
+    const results = normalizeResults(videos, channels);
+    const language = detectLanguage(results.map(result => result.title).join(' ') || query).code;
+    const stopWords = new Set(getLanguagePack(language).stopWords);
+    const queryWords = new Set(tokenize(query));
+
+    const titleWords = results.map(result => tokenize(result.title)
+        .filter(word => word.length > 2 && !stopWords.has(word) && !queryWords.has(word) && !/^\d+$/.test(word)));
+
+    const titlePhrases = results.map(result => {
+        const words = tokenize(result.title);
+        const phrases = [];
+        for (let i = 0; i < words.length - 1; i++) {
+            // Phrases that start or end with a stop word are rarely useful keywords
+            if (stopWords.has(words[i]) || stopWords.has(words[i + 1])) continue;
+            phrases.push(`${words[i]} ${words[i + 1]}`);
+        }
+        return phrases;
+    });
+
+    return {
+        query,
+        resultCount: results.length,
+        competition: rateCompetition(query, results),
+        results: results.map(({ description, tags, ...result }) => result),
+        commonTitleWords: countTerms(titleWords, 15),
+        commonTitlePhrases: countTerms(titlePhrases, 10),
+        commonTags: countTerms(results.map(result => result.tags.map(tag => tag.toLowerCase().trim())), 20),
+        researchedAt: new Date().toISOString()
+    };
+}
+
+export {
+    COMPETITION_LEVELS,
+    median,
+    countTerms,
+    normalizeResults,
+    rateCompetition,
+    buildKeywordReport
+};
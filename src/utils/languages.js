@@ -0,0 +1,324 @@
+/**
+ * OpenStudio Language Packs
+ * Per-language stop words, call-to-action vocabulary, SEO keyword
+ * dictionaries and the call-to-action block added to fallback descriptions,
+ * used by the SEO scorer and fallback generators. Packs without an
+ * `engagement` block get none appended.
+ *
+ * To support another language, add a pack to LANGUAGE_PACKS or call
+ * registerLanguagePack('xx', { name, stopWords, cta, keywords }) before
+ * analysis. Users add their own packs on the options page; the service
+ * worker registers them with loadCustomLanguagePacks at start-up.
+ * Languages written in their own script can set `script` to a Unicode
+ * script pattern (or script name, e.g. 'Cyrillic') so they are detected by
+ * script rather than by stop words.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_PACKS = {
+    en: {
+        name: 'English',
+        stopWords: [
+            'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had',
+            'her', 'was', 'one', 'our', 'out', 'day', 'get', 'has', 'him', 'his',
+            'how', 'man', 'new', 'now', 'old', 'see', 'two', 'way', 'who', 'boy',
+            'did', 'its', 'let', 'put', 'say', 'she', 'too', 'use', 'with', 'have',
+            'this', 'will', 'your', 'from', 'they', 'know', 'want', 'been', 'good',
+            'much', 'some', 'time', 'very', 'when', 'come', 'here', 'just', 'like',
+            'long', 'make', 'many', 'over', 'such', 'take', 'than', 'them', 'well',
+            'is', 'of', 'to', 'in', 'it', 'that', 'on', 'be', 'at', 'by', 'or', 'an',
+            'what', 'which', 'there', 'their', 'about', 'into', 'more', 'these', 'those'
+        ],
+        cta: ['subscribe', 'like', 'comment', 'share', 'bell', 'notification'],
+        engagement: [
+            "🔔 Don't forget to LIKE this video if it helped you!",
+            '📺 SUBSCRIBE for more helpful content',
+            '💬 Share your thoughts in the COMMENTS below',
+            '🔗 Follow us for more updates',
+            '',
+            '#tutorial #tips #guide'
+        ],
+        keywords: {
+            engagement: ['how to', 'tutorial', 'guide', 'tips', 'tricks', 'secrets', 'best', 'top'],
+            temporal: ['new', 'latest', 'updated', 'recent'],
+            emotional: ['amazing', 'incredible', 'shocking', 'surprising', 'must see', 'unbelievable'],
+            actionable: ['learn', 'discover', 'find out', 'reveal', 'show', 'explain', 'teach']
+        }
+    },
+    es: {
+        name: 'Español',
+        stopWords: [
+            'de', 'la', 'que', 'el', 'en', 'y', 'a', 'los', 'se', 'del', 'las', 'un',
+            'por', 'con', 'no', 'una', 'su', 'para', 'es', 'al', 'lo', 'como', 'más',
+            'pero', 'sus', 'le', 'ya', 'o', 'este', 'porque', 'esta', 'entre', 'cuando',
+            'muy', 'sin', 'sobre', 'también', 'me', 'hasta', 'hay', 'donde', 'desde',
+            'todo', 'nos', 'todos', 'les', 'ni', 'otros', 'ese', 'eso', 'esto', 'antes',
+            'qué', 'cómo', 'unos', 'yo', 'otro', 'otra', 'él', 'esa', 'estos', 'mucho',
+            'nada', 'ella', 'estar', 'estas', 'algo', 'nosotros', 'mi', 'mis', 'tu', 'tus', 'te'
+        ],
+        cta: [
+            'suscríbete', 'suscribete', 'suscribirte', 'dale like', 'me gusta', 'comenta',
+            'comentarios', 'comparte', 'campanita', 'notificaciones'
+        ],
+        engagement: [
+            '🔔 ¡Dale LIKE a este video si te ayudó!',
+            '📺 SUSCRÍBETE para ver más contenido útil',
+            '💬 Cuéntanos qué opinas en los COMENTARIOS',
+            '🔗 Síguenos para más novedades',
+            '',
+            '#tutorial #consejos #guía'
+        ],
+        keywords: {
+            engagement: ['cómo', 'tutorial', 'guía', 'consejos', 'trucos', 'secretos', 'mejor', 'mejores', 'top'],
+            temporal: ['nuevo', 'nueva', 'último', 'última', 'actualizado', 'reciente'],
+            emotional: ['increíble', 'impactante', 'sorprendente', 'imperdible', 'brutal'],
+            actionable: ['aprende', 'descubre', 'conoce', 'revela', 'muestra', 'explica', 'enseña']
+        }
+    },
+    de: {
+        name: 'Deutsch',
+        stopWords: [
+            'der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'einen', 'einem',
+            'einer', 'zu', 'den', 'dem', 'des', 'mit', 'sich', 'auf', 'für', 'im', 'es',
+            'von', 'auch', 'wie', 'als', 'an', 'dass', 'sie', 'er', 'wir', 'ihr', 'ich',
+            'du', 'so', 'wenn', 'oder', 'aber', 'noch', 'nach', 'bei', 'aus', 'nur', 'um',
+            'mehr', 'schon', 'wird', 'werden', 'hat', 'haben', 'sind', 'war', 'kann',
+            'diese', 'dieser', 'dieses', 'mein', 'dein', 'euer', 'unser', 'ohne', 'über',
+            'unter', 'zum', 'zur', 'vom', 'man', 'was', 'wo', 'hier', 'jetzt'
+        ],
+        cta: [
+            'abonnieren', 'abonniere', 'abo', 'liken', 'daumen hoch', 'kommentar',
+            'kommentiere', 'kommentare', 'teilen', 'teile', 'glocke', 'benachrichtigung'
+        ],
+        engagement: [
+            '🔔 Lass ein LIKE da, wenn dir das Video geholfen hat!',
+            '📺 ABONNIEREN für mehr hilfreiche Inhalte',
+            '💬 Schreib uns deine Meinung in die KOMMENTARE',
+            '🔗 Folge uns für weitere Updates',
+            '',
+            '#tutorial #tipps #anleitung'
+        ],
+        keywords: {
+            engagement: ['anleitung', 'tutorial', 'ratgeber', 'tipps', 'tricks', 'geheimnisse', 'beste', 'besten', 'top'],
+            temporal: ['neu', 'neue', 'neueste', 'aktuell', 'aktualisiert'],
+            emotional: ['unglaublich', 'krass', 'schockierend', 'überraschend', 'genial'],
+            actionable: ['lerne', 'lernen', 'entdecke', 'erfahre', 'zeige', 'erklärt', 'erklärung']
+        }
+    },
+    hi: {
+        name: 'हिन्दी',
+        script: /\p{Script=Devanagari}/u,
+        stopWords: [
+            'है', 'हैं', 'के', 'की', 'का', 'में', 'और', 'को', 'से', 'पर', 'यह', 'वह',
+            'एक', 'तो', 'भी', 'कि', 'जो', 'कर', 'था', 'थे', 'थी', 'हो', 'ने', 'लिए',
+            'इस', 'उस', 'कुछ', 'नहीं', 'साथ', 'बहुत', 'अपने', 'सब', 'जब', 'तक', 'आप',
+            'हम', 'मैं', 'क्या', 'कैसे', 'होता', 'होती', 'गया'
+        ],
+        // Hindi creators commonly use the English words as well
+        cta: ['सब्सक्राइब', 'लाइक', 'कमेंट', 'शेयर', 'बेल', 'नोटिफिकेशन', 'subscribe', 'like', 'comment', 'share'],
+        engagement: [
+            '🔔 वीडियो पसंद आया हो तो LIKE ज़रूर करें!',
+            '📺 ऐसे और वीडियो के लिए चैनल को SUBSCRIBE करें',
+            '💬 अपनी राय COMMENTS में बताएं',
+            '🔗 नए अपडेट के लिए हमें फ़ॉलो करें',
+            '',
+            '#tutorial #टिप्स #गाइड'
+        ],
+        keywords: {
+            engagement: ['कैसे', 'ट्यूटोरियल', 'गाइड', 'टिप्स', 'ट्रिक्स', 'राज़', 'सबसे अच्छा', 'बेस्ट', 'टॉप'],
+            temporal: ['नया', 'नई', 'लेटेस्ट', 'अपडेट'],
+            emotional: ['शानदार', 'अद्भुत', 'चौंकाने वाला', 'हैरान', 'जबरदस्त'],
+            actionable: ['सीखें', 'जानें', 'देखें', 'समझें', 'खोजें']
+        }
+    }
+};
+
+// Packs that ship with the extension; user packs cannot replace them
+const BUILT_IN_LANGUAGES = new Set(Object.keys(LANGUAGE_PACKS));
+
+// Minimum share of letters in a pack's script before the text counts as that language
+const SCRIPT_THRESHOLD = 0.3;
+
+// Minimum stop-word hits before a non-default Latin-script language is chosen
+const MIN_STOP_WORD_HITS = 2;
+
+/**
+ * Turn a pack's script setting into a pattern
+ * @param {RegExp|string} script - Pattern or Unicode script name
+ * @returns {RegExp|undefined} Script pattern
+ */
+function toScriptPattern(script) {
+    if (script instanceof RegExp) return script;
+    if (typeof script !== 'string' || !/^[A-Za-z_]+$/.test(script)) return undefined;
+
+    try {
+        return new RegExp(`\\p{Script=${script}}`, 'u');
+    } catch (error) {
+        throw new Error(`Unknown script "${script}"`);
+    }
+}
+
+/**
+ * Register (or replace) a language pack
+ * @param {string} code - Language code, e.g. 'fr'
+ * @param {Object} pack - { name, stopWords, cta, keywords, script?, engagement? }
+ * @returns {Object} The registered pack
+ */
+function registerLanguagePack(code, pack) {
+    if (!code || typeof code !== 'string') {
+        throw new Error('Language code is required');
+    }
+    if (!pack || !Array.isArray(pack.stopWords) || !Array.isArray(pack.cta)) {
+        throw new Error('Language pack needs stopWords and cta arrays');
+    }
+
+    LANGUAGE_PACKS[code.toLowerCase()] = {
+        name: pack.name || code,
+        script: toScriptPattern(pack.script),
+        stopWords: pack.stopWords.map(word => String(word).toLowerCase()),
+        cta: pack.cta.map(word => String(word).toLowerCase()),
+        engagement: Array.isArray(pack.engagement) ? pack.engagement.map(String) : [],
+        keywords: pack.keywords && typeof pack.keywords === 'object' ? pack.keywords : {}
+    };
+
+    return LANGUAGE_PACKS[code.toLowerCase()];
+}
+
+/**
+ * Check whether a language pack ships with the extension
+ * @param {string} code - Language code
+ * @returns {boolean} Whether the pack is built in
+ */
+function isBuiltInLanguage(code) {
+    return BUILT_IN_LANGUAGES.has(String(code || '').toLowerCase());
+}
+
+/**
+ * Replace the user-added language packs. Packs that would replace a
+ * built-in language or fail validation are skipped.
+ * @param {Array} packs - [{ code, name, stopWords, cta, keywords, script? }]
+ * @returns {Array} Codes of the registered packs
+ */
+function loadCustomLanguagePacks(packs) {
+    Object.keys(LANGUAGE_PACKS)
+        .filter(code => !BUILT_IN_LANGUAGES.has(code))
+        .forEach(code => delete LANGUAGE_PACKS[code]);
+
+    return (Array.isArray(packs) ? packs : [])
+        .filter(pack => {
+            if (isBuiltInLanguage(pack?.code)) return false;
+            try {
+                registerLanguagePack(pack.code, pack);
+                return true;
+            } catch (error) {
+                console.warn(`Skipping language pack "${pack?.code}":`, error.message);
+                return false;
+            }
+        })
+        .map(pack => pack.code.toLowerCase());
+}
+
+/**
+ * Get a language pack, falling back to the default language
+ * @param {string} code - Language code
+ * @returns {Object} Language pack
+ */
+function getLanguagePack(code) {
+    return Object.hasOwn(LANGUAGE_PACKS, code || '') ? LANGUAGE_PACKS[code] : LANGUAGE_PACKS[DEFAULT_LANGUAGE];
+}
+
+/**
+ * List the available languages
+ * @returns {Array} Language codes and names
+ */
+function getLanguages() {
+    return Object.entries(LANGUAGE_PACKS).map(([code, pack]) => ({ code, name: pack.name }));
+}
+
+/**
+ * Split text into lowercase words (Unicode-aware)
+ * @param {string} text - Text to split
+ * @returns {Array} Words
+ */
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(word => word.length > 0);
+}
+
+/**
+ * Count user-perceived characters, so combining marks and emoji count once
+ * @param {string} text - Text to measure
+ * @returns {number} Character count
+ */
+function countCharacters(text) {
+    if (!text) return 0;
+
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+        const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+        return [...segmenter.segment(text)].length;
+    }
+
+    return Array.from(text).length;
+}
+
+/**
+ * Detect the language of a piece of text
+ * @param {string} text - Text to analyze
+ * @returns {Object} Detected language code and confidence (0-1)
+ */
+function detectLanguage(text) {
+    const letters = (text || '').match(/\p{L}/gu) || [];
+    if (letters.length === 0) {
+        return { code: DEFAULT_LANGUAGE, confidence: 0 };
+    }
+
+    // Languages with their own script are detected by script share
+    for (const [code, pack] of Object.entries(LANGUAGE_PACKS)) {
+        if (!pack.script) continue;
+        const scriptLetters = letters.filter(letter => pack.script.test(letter)).length;
+        const share = scriptLetters / letters.length;
+        if (share >= SCRIPT_THRESHOLD) {
+            return { code, confidence: Math.min(1, share) };
+        }
+    }
+
+    // Otherwise pick the language whose stop words appear most often
+    const words = tokenize(text);
+    let best = { code: DEFAULT_LANGUAGE, hits: 0 };
+    let totalHits = 0;
+
+    Object.entries(LANGUAGE_PACKS).forEach(([code, pack]) => {
+        if (pack.script) return;
+        const stopWords = new Set(pack.stopWords);
+        const hits = words.filter(word => stopWords.has(word)).length;
+        totalHits += hits;
+        if (hits > best.hits) {
+            best = { code, hits };
+        }
+    });
+
+    if (best.code !== DEFAULT_LANGUAGE && best.hits < MIN_STOP_WORD_HITS) {
+        return { code: DEFAULT_LANGUAGE, confidence: 0 };
+    }
+
+    return {
+        code: best.code,
+        confidence: totalHits > 0 ? best.hits / totalHits : 0
+    };
+}
+
+export {
+    DEFAULT_LANGUAGE,
+    LANGUAGE_PACKS,
+    registerLanguagePack,
+    isBuiltInLanguage,
+    loadCustomLanguagePacks,
+    getLanguagePack,
+    getLanguages,
+    tokenize,
+    countCharacters,
+    detectLanguage
+};
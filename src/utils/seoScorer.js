@@ -3,40 +3,250 @@
  * Analyzes video metadata and provides SEO scoring and suggestions
  */
 
-// SEO scoring weights and criteria
-const SEO_WEIGHTS = {
-    TITLE: 0.4,      // 40% weight
-    DESCRIPTION: 0.35, // 35% weight
-    TAGS: 0.25       // 25% weight
-};
-
-const SCORING_CRITERIA = {
-    TITLE: {
-        MIN_LENGTH: 30,
-        MAX_LENGTH: 100,
-        OPTIMAL_LENGTH: 60,
-        KEYWORD_DENSITY: 0.02
-    },
-    DESCRIPTION: {
-        MIN_LENGTH: 125,
-        MAX_LENGTH: 5000,
-        OPTIMAL_LENGTH: 250,
-        KEYWORD_DENSITY: 0.015
-    },
-    TAGS: {
-        MIN_COUNT: 5,
-        MAX_COUNT: 15,
-        OPTIMAL_COUNT: 10
+import {
+    LANGUAGE_PACKS,
+    getLanguagePack,
+    tokenize,
+    countCharacters,
+    detectLanguage
+} from './languages.js';
+
+/**
+ * Default scoring profile - the single source of truth for SEO scoring.
+ * Users can override any part of it from the options page.
+ */
+const DEFAULT_SCORING_PROFILE = Object.freeze({
+    weights: {
+        title: 0.4,        // 40% weight
+        description: 0.35, // 35% weight
+        tags: 0.25         // 25% weight
+    },
+    title: {
+        minLength: 30,
+        maxLength: 100,
+        optimalLength: 60,
+        keywordDensity: 0.02
+    },
+    description: {
+        minLength: 125,
+        maxLength: 5000,
+        optimalLength: 250,
+        keywordDensity: 0.015
+    },
+    tags: {
+        minCount: 5,
+        maxCount: 15,
+        optimalCount: 10
+    },
+    // Common SEO keywords and phrases to look for
+    keywords: {
+        engagement: ['how to', 'tutorial', 'guide', 'tips', 'tricks', 'secrets', 'best', 'top'],
+        // This year and next, worked out each time the defaults are read
+        get temporal() {
+            const year = new Date().getFullYear();
+            return [String(year), String(year + 1), 'new', 'latest', 'updated', 'recent'];
+        },
+        emotional: ['amazing', 'incredible', 'shocking', 'surprising', 'must see', 'unbelievable'],
+        actionable: ['learn', 'discover', 'find out', 'reveal', 'show', 'explain', 'teach']
+    },
+    // Points awarded for individual best practices
+    bonuses: {
+        titleOptimalLength: 5,
+        titleCapitalization: 5,
+        titleYear: 5,
+        titleQuestion: 5,
+        descriptionLinks: 5,
+        descriptionTimestamps: 5,
+        descriptionCTA: 5,
+        descriptionHashtags: 5
+    },
+    // Target-keyword checks
+    focus: {
+        titleLeadWords: 3,      // Primary keyword should start within the first N title words
+        descriptionWindow: 150, // Primary keyword should appear in the first N description characters
+        maxDensityFactor: 3     // Density above keywordDensity x factor reads as keyword stuffing
     }
-};
+});
 
-// Common SEO keywords and phrases to look for
-const SEO_KEYWORDS = {
-    engagement: ['how to', 'tutorial', 'guide', 'tips', 'tricks', 'secrets', 'best', 'top'],
-    temporal: ['2024', '2025', 'new', 'latest', 'updated', 'recent'],
-    emotional: ['amazing', 'incredible', 'shocking', 'surprising', 'must see', 'unbelievable'],
-    actionable: ['learn', 'discover', 'find out', 'reveal', 'show', 'explain', 'teach']
-};
+/**
+ * Niche-specific scoring presets. Each preset lists the words used to detect
+ * the niche and the parts of the scoring profile it overrides.
+ */
+const NICHE_PRESETS = Object.freeze({
+    general: {
+        label: 'General',
+        detect: [],
+        overrides: {}
+    },
+    tutorial: {
+        label: 'Tutorial',
+        detect: ['tutorial', 'guide', 'how to', 'how-to', 'step by step', 'step-by-step', 'learn', 'beginner', 'course', 'explained'],
+        overrides: {
+            weights: { title: 0.4, description: 0.4, tags: 0.2 },
+            description: { minLength: 200, optimalLength: 500 },
+            keywords: {
+                engagement: ['how to', 'tutorial', 'guide', 'step by step', 'beginner', 'complete', 'explained', 'course'],
+                actionable: ['learn', 'build', 'create', 'set up', 'install', 'fix', 'master']
+            },
+            bonuses: { descriptionTimestamps: 10 }
+        }
+    },
+    review: {
+        label: 'Review',
+        detect: ['review', 'analysis', 'honest', 'pros', 'cons', 'comparison', 'worth it', 'vs', 'unboxing'],
+        overrides: {
+            title: { optimalLength: 55 },
+            keywords: {
+                engagement: ['review', 'honest', 'worth it', 'vs', 'comparison', 'pros and cons', 'unboxing', 'long term'],
+                actionable: ['tested', 'compared', 'tried', 'rated', 'ranked']
+            },
+            bonuses: { titleQuestion: 10, descriptionLinks: 10 }
+        }
+    },
+    gaming: {
+        label: 'Gaming',
+        detect: ['gameplay', 'walkthrough', 'playthrough', "let's play", 'speedrun', 'boss', 'gaming', 'game', 'level', 'minecraft', 'fortnite'],
+        overrides: {
+            weights: { title: 0.45, description: 0.25, tags: 0.3 },
+            title: { minLength: 20, optimalLength: 50 },
+            description: { minLength: 80, optimalLength: 200 },
+            keywords: {
+                engagement: ['gameplay', 'walkthrough', 'playthrough', "let's play", 'speedrun', 'boss fight', 'no commentary', 'part', 'episode'],
+                actionable: ['beat', 'defeat', 'unlock', 'explore', 'survive', 'build', 'win']
+            },
+            bonuses: { titleYear: 0, titleCapitalization: 0 }
+        }
+    },
+    tech: {
+        label: 'Tech',
+        detect: ['technology', 'tech', 'gadget', 'device', 'software', 'app', 'iphone', 'android', 'laptop', 'setup', 'specs'],
+        overrides: {
+            keywords: {
+                engagement: ['review', 'setup', 'specs', 'vs', 'best', 'top', 'tips', 'hands-on', 'first look'],
+                // This year and next, worked out when the preset is applied
+                get temporal() {
+                    const year = new Date().getFullYear();
+                    return [String(year), String(year + 1), 'new', 'latest', 'updated', 'launch', 'release'];
+                }
+            }
+        }
+    },
+    lifestyle: {
+        label: 'Lifestyle',
+        detect: ['lifestyle', 'daily', 'routine', 'vlog', 'personal', 'experience', 'day in the life', 'morning', 'travel'],
+        overrides: {
+            title: { minLength: 20, optimalLength: 45 },
+            description: { minLength: 100 },
+            keywords: {
+                engagement: ['vlog', 'day in the life', 'routine', 'my', 'story', 'week', 'diary', 'travel'],
+                emotional: ['cozy', 'honest', 'emotional', 'real', 'amazing', 'finally']
+            },
+            bonuses: { titleYear: 0, titleQuestion: 0 }
+        }
+    },
+    business: {
+        label: 'Business',
+        detect: ['business', 'entrepreneur', 'marketing', 'strategy', 'growth', 'success', 'startup', 'money', 'sales', 'income'],
+        overrides: {
+            keywords: {
+                engagement: ['how to', 'strategy', 'mistakes', 'lessons', 'case study', 'framework', 'step by step'],
+                actionable: ['grow', 'scale', 'start', 'earn', 'build', 'launch', 'learn']
+            },
+            bonuses: { descriptionLinks: 10 }
+        }
+    }
+});
+
+/**
+ * Scoring rules that can be shown next to a metadata field, with the
+ * explanation given when the user opens the marker.
+ */
+const ANNOTATION_RULES = Object.freeze({
+    titleLength: {
+        severity: 'error',
+        explanation: 'Titles need enough words for YouTube to understand the topic, but very long titles are cut off. The limits come from your scoring profile.'
+    },
+    titleTruncation: {
+        severity: 'warning',
+        explanation: 'Search results and suggested videos only show the start of a title. Text past the cut-off point is hidden, so put the words that matter before it.'
+    },
+    titleKeywords: {
+        severity: 'info',
+        explanation: 'Engagement keywords ("how to", "guide", "best") match what viewers type into search and tend to raise click-through.'
+    },
+    titleWordCount: {
+        severity: 'warning',
+        explanation: 'Titles with fewer than four words rarely contain enough search terms to rank.'
+    },
+    titleCapitalization: {
+        severity: 'info',
+        explanation: 'All-caps or all-lowercase titles are harder to read at a glance; title case scans best in search results.'
+    },
+    titleYear: {
+        severity: 'info',
+        explanation: 'A year signals fresh content for topics that change over time.'
+    },
+    descriptionLength: {
+        severity: 'error',
+        explanation: 'The description is indexed for search. Too little text gives YouTube nothing to rank; extremely long text buries the important parts.'
+    },
+    descriptionStructure: {
+        severity: 'info',
+        explanation: 'Short paragraphs and full sentences make the description readable when viewers expand it.'
+    },
+    descriptionKeywords: {
+        severity: 'warning',
+        explanation: 'Using the words viewers search for, in natural sentences, helps the video appear for those searches.'
+    },
+    descriptionLinks: {
+        severity: 'info',
+        explanation: 'Links to your site, socials or related videos keep viewers in your ecosystem.'
+    },
+    descriptionCTA: {
+        severity: 'info',
+        explanation: 'A clear call to action (subscribe, like, comment) measurably increases engagement.'
+    },
+    descriptionHashtags: {
+        severity: 'warning',
+        explanation: 'YouTube ignores all hashtags on videos with more than 15 of them.'
+    },
+    tagCount: {
+        severity: 'warning',
+        explanation: 'A handful of focused tags helps YouTube with misspellings and related searches; too many dilute relevance.'
+    },
+    tagDuplicates: {
+        severity: 'warning',
+        explanation: 'Duplicate tags use up the tag budget without adding any new search terms.'
+    },
+    tagLength: {
+        severity: 'info',
+        explanation: 'Tags work best as short phrases of two to four words.'
+    },
+    tagKeywords: {
+        severity: 'info',
+        explanation: 'Tags that contain searched keywords connect the video to those searches.'
+    },
+    focusTitle: {
+        severity: 'error',
+        explanation: 'The focus keyword carries the most weight in the title, especially near the start.'
+    },
+    focusDescription: {
+        severity: 'warning',
+        explanation: 'The opening of the description is shown in search results and weighs most for ranking, so the focus keyword belongs there.'
+    },
+    focusDensity: {
+        severity: 'warning',
+        explanation: 'The focus keyword should appear often enough to signal the topic, but repeating it too much reads as keyword stuffing.'
+    },
+    focusTags: {
+        severity: 'warning',
+        explanation: 'An exact tag for the focus keyword confirms the video\'s main topic.'
+    },
+    focusSecondary: {
+        severity: 'info',
+        explanation: 'Secondary keywords broaden the searches the video can rank for.'
+    }
+});
 
 /**
  * Main SEO Scorer class
@@ -48,9 +258,11 @@ class SEOScorer {
      * @param {string} videoData.title - Video title
      * @param {string} videoData.description - Video description
      * @param {string|Array} videoData.tags - Video tags
+     * @param {string} videoData.niche - Niche preset ID, or 'auto' to detect it
+     * @param {Object} profile - Scoring profile (partial profiles are merged over the defaults)
      * @returns {Object} SEO analysis results
      */
-    static analyzeVideo(videoData) {
+    static analyzeVideo(videoData, profile = DEFAULT_SCORING_PROFILE) {
         const { title, description, tags } = videoData;
         
         // Parse tags if string
@@ -58,23 +270,43 @@ class SEOScorer {
             ? tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0)
             : Array.isArray(tags) ? tags : [];
 
+        // Pick the niche (user choice wins over detection) and apply its preset
+        const niche = Object.hasOwn(NICHE_PRESETS, videoData.niche || '') && videoData.niche !== 'auto'
+            ? { id: videoData.niche, source: 'user' }
+            : { id: this.detectNiche({ title, description, tags: parsedTags }).id, source: 'detected' };
+        niche.label = NICHE_PRESETS[niche.id].label;
+
+        // Pick the metadata language (user choice wins over detection)
+        const language = this.resolveLanguage(videoData.language, `${title || ''}\n${description || ''}`);
+
+        const activeProfile = this.applyLanguagePack(
+            this.applyNichePreset(profile, niche.id),
+            language.code
+        );
+
         // Score individual components
-        const titleAnalysis = this.analyzeTitleSEO(title);
-        const descriptionAnalysis = this.analyzeDescriptionSEO(description);
-        const tagsAnalysis = this.analyzeTagsSEO(parsedTags);
+        const titleAnalysis = this.analyzeTitleSEO(title, activeProfile);
+        const descriptionAnalysis = this.analyzeDescriptionSEO(description, activeProfile);
+        const tagsAnalysis = this.analyzeTagsSEO(parsedTags, activeProfile);
+        const focusAnalysis = this.analyzeFocusKeywords(
+            videoData.focusKeywords,
+            { title, description, tags: parsedTags },
+            activeProfile
+        );
 
         // Calculate overall SEO score
         const overallScore = Math.round(
-            (titleAnalysis.score * SEO_WEIGHTS.TITLE) +
-            (descriptionAnalysis.score * SEO_WEIGHTS.DESCRIPTION) +
-            (tagsAnalysis.score * SEO_WEIGHTS.TAGS)
+            (titleAnalysis.score * activeProfile.weights.title) +
+            (descriptionAnalysis.score * activeProfile.weights.description) +
+            (tagsAnalysis.score * activeProfile.weights.tags)
         );
 
         // Generate comprehensive suggestions
         const suggestions = this.generateSuggestions(
             titleAnalysis,
             descriptionAnalysis,
-            tagsAnalysis
+            tagsAnalysis,
+            focusAnalysis
         );
 
         // Determine SEO grade
@@ -83,11 +315,20 @@ class SEOScorer {
         return {
             overallScore,
             grade,
+            niche,
+            language,
             components: {
                 title: titleAnalysis,
                 description: descriptionAnalysis,
                 tags: tagsAnalysis
             },
+            focus: focusAnalysis,
+            annotations: [
+                ...titleAnalysis.annotations,
+                ...descriptionAnalysis.annotations,
+                ...tagsAnalysis.annotations,
+                ...(focusAnalysis ? focusAnalysis.annotations : [])
+            ],
             suggestions,
             analysis: {
                 strengths: this.identifyStrengths(titleAnalysis, descriptionAnalysis, tagsAnalysis),
@@ -98,82 +339,293 @@ class SEOScorer {
         };
     }
 
+    /**
+     * Merge a (partial) scoring profile over the defaults and sanitize it
+     * @param {Object} profile - User scoring profile
+     * @returns {Object} Complete, validated scoring profile
+     */
+    static resolveProfile(profile = {}) {
+        const source = profile && typeof profile === 'object' ? profile : {};
+        const resolved = {};
+
+        // Numeric sections: weights, length targets, tag counts and bonus points
+        ['weights', 'title', 'description', 'tags', 'bonuses', 'focus'].forEach(section => {
+            resolved[section] = {};
+            Object.entries(DEFAULT_SCORING_PROFILE[section]).forEach(([key, defaultValue]) => {
+                const value = Number(source[section]?.[key]);
+                resolved[section][key] = Number.isFinite(value) && value >= 0 ? value : defaultValue;
+            });
+        });
+
+        // Weights always add up to 1 so the overall score stays on a 0-100 scale
+        const weightTotal = Object.values(resolved.weights).reduce((sum, weight) => sum + weight, 0);
+        Object.keys(resolved.weights).forEach(key => {
+            resolved.weights[key] = weightTotal > 0
+                ? resolved.weights[key] / weightTotal
+                : DEFAULT_SCORING_PROFILE.weights[key];
+        });
+
+        // Keyword lists: a category may be customised or added, but always holds lowercase phrases
+        resolved.keywords = {};
+        const keywordSource = { ...DEFAULT_SCORING_PROFILE.keywords, ...(source.keywords || {}) };
+        Object.entries(keywordSource).forEach(([category, keywords]) => {
+            resolved.keywords[category] = Array.isArray(keywords)
+                ? [...new Set(keywords
+                    .filter(keyword => typeof keyword === 'string')
+                    .map(keyword => keyword.trim().toLowerCase())
+                    .filter(keyword => keyword.length > 0))]
+                : [];
+        });
+
+        return resolved;
+    }
+
+    /**
+     * Detect the video's niche from its metadata
+     * @param {Object} videoData - Video metadata with title, description and tags array
+     * @returns {Object} Detected niche ID and per-niche match counts
+     */
+    static detectNiche({ title = '', description = '', tags = [] }) {
+        const lowerTitle = (title || '').toLowerCase();
+        const lowerBody = `${description || ''} ${(tags || []).join(' ')}`.toLowerCase();
+        const scores = {};
+        let best = { id: 'general', score: 0 };
+
+        Object.entries(NICHE_PRESETS).forEach(([id, preset]) => {
+            // Title matches count double - the title states what the video is about
+            const score = preset.detect.reduce((total, word) => {
+                const pattern = new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g');
+                return total +
+                    ((lowerTitle.match(pattern) || []).length * 2) +
+                    (lowerBody.match(pattern) || []).length;
+            }, 0);
+
+            scores[id] = score;
+            if (score > best.score) {
+                best = { id, score };
+            }
+        });
+
+        return { id: best.id, scores };
+    }
+
+    /**
+     * Find the parts of a scoring profile the user changed from the defaults
+     * @param {Object} profile - Scoring profile
+     * @returns {Object} Only the customised values, by section
+     */
+    static getProfileOverrides(profile) {
+        const resolved = this.resolveProfile(profile);
+        const overrides = {};
+
+        // Weights are normalized together, so a change to one customises all three
+        const weightsChanged = Object.entries(DEFAULT_SCORING_PROFILE.weights)
+            .some(([key, value]) => Math.abs(resolved.weights[key] - value) > 1e-9);
+        if (weightsChanged) {
+            overrides.weights = resolved.weights;
+        }
+
+        ['title', 'description', 'tags', 'bonuses', 'focus'].forEach(section => {
+            Object.entries(resolved[section]).forEach(([key, value]) => {
+                if (value !== DEFAULT_SCORING_PROFILE[section][key]) {
+                    overrides[section] = { ...(overrides[section] || {}), [key]: value };
+                }
+            });
+        });
+
+        Object.entries(resolved.keywords).forEach(([category, keywords]) => {
+            const defaults = DEFAULT_SCORING_PROFILE.keywords[category] || [];
+            if (keywords.length !== defaults.length || keywords.some((keyword, index) => keyword !== defaults[index])) {
+                overrides.keywords = { ...(overrides.keywords || {}), [category]: keywords };
+            }
+        });
+
+        return overrides;
+    }
+
+    /**
+     * Apply a niche preset to a scoring profile. The preset only replaces
+     * defaults; values the user customised keep winning.
+     * @param {Object} profile - Scoring profile
+     * @param {string} nicheId - Niche preset ID
+     * @returns {Object} Resolved profile with the preset's overrides applied
+     */
+    static applyNichePreset(profile, nicheId) {
+        const presetOverrides = NICHE_PRESETS[nicheId]?.overrides || {};
+        const userOverrides = this.getProfileOverrides(profile);
+        const merged = {};
+
+        // DEFAULT -> preset -> user overrides
+        Object.keys(DEFAULT_SCORING_PROFILE).forEach(section => {
+            merged[section] = {
+                ...DEFAULT_SCORING_PROFILE[section],
+                ...(presetOverrides[section] || {}),
+                ...(userOverrides[section] || {})
+            };
+        });
+
+        return this.resolveProfile(merged);
+    }
+
+    /**
+     * Work out which language to analyze the metadata in
+     * @param {string} requested - Language code chosen by the user, or 'auto'
+     * @param {string} text - Title and description text used for detection
+     * @returns {Object} Language code, name, source and detection confidence
+     */
+    static resolveLanguage(requested, text) {
+        const detected = Object.hasOwn(LANGUAGE_PACKS, requested || '')
+            ? { code: requested, confidence: 1, source: 'user' }
+            : { ...detectLanguage(text), source: 'detected' };
+
+        return {
+            ...detected,
+            name: getLanguagePack(detected.code).name
+        };
+    }
+
+    /**
+     * Add a language's keyword dictionary and CTA vocabulary to a resolved profile
+     * @param {Object} profile - Resolved scoring profile
+     * @param {string} languageCode - Language code
+     * @returns {Object} Profile with language-specific keywords and CTA words
+     */
+    static applyLanguagePack(profile, languageCode) {
+        const pack = getLanguagePack(languageCode);
+        const keywords = { ...profile.keywords };
+
+        // Language keywords extend the profile's lists - many creators mix in English terms
+        Object.entries(pack.keywords || {}).forEach(([category, words]) => {
+            keywords[category] = [...new Set([...(keywords[category] || []), ...words.map(word => word.toLowerCase())])];
+        });
+
+        return {
+            ...profile,
+            keywords,
+            language: {
+                code: languageCode,
+                cta: pack.cta
+            }
+        };
+    }
+
+    /**
+     * List the available niche presets
+     * @returns {Array} Niche IDs and labels
+     */
+    static getNichePresets() {
+        return Object.entries(NICHE_PRESETS).map(([id, preset]) => ({ id, label: preset.label }));
+    }
+
     /**
      * Analyze title SEO factors
      * @param {string} title - Video title
+     * @param {Object} profile - Resolved scoring profile
      * @returns {Object} Title analysis
      */
-    static analyzeTitleSEO(title) {
+    static analyzeTitleSEO(title, profile = DEFAULT_SCORING_PROFILE) {
         if (!title || typeof title !== 'string') {
             return {
                 score: 0,
                 length: 0,
+                wordCount: 0,
                 issues: ['Title is missing or invalid'],
                 suggestions: ['Add a compelling title'],
-                keywords: []
+                annotations: [this.createAnnotation('title', 'titleLength', 'Add a compelling title')],
+                keywords: [],
+                analysis: {
+                    hasNumbers: false,
+                    hasQuestion: false,
+                    hasEmotionalWords: false,
+                    hasActionWords: false
+                }
             };
         }
 
-        const length = title.length;
+        const criteria = profile.title;
+        const bonuses = profile.bonuses;
+        const length = countCharacters(title);
         const words = title.toLowerCase().split(/\s+/).filter(word => word.length > 0);
         const wordCount = words.length;
 
         let score = 0;
         const issues = [];
         const suggestions = [];
+        const annotations = [];
         const keywords = [];
+        const suggest = (rule, text, extra) => {
+            suggestions.push(text);
+            annotations.push(this.createAnnotation('title', rule, text, extra));
+        };
 
         // Length scoring
-        if (length < SCORING_CRITERIA.title.minLength) {
+        if (length < criteria.minLength) {
             issues.push('Title is too short');
-            suggestions.push(`Add more descriptive words (current: ${length}, minimum: ${SCORING_CRITERIA.title.minLength})`);
-            score += (length / SCORING_CRITERIA.title.minLength) * 30;
-        } else if (length > SCORING_CRITERIA.title.maxLength) {
+            suggest('titleLength', `Add more descriptive words (current: ${length}, minimum: ${criteria.minLength})`);
+            score += (length / criteria.minLength) * 30;
+        } else if (length > criteria.maxLength) {
             issues.push('Title is too long and may be truncated');
-            suggestions.push(`Shorten title to under ${SCORING_CRITERIA.title.maxLength} characters`);
+            suggest('titleLength', `Shorten title to under ${criteria.maxLength} characters`);
             score += 25;
         } else {
             score += 35;
-            if (length >= SCORING_CRITERIA.title.optimalLength - 10 && length <= SCORING_CRITERIA.title.optimalLength + 10) {
-                score += 5; // Bonus for optimal length
+            if (length >= criteria.optimalLength - 10 && length <= criteria.optimalLength + 10) {
+                score += bonuses.titleOptimalLength; // Bonus for optimal length
             }
         }
 
+        // Text past the optimal band is cut off in search results
+        const cutoff = criteria.optimalLength + 10;
+        if (length > cutoff) {
+            const start = Array.from(title).slice(0, cutoff).join('').length;
+            suggest(
+                'titleTruncation',
+                `Keep key words in the first ${cutoff} characters - the rest may be cut off in search results`,
+                { range: { start, end: title.length } }
+            );
+        }
+
         // Keyword analysis
-        const foundKeywords = this.findSEOKeywords(title);
+        const foundKeywords = this.findSEOKeywords(title, profile);
         keywords.push(...foundKeywords);
         
         if (foundKeywords.length > 0) {
             score += Math.min(foundKeywords.length * 10, 30);
         } else {
-            suggestions.push('Consider adding engaging keywords like "how to", "best", or "guide"');
+            const examples = profile.keywords.engagement.slice(0, 3).map(keyword => `"${keyword}"`);
+            if (examples.length > 0) {
+                suggest('titleKeywords', `Consider adding engaging keywords like ${examples.join(', ')}`);
+            }
         }
 
         // Word count check
         if (wordCount < 4) {
             issues.push('Title has too few words');
-            suggestions.push('Add more descriptive words to improve searchability');
+            suggest('titleWordCount', 'Add more descriptive words to improve searchability');
         }
 
-        // Capitalization check
-        if (title === title.toUpperCase() || title === title.toLowerCase()) {
+        // Capitalization check (skipped for scripts without letter case, e.g. Devanagari)
+        const hasLetterCase = title.toUpperCase() !== title.toLowerCase();
+        if (!hasLetterCase) {
+            score += bonuses.titleCapitalization;
+        } else if (title === title.toUpperCase() || title === title.toLowerCase()) {
             issues.push('Improve title capitalization');
-            suggestions.push('Use proper title case for better readability');
-            score -= 5;
+            suggest('titleCapitalization', 'Use proper title case for better readability');
+            score -= bonuses.titleCapitalization;
         } else {
-            score += 5;
+            score += bonuses.titleCapitalization;
         }
 
         // Number/year inclusion
         if (/\b(20\d{2}|2024|2025)\b/.test(title)) {
-            score += 5;
-        } else {
-            suggestions.push('Consider adding current year for relevancy');
+            score += bonuses.titleYear;
+        } else if (bonuses.titleYear > 0) {
+            suggest('titleYear', 'Consider adding current year for relevancy');
         }
 
         // Question format bonus
         if (title.includes('?')) {
-            score += 5;
+            score += bonuses.titleQuestion;
         }
 
         return {
@@ -183,11 +635,12 @@ class SEOScorer {
             keywords,
             issues,
             suggestions,
+            annotations,
             analysis: {
                 hasNumbers: /\d/.test(title),
                 hasQuestion: title.includes('?'),
-                hasEmotionalWords: this.hasEmotionalWords(title),
-                hasActionWords: this.hasActionWords(title)
+                hasEmotionalWords: this.hasEmotionalWords(title, profile),
+                hasActionWords: this.hasActionWords(title, profile)
             }
         };
     }
@@ -195,41 +648,58 @@ class SEOScorer {
     /**
      * Analyze description SEO factors
      * @param {string} description - Video description
+     * @param {Object} profile - Resolved scoring profile
      * @returns {Object} Description analysis
      */
-    static analyzeDescriptionSEO(description) {
+    static analyzeDescriptionSEO(description, profile = DEFAULT_SCORING_PROFILE) {
         if (!description || typeof description !== 'string') {
             return {
                 score: 0,
                 length: 0,
+                wordCount: 0,
                 issues: ['Description is missing'],
                 suggestions: ['Add a detailed description'],
-                keywords: []
+                annotations: [this.createAnnotation('description', 'descriptionLength', 'Add a detailed description')],
+                keywords: [],
+                hashtags: [],
+                analysis: {
+                    hasLinks: false,
+                    hasTimestamps: false,
+                    hasCTA: false,
+                    hashtagCount: 0
+                }
             };
         }
 
-        const length = description.length;
+        const criteria = profile.description;
+        const bonuses = profile.bonuses;
+        const length = countCharacters(description);
         const words = description.toLowerCase().split(/\s+/).filter(word => word.length > 0);
-        const sentences = description.split(/[.!?]+/).filter(s => s.trim().length > 0);
+        const sentences = description.split(/[.!?¡¿।]+/).filter(s => s.trim().length > 0);
         const paragraphs = description.split(/\n\s*\n/).filter(p => p.trim().length > 0);
 
         let score = 0;
         const issues = [];
         const suggestions = [];
+        const annotations = [];
         const keywords = [];
+        const suggest = (rule, text, extra) => {
+            suggestions.push(text);
+            annotations.push(this.createAnnotation('description', rule, text, extra));
+        };
 
         // Length scoring
-        if (length < SCORING_CRITERIA.description.minLength) {
+        if (length < criteria.minLength) {
             issues.push('Description is too short');
-            suggestions.push(`Expand description (current: ${length}, minimum: ${SCORING_CRITERIA.description.minLength})`);
-            score += (length / SCORING_CRITERIA.description.minLength) * 25;
-        } else if (length > SCORING_CRITERIA.description.maxLength) {
+            suggest('descriptionLength', `Expand description (current: ${length}, minimum: ${criteria.minLength})`);
+            score += (length / criteria.minLength) * 25;
+        } else if (length > criteria.maxLength) {
             issues.push('Description is extremely long');
-            suggestions.push('Consider condensing key information');
+            suggest('descriptionLength', 'Consider condensing key information');
             score += 20;
         } else {
             score += 30;
-            if (length >= SCORING_CRITERIA.description.optimalLength) {
+            if (length >= criteria.optimalLength) {
                 score += 10;
             }
         }
@@ -238,23 +708,23 @@ class SEOScorer {
         if (paragraphs.length > 1) {
             score += 10;
         } else {
-            suggestions.push('Break description into paragraphs for better readability');
+            suggest('descriptionStructure', 'Break description into paragraphs for better readability');
         }
 
         if (sentences.length >= 3) {
             score += 10;
         } else {
-            suggestions.push('Add more detailed sentences to improve context');
+            suggest('descriptionStructure', 'Add more detailed sentences to improve context');
         }
 
         // Keyword analysis
-        const foundKeywords = this.findSEOKeywords(description);
+        const foundKeywords = this.findSEOKeywords(description, profile);
         keywords.push(...foundKeywords);
         
         if (foundKeywords.length > 0) {
             score += Math.min(foundKeywords.length * 5, 20);
         } else {
-            suggestions.push('Include relevant keywords naturally in the description');
+            suggest('descriptionKeywords', 'Include relevant keywords naturally in the description');
         }
 
         // Links and timestamps
@@ -262,29 +732,31 @@ class SEOScorer {
         const hasTimestamps = /\d{1,2}:\d{2}/.test(description);
         
         if (hasLinks) {
-            score += 5;
+            score += bonuses.descriptionLinks;
         } else {
-            suggestions.push('Consider adding relevant links (social media, website)');
+            suggest('descriptionLinks', 'Consider adding relevant links (social media, website)');
         }
 
         if (hasTimestamps) {
-            score += 5;
+            score += bonuses.descriptionTimestamps;
         }
 
-        // Call to action
-        const hasCTA = /subscribe|like|comment|share|bell|notification/i.test(description);
+        // Call to action, in the metadata's language
+        const ctaWords = profile.language?.cta || getLanguagePack().cta;
+        const lowerDescription = description.toLowerCase();
+        const hasCTA = ctaWords.some(word => lowerDescription.includes(word));
         if (hasCTA) {
-            score += 5;
+            score += bonuses.descriptionCTA;
         } else {
-            suggestions.push('Add call-to-action phrases (subscribe, like, comment)');
+            suggest('descriptionCTA', `Add call-to-action phrases (${ctaWords.slice(0, 3).join(', ')})`);
         }
 
         // Hashtags
-        const hashtags = description.match(/#\w+/g) || [];
+        const hashtags = description.match(/#[\p{L}\p{M}\p{N}_]+/gu) || [];
         if (hashtags.length > 0 && hashtags.length <= 15) {
-            score += 5;
+            score += bonuses.descriptionHashtags;
         } else if (hashtags.length > 15) {
-            suggestions.push('Reduce number of hashtags (maximum 15 recommended)');
+            suggest('descriptionHashtags', 'Reduce number of hashtags (maximum 15 recommended)');
         }
 
         return {
@@ -297,6 +769,7 @@ class SEOScorer {
             hashtags,
             issues,
             suggestions,
+            annotations,
             analysis: {
                 hasLinks,
                 hasTimestamps,
@@ -309,39 +782,47 @@ class SEOScorer {
     /**
      * Analyze tags SEO factors
      * @param {Array} tags - Video tags
+     * @param {Object} profile - Resolved scoring profile
      * @returns {Object} Tags analysis
      */
-    static analyzeTagsSEO(tags) {
+    static analyzeTagsSEO(tags, profile = DEFAULT_SCORING_PROFILE) {
         if (!Array.isArray(tags)) {
             return {
                 score: 0,
                 count: 0,
                 issues: ['Tags are missing or invalid'],
                 suggestions: ['Add relevant tags'],
+                annotations: [this.createAnnotation('tags', 'tagCount', 'Add relevant tags')],
                 analysis: {}
             };
         }
 
+        const criteria = profile.tags;
         const count = tags.length;
         const uniqueTags = [...new Set(tags.map(tag => tag.toLowerCase()))];
-        const totalLength = tags.join('').length;
+        const totalLength = countCharacters(tags.join(''));
 
         let score = 0;
         const issues = [];
         const suggestions = [];
+        const annotations = [];
+        const suggest = (rule, text, extra) => {
+            suggestions.push(text);
+            annotations.push(this.createAnnotation('tags', rule, text, extra));
+        };
 
         // Count scoring
-        if (count < SCORING_CRITERIA.tags.minCount) {
+        if (count < criteria.minCount) {
             issues.push('Too few tags');
-            suggestions.push(`Add more tags (current: ${count}, minimum: ${SCORING_CRITERIA.tags.minCount})`);
-            score += (count / SCORING_CRITERIA.tags.minCount) * 40;
-        } else if (count > SCORING_CRITERIA.tags.maxCount) {
+            suggest('tagCount', `Add more tags (current: ${count}, minimum: ${criteria.minCount})`);
+            score += (count / criteria.minCount) * 40;
+        } else if (count > criteria.maxCount) {
             issues.push('Too many tags may dilute relevance');
-            suggestions.push(`Reduce to ${SCORING_CRITERIA.tags.maxCount} most relevant tags`);
+            suggest('tagCount', `Reduce to ${criteria.maxCount} most relevant tags`);
             score += 35;
         } else {
             score += 50;
-            if (count >= SCORING_CRITERIA.tags.optimalCount - 2 && count <= SCORING_CRITERIA.tags.optimalCount + 2) {
+            if (count >= criteria.optimalCount - 2 && count <= criteria.optimalCount + 2) {
                 score += 10;
             }
         }
@@ -349,19 +830,26 @@ class SEOScorer {
         // Diversity check
         if (uniqueTags.length < tags.length) {
             issues.push('Duplicate tags detected');
-            suggestions.push('Remove duplicate tags');
+            const seen = new Set();
+            const duplicates = tags.filter(tag => {
+                const key = tag.toLowerCase();
+                if (seen.has(key)) return true;
+                seen.add(key);
+                return false;
+            });
+            suggest('tagDuplicates', 'Remove duplicate tags', { items: [...new Set(duplicates)] });
             score -= 10;
         } else {
             score += 10;
         }
 
         // Tag length analysis
-        const avgTagLength = totalLength / count;
+        const avgTagLength = count > 0 ? totalLength / count : 0;
         if (avgTagLength < 3) {
-            suggestions.push('Use more descriptive tags');
+            suggest('tagLength', 'Use more descriptive tags');
             score -= 5;
         } else if (avgTagLength > 20) {
-            suggestions.push('Consider shorter, more focused tags');
+            suggest('tagLength', 'Consider shorter, more focused tags');
             score -= 5;
         } else {
             score += 10;
@@ -369,13 +857,13 @@ class SEOScorer {
 
         // Keyword relevance
         const keywordTags = tags.filter(tag => 
-            this.findSEOKeywords(tag).length > 0
+            this.findSEOKeywords(tag, profile).length > 0
         );
         
         if (keywordTags.length > 0) {
             score += Math.min(keywordTags.length * 5, 20);
         } else {
-            suggestions.push('Include tags with relevant keywords');
+            suggest('tagKeywords', 'Include tags with relevant keywords');
         }
 
         return {
@@ -386,6 +874,7 @@ class SEOScorer {
             keywordTags: keywordTags.length,
             issues,
             suggestions,
+            annotations,
             analysis: {
                 hasDuplicates: uniqueTags.length < tags.length,
                 hasKeywords: keywordTags.length > 0,
@@ -397,13 +886,14 @@ class SEOScorer {
     /**
      * Find SEO keywords in text
      * @param {string} text - Text to analyze
+     * @param {Object} profile - Resolved scoring profile
      * @returns {Array} Found keywords
      */
-    static findSEOKeywords(text) {
+    static findSEOKeywords(text, profile = DEFAULT_SCORING_PROFILE) {
         const lowerText = text.toLowerCase();
         const found = [];
 
-        Object.values(SEO_KEYWORDS).forEach(categoryKeywords => {
+        Object.values(profile.keywords).forEach(categoryKeywords => {
             categoryKeywords.forEach(keyword => {
                 if (lowerText.includes(keyword)) {
                     found.push(keyword);
@@ -417,10 +907,11 @@ class SEOScorer {
     /**
      * Check if text has emotional words
      * @param {string} text - Text to check
+     * @param {Object} profile - Resolved scoring profile
      * @returns {boolean} Has emotional words
      */
-    static hasEmotionalWords(text) {
-        const emotionalWords = SEO_KEYWORDS.emotional;
+    static hasEmotionalWords(text, profile = DEFAULT_SCORING_PROFILE) {
+        const emotionalWords = profile.keywords.emotional || [];
         const lowerText = text.toLowerCase();
         return emotionalWords.some(word => lowerText.includes(word));
     }
@@ -428,24 +919,251 @@ class SEOScorer {
     /**
      * Check if text has action words
      * @param {string} text - Text to check
+     * @param {Object} profile - Resolved scoring profile
      * @returns {boolean} Has action words
      */
-    static hasActionWords(text) {
-        const actionWords = SEO_KEYWORDS.actionable;
+    static hasActionWords(text, profile = DEFAULT_SCORING_PROFILE) {
+        const actionWords = profile.keywords.actionable || [];
         const lowerText = text.toLowerCase();
         return actionWords.some(word => lowerText.includes(word));
     }
 
+    /**
+     * Analyze title, description and tags against the user's focus keywords
+     * @param {Object} focusKeywords - { primary: string, secondary: string[] }
+     * @param {Object} metadata - Title, description and parsed tags
+     * @param {Object} profile - Resolved scoring profile
+     * @returns {Object|null} Focus keyword analysis, or null when no primary keyword is set
+     */
+    static analyzeFocusKeywords(focusKeywords, { title = '', description = '', tags = [] }, profile = DEFAULT_SCORING_PROFILE) {
+        const keywords = this.normalizeFocusKeywords(focusKeywords);
+        if (!keywords.primary) {
+            return null;
+        }
+
+        const primary = keywords.primary;
+        const criteria = profile.focus;
+        const safeTitle = title || '';
+        const safeDescription = description || '';
+        const lowerTags = (tags || []).map(tag => tag.toLowerCase());
+        const phraseWords = primary.split(/\s+/).length;
+
+        let score = 0;
+        const issues = [];
+        const suggestions = [];
+        const annotations = [];
+        const suggest = (field, rule, text, extra) => {
+            suggestions.push(text);
+            annotations.push(this.createAnnotation(field, rule, text, extra));
+        };
+
+        // Title: presence and how close to the start
+        const titleIndex = this.findPhrase(safeTitle, primary);
+        const titleWordPosition = titleIndex >= 0
+            ? safeTitle.slice(0, titleIndex).split(/\s+/).filter(word => word.length > 0).length + 1
+            : 0;
+        const titleWords = tokenize(safeTitle).length;
+        const titleOccurrences = this.countPhrase(safeTitle, primary);
+        const titleReport = {
+            found: titleIndex >= 0,
+            position: titleWordPosition,
+            nearStart: titleIndex >= 0 && titleWordPosition <= criteria.titleLeadWords,
+            density: titleWords > 0 ? (titleOccurrences * phraseWords) / titleWords : 0,
+            targetDensity: profile.title.keywordDensity
+        };
+
+        if (!titleReport.found) {
+            issues.push(`Primary keyword "${primary}" is missing from the title`);
+            suggest('title', 'focusTitle', `Add "${primary}" to the title, ideally within the first ${criteria.titleLeadWords} words`);
+        } else {
+            score += 25;
+            if (titleReport.nearStart) {
+                score += 15;
+            } else {
+                suggest('title', 'focusTitle', `Move "${primary}" closer to the start of the title (currently word ${titleWordPosition})`);
+            }
+        }
+
+        // Description: early placement and density
+        const descriptionWords = tokenize(safeDescription).length;
+        const descriptionOccurrences = this.countPhrase(safeDescription, primary);
+        const descriptionDensity = descriptionWords > 0
+            ? (descriptionOccurrences * phraseWords) / descriptionWords
+            : 0;
+        const targetDensity = profile.description.keywordDensity;
+        let densityStatus = 'ok';
+        if (descriptionDensity < targetDensity) {
+            densityStatus = 'low';
+        } else if (descriptionDensity > targetDensity * criteria.maxDensityFactor) {
+            densityStatus = 'high';
+        }
+
+        const descriptionReport = {
+            inOpening: this.findPhrase(safeDescription.slice(0, criteria.descriptionWindow), primary) >= 0,
+            occurrences: descriptionOccurrences,
+            density: descriptionDensity,
+            targetDensity,
+            densityStatus
+        };
+
+        if (descriptionReport.inOpening) {
+            score += 20;
+        } else {
+            issues.push(`Primary keyword is not in the first ${criteria.descriptionWindow} characters of the description`);
+            suggest(
+                'description',
+                'focusDescription',
+                `Mention "${primary}" in the first ${criteria.descriptionWindow} characters of the description`,
+                { range: { start: 0, end: Math.min(safeDescription.length, criteria.descriptionWindow) } }
+            );
+        }
+
+        if (densityStatus === 'ok') {
+            score += 15;
+        } else if (densityStatus === 'low') {
+            score += targetDensity > 0 ? Math.round((descriptionDensity / targetDensity) * 15) : 0;
+            suggest('description', 'focusDensity', `Use "${primary}" a few more times in the description (density ${(descriptionDensity * 100).toFixed(1)}%, target ${(targetDensity * 100).toFixed(1)}%)`);
+        } else {
+            score += 5;
+            issues.push('Primary keyword is overused in the description');
+            suggest('description', 'focusDensity', `Reduce repetitions of "${primary}" in the description to avoid keyword stuffing`);
+        }
+
+        // Tags: exact tag first, otherwise tags that contain the phrase
+        const matchingTags = tags.filter((tag, index) => this.findPhrase(lowerTags[index], primary) >= 0);
+        const tagsReport = {
+            exact: lowerTags.includes(primary),
+            matchingTags
+        };
+
+        if (tagsReport.exact) {
+            score += 15;
+        } else if (matchingTags.length > 0) {
+            score += 8;
+            suggest('tags', 'focusTags', `Add "${primary}" as an exact tag`, { items: matchingTags });
+        } else {
+            issues.push('No tag covers the primary keyword');
+            suggest('tags', 'focusTags', `Add "${primary}" to your tags`);
+        }
+
+        // Secondary keywords: covered anywhere in the metadata
+        const secondary = keywords.secondary.map(keyword => ({
+            keyword,
+            inTitle: this.findPhrase(safeTitle, keyword) >= 0,
+            inDescription: this.findPhrase(safeDescription, keyword) >= 0,
+            inTags: lowerTags.some(tag => this.findPhrase(tag, keyword) >= 0)
+        }));
+        const coveredSecondary = secondary.filter(item => item.inTitle || item.inDescription || item.inTags);
+
+        score += secondary.length > 0
+            ? Math.round((coveredSecondary.length / secondary.length) * 10)
+            : 10;
+        secondary
+            .filter(item => !item.inDescription && !item.inTags)
+            .forEach(item => suggest('description', 'focusSecondary', `Cover secondary keyword "${item.keyword}" in the description or tags`));
+
+        return {
+            primary,
+            score: Math.max(0, Math.min(100, score)),
+            title: titleReport,
+            description: descriptionReport,
+            tags: tagsReport,
+            secondary,
+            issues,
+            suggestions,
+            annotations
+        };
+    }
+
+    /**
+     * Normalize focus keywords from user input
+     * @param {Object} focusKeywords - Raw focus keywords (secondary may be an array or comma-separated string)
+     * @returns {Object} Lowercase primary keyword and de-duplicated secondary keywords
+     */
+    static normalizeFocusKeywords(focusKeywords) {
+        const clean = value => (typeof value === 'string' ? value.trim().replace(/\s+/g, ' ').toLowerCase() : '');
+        const source = focusKeywords && typeof focusKeywords === 'object' ? focusKeywords : {};
+        const primary = clean(source.primary);
+        const rawSecondary = typeof source.secondary === 'string'
+            ? source.secondary.split(',')
+            : Array.isArray(source.secondary) ? source.secondary : [];
+
+        const secondary = [...new Set(rawSecondary.map(clean))]
+            .filter(keyword => keyword.length > 0 && keyword !== primary);
+
+        return { primary, secondary };
+    }
+
+    /**
+     * Find a whole-word phrase in text (case-insensitive, Unicode-aware)
+     * @param {string} text - Text to search
+     * @param {string} phrase - Lowercase phrase
+     * @returns {number} Character index of the match, or -1
+     */
+    static findPhrase(text, phrase) {
+        const match = this.phrasePattern(phrase).exec(text || '');
+        return match ? match.index + match[1].length : -1;
+    }
+
+    /**
+     * Count whole-word occurrences of a phrase in text
+     * @param {string} text - Text to search
+     * @param {string} phrase - Lowercase phrase
+     * @returns {number} Number of occurrences
+     */
+    static countPhrase(text, phrase) {
+        return ((text || '').match(this.phrasePattern(phrase)) || []).length;
+    }
+
+    /**
+     * Build a whole-word pattern for a phrase. Uses letter/mark/number classes instead
+     * of \b so that accented and non-Latin words match too.
+     * @param {string} phrase - Lowercase phrase
+     * @returns {RegExp} Global, case-insensitive pattern
+     */
+    static phrasePattern(phrase) {
+        const escaped = phrase
+            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\s+/g, '\\s+');
+        return new RegExp(`(^|[^\\p{L}\\p{M}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{M}\\p{N}])`, 'giu');
+    }
+
+    /**
+     * Tie a suggestion to the metadata field it concerns
+     * @param {string} field - 'title', 'description' or 'tags'
+     * @param {string} rule - Rule ID from ANNOTATION_RULES
+     * @param {string} message - Suggestion text
+     * @param {Object} extra - Optional { range: {start, end} } text span or { items } (e.g. duplicate tags)
+     * @returns {Object} Field annotation
+     */
+    static createAnnotation(field, rule, message, extra = {}) {
+        const definition = ANNOTATION_RULES[rule] || { severity: 'info', explanation: '' };
+        return {
+            field,
+            rule,
+            severity: definition.severity,
+            message,
+            explanation: definition.explanation,
+            ...extra
+        };
+    }
+
     /**
      * Generate comprehensive suggestions
      * @param {Object} titleAnalysis - Title analysis
      * @param {Object} descriptionAnalysis - Description analysis
      * @param {Object} tagsAnalysis - Tags analysis
+     * @param {Object|null} focusAnalysis - Target-keyword analysis
      * @returns {Array} Suggestions array
      */
-    static generateSuggestions(titleAnalysis, descriptionAnalysis, tagsAnalysis) {
+    static generateSuggestions(titleAnalysis, descriptionAnalysis, tagsAnalysis, focusAnalysis = null) {
         const suggestions = [];
 
+        // Target-keyword suggestions come first - they are the most specific
+        if (focusAnalysis) {
+            suggestions.push(...focusAnalysis.suggestions);
+        }
+
         // Combine all suggestions
         suggestions.push(...titleAnalysis.suggestions);
         suggestions.push(...descriptionAnalysis.suggestions);
@@ -567,18 +1285,19 @@ class SEOScorer {
      * @returns {Object} Distribution analysis
      */
     static analyzeTagDistribution(tags) {
-        const lengths = tags.map(tag => tag.length);
-        const shortTags = tags.filter(tag => tag.length <= 5).length;
-        const mediumTags = tags.filter(tag => tag.length > 5 && tag.length <= 15).length;
-        const longTags = tags.filter(tag => tag.length > 15).length;
+        const lengths = tags.map(tag => countCharacters(tag));
+        const shortTags = lengths.filter(length => length <= 5).length;
+        const mediumTags = lengths.filter(length => length > 5 && length <= 15).length;
+        const longTags = lengths.filter(length => length > 15).length;
 
         return {
             short: shortTags,
             medium: mediumTags,
             long: longTags,
-            averageLength: lengths.reduce((a, b) => a + b, 0) / lengths.length
+            averageLength: lengths.length > 0 ? lengths.reduce((a, b) => a + b, 0) / lengths.length : 0
         };
     }
 }
 
+export { DEFAULT_SCORING_PROFILE, NICHE_PRESETS };
 export default SEOScorer;
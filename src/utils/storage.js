@@ -3,6 +3,9 @@
  * Centralized storage management for the extension
  */
 
+import SEOScorer from './seoScorer.js';
+import { isBuiltInLanguage } from './languages.js';
+
 // Constants for the storage utility
 const VERSION = '1.0.2';
 
@@ -13,14 +16,38 @@ const STORAGE_KEYS = {
     SEO_CACHE: 'openstudio_seo_cache',
     VIDEO_DATA: 'openstudio_video_data',
     PERFORMANCE_METRICS: 'openstudio_performance',
-    TAG_SUGGESTIONS: 'openstudio_tag_suggestions'
+    TAG_SUGGESTIONS: 'openstudio_tag_suggestions',
+    SCORING_PROFILE: 'openstudio_scoring_profile',
+    LANGUAGE_PACKS: 'openstudio_language_packs',
+    TITLE_VARIANTS: 'openstudio_title_variants',
+    CHANGE_HISTORY: 'openstudio_change_history',
+    DESCRIPTION_TEMPLATES: 'openstudio_description_templates',
+    BOILERPLATE_BLOCKS: 'openstudio_boilerplate_blocks',
+    TAG_LIBRARIES: 'openstudio_tag_libraries',
+    COMPETITOR_WATCHLIST: 'openstudio_competitor_watchlist',
+    TREND_SNAPSHOTS: 'openstudio_trend_snapshots',
+    CONTENT_IDEAS: 'openstudio_content_ideas',
+    CONTENT_PLAN: 'openstudio_content_plan'
 };
 
+// Undo/redo entries kept per video
+const MAX_HISTORY_ENTRIES = 50;
+
+// Uploads kept per watched competitor channel
+const MAX_WATCHED_UPLOADS = 30;
+
+// Trending snapshots kept per region/category feed (five days at one every six hours)
+const MAX_TREND_SNAPSHOTS = 20;
+
+// Ideas kept in the backlog; dismissed ones are dropped first
+const MAX_IDEAS = 100;
+
 const CACHE_EXPIRATION = {
     SEO_ANALYSIS: 1 * 60 * 60 * 1000,     // 1 hour
     TAG_SUGGESTIONS: 24 * 60 * 60 * 1000,  // 24 hours
     ANALYTICS: 6 * 60 * 60 * 1000,         // 6 hours
     PERFORMANCE: 30 * 60 * 1000,           // 30 minutes
+    KEYWORD_RESEARCH: 6 * 60 * 60 * 1000,  // 6 hours
     CACHE_MAX_AGE: 7 * 24 * 60 * 60 * 1000 // 7 days
 };
 
@@ -319,6 +346,490 @@ class ApiKeysManager {
     }
 }
 
+/**
+ * Scoring profile management utility
+ */
+class ScoringProfileManager {
+    /**
+     * Get the active scoring profile (user overrides merged over defaults)
+     * @returns {Promise<Object>} Resolved scoring profile
+     */
+    static async getProfile() {
+        const stored = await StorageManager.get(STORAGE_KEYS.SCORING_PROFILE);
+        return {
+            ...SEOScorer.resolveProfile(stored || {}),
+            lastUpdated: stored?.lastUpdated || null
+        };
+    }
+
+    /**
+     * Save a scoring profile
+     * @param {Object} profile - Scoring profile to save
+     * @returns {Promise<boolean>} Success status
+     */
+    static async saveProfile(profile) {
+        // Only customised values are kept, so defaults such as the current year stay current
+        const overrides = {
+            ...SEOScorer.getProfileOverrides(profile),
+            lastUpdated: new Date().toISOString()
+        };
+
+        return await StorageManager.set(STORAGE_KEYS.SCORING_PROFILE, overrides);
+    }
+
+    /**
+     * Reset the scoring profile to defaults
+     * @returns {Promise<boolean>} Success status
+     */
+    static async resetProfile() {
+        return await StorageManager.remove(STORAGE_KEYS.SCORING_PROFILE);
+    }
+}
+
+/**
+ * User-added language pack management utility
+ */
+class LanguagePackManager {
+    /**
+     * Get the user-added language packs
+     * @returns {Promise<Object>} { packs: [{ code, name, script, stopWords, cta, keywords }], lastUpdated }
+     */
+    static async getPacks() {
+        const stored = await StorageManager.get(STORAGE_KEYS.LANGUAGE_PACKS);
+        return {
+            packs: Array.isArray(stored?.packs) ? stored.packs : [],
+            lastUpdated: stored?.lastUpdated || null
+        };
+    }
+
+    /**
+     * Save the user-added language packs. Packs without stop words, with a
+     * code already taken or with the code of a built-in language are dropped.
+     * @param {Array} packs - [{ code, name, script, stopWords, cta, keywords }]
+     * @returns {Promise<Object>} The saved data
+     */
+    static async savePacks(packs) {
+        const toList = (words) => (Array.isArray(words) ? words : [])
+            .map(word => String(word).trim().toLowerCase())
+            .filter(word => word.length > 0);
+        const seen = new Set();
+        const saved = {
+            packs: (Array.isArray(packs) ? packs : [])
+                .map(pack => ({
+                    code: String(pack?.code || '').trim().toLowerCase().replace(/[^a-z-]/g, ''),
+                    name: String(pack?.name || '').trim(),
+                    script: typeof pack?.script === 'string' ? pack.script.trim() : '',
+                    stopWords: toList(pack?.stopWords),
+                    cta: toList(pack?.cta),
+                    keywords: Object.fromEntries(Object.entries(pack?.keywords || {})
+                        .map(([category, words]) => [category, toList(words)])
+                        .filter(([, words]) => words.length > 0))
+                }))
+                .filter(pack => {
+                    if (!pack.code || pack.stopWords.length === 0 || seen.has(pack.code) || isBuiltInLanguage(pack.code)) return false;
+                    seen.add(pack.code);
+                    return true;
+                }),
+            lastUpdated: new Date().toISOString()
+        };
+
+        await StorageManager.set(STORAGE_KEYS.LANGUAGE_PACKS, saved);
+        return saved;
+    }
+}
+
+/**
+ * Title variant workspace management utility
+ */
+class TitleVariantManager {
+    /**
+     * Get the saved title variants for a video
+     * @param {string} videoId - Video ID
+     * @returns {Promise<Object>} { videoId, variants, applied, updatedAt }
+     */
+    static async getVariants(videoId) {
+        const key = `${STORAGE_KEYS.TITLE_VARIANTS}_${videoId}`;
+        const stored = await StorageManager.get(key);
+        return {
+            videoId,
+            variants: Array.isArray(stored?.variants) ? stored.variants : [],
+            applied: Array.isArray(stored?.applied) ? stored.applied : [],
+            updatedAt: stored?.updatedAt || null
+        };
+    }
+
+    /**
+     * Save the title variants for a video.
+     * `applied` keeps every title that went live and when, so each variant can
+     * later be matched against the CTR of the period it was live.
+     * @param {string} videoId - Video ID
+     * @param {Object} record - { variants, applied }
+     * @returns {Promise<boolean>} Success status
+     */
+    static async saveVariants(videoId, record) {
+        const key = `${STORAGE_KEYS.TITLE_VARIANTS}_${videoId}`;
+        const data = {
+            videoId,
+            variants: Array.isArray(record?.variants) ? record.variants : [],
+            applied: Array.isArray(record?.applied) ? record.applied : [],
+            updatedAt: new Date().toISOString()
+        };
+
+        return await StorageManager.set(key, data);
+    }
+}
+
+/**
+ * Description template management utility
+ */
+class TemplateManager {
+    /**
+     * Get the saved description templates and shared template values
+     * @returns {Promise<Object>} { templates: [{ id, name, body, tags }], socialLinks, lastUpdated }
+     */
+    static async getTemplates() {
+        const stored = await StorageManager.get(STORAGE_KEYS.DESCRIPTION_TEMPLATES);
+        return {
+            templates: Array.isArray(stored?.templates) ? stored.templates : [],
+            socialLinks: typeof stored?.socialLinks === 'string' ? stored.socialLinks : '',
+            lastUpdated: stored?.lastUpdated || null
+        };
+    }
+
+    /**
+     * Save the description templates. Templates without a name are dropped.
+     * @param {Object} data - { templates, socialLinks }
+     * @returns {Promise<Object>} The saved data
+     */
+    static async saveTemplates(data) {
+        const templates = (Array.isArray(data?.templates) ? data.templates : [])
+            .filter(template => template && typeof template.name === 'string' && template.name.trim())
+            .map(template => ({
+                id: String(template.id || `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`),
+                name: template.name.trim(),
+                body: typeof template.body === 'string' ? template.body : '',
+                tags: Array.isArray(template.tags)
+                    ? template.tags.map(tag => String(tag).trim()).filter(tag => tag.length > 0)
+                    : []
+            }));
+
+        const saved = {
+            templates,
+            socialLinks: typeof data?.socialLinks === 'string' ? data.socialLinks : '',
+            lastUpdated: new Date().toISOString()
+        };
+
+        await StorageManager.set(STORAGE_KEYS.DESCRIPTION_TEMPLATES, saved);
+        return saved;
+    }
+}
+
+/**
+ * Boilerplate block management utility (channel-wide footer, socials, disclosures)
+ */
+class BoilerplateManager {
+    /**
+     * Get the master boilerplate blocks
+     * @returns {Promise<Object>} { blocks: [{ key, name, content, autoAppend }], lastUpdated }
+     */
+    static async getBlocks() {
+        const stored = await StorageManager.get(STORAGE_KEYS.BOILERPLATE_BLOCKS);
+        return {
+            blocks: Array.isArray(stored?.blocks) ? stored.blocks : [],
+            lastUpdated: stored?.lastUpdated || null
+        };
+    }
+
+    /**
+     * Save the master boilerplate blocks. Blocks without a usable key or with a
+     * key already taken are dropped, since the key is what the markers refer to.
+     * @param {Array} blocks - [{ key, name, content, autoAppend }]
+     * @returns {Promise<Object>} The saved data
+     */
+    static async saveBlocks(blocks) {
+        const seen = new Set();
+        const saved = {
+            blocks: (Array.isArray(blocks) ? blocks : [])
+                .map(block => ({
+                    key: String(block?.key || '').toLowerCase().replace(/[^a-z0-9-]/g, ''),
+                    name: String(block?.name || '').trim(),
+                    content: typeof block?.content === 'string' ? block.content.trim() : '',
+                    autoAppend: Boolean(block?.autoAppend)
+                }))
+                .filter(block => {
+                    if (!block.key || seen.has(block.key)) return false;
+                    seen.add(block.key);
+                    return true;
+                }),
+            lastUpdated: new Date().toISOString()
+        };
+
+        await StorageManager.set(STORAGE_KEYS.BOILERPLATE_BLOCKS, saved);
+        return saved;
+    }
+}
+
+/**
+ * Tag library management utility (named tag sets reused across a series)
+ */
+class TagLibraryManager {
+    /**
+     * Get the saved tag libraries
+     * @returns {Promise<Object>} { libraries: [{ id, name, tags }], lastUpdated }
+     */
+    static async getLibraries() {
+        const stored = await StorageManager.get(STORAGE_KEYS.TAG_LIBRARIES);
+        return {
+            libraries: Array.isArray(stored?.libraries) ? stored.libraries : [],
+            lastUpdated: stored?.lastUpdated || null
+        };
+    }
+
+    /**
+     * Save the tag libraries. Libraries without a name are dropped and
+     * repeated tags (ignoring case) are kept once.
+     * @param {Array} libraries - [{ id, name, tags }]
+     * @returns {Promise<Object>} The saved data
+     */
+    static async saveLibraries(libraries) {
+        const saved = {
+            libraries: (Array.isArray(libraries) ? libraries : [])
+                .filter(library => library && typeof library.name === 'string' && library.name.trim())
+                .map(library => {
+                    const seen = new Set();
+                    return {
+                        id: String(library.id || `library-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`),
+                        name: library.name.trim(),
+                        tags: (Array.isArray(library.tags) ? library.tags : [])
+                            .map(tag => String(tag).replace(/\s+/g, ' ').trim())
+                            .filter(tag => {
+                                if (!tag || seen.has(tag.toLowerCase())) return false;
+                                seen.add(tag.toLowerCase());
+                                return true;
+                            })
+                    };
+                }),
+            lastUpdated: new Date().toISOString()
+        };
+
+        await StorageManager.set(STORAGE_KEYS.TAG_LIBRARIES, saved);
+        return saved;
+    }
+}
+
+/**
+ * Competitor channel watchlist and the uploads recorded for each channel
+ */
+class WatchlistManager {
+    /**
+     * Get the watchlist
+     * @returns {Promise<Object>} { channels: [{ id, title, ... }], uploads: [{ videoId, channelId, ... }], lastCheckedAt }
+     */
+    static async getWatchlist() {
+        const stored = await StorageManager.get(STORAGE_KEYS.COMPETITOR_WATCHLIST);
+        return {
+            channels: Array.isArray(stored?.channels) ? stored.channels : [],
+            uploads: Array.isArray(stored?.uploads) ? stored.uploads : [],
+            lastCheckedAt: stored?.lastCheckedAt || null
+        };
+    }
+
+    /**
+     * Save the watchlist. Uploads of channels no longer watched are dropped and
+     * only the newest uploads of each channel are kept.
+     * @param {Object} watchlist - { channels, uploads, lastCheckedAt }
+     * @returns {Promise<Object>} The saved watchlist
+     */
+    static async saveWatchlist(watchlist) {
+        const channels = (Array.isArray(watchlist?.channels) ? watchlist.channels : [])
+            .filter(channel => channel && typeof channel.id === 'string' && channel.id);
+        const kept = new Map(channels.map(channel => [channel.id, 0]));
+
+        const uploads = (Array.isArray(watchlist?.uploads) ? watchlist.uploads : [])
+            .filter(upload => upload && kept.has(upload.channelId))
+            .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+            .filter(upload => {
+                const count = kept.get(upload.channelId) + 1;
+                kept.set(upload.channelId, count);
+                return count <= MAX_WATCHED_UPLOADS;
+            });
+
+        const saved = {
+            channels,
+            uploads,
+            lastCheckedAt: watchlist?.lastCheckedAt || null
+        };
+
+        await StorageManager.set(STORAGE_KEYS.COMPETITOR_WATCHLIST, saved);
+        return saved;
+    }
+}
+
+/**
+ * Trending feeds (region and category) and their mostPopular snapshots
+ */
+class TrendManager {
+    /**
+     * Get the trend feeds and snapshots
+     * @returns {Promise<Object>} { feeds: [{ id, regionCode, categoryId, lastError }], snapshots: [{ feedId, takenAt, videos }], lastSnapshotAt }
+     */
+    static async getTrends() {
+        const stored = await StorageManager.get(STORAGE_KEYS.TREND_SNAPSHOTS);
+        return {
+            feeds: Array.isArray(stored?.feeds) ? stored.feeds : [],
+            snapshots: Array.isArray(stored?.snapshots) ? stored.snapshots : [],
+            lastSnapshotAt: stored?.lastSnapshotAt || null
+        };
+    }
+
+    /**
+     * Save the trend feeds and snapshots. Snapshots of removed feeds are dropped
+     * and only the newest snapshots of each feed are kept, oldest first.
+     * @param {Object} data - { feeds, snapshots, lastSnapshotAt }
+     * @returns {Promise<Object>} The saved data
+     */
+    static async saveTrends(data) {
+        const feeds = (Array.isArray(data?.feeds) ? data.feeds : [])
+            .filter(feed => feed && typeof feed.id === 'string' && feed.id);
+        const feedIds = new Set(feeds.map(feed => feed.id));
+
+        const snapshots = (Array.isArray(data?.snapshots) ? data.snapshots : [])
+            .filter(snapshot => snapshot && feedIds.has(snapshot.feedId))
+            .sort((a, b) => new Date(a.takenAt) - new Date(b.takenAt));
+        const kept = snapshots.filter(snapshot => (
+            snapshots.filter(other => other.feedId === snapshot.feedId && other.takenAt > snapshot.takenAt).length < MAX_TREND_SNAPSHOTS
+        ));
+
+        const saved = {
+            feeds,
+            snapshots: kept,
+            lastSnapshotAt: data?.lastSnapshotAt || null
+        };
+
+        await StorageManager.set(STORAGE_KEYS.TREND_SNAPSHOTS, saved);
+        return saved;
+    }
+}
+
+/**
+ * Content idea backlog for our channel
+ */
+class IdeasManager {
+    /**
+     * Get the idea backlog
+     * @returns {Promise<Object>} { channel, ideas, performers, generatedAt }
+     */
+    static async getIdeas() {
+        const stored = await StorageManager.get(STORAGE_KEYS.CONTENT_IDEAS);
+        return {
+            channel: stored?.channel || null,
+            ideas: Array.isArray(stored?.ideas) ? stored.ideas : [],
+            performers: stored?.performers || { top: [], bottom: [] },
+            generatedAt: stored?.generatedAt || null
+        };
+    }
+
+    /**
+     * Save the idea backlog, dropping the oldest dismissed ideas once it is full
+     * @param {Object} data - { channel, ideas, performers, generatedAt }
+     * @returns {Promise<Object>} The saved backlog
+     */
+    static async saveIdeas(data) {
+        const ideas = Array.isArray(data?.ideas) ? data.ideas : [];
+        const dismissed = ideas.filter(idea => idea.status === 'dismissed');
+        const overflow = new Set(dismissed.slice(Math.max(0, MAX_IDEAS - (ideas.length - dismissed.length))));
+
+        const saved = {
+            channel: data?.channel || null,
+            ideas: ideas.filter(idea => !overflow.has(idea)).slice(0, MAX_IDEAS),
+            performers: data?.performers || { top: [], bottom: [] },
+            generatedAt: data?.generatedAt || null
+        };
+
+        await StorageManager.set(STORAGE_KEYS.CONTENT_IDEAS, saved);
+        return saved;
+    }
+}
+
+/**
+ * Content calendar: planned uploads and the dates of our real uploads
+ */
+class PlannerManager {
+    /**
+     * Get the content plan
+     * @returns {Promise<Object>} { items, uploads, channelId, uploadsFetchedAt }
+     */
+    static async getPlan() {
+        const stored = await StorageManager.get(STORAGE_KEYS.CONTENT_PLAN);
+        return {
+            items: Array.isArray(stored?.items) ? stored.items : [],
+            uploads: Array.isArray(stored?.uploads) ? stored.uploads : [],
+            channelId: stored?.channelId || null,
+            uploadsFetchedAt: stored?.uploadsFetchedAt || null
+        };
+    }
+
+    /**
+     * Save the content plan
+     * @param {Object} data - { items, uploads, channelId, uploadsFetchedAt }
+     * @returns {Promise<Object>} The saved plan
+     */
+    static async savePlan(data) {
+        const saved = {
+            items: Array.isArray(data?.items) ? data.items : [],
+            uploads: Array.isArray(data?.uploads) ? data.uploads : [],
+            channelId: data?.channelId || null,
+            uploadsFetchedAt: data?.uploadsFetchedAt || null
+        };
+
+        await StorageManager.set(STORAGE_KEYS.CONTENT_PLAN, saved);
+        return saved;
+    }
+}
+
+/**
+ * Per-video undo/redo history of field changes applied by OpenStudio
+ */
+class ChangeHistoryManager {
+    /**
+     * Get the change history for a video
+     * @param {string} videoId - Video ID
+     * @returns {Promise<Object>} { videoId, entries, position, updatedAt }
+     */
+    static async getHistory(videoId) {
+        const key = `${STORAGE_KEYS.CHANGE_HISTORY}_${videoId}`;
+        const stored = await StorageManager.get(key);
+        const entries = Array.isArray(stored?.entries) ? stored.entries : [];
+        return {
+            videoId,
+            entries,
+            position: Math.min(Math.max(stored?.position ?? entries.length, 0), entries.length),
+            updatedAt: stored?.updatedAt || null
+        };
+    }
+
+    /**
+     * Save the change history for a video, dropping the oldest entries past the limit.
+     * Entries before `position` are applied; entries from `position` on can be redone.
+     * @param {string} videoId - Video ID
+     * @param {Object} record - { entries, position }
+     * @returns {Promise<boolean>} Success status
+     */
+    static async saveHistory(videoId, record) {
+        const key = `${STORAGE_KEYS.CHANGE_HISTORY}_${videoId}`;
+        const entries = Array.isArray(record?.entries) ? record.entries : [];
+        const overflow = Math.max(0, entries.length - MAX_HISTORY_ENTRIES);
+        const position = Math.min(Math.max((record?.position ?? entries.length) - overflow, 0), entries.length - overflow);
+
+        return await StorageManager.set(key, {
+            videoId,
+            entries: entries.slice(overflow),
+            position,
+            updatedAt: new Date().toISOString()
+        });
+    }
+}
+
 /**
  * Analytics data management utility
  */
@@ -350,6 +861,21 @@ class AnalyticsManager {
         return await StorageManager.get(key);
     }
 
+    /**
+     * Add fields to a video's analysis record, creating it when the video has none yet
+     * @param {string} videoId - Video ID
+     * @param {Object} changes - Fields to set
+     * @returns {Promise<boolean>} Success status
+     */
+    static async updateVideoAnalysis(videoId, changes) {
+        const key = `${STORAGE_KEYS.VIDEO_DATA}_${videoId}`;
+        const existing = await StorageManager.get(key);
+        return await StorageManager.set(key, {
+            ...(existing || { videoId, timestamp: new Date().toISOString() }),
+            ...changes
+        });
+    }
+
     /**
      * Store performance metrics
      * @param {Object} metrics - Performance data
@@ -372,6 +898,35 @@ class AnalyticsManager {
         return await StorageManager.get(STORAGE_KEYS.PERFORMANCE_METRICS);
     }
 
+    /**
+     * Count how many analyzed videos use each tag
+     * @returns {Promise<Object>} { counts: { lowercase tag: videos }, videosAnalyzed }
+     */
+    static async getTagUsage() {
+        try {
+            const storage = await chrome.storage.local.get();
+            const counts = {};
+            let videosAnalyzed = 0;
+
+            Object.keys(storage)
+                .filter(key => key.startsWith(`${STORAGE_KEYS.VIDEO_DATA}_`))
+                .forEach(key => {
+                    const tags = storage[key]?.tags;
+                    if (!Array.isArray(tags)) return;
+
+                    videosAnalyzed++;
+                    new Set(tags.map(tag => String(tag).toLowerCase())).forEach(tag => {
+                        counts[tag] = (counts[tag] || 0) + 1;
+                    });
+                });
+
+            return { counts, videosAnalyzed };
+        } catch (error) {
+            console.error('Error getting tag usage:', error);
+            return { counts: {}, videosAnalyzed: 0 };
+        }
+    }
+
     /**
      * Get analytics summary for popup
      * @returns {Promise<Object>} Analytics summary
@@ -425,6 +980,7 @@ class DataManager {
         const data = {
             settings: await SettingsManager.getSettings(),
             apiKeys: await ApiKeysManager.getKeys(),
+            scoringProfile: await ScoringProfileManager.getProfile(),
             analytics: await AnalyticsManager.getAnalyticsSummary(),
             performance: await AnalyticsManager.getPerformanceMetrics(),
             exportDate: new Date().toISOString(),
@@ -449,6 +1005,10 @@ class DataManager {
                 await ApiKeysManager.saveKeys(data.apiKeys);
             }
 
+            if (data.scoringProfile) {
+                await ScoringProfileManager.saveProfile(data.scoringProfile);
+            }
+
             return true;
         } catch (error) {
             console.error('Data import error:', error);
@@ -511,6 +1071,17 @@ export {
     CacheManager,
     SettingsManager,
     ApiKeysManager,
+    ScoringProfileManager,
+    LanguagePackManager,
+    TitleVariantManager,
+    ChangeHistoryManager,
+    TemplateManager,
+    BoilerplateManager,
+    TagLibraryManager,
+    WatchlistManager,
+    TrendManager,
+    IdeasManager,
+    PlannerManager,
     AnalyticsManager,
     DataManager,
     CACHE_EXPIRATION
@@ -0,0 +1,130 @@
+/**
+ * OpenStudio Tag Utilities
+ * Parses the tags field, measures it against YouTube's character limit and
+ * finds duplicate and near-duplicate tags
+ */
+
+const TAG_LIMITS = {
+    // YouTube rejects a tag list longer than this
+    maxCharacters: 500
+};
+
+/**
+ * Split a comma-separated tags string into tags
+ * @param {string} text - Tags as typed in the tags field
+ * @returns {Array} Trimmed, non-empty tags in order
+ */
+function parseTags(text) {
+    return (text || '')
+        .split(',')
+        .map(tag => tag.replace(/\s+/g, ' ').trim())
+        .filter(tag => tag.length > 0);
+}
+
+/**
+ * Join tags for the tags field
+ * @param {Array} tags - Tags
+ * @returns {string} Comma-separated tags
+ */
+function serializeTags(tags) {
+    return (tags || []).join(', ');
+}
+
+/**
+ * Count tag characters the way YouTube does: tags containing spaces are quoted,
+ * and tags are separated by commas
+ * @param {Array} tags - Tags
+ * @returns {number} Characters used
+ */
+function countTagCharacters(tags) {
+    const list = tags || [];
+    const characters = list.reduce((total, tag) => (
+        total + Array.from(tag).length + (tag.includes(' ') ? 2 : 0)
+    ), 0);
+    return characters + Math.max(0, list.length - 1);
+}
+
+/**
+ * Reduce a word to a rough singular form
+ * @param {string} word - Lowercase word
+ * @returns {string} Singular form
+ */
+function singularize(word) {
+    // -ies plurals and -ie singulars meet at -y (cities/city, movies/movie)
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 4 && word.endsWith('ie')) return `${word.slice(0, -2)}y`;
+
+    let singular = word;
+    if (singular.length > 3 && singular.endsWith('s') && !/(ss|us|is)$/.test(singular)) {
+        singular = singular.slice(0, -1);
+    }
+
+    // -es plurals and -se singulars meet at the bare stem (buses/bus, boxes/box, houses/house)
+    if (singular.length > 3 && /(s|x|z|ch|sh)e$/.test(singular)) return singular.slice(0, -1);
+    return singular;
+}
+
+/**
+ * Key that is equal for near-duplicate tags (case, spacing, hyphens and plurals)
+ * @param {string} tag - Tag
+ * @returns {string} Comparison key
+ */
+function getTagKey(tag) {
+    return String(tag || '')
+        .toLowerCase()
+        .replace(/[-_]+/g, ' ')
+        .split(/\s+/)
+        .filter(word => word.length > 0)
+        .map(singularize)
+        .join(' ');
+}
+
+/**
+ * Flag tags that repeat an earlier tag. Identical tags are duplicates; tags
+ * that differ only in case, spacing, hyphens or plurals are near-duplicates
+ * @param {Array} tags - Tags in order
+ * @returns {Array} Per tag: null, or { type: 'duplicate'|'near', of } where `of` is the earlier tag's index
+ */
+function findDuplicateTags(tags) {
+    const exact = new Map();
+    const near = new Map();
+
+    return (tags || []).map((tag, index) => {
+        const key = getTagKey(tag);
+
+        if (exact.has(tag)) return { type: 'duplicate', of: exact.get(tag) };
+        exact.set(tag, index);
+
+        if (near.has(key)) return { type: 'near', of: near.get(key) };
+        near.set(key, index);
+
+        return null;
+    });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        TAG_LIMITS,
+        parseTags,
+        serializeTags,
+        countTagCharacters,
+        getTagKey,
+        findDuplicateTags
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to OpenStudio namespace
+    if (typeof window.OpenStudio === 'undefined') {
+        window.OpenStudio = {};
+    }
+
+    window.OpenStudio.TagUtils = {
+        TAG_LIMITS,
+        parseTags,
+        serializeTags,
+        countTagCharacters,
+        getTagKey,
+        findDuplicateTags
+    };
+}
@@ -0,0 +1,112 @@
+/**
+ * OpenStudio Template Engine
+ * Fills {placeholders} in description templates and merges the result
+ * into existing descriptions and tag lists
+ */
+
+// Placeholders a template can use, with the help text shown in the options page
+const TEMPLATE_VARIABLES = {
+    title: 'Current video title',
+    primaryKeyword: 'Primary focus keyword',
+    date: "Today's date",
+    socialLinks: 'Social links saved with your templates',
+    chapters: 'Chapter block from the current description'
+};
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Fill a template's placeholders. Unknown placeholders are left as typed.
+ * @param {string} text - Template text
+ * @param {Object} variables - Values by placeholder name
+ * @returns {string} Rendered text
+ */
+function renderTemplate(text, variables = {}) {
+    return (text || '')
+        .replace(PLACEHOLDER_PATTERN, (match, name) => (
+            Object.hasOwn(variables, name) ? String(variables[name] ?? '') : match
+        ))
+        // Empty placeholders on their own line would leave gaps
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * List placeholders in a template that the engine does not know
+ * @param {string} text - Template text
+ * @returns {Array} Unknown placeholder names
+ */
+function findUnknownPlaceholders(text) {
+    const unknown = [];
+    for (const match of (text || '').matchAll(PLACEHOLDER_PATTERN)) {
+        if (!Object.hasOwn(TEMPLATE_VARIABLES, match[1]) && !unknown.includes(match[1])) {
+            unknown.push(match[1]);
+        }
+    }
+    return unknown;
+}
+
+/**
+ * Add the paragraphs of a rendered template that the description does not contain yet
+ * @param {string} current - Current description
+ * @param {string} rendered - Rendered template
+ * @returns {string} Merged description
+ */
+function mergeDescription(current, rendered) {
+    const normalize = text => text.replace(/\s+/g, ' ').trim().toLowerCase();
+    const existing = normalize(current || '');
+
+    const missing = (rendered || '')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(paragraph => paragraph.length > 0 && !existing.includes(normalize(paragraph)));
+
+    if (missing.length === 0) return current || '';
+    return [(current || '').trimEnd(), ...missing].filter(part => part.length > 0).join('\n\n');
+}
+
+/**
+ * Add tags that are not in the current comma-separated list (case-insensitive)
+ * @param {string} current - Current tags, comma-separated
+ * @param {Array} tags - Tags to add
+ * @returns {string} Merged tags, comma-separated
+ */
+function mergeTags(current, tags) {
+    const merged = (current || '').split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+    const seen = new Set(merged.map(tag => tag.toLowerCase()));
+
+    (tags || []).forEach(tag => {
+        const value = String(tag).trim();
+        if (value && !seen.has(value.toLowerCase())) {
+            merged.push(value);
+            seen.add(value.toLowerCase());
+        }
+    });
+
+    return merged.join(', ');
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        TEMPLATE_VARIABLES,
+        renderTemplate,
+        findUnknownPlaceholders,
+        mergeDescription,
+        mergeTags
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to OpenStudio namespace
+    if (typeof window.OpenStudio === 'undefined') {
+        window.OpenStudio = {};
+    }
+
+    window.OpenStudio.TemplateEngine = {
+        TEMPLATE_VARIABLES,
+        renderTemplate,
+        findUnknownPlaceholders,
+        mergeDescription,
+        mergeTags
+    };
+}
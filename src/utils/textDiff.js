@@ -0,0 +1,198 @@
+/**
+ * OpenStudio Text Diff Utility
+ * Word- and line-level diffs between two versions of a metadata field,
+ * based on the longest common subsequence of their tokens
+ */
+
+// Above this many LCS table cells, word diffs fall back to line diffs
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Diff two token arrays
+ * @param {Array} before - Original tokens
+ * @param {Array} after - Changed tokens
+ * @returns {Array} Operations [{ type: 'equal'|'insert'|'delete', tokens }]
+ */
+function diffTokens(before, after) {
+    // Common prefix and suffix never need the LCS table
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+        start++;
+    }
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+    const cols = b.length + 1;
+
+    // lengths[i * cols + j] = LCS length of a[i..] and b[j..]
+    const lengths = new Uint32Array((a.length + 1) * cols);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i * cols + j] = a[i] === b[j]
+                ? lengths[(i + 1) * cols + j + 1] + 1
+                : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+        }
+    }
+
+    const operations = [];
+    const push = (type, token) => {
+        const last = operations[operations.length - 1];
+        if (last && last.type === type) {
+            last.tokens.push(token);
+        } else {
+            operations.push({ type, tokens: [token] });
+        }
+    };
+
+    before.slice(0, start).forEach(token => push('equal', token));
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+            push('delete', a[i++]);
+        } else {
+            push('insert', b[j++]);
+        }
+    }
+    while (i < a.length) push('delete', a[i++]);
+    while (j < b.length) push('insert', b[j++]);
+
+    before.slice(endBefore).forEach(token => push('equal', token));
+
+    return operations;
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @returns {Array} Operations [{ type, value, lines }]
+ */
+function diffLines(before, after) {
+    const beforeLines = (before || '').split('\n');
+    const afterLines = (after || '').split('\n');
+
+    return diffTokens(beforeLines, afterLines).map(operation => ({
+        type: operation.type,
+        lines: operation.tokens,
+        value: operation.tokens.join('\n')
+    }));
+}
+
+/**
+ * Diff two texts word by word, keeping whitespace so the result can be re-joined
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @returns {Array} Operations [{ type, value }]
+ */
+function diffWords(before, after) {
+    const beforeTokens = (before || '').split(/(\s+)/).filter(token => token.length > 0);
+    const afterTokens = (after || '').split(/(\s+)/).filter(token => token.length > 0);
+
+    if ((beforeTokens.length + 1) * (afterTokens.length + 1) > MAX_DIFF_CELLS) {
+        return diffLines(before, after).map(operation => ({
+            type: operation.type,
+            value: operation.value + '\n'
+        }));
+    }
+
+    return diffTokens(beforeTokens, afterTokens).map(operation => ({
+        type: operation.type,
+        value: operation.tokens.join('')
+    }));
+}
+
+/**
+ * Group a line diff into hunks that can be accepted or rejected one by one
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @returns {Array} Segments: { type: 'equal', lines } or { type: 'change', id, removed, added }
+ */
+function buildHunks(before, after) {
+    const segments = [];
+    let hunk = null;
+
+    diffLines(before, after).forEach(operation => {
+        if (operation.type === 'equal') {
+            hunk = null;
+            segments.push({ type: 'equal', lines: operation.lines });
+            return;
+        }
+
+        if (!hunk) {
+            hunk = { type: 'change', id: segments.length, removed: [], added: [] };
+            segments.push(hunk);
+        }
+        if (operation.type === 'delete') {
+            hunk.removed.push(...operation.lines);
+        } else {
+            hunk.added.push(...operation.lines);
+        }
+    });
+
+    return segments;
+}
+
+/**
+ * Rebuild text from hunks, taking the change only where it was accepted
+ * @param {Array} segments - Result of buildHunks
+ * @param {Object} accepted - Map of hunk id to true (accept) or false (reject)
+ * @returns {string} Merged text
+ */
+function applyHunks(segments, accepted) {
+    return segments.flatMap(segment => {
+        if (segment.type === 'equal') return segment.lines;
+        return accepted[segment.id] ? segment.added : segment.removed;
+    }).join('\n');
+}
+
+/**
+ * Count the words added and removed by a diff
+ * @param {Array} operations - Result of diffWords or diffLines
+ * @returns {Object} { added, removed } word counts
+ */
+function summarizeDiff(operations) {
+    const countWords = text => (text.match(/\S+/g) || []).length;
+
+    return operations.reduce((summary, operation) => {
+        if (operation.type === 'insert') summary.added += countWords(operation.value);
+        if (operation.type === 'delete') summary.removed += countWords(operation.value);
+        return summary;
+    }, { added: 0, removed: 0 });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    module.exports = {
+        diffWords,
+        diffLines,
+        buildHunks,
+        applyHunks,
+        summarizeDiff
+    };
+} else if (typeof window !== 'undefined') {
+    // Browser environment - attach to OpenStudio namespace
+    if (typeof window.OpenStudio === 'undefined') {
+        window.OpenStudio = {};
+    }
+
+    window.OpenStudio.TextDiff = {
+        diffWords,
+        diffLines,
+        buildHunks,
+        applyHunks,
+        summarizeDiff
+    };
+}
@@ -0,0 +1,420 @@
+/**
+ * OpenStudio Thumbnail Check
+ * Measures a thumbnail's brightness, colour palette and the contrast of its
+ * text-like regions at the size viewers actually see it.
+ */
+
+// Sizes a thumbnail is shown at in YouTube's compact lists (CSS pixels)
+const THUMBNAIL_PREVIEWS = [
+    { id: 'mobile', label: 'Mobile search', width: 120, height: 68 },
+    { id: 'sidebar', label: 'Suggested sidebar', width: 168, height: 94 }
+];
+
+// The thumbnail is analysed after scaling it down to the sidebar size,
+// so fine detail that blurs away there does not count as legible
+const ANALYSIS_SIZE = { width: 168, height: 94 };
+
+// YouTube shows thumbnails at 16:9
+const ASPECT_RATIO = 16 / 9;
+
+const CHECK_SETTINGS = {
+    // Side of the square cells the image is split into for region detection
+    cellSize: 8,
+    // Brightness step between neighbouring pixels that counts as an edge
+    edgeThreshold: 24,
+    // Share of edge pixels that makes a cell look like text
+    textCellDensity: 0.2,
+    // Cells a region needs before it is reported
+    minRegionCells: 2,
+    // Larger regions are texture (foliage, noise, crowds) rather than text
+    maxRegionShare: 0.4,
+    maxRegions: 5,
+    // Contrast ratios (WCAG): large text needs 3:1, small thumbnails benefit from 4.5:1
+    lowContrast: 3,
+    goodContrast: 4.5,
+    // Mean brightness (0-255) outside which a thumbnail is too dark or washed out
+    minBrightness: 50,
+    maxBrightness: 210,
+    // Brightness standard deviation below which the image looks flat
+    minSpread: 35,
+    // Average saturation (0-1) below which colours look muted
+    minSaturation: 0.15,
+    paletteColors: 5,
+    minPaletteShare: 0.03,
+    // Recommended upload size
+    minWidth: 1280,
+    minHeight: 720
+};
+
+// Bottom-right corner covered by the video length badge (fractions of the image)
+const BADGE_AREA = { x: 0.78, y: 0.78 };
+
+/**
+ * Relative luminance of an sRGB channel value
+ * @param {number} value - Channel value 0-255
+ * @returns {number} Linear value 0-1
+ */
+function linearize(value) {
+    const channel = value / 255;
+    return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * WCAG contrast ratio between two relative luminances
+ * @param {number} first - Relative luminance 0-1
+ * @param {number} second - Relative luminance 0-1
+ * @returns {number} Ratio from 1 to 21
+ */
+function contrastRatio(first, second) {
+    const lighter = Math.max(first, second);
+    const darker = Math.min(first, second);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Source rectangle that fills a 16:9 frame, cropping the overflow like YouTube does
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} { x, y, width, height }
+ */
+function getCoverCrop(width, height) {
+    if (width / height > ASPECT_RATIO) {
+        const cropWidth = Math.round(height * ASPECT_RATIO);
+        return { x: Math.round((width - cropWidth) / 2), y: 0, width: cropWidth, height };
+    }
+    const cropHeight = Math.round(width / ASPECT_RATIO);
+    return { x: 0, y: Math.round((height - cropHeight) / 2), width, height: cropHeight };
+}
+
+/**
+ * Per-pixel brightness, luminance and saturation
+ * @param {Object} pixels - ImageData-like { data, width, height }
+ * @returns {Object} { brightness, luminance, saturation } typed arrays
+ */
+function readPixels(pixels) {
+    const count = pixels.width * pixels.height;
+    const brightness = new Float32Array(count);
+    const luminance = new Float32Array(count);
+    const saturation = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        const r = pixels.data[i * 4];
+        const g = pixels.data[i * 4 + 1];
+        const b = pixels.data[i * 4 + 2];
+        const max = Math.max(r, g, b);
+        brightness[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+        luminance[i] = 0.2126 * linearize(r) + 0.7152 * linearize(g) + 0.0722 * linearize(b);
+        saturation[i] = max === 0 ? 0 : (max - Math.min(r, g, b)) / max;
+    }
+
+    return { brightness, luminance, saturation };
+}
+
+/**
+ * Most common colours, by share of the image
+ * @param {Object} pixels - ImageData-like { data, width, height }
+ * @returns {Array} [{ hex, share }]
+ */
+function buildPalette(pixels) {
+    const count = pixels.width * pixels.height;
+    const buckets = new Map();
+
+    for (let i = 0; i < count; i++) {
+        const r = pixels.data[i * 4];
+        const g = pixels.data[i * 4 + 1];
+        const b = pixels.data[i * 4 + 2];
+        // 8 levels per channel
+        const key = ((r >> 5) << 6) | ((g >> 5) << 3) | (b >> 5);
+        const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+        bucket.count++;
+        bucket.r += r;
+        bucket.g += g;
+        bucket.b += b;
+        buckets.set(key, bucket);
+    }
+
+    const toHex = value => Math.round(value).toString(16).padStart(2, '0');
+    return [...buckets.values()]
+        .sort((a, b) => b.count - a.count)
+        .filter(bucket => bucket.count / count >= CHECK_SETTINGS.minPaletteShare)
+        .slice(0, CHECK_SETTINGS.paletteColors)
+        .map(bucket => ({
+            hex: `#${toHex(bucket.r / bucket.count)}${toHex(bucket.g / bucket.count)}${toHex(bucket.b / bucket.count)}`,
+            share: Math.round((bucket.count / count) * 100) / 100
+        }));
+}
+
+/**
+ * Mark the cells dense with edges, where overlay text usually is
+ * @param {Float32Array} brightness - Per-pixel brightness
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} { columns, rows, textCells } with textCells a boolean array
+ */
+function findTextCells(brightness, width, height) {
+    const size = CHECK_SETTINGS.cellSize;
+    const columns = Math.ceil(width / size);
+    const rows = Math.ceil(height / size);
+    const edges = new Uint16Array(columns * rows);
+    const totals = new Uint16Array(columns * rows);
+
+    for (let y = 0; y < height - 1; y++) {
+        for (let x = 0; x < width - 1; x++) {
+            const i = y * width + x;
+            const step = Math.abs(brightness[i + 1] - brightness[i]) + Math.abs(brightness[i + width] - brightness[i]);
+            const cell = Math.floor(y / size) * columns + Math.floor(x / size);
+            totals[cell]++;
+            if (step >= CHECK_SETTINGS.edgeThreshold) edges[cell]++;
+        }
+    }
+
+    const textCells = Array.from(totals, (total, cell) => total > 0 && edges[cell] / total >= CHECK_SETTINGS.textCellDensity);
+    return { columns, rows, textCells };
+}
+
+/**
+ * Group neighbouring text cells into regions
+ * @param {Object} grid - { columns, rows, textCells }
+ * @returns {Array} Regions as arrays of cell indexes
+ */
+function groupCells(grid) {
+    const seen = new Set();
+    const regions = [];
+
+    grid.textCells.forEach((isText, start) => {
+        if (!isText || seen.has(start)) return;
+
+        const region = [];
+        const queue = [start];
+        seen.add(start);
+        while (queue.length > 0) {
+            const cell = queue.pop();
+            region.push(cell);
+            const column = cell % grid.columns;
+            const row = Math.floor(cell / grid.columns);
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const x = column + dx;
+                    const y = row + dy;
+                    const next = y * grid.columns + x;
+                    if (x < 0 || y < 0 || x >= grid.columns || y >= grid.rows) continue;
+                    if (!grid.textCells[next] || seen.has(next)) continue;
+                    seen.add(next);
+                    queue.push(next);
+                }
+            }
+        }
+        regions.push(region);
+    });
+
+    return regions;
+}
+
+/**
+ * Split a region's pixels into its light and dark parts (Otsu's threshold)
+ * and measure the contrast between them
+ * @param {Array} indexes - Pixel indexes in the region
+ * @param {Object} values - { brightness, luminance }
+ * @returns {number} Contrast ratio
+ */
+function measureContrast(indexes, values) {
+    const histogram = new Array(256).fill(0);
+    indexes.forEach(i => histogram[Math.min(255, Math.round(values.brightness[i]))]++);
+
+    const total = indexes.length;
+    const sum = histogram.reduce((acc, count, level) => acc + count * level, 0);
+    let darkCount = 0;
+    let darkSum = 0;
+    let bestVariance = -1;
+    let threshold = 0;
+    for (let level = 0; level < 256; level++) {
+        darkCount += histogram[level];
+        if (darkCount === 0 || darkCount === total) continue;
+        darkSum += level * histogram[level];
+        const darkMean = darkSum / darkCount;
+        const lightMean = (sum - darkSum) / (total - darkCount);
+        const variance = darkCount * (total - darkCount) * Math.pow(darkMean - lightMean, 2);
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            threshold = level;
+        }
+    }
+
+    const groups = { dark: [0, 0], light: [0, 0] };
+    indexes.forEach(i => {
+        const group = values.brightness[i] <= threshold + 0.5 ? groups.dark : groups.light;
+        group[0] += values.luminance[i];
+        group[1]++;
+    });
+    if (groups.dark[1] === 0 || groups.light[1] === 0) return 1;
+
+    return contrastRatio(groups.dark[0] / groups.dark[1], groups.light[0] / groups.light[1]);
+}
+
+/**
+ * Describe where a region sits ("top left", "centre", ...)
+ * @param {Object} region - Region with fractional x, y, width, height
+ * @returns {string} Position
+ */
+function describePosition(region) {
+    const centreX = region.x + region.width / 2;
+    const centreY = region.y + region.height / 2;
+    const vertical = centreY < 1 / 3 ? 'top' : centreY > 2 / 3 ? 'bottom' : '';
+    const horizontal = centreX < 1 / 3 ? 'left' : centreX > 2 / 3 ? 'right' : '';
+    return [vertical, horizontal].filter(Boolean).join(' ') || 'centre';
+}
+
+/**
+ * Measure the text-like regions of the image
+ * @param {Object} values - { brightness, luminance }
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Array} [{ x, y, width, height, position, contrast, level, coversBadge }], largest first
+ */
+function findTextRegions(values, width, height) {
+    const size = CHECK_SETTINGS.cellSize;
+    const grid = findTextCells(values.brightness, width, height);
+    const maxCells = grid.columns * grid.rows * CHECK_SETTINGS.maxRegionShare;
+    const round = value => Math.round(value * 100) / 100;
+
+    return groupCells(grid)
+        .filter(cells => cells.length >= CHECK_SETTINGS.minRegionCells && cells.length <= maxCells)
+        .sort((a, b) => b.length - a.length)
+        .slice(0, CHECK_SETTINGS.maxRegions)
+        .map(cells => {
+            const columns = cells.map(cell => cell % grid.columns);
+            const rows = cells.map(cell => Math.floor(cell / grid.columns));
+            const left = Math.min(...columns) * size;
+            const top = Math.min(...rows) * size;
+            const right = Math.min(width, (Math.max(...columns) + 1) * size);
+            const bottom = Math.min(height, (Math.max(...rows) + 1) * size);
+
+            const indexes = [];
+            cells.forEach(cell => {
+                const cellX = (cell % grid.columns) * size;
+                const cellY = Math.floor(cell / grid.columns) * size;
+                for (let y = cellY; y < Math.min(height, cellY + size); y++) {
+                    for (let x = cellX; x < Math.min(width, cellX + size); x++) {
+                        indexes.push(y * width + x);
+                    }
+                }
+            });
+
+            const contrast = Math.round(measureContrast(indexes, values) * 10) / 10;
+            const region = {
+                x: round(left / width),
+                y: round(top / height),
+                width: round((right - left) / width),
+                height: round((bottom - top) / height),
+                contrast,
+                level: contrast < CHECK_SETTINGS.lowContrast ? 'low' : contrast < CHECK_SETTINGS.goodContrast ? 'fair' : 'good',
+                coversBadge: right / width > BADGE_AREA.x && bottom / height > BADGE_AREA.y
+            };
+            region.position = describePosition(region);
+            return region;
+        });
+}
+
+/**
+ * Mean and standard deviation of an array
+ * @param {Float32Array} values - Values
+ * @returns {Object} { mean, deviation }
+ */
+function describeValues(values) {
+    const mean = values.reduce((acc, value) => acc + value, 0) / values.length;
+    const variance = values.reduce((acc, value) => acc + Math.pow(value - mean, 2), 0) / values.length;
+    return { mean, deviation: Math.sqrt(variance) };
+}
+
+/**
+ * Suggestions and a 0-100 score for the measurements
+ * @param {Object} check - Measurements
+ * @param {Object} source - { type, width, height }
+ * @returns {Object} { score, suggestions }
+ */
+function scoreThumbnail(check, source) {
+    const suggestions = [];
+    let score = 100;
+
+    check.regions.forEach(region => {
+        if (region.level === 'low') {
+            score -= 20;
+            suggestions.push(`Thumbnail: text or detail at the ${region.position} has low contrast (${region.contrast}:1) at sidebar size - if it is text, add an outline, shadow or solid backdrop`);
+        } else if (region.level === 'fair') {
+            score -= 10;
+            suggestions.push(`Thumbnail: text or detail at the ${region.position} is hard to read when small (${region.contrast}:1) - aim for ${CHECK_SETTINGS.goodContrast}:1`);
+        }
+    });
+
+    if (check.regions.some(region => region.coversBadge)) {
+        score -= 10;
+        suggestions.push('Thumbnail: detail in the bottom-right corner sits under the video length badge');
+    }
+
+    if (check.brightness.mean < CHECK_SETTINGS.minBrightness) {
+        score -= 15;
+        suggestions.push(`Thumbnail is dark overall (brightness ${check.brightness.mean}/255) - it disappears against YouTube's dark theme`);
+    } else if (check.brightness.mean > CHECK_SETTINGS.maxBrightness) {
+        score -= 15;
+        suggestions.push(`Thumbnail is very bright overall (brightness ${check.brightness.mean}/255) - it blends into YouTube's light theme`);
+    }
+
+    if (check.brightness.spread < CHECK_SETTINGS.minSpread) {
+        score -= 15;
+        suggestions.push('Thumbnail has little tonal contrast - separate the subject from the background with light or colour');
+    }
+
+    if (check.saturation < CHECK_SETTINGS.minSaturation) {
+        score -= 10;
+        suggestions.push('Thumbnail colours are muted - a saturated accent colour stands out more in the feed');
+    }
+
+    // Only an uploaded file has its real size; Studio shows a scaled copy
+    if (source.type === 'file' && source.width && source.height) {
+        if (source.width < CHECK_SETTINGS.minWidth || source.height < CHECK_SETTINGS.minHeight) {
+            score -= 10;
+            suggestions.push(`Thumbnail is ${source.width}×${source.height} - upload at least ${CHECK_SETTINGS.minWidth}×${CHECK_SETTINGS.minHeight} so it stays sharp on large screens`);
+        }
+        if (Math.abs(source.width / source.height - ASPECT_RATIO) > 0.05) {
+            score -= 5;
+            suggestions.push('Thumbnail is not 16:9 - YouTube crops it to fit, so check the edges');
+        }
+    }
+
+    return { score: Math.max(0, score), suggestions };
+}
+
+/**
+ * Analyse a thumbnail scaled to ANALYSIS_SIZE
+ * @param {Object} pixels - ImageData-like { data, width, height }
+ * @param {Object} source - { type: 'file' | 'studio', width, height } of the original image
+ * @returns {Object} { brightness, saturation, palette, regions, score, suggestions }
+ */
+function analyzeThumbnail(pixels, source = {}) {
+    const values = readPixels(pixels);
+    const brightness = describeValues(values.brightness);
+    const darkPixels = values.brightness.filter(value => value < 40).length;
+    const lightPixels = values.brightness.filter(value => value > 215).length;
+
+    const check = {
+        brightness: {
+            mean: Math.round(brightness.mean),
+            spread: Math.round(brightness.deviation),
+            darkShare: Math.round((darkPixels / values.brightness.length) * 100) / 100,
+            lightShare: Math.round((lightPixels / values.brightness.length) * 100) / 100
+        },
+        saturation: Math.round(describeValues(values.saturation).mean * 100) / 100,
+        palette: buildPalette(pixels),
+        regions: findTextRegions(values, pixels.width, pixels.height)
+    };
+
+    return { ...check, ...scoreThumbnail(check, source) };
+}
+
+export {
+    THUMBNAIL_PREVIEWS,
+    ANALYSIS_SIZE,
+    getCoverCrop,
+    contrastRatio,
+    analyzeThumbnail
+};
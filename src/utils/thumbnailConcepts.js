@@ -0,0 +1,139 @@
+/**
+ * OpenStudio Thumbnail Concepts
+ * Parses AI thumbnail concepts into their visual elements, overlay text,
+ * colours and rationale, and checks the overlay text against the title.
+ */
+
+import { detectLanguage, getLanguagePack, tokenize } from './languages.js';
+
+// Overlay text has to be readable at a glance on a small thumbnail
+const OVERLAY_LIMITS = {
+    maxWords: 5,
+    maxCharacters: 30
+};
+
+// Concepts asked for and kept
+const MAX_CONCEPTS = 3;
+
+// Labels the prompt asks for, and the variants models tend to use instead
+const FIELD_LABELS = [
+    { field: 'visualElements', pattern: /^(?:visual elements?|elements|visuals)$/ },
+    { field: 'overlayText', pattern: /^(?:overlay text|text overlay|overlay|text)$/ },
+    { field: 'colors', pattern: /^(?:colou?rs?|colou?r scheme|colou?r palette|palette)$/ },
+    { field: 'rationale', pattern: /^(?:rationale|why|why it works|psychological appeal|appeal)$/ }
+];
+
+// Fields holding a list rather than a sentence
+const LIST_FIELDS = ['visualElements', 'colors'];
+
+/**
+ * Remove markdown emphasis, bullets and wrapping quotes
+ * @param {string} text - Raw text
+ * @returns {string} Clean text
+ */
+function cleanText(text) {
+    return text
+        .replace(/\*\*|__/g, '')
+        .replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '')
+        .trim();
+}
+
+/**
+ * Split a list field into items
+ * @param {string} text - "a; b; c" or "a, b, c"
+ * @returns {Array} Items
+ */
+function splitList(text) {
+    const separator = text.includes(';') ? ';' : ',';
+    return text.split(separator).map(item => cleanText(item).replace(/\.$/, '')).filter(item => item.length > 0);
+}
+
+/**
+ * Parse one concept section
+ * @param {string} section - Text after "Concept N:"
+ * @param {number} index - Concept number, from 1
+ * @returns {Object} { name, visualElements, overlayText, colors, rationale }
+ */
+function parseConcept(section, index) {
+    const lines = section.split('\n');
+    const concept = { name: cleanText(lines[0]).replace(/^["']|["']$/g, '') || `Concept ${index}` };
+    const values = { visualElements: [], overlayText: [], colors: [], rationale: [] };
+    let current = null;
+
+    lines.slice(1).forEach(raw => {
+        const line = cleanText(raw);
+        if (!line) return;
+
+        const labelled = line.match(/^([A-Za-z ]{2,30}):\s*(.*)$/);
+        const label = labelled && FIELD_LABELS.find(item => item.pattern.test(labelled[1].trim().toLowerCase()));
+        if (label) {
+            current = label.field;
+            if (labelled[2]) values[current].push(labelled[2]);
+        } else if (current) {
+            values[current].push(line);
+        }
+    });
+
+    LIST_FIELDS.forEach(field => {
+        concept[field] = values[field].flatMap(splitList);
+    });
+    concept.overlayText = values.overlayText.join(' ').replace(/^["'“]+|["'”]+$/g, '').trim();
+    concept.rationale = values.rationale.join(' ');
+
+    return concept;
+}
+
+/**
+ * Parse the thumbnail concepts from an AI response
+ * @param {string} text - Response with "Concept N:" sections
+ * @returns {Array} Up to three concepts
+ */
+function parseThumbnailConcepts(text) {
+    const sections = String(text || '').split(/^\s*(?:#+\s*)?(?:\*\*)?\s*(?:concept|thumbnail)\s*\d+\s*(?:\*\*)?\s*[:.)-]?/im);
+
+    return sections.slice(1)
+        .map((section, index) => parseConcept(section, index + 1))
+        .filter(concept => concept.visualElements.length > 0 || concept.overlayText || concept.rationale)
+        .slice(0, MAX_CONCEPTS);
+}
+
+/**
+ * Check overlay text for length and for words the title already says
+ * @param {string} overlayText - Thumbnail overlay text
+ * @param {string} title - Video title
+ * @returns {Object} { words, characters, tooLong, duplicates }
+ */
+function checkOverlayText(overlayText, title) {
+    const words = tokenize(overlayText);
+    const characters = Array.from(overlayText || '').length;
+    const stopWords = new Set(getLanguagePack(detectLanguage(`${title} ${overlayText}`).code).stopWords);
+    const titleWords = new Set(tokenize(title));
+
+    return {
+        words: words.length,
+        characters,
+        tooLong: words.length > OVERLAY_LIMITS.maxWords || characters > OVERLAY_LIMITS.maxCharacters,
+        // The thumbnail sits next to the title, so repeating it wastes the space
+        duplicates: [...new Set(words.filter(word => titleWords.has(word) && !stopWords.has(word) && !/^\d+$/.test(word)))]
+    };
+}
+
+/**
+ * Attach overlay checks to concepts
+ * @param {Array} concepts - Parsed concepts
+ * @param {string} title - Current video title
+ * @returns {Array} Concepts with an overlayCheck each
+ */
+function addOverlayChecks(concepts, title) {
+    return concepts.map(concept => ({
+        ...concept,
+        overlayCheck: concept.overlayText ? checkOverlayText(concept.overlayText, title) : null
+    }));
+}
+
+export {
+    OVERLAY_LIMITS,
+    parseThumbnailConcepts,
+    checkOverlayText,
+    addOverlayChecks
+};
@@ -0,0 +1,192 @@
+/**
+ * OpenStudio Trend Explorer
+ * Keeps snapshots of YouTube's most popular videos per region and category and
+ * compares them over time to find the keywords and topics that are rising.
+ */
+
+import { detectLanguage, getLanguagePack, tokenize } from './languages.js';
+import { countTerms } from './keywordResearch.js';
+
+const TREND_SETTINGS = {
+    // How often the background script takes snapshots when trend analysis is on
+    snapshotIntervalMinutes: 6 * 60,
+    // Earlier snapshots a new one is compared with
+    comparisonSnapshots: 8,
+    // Tags kept per video in a snapshot
+    maxTagsPerVideo: 10,
+    // Terms listed per feed
+    maxTerms: 15
+};
+
+// Categories offered in the trends view (YouTube video category IDs)
+const TREND_CATEGORIES = [
+    { id: '', label: 'All categories' },
+    { id: '1', label: 'Film & Animation' },
+    { id: '2', label: 'Autos & Vehicles' },
+    { id: '10', label: 'Music' },
+    { id: '15', label: 'Pets & Animals' },
+    { id: '17', label: 'Sports' },
+    { id: '20', label: 'Gaming' },
+    { id: '22', label: 'People & Blogs' },
+    { id: '23', label: 'Comedy' },
+    { id: '24', label: 'Entertainment' },
+    { id: '25', label: 'News & Politics' },
+    { id: '26', label: 'Howto & Style' },
+    { id: '27', label: 'Education' },
+    { id: '28', label: 'Science & Technology' }
+];
+
+/**
+ * Identify a feed by region and category
+ * @param {string} regionCode - ISO 3166-1 alpha-2 region code
+ * @param {string} categoryId - Video category ID, or '' for all
+ * @returns {string} Feed ID, e.g. 'US:20' or 'GB:all'
+ */
+function getFeedId(regionCode, categoryId) {
+    return `${regionCode}:${categoryId || 'all'}`;
+}
+
+/**
+ * Readable feed name
+ * @param {Object} feed - { regionCode, categoryId }
+ * @returns {string} e.g. 'US · Gaming'
+ */
+function getFeedLabel(feed) {
+    const category = TREND_CATEGORIES.find(item => item.id === (feed.categoryId || ''));
+    return `${feed.regionCode} · ${category ? category.label : `Category ${feed.categoryId}`}`;
+}
+
+/**
+ * Create a snapshot from a mostPopular chart
+ * @param {Object} feed - { regionCode, categoryId }
+ * @param {Array} videos - YouTube API video items (snippet, statistics)
+ * @param {number} now - Snapshot time in milliseconds
+ * @returns {Object} { feedId, takenAt, videos: [{ videoId, title, channelTitle, tags, views, publishedAt }] }
+ */
+function createSnapshot(feed, videos, now = Date.now()) {
+    return {
+        feedId: getFeedId(feed.regionCode, feed.categoryId),
+        takenAt: new Date(now).toISOString(),
+        videos: (videos || []).map(video => ({
+            videoId: video.id,
+            title: video.snippet?.title || '',
+            channelTitle: video.snippet?.channelTitle || '',
+            tags: (Array.isArray(video.snippet?.tags) ? video.snippet.tags : []).slice(0, TREND_SETTINGS.maxTagsPerVideo),
+            views: Number(video.statistics?.viewCount || 0),
+            publishedAt: video.snippet?.publishedAt || null
+        }))
+    };
+}
+
+/**
+ * Keywords of one trending video: title words, two-word title phrases and tags
+ * @param {Object} video - Snapshot video
+ * @returns {Array} Lowercase terms
+ */
+function getVideoTerms(video) {
+    const stopWords = new Set(getLanguagePack(detectLanguage(video.title).code).stopWords);
+    const words = tokenize(video.title);
+    const content = words.filter(word => word.length > 2 && !stopWords.has(word) && !/^\d+$/.test(word));
+
+    const phrases = [];
+    for (let i = 0; i < words.length - 1; i++) {
+        if (stopWords.has(words[i]) || stopWords.has(words[i + 1])) continue;
+        phrases.push(`${words[i]} ${words[i + 1]}`);
+    }
+
+    return [...content, ...phrases, ...video.tags.map(tag => tag.toLowerCase().trim()).filter(tag => tag.length > 1)];
+}
+
+/**
+ * Compare the latest snapshot of a feed with the ones before it
+ * @param {Array} snapshots - The feed's snapshots, oldest first
+ * @returns {Object} { top: [{ term, count }], rising: [{ term, count, previous, change, isNew }] }
+ */
+function compareSnapshots(snapshots) {
+    if (snapshots.length === 0) {
+        return { top: [], rising: [] };
+    }
+
+    const latest = snapshots[snapshots.length - 1];
+    const top = countTerms(latest.videos.map(getVideoTerms), TREND_SETTINGS.maxTerms);
+    const earlier = snapshots.slice(-1 - TREND_SETTINGS.comparisonSnapshots, -1);
+    if (earlier.length === 0) {
+        return { top, rising: [] };
+    }
+
+    // Average number of trending videos using each term in the earlier snapshots
+    const previous = new Map();
+    earlier.forEach(snapshot => {
+        countTerms(snapshot.videos.map(getVideoTerms), Infinity).forEach(({ term, count }) => {
+            previous.set(term, (previous.get(term) || 0) + count / earlier.length);
+        });
+    });
+
+    const rising = countTerms(latest.videos.map(getVideoTerms), Infinity)
+        .map(({ term, count }) => {
+            const before = Math.round((previous.get(term) || 0) * 10) / 10;
+            return { term, count, previous: before, change: Math.round((count - before) * 10) / 10, isNew: before === 0 };
+        })
+        .filter(item => item.change > 0)
+        .sort((a, b) => b.change - a.change || b.count - a.count)
+        .slice(0, TREND_SETTINGS.maxTerms);
+
+    return { top, rising };
+}
+
+/**
+ * Summarize every feed for display and for content idea prompts
+ * @param {Object} data - { feeds, snapshots, lastSnapshotAt } from storage
+ * @returns {Object} { feeds: [{ id, regionCode, categoryId, label, lastError, snapshotCount, takenAt, top, rising, videos }], lastSnapshotAt }
+ */
+function summarizeTrends(data) {
+    return {
+        feeds: data.feeds.map(feed => {
+            const snapshots = data.snapshots.filter(snapshot => snapshot.feedId === feed.id);
+            const latest = snapshots[snapshots.length - 1] || null;
+
+            return {
+                ...feed,
+                label: getFeedLabel(feed),
+                snapshotCount: snapshots.length,
+                takenAt: latest ? latest.takenAt : null,
+                ...compareSnapshots(snapshots),
+                videos: latest ? latest.videos.slice(0, 10).map(({ tags, ...video }) => video) : []
+            };
+        }),
+        lastSnapshotAt: data.lastSnapshotAt || null
+    };
+}
+
+/**
+ * Describe the trends in a few lines for an AI prompt
+ * @param {Object} summary - Result of summarizeTrends
+ * @returns {string} Trend description, or '' without snapshots
+ */
+function formatTrendsForPrompt(summary) {
+    return summary.feeds
+        .filter(feed => feed.snapshotCount > 0)
+        .map(feed => {
+            const rising = feed.rising.slice(0, 8).map(item => item.isNew ? `${item.term} (new)` : `${item.term} (+${item.change})`);
+            const top = feed.top.slice(0, 8).map(item => item.term);
+            const titles = feed.videos.slice(0, 5).map(video => `"${video.title}"`);
+            return [
+                `${feed.label}:`,
+                rising.length > 0 ? `  Rising keywords: ${rising.join(', ')}` : null,
+                top.length > 0 ? `  Most common keywords: ${top.join(', ')}` : null,
+                titles.length > 0 ? `  Top trending titles: ${titles.join('; ')}` : null
+            ].filter(Boolean).join('\n');
+        })
+        .join('\n');
+}
+
+export {
+    TREND_SETTINGS,
+    TREND_CATEGORIES,
+    getFeedId,
+    getFeedLabel,
+    createSnapshot,
+    compareSnapshots,
+    summarizeTrends,
+    formatTrendsForPrompt
+};
@@ -22,7 +22,8 @@ const ENDPOINTS = {
     analytics: '/analytics/v2/reports',
     videoCategories: '/videoCategories',
     playlists: '/playlists',
-    playlistItems: '/playlistItems'
+    playlistItems: '/playlistItems',
+    commentThreads: '/commentThreads'
 };
 
 /**
@@ -99,19 +100,51 @@ class YouTubeAPIHelper {
 
     /**
      * Get channel information
-     * @param {string} channelId - Channel ID (optional, uses authenticated user if not provided)
+     * @param {string} channelId - Channel ID or @handle (optional, uses authenticated user if not provided)
      * @returns {Promise<Object>} Channel data
      */
     async getChannelInfo(channelId = null) {
+        const lookup = !channelId
+            ? { mine: true }
+            : channelId.startsWith('@') ? { forHandle: channelId } : { id: channelId };
         const params = {
             part: 'snippet,statistics,brandingSettings,contentDetails',
-            ...(channelId ? { id: channelId } : { mine: true })
+            ...lookup
         };
 
-        const response = await this.makeAuthenticatedRequest(ENDPOINTS.channels, params);
+        // Other channels are public, so the API key is enough for them
+        const response = channelId
+            ? await this.makeRequest(ENDPOINTS.channels, params)
+            : await this.makeAuthenticatedRequest(ENDPOINTS.channels, params);
         return response.items ? response.items[0] : null;
     }
 
+    /**
+     * Get public statistics for several channels (API key only, no sign-in)
+     * @param {Array<string>} channelIds - Channel IDs
+     * @returns {Promise<Array>} Array of channel data
+     */
+    async getChannelsInfo(channelIds) {
+        if (!Array.isArray(channelIds) || channelIds.length === 0) {
+            return [];
+        }
+
+        const chunks = this.chunkArray(channelIds, 50);
+        const allChannels = [];
+
+        for (const chunk of chunks) {
+            const response = await this.makeRequest(ENDPOINTS.channels, {
+                part: 'snippet,statistics',
+                id: chunk.join(',')
+            });
+            if (response.items) {
+                allChannels.push(...response.items);
+            }
+        }
+
+        return allChannels;
+    }
+
     /**
      * Get video information
      * @param {string} videoId - Video ID
@@ -279,10 +312,11 @@ class YouTubeAPIHelper {
             videoId,
             maxResults: options.maxResults || 20,
             order: options.order || 'relevance',
+            textFormat: options.textFormat,
             pageToken: options.pageToken
         };
 
-        return await this.makeRequest('/commentThreads', params);
+        return await this.makeRequest(ENDPOINTS.commentThreads, params);
     }
 
     /**
@@ -409,11 +443,14 @@ class YouTubeAPIHelper {
             const error = new Error(errorData.error?.message || `API request failed: ${response.status}`);
             error.status = response.status;
             error.code = errorData.error?.code;
+            error.reason = errorData.error?.errors?.[0]?.reason;
             
             // Handle specific error cases
             if (response.status === 403) {
                 if (errorData.error?.message?.includes('quota')) {
                     error.message = 'YouTube API quota exceeded. Please try again tomorrow.';
+                } else if (error.reason === 'commentsDisabled') {
+                    error.message = 'Comments are turned off for this video.';
                 } else {
                     error.message = 'YouTube API access forbidden. Check your API key permissions.';
                 }